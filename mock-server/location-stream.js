@@ -0,0 +1,127 @@
+// Local mock of the rider location stream.
+//
+//   npm run mock:locations            # serve on http://localhost:4010
+//   npm run mock:locations -- --simulate
+//
+// Point the app at it with VITE_LOCATION_STREAM_URL=http://localhost:4010
+//
+//   POST /locations  { riderId, lat, lng, timestamp }  ingest a rider position
+//   GET  /locations                                    latest position per rider
+//   GET  /stream                                       SSE feed of "location" events
+import http from 'http';
+import { readFileSync } from 'fs';
+
+const PORT = parseInt(process.env.LOCATION_STREAM_PORT || '4010');
+const SIMULATE = process.argv.includes('--simulate');
+
+const positions = {};
+const clients = new Set();
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+const broadcast = (position) => {
+  const payload = `event: location\ndata: ${JSON.stringify(position)}\n\n`;
+  clients.forEach(res => res.write(payload));
+};
+
+const ingest = (position) => {
+  const riderId = parseInt(position.riderId);
+  if (!Number.isFinite(riderId) || !Number.isFinite(position.lat) || !Number.isFinite(position.lng)) {
+    throw new Error('riderId, lat and lng are required');
+  }
+  const stored = { ...position, riderId, timestamp: position.timestamp || new Date().toISOString() };
+  positions[riderId] = stored;
+  broadcast(stored);
+  return stored;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(body || '{}'));
+    } catch (error) {
+      reject(new Error('Invalid JSON body'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/stream') {
+    res.writeHead(200, {
+      ...corsHeaders,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    // Replay the latest known positions so a new dashboard is not empty
+    Object.values(positions).forEach(position => {
+      res.write(`event: location\ndata: ${JSON.stringify(position)}\n\n`);
+    });
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/locations') {
+    res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(Object.values(positions)));
+    return;
+  }
+
+  if (req.method === 'POST' && req.url === '/locations') {
+    try {
+      const stored = ingest(await readBody(req));
+      res.writeHead(202, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(stored));
+    } catch (error) {
+      res.writeHead(400, { ...corsHeaders, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
+  res.writeHead(404, corsHeaders);
+  res.end();
+});
+
+// Nudge riders who are out on a run so the dashboard map moves without real devices
+if (SIMULATE) {
+  const riders = JSON.parse(
+    readFileSync(new URL('../src/services/mockData/deliveryPersonnel.json', import.meta.url), 'utf8')
+  );
+  riders.forEach(rider => {
+    if (rider.currentLocation && rider.status !== 'off_duty') {
+      ingest({ riderId: rider.Id, ...rider.currentLocation });
+    }
+  });
+  setInterval(() => {
+    Object.values(positions).forEach(position => {
+      ingest({
+        riderId: position.riderId,
+        lat: position.lat + (Math.random() - 0.5) * 0.002,
+        lng: position.lng + (Math.random() - 0.5) * 0.002,
+        timestamp: new Date().toISOString()
+      });
+    });
+  }, 5000);
+}
+
+// Keep idle SSE connections open through proxies
+setInterval(() => clients.forEach(res => res.write(': ping\n\n')), 25000);
+
+server.listen(PORT, () => {
+  console.log(`Location stream listening on http://localhost:${PORT}${SIMULATE ? ' (simulating riders)' : ''}`);
+});
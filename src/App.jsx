@@ -22,11 +22,16 @@ const POS = React.lazy(() => import('@/components/pages/POS'));
 const PaymentManagement = React.lazy(() => import('@/components/pages/PaymentManagement'));
 const PayrollManagement = React.lazy(() => import('@/components/pages/PayrollManagement'));
 const DeliveryTracking = React.lazy(() => import('@/components/pages/DeliveryTracking'));
+const DeliveryDashboard = React.lazy(() => import('@/components/pages/DeliveryDashboard'));
+const DeliveryFeeSettings = React.lazy(() => import('@/components/pages/DeliveryFeeSettings'));
+const FeedbackInbox = React.lazy(() => import('@/components/pages/FeedbackInbox'));
+const PurchaseOrders = React.lazy(() => import('@/components/pages/PurchaseOrders'));
 const AIGenerate = React.lazy(() => import('@/components/pages/AIGenerate'));
 const Category = React.lazy(() => import('@/components/pages/Category'));
 const Orders = React.lazy(() => import('@/components/pages/Orders'));
 const OrderTracking = React.lazy(() => import('@/components/pages/OrderTracking'));
 const Account = React.lazy(() => import('@/components/pages/Account'));
+const DriverApp = React.lazy(() => import('@/components/pages/DriverApp'));
 // Import components
 
 function App() {
@@ -134,6 +139,12 @@ return (
             )}
             <Suspense fallback={<Loading type="page" />}>
               <Routes>
+                {/* Rider app - standalone mobile layout without the shop chrome */}
+                <Route path="driver" element={
+                  <Suspense fallback={<Loading type="page" />}>
+                    <DriverApp />
+                  </Suspense>
+                } />
                 <Route path="/" element={<Layout />}>
                   {/* Core routes - no lazy loading */}
                   <Route index element={<Home />} />
@@ -184,6 +195,26 @@ return (
                       <DeliveryTracking />
                     </Suspense>
                   } />
+                  <Route path="admin/delivery" element={
+                    <Suspense fallback={<Loading type="page" />}>
+                      <DeliveryDashboard />
+                    </Suspense>
+                  } />
+                  <Route path="admin/delivery-fees" element={
+                    <Suspense fallback={<Loading type="page" />}>
+                      <DeliveryFeeSettings />
+                    </Suspense>
+                  } />
+                  <Route path="admin/feedback" element={
+                    <Suspense fallback={<Loading type="page" />}>
+                      <FeedbackInbox />
+                    </Suspense>
+                  } />
+                  <Route path="admin/purchase-orders" element={
+                    <Suspense fallback={<Loading type="page" />}>
+                      <PurchaseOrders />
+                    </Suspense>
+                  } />
                   <Route path="admin/analytics" element={
                     <Suspense fallback={<Loading type="page" />}>
                       <Analytics />
@@ -4,6 +4,7 @@ import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
 import Input from '@/components/atoms/Input';
 import jsQR from 'jsqr';
+import { parseScaleBarcode } from '@/utils/scaleBarcode';
 
 const BarcodeScanner = ({ onScan, isActive, onClose }) => {
   const [isScanning, setIsScanning] = useState(false);
@@ -95,8 +96,12 @@ const BarcodeScanner = ({ onScan, isActive, onClose }) => {
 
   const handleScanResult = (barcode) => {
     if (barcode && barcode.trim()) {
-      toast.success(`Barcode scanned: ${barcode}`);
-      onScan(barcode.trim());
+      // Counter scale labels carry their own weight or price alongside the product's PLU
+      const scale = parseScaleBarcode(barcode);
+      toast.success(scale
+        ? `Scale label: ${scale.type === 'weight' ? `${scale.weight} kg` : `Rs. ${scale.price.toLocaleString()}`}`
+        : `Barcode scanned: ${barcode}`);
+      onScan(barcode.trim(), scale);
       stopCamera();
     }
   };
@@ -0,0 +1,82 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { format, isToday, isTomorrow } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+
+const dayLabel = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00`);
+  if (isToday(date)) return 'Today';
+  if (isTomorrow(date)) return 'Tomorrow';
+  return format(date, 'EEE, MMM d');
+};
+
+const timeLabel = (time) => format(new Date(`2000-01-01T${time}:00`), 'h a');
+
+// Day tabs with a grid of delivery windows; full windows are shown but cannot be picked
+const DeliverySlotPicker = ({ slots = [], selectedSlotId, onSelect, error }) => {
+  const days = useMemo(() => [...new Set(slots.map(slot => slot.date))], [slots]);
+  const [activeDay, setActiveDay] = useState(null);
+
+  useEffect(() => {
+    const selected = slots.find(slot => slot.id === selectedSlotId);
+    setActiveDay(selected?.date || days[0] || null);
+  }, [days]);
+
+  if (slots.length === 0) {
+    return (
+      <div className="p-4 bg-gray-50 rounded-lg text-sm text-gray-600 flex items-center space-x-2">
+        <ApperIcon name="CalendarX" size={16} />
+        <span>No delivery windows are open right now.</span>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex space-x-2 mb-3 overflow-x-auto">
+        {days.map(day => (
+          <button
+            key={day}
+            type="button"
+            onClick={() => setActiveDay(day)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium whitespace-nowrap ${
+              activeDay === day ? 'bg-primary text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {dayLabel(day)}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+        {slots.filter(slot => slot.date === activeDay).map(slot => (
+          <button
+            key={slot.id}
+            type="button"
+            disabled={!slot.available}
+            onClick={() => onSelect(slot)}
+            className={`p-3 rounded-lg border-2 text-left transition-colors ${
+              selectedSlotId === slot.id
+                ? 'border-primary bg-primary/5'
+                : slot.available
+                  ? 'border-gray-200 hover:border-gray-300'
+                  : 'border-gray-100 bg-gray-50 cursor-not-allowed'
+            }`}
+          >
+            <p className={`text-sm font-medium ${slot.available ? 'text-gray-900' : 'text-gray-400'}`}>
+              {timeLabel(slot.start)} - {timeLabel(slot.end)}
+            </p>
+            <p className={`text-xs ${
+              !slot.available ? 'text-gray-400' : slot.remaining <= 2 ? 'text-orange-600' : 'text-gray-500'
+            }`}>
+              {slot.capacity === 0
+                ? 'No riders'
+                : !slot.available ? 'Fully booked' : slot.remaining <= 2 ? `${slot.remaining} left` : 'Available'}
+            </p>
+          </button>
+        ))}
+      </div>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+};
+
+export default DeliverySlotPicker;
@@ -0,0 +1,92 @@
+import React from "react";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import { orderService } from "@/services/api/orderService";
+
+const STATUS_DISPLAY = {
+  placed: { label: 'Order placed', icon: 'ShoppingCart', iconClass: 'bg-blue-100 text-blue-600' },
+  pending: { label: 'Awaiting dispatch', icon: 'Clock', iconClass: 'bg-gray-100 text-gray-600' },
+  pending_assignment: { label: 'Waiting for a rider', icon: 'Clock', iconClass: 'bg-gray-100 text-gray-600' },
+  assigned: { label: 'Rider assigned', icon: 'UserCheck', iconClass: 'bg-blue-100 text-blue-600' },
+  picked_up: { label: 'Picked up from store', icon: 'Package', iconClass: 'bg-purple-100 text-purple-600' },
+  in_transit: { label: 'On the way', icon: 'Truck', iconClass: 'bg-orange-100 text-orange-600' },
+  out_for_delivery: { label: 'Out for delivery', icon: 'Truck', iconClass: 'bg-orange-100 text-orange-600' },
+  delivered: { label: 'Delivered', icon: 'Home', iconClass: 'bg-green-100 text-green-600' },
+  failed: { label: 'Delivery attempt failed', icon: 'PackageX', iconClass: 'bg-red-100 text-red-600' },
+  returned: { label: 'Returned to store', icon: 'Undo2', iconClass: 'bg-red-100 text-red-600' },
+  cancelled: { label: 'Order cancelled', icon: 'XCircle', iconClass: 'bg-red-100 text-red-600' }
+};
+
+const ROLE_LABELS = {
+  customer: 'Customer',
+  rider: 'Rider',
+  admin: 'Admin',
+  system: 'System'
+};
+
+// Who made a change, preferring the rider's name from the personnel list when we have it
+const describeActor = (changedBy, personnel) => {
+  const role = ROLE_LABELS[changedBy?.role] || 'System';
+  const rider = changedBy?.role === 'rider' && personnel.find(p => p.Id === parseInt(changedBy.id));
+  const name = rider?.name || changedBy?.name || (changedBy?.id ? `#${changedBy.id}` : null);
+  return name ? `${role} • ${name}` : role;
+};
+
+// Delivery status audit trail for one order; `detailed` adds who made each change and the
+// rider's location at the time, for admins settling complaints and disputes
+const DeliveryStatusHistory = ({ order, detailed = false, personnel = [] }) => {
+  const events = orderService.getStatusHistory(order);
+
+  return (
+    <ol className="relative">
+      {events.map((event, index) => {
+        const display = STATUS_DISPLAY[event.status] || {
+          label: event.status.replace(/_/g, ' '),
+          icon: 'Circle',
+          iconClass: 'bg-gray-100 text-gray-600'
+        };
+        const rider = event.riderId && personnel.find(p => p.Id === event.riderId);
+        return (
+          <li key={`${event.id}-${index}`} className="relative flex pb-6 last:pb-0">
+            {index < events.length - 1 && (
+              <span className="absolute left-4 top-8 -ml-px h-full w-0.5 bg-gray-200" />
+            )}
+            <div className={`relative z-10 flex items-center justify-center w-8 h-8 rounded-full flex-shrink-0 ${display.iconClass}`}>
+              <ApperIcon name={display.icon} size={16} />
+            </div>
+            <div className="ml-4 flex-1 min-w-0">
+              <div className="flex flex-wrap items-baseline justify-between gap-x-2">
+                <p className="font-medium text-gray-900">{display.label}</p>
+                <p className="text-sm text-gray-500">
+                  {event.at ? format(new Date(event.at), 'MMM dd, hh:mm a') : '—'}
+                </p>
+              </div>
+              {event.note && <p className="text-sm text-gray-600">{event.note}</p>}
+              {detailed && (
+                <div className="text-xs text-gray-500 mt-1 space-y-0.5">
+                  <p>By {describeActor(event.changedBy, personnel)}</p>
+                  {event.riderId && event.changedBy?.role !== 'rider' && (
+                    <p>Rider: {rider?.name || `#${event.riderId}`}</p>
+                  )}
+                  {event.location ? (
+                    <p className="flex items-center space-x-1">
+                      <ApperIcon name="MapPin" size={12} />
+                      <span>
+                        {event.location.lat.toFixed(5)}, {event.location.lng.toFixed(5)}
+                        {event.location.recordedAt && ` • fix at ${format(new Date(event.location.recordedAt), 'hh:mm a')}`}
+                      </span>
+                    </p>
+                  ) : event.riderId && (
+                    <p>No rider location recorded</p>
+                  )}
+                </div>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default DeliveryStatusHistory;
@@ -0,0 +1,141 @@
+import React, { useMemo, useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import { hasCoordinates } from "@/utils/geo";
+
+const MAP_WIDTH = 600;
+const MAP_HEIGHT = 400;
+const PADDING = 40;
+
+// Schematic map: projects rider positions and drop-offs onto an SVG canvas fitted to the visible points
+const LiveDeliveryMap = ({ riders = [], dropoffs = [], isStale, height = 'h-96' }) => {
+  const [hovered, setHovered] = useState(null);
+
+  const points = useMemo(() => [
+    ...riders.filter(r => hasCoordinates(r.position)).map(r => r.position),
+    ...dropoffs.filter(d => hasCoordinates(d.coordinates)).map(d => d.coordinates)
+  ], [riders, dropoffs]);
+
+  const project = useMemo(() => {
+    if (points.length === 0) {
+      return null;
+    }
+    const lats = points.map(p => p.lat);
+    const lngs = points.map(p => p.lng);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const minLng = Math.min(...lngs);
+    const maxLng = Math.max(...lngs);
+    // Keep a minimum span so a single point is not stretched across the canvas
+    const latSpan = Math.max(maxLat - minLat, 0.01);
+    const lngSpan = Math.max(maxLng - minLng, 0.01);
+    const scale = Math.min(
+      (MAP_WIDTH - PADDING * 2) / lngSpan,
+      (MAP_HEIGHT - PADDING * 2) / latSpan
+    );
+    const offsetX = (MAP_WIDTH - lngSpan * scale) / 2;
+    const offsetY = (MAP_HEIGHT - latSpan * scale) / 2;
+    return ({ lat, lng }) => ({
+      x: offsetX + (lng - minLng) * scale,
+      y: MAP_HEIGHT - (offsetY + (lat - minLat) * scale)
+    });
+  }, [points]);
+
+  if (!project) {
+    return (
+      <div className={`bg-gray-100 rounded-lg ${height} flex items-center justify-center`}>
+        <p className="text-gray-500">No rider positions in this area yet</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`relative bg-emerald-50 rounded-lg ${height} overflow-hidden`}>
+      <svg viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`} className="w-full h-full">
+        <defs>
+          <pattern id="map-grid" width="40" height="40" patternUnits="userSpaceOnUse">
+            <path d="M 40 0 L 0 0 0 40" fill="none" stroke="#d1fae5" strokeWidth="1" />
+          </pattern>
+        </defs>
+        <rect width={MAP_WIDTH} height={MAP_HEIGHT} fill="url(#map-grid)" />
+
+        {/* Lines from each rider to their pending drop-offs */}
+        {dropoffs.map(dropoff => {
+          const rider = riders.find(r => r.Id === dropoff.riderId);
+          if (!rider || !hasCoordinates(rider.position) || !hasCoordinates(dropoff.coordinates)) {
+            return null;
+          }
+          const from = project(rider.position);
+          const to = project(dropoff.coordinates);
+          return (
+            <line
+              key={`route-${dropoff.orderId}`}
+              x1={from.x} y1={from.y} x2={to.x} y2={to.y}
+              stroke="#94a3b8" strokeWidth="1.5" strokeDasharray="4 4"
+            />
+          );
+        })}
+
+        {dropoffs.filter(d => hasCoordinates(d.coordinates)).map(dropoff => {
+          const { x, y } = project(dropoff.coordinates);
+          return (
+            <g
+              key={`dropoff-${dropoff.orderId}`}
+              onMouseEnter={() => setHovered({ x, y, label: `Order #${dropoff.orderId}`, detail: dropoff.label })}
+              onMouseLeave={() => setHovered(null)}
+            >
+              <rect x={x - 6} y={y - 6} width="12" height="12" rx="2" fill="#FF6F00" stroke="#fff" strokeWidth="2" />
+            </g>
+          );
+        })}
+
+        {riders.filter(r => hasCoordinates(r.position)).map(rider => {
+          const { x, y } = project(rider.position);
+          const stale = isStale?.(rider.position);
+          const lastSeen = rider.position.timestamp
+            ? `Updated ${formatDistanceToNow(new Date(rider.position.timestamp), { addSuffix: true })}`
+            : 'No live update yet';
+          return (
+            <g
+              key={`rider-${rider.Id}`}
+              onMouseEnter={() => setHovered({ x, y, label: rider.name, detail: lastSeen })}
+              onMouseLeave={() => setHovered(null)}
+            >
+              {!stale && <circle cx={x} cy={y} r="14" fill="#2E7D32" opacity="0.2" className="animate-pulse" />}
+              <circle cx={x} cy={y} r="8" fill={stale ? '#9ca3af' : '#2E7D32'} stroke="#fff" strokeWidth="2" />
+              <text x={x} y={y - 14} textAnchor="middle" fontSize="11" fill="#111827" fontWeight="600">
+                {rider.name.split(' ')[0]}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      {hovered && (
+        <div
+          className="absolute bg-white shadow-lg rounded-lg px-3 py-2 text-xs pointer-events-none"
+          style={{ left: `${(hovered.x / MAP_WIDTH) * 100}%`, top: `${(hovered.y / MAP_HEIGHT) * 100}%`, transform: 'translate(-50%, -130%)' }}
+        >
+          <p className="font-medium text-gray-900">{hovered.label}</p>
+          {hovered.detail && <p className="text-gray-500">{hovered.detail}</p>}
+        </div>
+      )}
+
+      <div className="absolute bottom-2 left-2 bg-white/90 rounded-lg px-3 py-2 text-xs space-y-1">
+        <div className="flex items-center space-x-2">
+          <span className="w-3 h-3 rounded-full bg-primary inline-block" />
+          <span>Live rider</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <span className="w-3 h-3 rounded-full bg-gray-400 inline-block" />
+          <span>Stale location</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <span className="w-3 h-3 rounded-sm bg-secondary inline-block" />
+          <span>Pending drop-off</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LiveDeliveryMap;
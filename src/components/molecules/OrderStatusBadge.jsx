@@ -16,6 +16,12 @@ const OrderStatusBadge = ({ status }) => {
         return { variant: 'success', text: 'Delivered' };
       case 'cancelled':
         return { variant: 'danger', text: 'Cancelled' };
+      case 'delivery_failed':
+        return { variant: 'warning', text: 'Delivery Failed' };
+      case 'returned':
+        return { variant: 'danger', text: 'Returned' };
+      case 'refund_requested':
+        return { variant: 'info', text: 'Refund Requested' };
       default:
         return { variant: 'default', text: status || 'Unknown' };
     }
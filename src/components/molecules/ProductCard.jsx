@@ -6,11 +6,15 @@ import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
 import Badge from '@/components/atoms/Badge';
 import { addToCart, setLoading, selectCartLoading } from '@/store/cartSlice';
+import { getSellingPrice } from '@/utils/pricing';
 
 const ProductCard = memo(({ product }) => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
   const isLoading = useSelector(selectCartLoading);
+  const sellingPrice = getSellingPrice(product);
+  // Only the expiring lot is marked down, and only while some of it is left
+  const markdown = product.markdown?.quantity > 0 ? product.markdown : null;
 const handleAddToCart = useCallback((e) => {
     e.stopPropagation();
     dispatch(setLoading(true));
@@ -72,7 +76,15 @@ return (
           </Badge>
         )}
         
-        {priceChange && (
+        {markdown ? (
+          <Badge 
+            variant="sale" 
+            size="small"
+            className="absolute top-2 right-2"
+          >
+            Use Soon -{Math.round(markdown.percentage)}% · {markdown.quantity} left
+          </Badge>
+        ) : priceChange && (
           <Badge 
             variant={priceChange > 0 ? 'danger' : 'success'} 
             size="small"
@@ -91,14 +103,18 @@ return (
         <div className="flex items-center justify-between">
           <div className="flex items-center space-x-2">
             <span className="text-2xl font-bold gradient-text">
-              Rs. {product.price.toLocaleString()}
+              Rs. {sellingPrice.toLocaleString()}
             </span>
             <span className="text-sm text-gray-500">
               /{product.unit}
             </span>
           </div>
           
-{product.previousPrice && product.previousPrice !== product.price && (
+{markdown ? (
+            <span className="text-sm text-gray-500 line-through">
+              Rs. {product.price.toLocaleString()}
+            </span>
+          ) : product.previousPrice && product.previousPrice !== product.price && (
             <span className="text-sm text-gray-500 line-through">
               Rs. {product.previousPrice.toLocaleString()}
             </span>
@@ -0,0 +1,171 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import SignaturePad from "@/components/molecules/SignaturePad";
+import { productService } from "@/services/api/productService";
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('Failed to read photo'));
+  reader.readAsDataURL(blob);
+});
+
+const methods = [
+  { id: 'otp', label: 'OTP', icon: 'KeyRound' },
+  { id: 'signature', label: 'Signature', icon: 'PenTool' },
+  { id: 'photo', label: 'Photo', icon: 'Camera' }
+];
+
+// Rider-side capture of proof of delivery: customer OTP, signature or doorstep photo
+const ProofOfDeliveryCapture = ({ order, onSubmit, onCancel }) => {
+  const [method, setMethod] = useState('otp');
+  const [otp, setOtp] = useState('');
+  const [signature, setSignature] = useState(null);
+  const [photo, setPhoto] = useState(null);
+  const [recipientName, setRecipientName] = useState('');
+  const [processingPhoto, setProcessingPhoto] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handlePhotoSelected = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      setProcessingPhoto(true);
+      // Same resize/compress pipeline used for product images, HEIC included
+      const processed = await productService.processImage(file, {
+        targetSize: { width: 1024, height: 1024 },
+        maxFileSize: 250 * 1024,
+        quality: 0.8
+      });
+      setPhoto(await blobToDataUrl(processed.blob));
+      URL.revokeObjectURL(processed.url);
+    } catch (err) {
+      toast.error(err.message || 'Failed to process photo');
+    } finally {
+      setProcessingPhoto(false);
+    }
+  };
+
+  const canSubmit = (method === 'otp' && otp.length === 4) ||
+    (method === 'signature' && signature) ||
+    (method === 'photo' && photo);
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      await onSubmit({
+        otp: method === 'otp' ? otp : null,
+        signature: method === 'signature' ? signature : null,
+        photo: method === 'photo' ? photo : null,
+        recipientName
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-end sm:items-center justify-center z-50">
+      <div className="bg-white rounded-t-2xl sm:rounded-lg p-5 w-full max-w-md max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Proof of Delivery • #{order.id}</h3>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-3 gap-2 mb-4">
+          {methods.map(m => (
+            <button
+              key={m.id}
+              type="button"
+              onClick={() => setMethod(m.id)}
+              className={`flex flex-col items-center py-2 rounded-lg border-2 text-sm font-medium ${
+                method === m.id ? 'border-primary text-primary bg-green-50' : 'border-gray-200 text-gray-600'
+              }`}
+            >
+              <ApperIcon name={m.icon} size={18} />
+              <span>{m.label}</span>
+            </button>
+          ))}
+        </div>
+
+        {method === 'otp' && (
+          <div className="mb-4">
+            <p className="text-sm text-gray-600 mb-2">
+              Ask the customer for the 4-digit code shown on their order tracking page.
+            </p>
+            <input
+              value={otp}
+              onChange={(e) => setOtp(e.target.value.replace(/\D/g, '').slice(0, 4))}
+              inputMode="numeric"
+              placeholder="••••"
+              className="w-full text-center text-3xl tracking-[0.5em] font-mono py-3 border-2 border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+            />
+          </div>
+        )}
+
+        {method === 'signature' && (
+          <div className="mb-4">
+            <SignaturePad onChange={setSignature} />
+          </div>
+        )}
+
+        {method === 'photo' && (
+          <div className="mb-4">
+            {photo ? (
+              <div className="relative">
+                <img src={photo} alt="Doorstep" className="w-full rounded-lg" />
+                <button
+                  type="button"
+                  onClick={() => setPhoto(null)}
+                  className="absolute top-2 right-2 bg-white rounded-full p-1 shadow"
+                >
+                  <ApperIcon name="X" size={16} />
+                </button>
+              </div>
+            ) : (
+              <label className="flex flex-col items-center justify-center h-40 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer">
+                <ApperIcon name={processingPhoto ? 'Loader2' : 'Camera'} size={32} className={`text-gray-400 ${processingPhoto ? 'animate-spin' : ''}`} />
+                <span className="text-sm text-gray-600 mt-2">
+                  {processingPhoto ? 'Processing photo...' : 'Take a doorstep photo'}
+                </span>
+                <input
+                  type="file"
+                  accept="image/*,.heic,.heif"
+                  capture="environment"
+                  onChange={handlePhotoSelected}
+                  className="hidden"
+                />
+              </label>
+            )}
+          </div>
+        )}
+
+        <div className="mb-4">
+          <Input
+            label="Received by (optional)"
+            value={recipientName}
+            onChange={(e) => setRecipientName(e.target.value)}
+            placeholder={order.deliveryAddress?.name}
+          />
+        </div>
+
+        <Button
+          icon="CheckCircle"
+          onClick={handleSubmit}
+          disabled={!canSubmit}
+          loading={submitting}
+          className="w-full"
+        >
+          Confirm Delivery
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ProofOfDeliveryCapture;
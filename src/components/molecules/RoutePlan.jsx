@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from "react";
+import { Reorder } from "framer-motion";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+
+// Optimized stop sequence for one rider; dispatchers can drag stops when editable
+const RoutePlan = ({ plan, editable = false, onReorder, onReset }) => {
+  const [stops, setStops] = useState(plan?.stops || []);
+
+  useEffect(() => {
+    setStops(plan?.stops || []);
+  }, [plan]);
+
+  if (!plan) {
+    return null;
+  }
+
+  if (stops.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <ApperIcon name="Route" size={40} className="text-gray-400 mx-auto mb-3" />
+        <p className="text-gray-600">{plan.riderName} has no stops to plan</p>
+      </div>
+    );
+  }
+
+  const handleDragEnd = () => {
+    const orderIds = stops.map(stop => stop.orderId);
+    const unchanged = orderIds.every((id, index) => plan.stops[index]?.orderId === id);
+    if (!unchanged) {
+      onReorder?.(orderIds);
+    }
+  };
+
+  const renderStop = (stop, index) => (
+    <div className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg">
+      {editable && (
+        <ApperIcon name="GripVertical" size={16} className="text-gray-400 cursor-grab flex-shrink-0" />
+      )}
+      <div className="bg-primary text-white w-7 h-7 rounded-full flex items-center justify-center text-sm font-bold flex-shrink-0">
+        {index + 1}
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className="text-sm font-medium text-gray-900 truncate">
+          Order #{stop.orderId} • {stop.order.deliveryAddress?.name}
+        </p>
+        <p className="text-xs text-gray-500 truncate">{stop.order.deliveryAddress?.address}</p>
+      </div>
+      <div className="text-right flex-shrink-0">
+        {stop.legDistanceKm !== null ? (
+          <>
+            <p className="text-sm text-gray-900">{stop.legDistanceKm} km • {stop.legMinutes} min</p>
+            <p className="text-xs text-gray-500">ETA {format(new Date(stop.eta), 'hh:mm a')}</p>
+          </>
+        ) : (
+          <p className="text-xs text-gray-400">No coordinates</p>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3 text-sm">
+        <p className="text-gray-600">
+          {stops.length} stops • {plan.totalDistanceKm} km • ~{plan.totalMinutes} min
+          <span className="text-gray-400"> ({plan.provider})</span>
+        </p>
+        {plan.manual && (
+          <div className="flex items-center space-x-2">
+            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+              Manual order
+            </span>
+            {onReset && (
+              <button onClick={onReset} className="text-xs text-primary hover:underline">
+                Re-optimize
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {editable ? (
+        <Reorder.Group axis="y" values={stops} onReorder={setStops} className="space-y-2">
+          {stops.map((stop, index) => (
+            <Reorder.Item key={stop.orderId} value={stop} onDragEnd={handleDragEnd}>
+              {renderStop(stop, index)}
+            </Reorder.Item>
+          ))}
+        </Reorder.Group>
+      ) : (
+        <div className="space-y-2">
+          {stops.map((stop, index) => (
+            <div key={stop.orderId}>{renderStop(stop, index)}</div>
+          ))}
+        </div>
+      )}
+
+      {editable && (
+        <p className="text-xs text-gray-400 mt-2">
+          Drag stops to change the order; leg distances and ETAs are recalculated after each move.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RoutePlan;
@@ -0,0 +1,90 @@
+import React, { useEffect, useRef, useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+
+// Finger/mouse signature capture; reports a PNG data URL (or null when cleared)
+const SignaturePad = ({ onChange, height = 180 }) => {
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+  const [hasSignature, setHasSignature] = useState(false);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.offsetWidth * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = '#111827';
+  }, [height]);
+
+  const getPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  const handlePointerDown = (event) => {
+    event.preventDefault();
+    canvasRef.current.setPointerCapture(event.pointerId);
+    drawing.current = true;
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(event);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawing.current) return;
+    const ctx = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(event);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawing.current) return;
+    drawing.current = false;
+    setHasSignature(true);
+    onChange?.(canvasRef.current.toDataURL('image/png'));
+  };
+
+  const handleClear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    setHasSignature(false);
+    onChange?.(null);
+  };
+
+  return (
+    <div>
+      <div className="relative border-2 border-dashed border-gray-300 rounded-lg bg-white">
+        <canvas
+          ref={canvasRef}
+          style={{ height, touchAction: 'none' }}
+          className="w-full cursor-crosshair"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerUp}
+        />
+        {!hasSignature && (
+          <p className="absolute inset-0 flex items-center justify-center text-sm text-gray-400 pointer-events-none">
+            Customer signs here
+          </p>
+        )}
+      </div>
+      <button
+        type="button"
+        onClick={handleClear}
+        className="mt-2 text-sm text-gray-600 hover:text-gray-900 flex items-center space-x-1"
+      >
+        <ApperIcon name="Eraser" size={14} />
+        <span>Clear</span>
+      </button>
+    </div>
+  );
+};
+
+export default SignaturePad;
@@ -0,0 +1,332 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Badge from "@/components/atoms/Badge";
+import { CASH_MOVEMENT_LABELS, posShiftService } from "@/services/api/posShiftService";
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  jazzcash: 'JazzCash',
+  easypaisa: 'EasyPaisa',
+  sadapay: 'SadaPay',
+  bank: 'Bank Transfer'
+};
+
+const DRAWER_STATUS_VARIANTS = { balanced: 'success', short: 'danger', over: 'warning' };
+
+const formatAmount = (amount) => `Rs. ${amount.toLocaleString()}`;
+
+const formatTime = (timestamp) => format(new Date(timestamp), 'MMM dd, hh:mm a');
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary text-sm';
+
+const generateReportHTML = (report, storeName) => {
+  const row = (label, value) => `<div class="row"><span>${label}</span><span>${value}</span></div>`;
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <title>${report.type} Report - ${report.shift.shiftNumber}</title>
+        <meta charset="UTF-8">
+        <style>
+          @media print { @page { size: 80mm auto; margin: 0; } }
+          body { font-family: 'Courier New', monospace; width: 72mm; margin: 0 auto; padding: 10px; font-size: 12px; }
+          h1 { font-size: 16px; text-align: center; margin: 0 0 4px; }
+          h2 { font-size: 13px; margin: 10px 0 4px; }
+          .center { text-align: center; }
+          .divider { border-top: 1px dashed #000; margin: 8px 0; }
+          .row { display: flex; justify-content: space-between; margin: 2px 0; }
+          .total { font-weight: bold; }
+        </style>
+      </head>
+      <body>
+        <h1>${storeName}</h1>
+        <div class="center">${report.type === 'Z' ? 'Z REPORT — SHIFT CLOSE' : 'X REPORT — MID-SHIFT'}</div>
+        <div class="divider"></div>
+        ${row('Shift', report.shift.shiftNumber)}
+        ${row('Cashier', report.shift.cashierId)}
+        ${row('Opened', formatTime(report.shift.openedAt))}
+        ${report.shift.closedAt ? row('Closed', formatTime(report.shift.closedAt)) : ''}
+        ${row('Printed', formatTime(report.generatedAt))}
+        <div class="divider"></div>
+        <h2>Net takings by payment method</h2>
+        ${Object.entries(report.payments).map(([method, data]) =>
+          row(`${PAYMENT_METHOD_LABELS[method] || method} (${data.count})`, formatAmount(data.total))
+        ).join('') || row('No sales', formatAmount(0))}
+        <div class="divider"></div>
+        ${row(`Sales (${report.salesCount})`, formatAmount(report.grossSales))}
+        ${row(`Refunds (${report.refundCount})`, `-${formatAmount(report.refundTotal)}`)}
+        ${row(`Voids (${report.voidCount})`, `-${formatAmount(report.voidTotal)}`)}
+        <div class="total">${row('Net sales', formatAmount(report.netSales))}</div>
+        <div class="divider"></div>
+        <h2>Cash drawer</h2>
+        ${row('Opening float', formatAmount(report.openingFloat))}
+        ${row('Cash taken, net of refunds', formatAmount(report.cashSales))}
+        ${row('Cash in', formatAmount(report.cashIn))}
+        ${row('Cash out', `-${formatAmount(report.cashOut)}`)}
+        <div class="total">${row('Expected in drawer', formatAmount(report.expectedCash))}</div>
+        ${report.type === 'Z' ? `
+          ${row('Counted', formatAmount(report.countedCash))}
+          <div class="total">${row(`Variance (${report.drawerStatus})`, formatAmount(report.variance))}</div>
+        ` : ''}
+        ${report.cashMovements.length > 0 ? `
+          <div class="divider"></div>
+          <h2>Cash movements</h2>
+          ${report.cashMovements.map(movement =>
+            row(`${CASH_MOVEMENT_LABELS[movement.type]}: ${movement.reason}`, formatAmount(movement.amount))
+          ).join('')}
+        ` : ''}
+      </body>
+    </html>
+  `;
+};
+
+// Cashier shift for the POS drawer: opening float, cash in/out, X report mid-shift and Z report at close
+const CashDrawerPanel = ({ cashierId, shift, onShiftChange, storeName, refreshKey }) => {
+  const [report, setReport] = useState(null);
+  const [openingFloat, setOpeningFloat] = useState(posShiftService.config.defaultOpeningFloat);
+  const [movement, setMovement] = useState(null);
+  const [countedCash, setCountedCash] = useState(null);
+  const [lastZReport, setLastZReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadReport();
+  }, [shift?.Id, refreshKey]);
+
+  const loadReport = async () => {
+    if (!shift) {
+      setReport(null);
+      return;
+    }
+    try {
+      setReport(await posShiftService.getXReport(shift.Id));
+    } catch (err) {
+      toast.error('Failed to load the cash drawer');
+    }
+  };
+
+  const runAction = async (action, message) => {
+    try {
+      setBusy(true);
+      const result = await action();
+      if (message) {
+        toast.success(message);
+      }
+      return result;
+    } catch (err) {
+      toast.error(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const printReport = (reportData) => {
+    const reportWindow = window.open('', '_blank', 'width=400,height=600');
+    if (!reportWindow) {
+      toast.error('Please allow pop-ups to print reports');
+      return;
+    }
+    reportWindow.document.write(generateReportHTML(reportData, storeName));
+    reportWindow.document.close();
+    reportWindow.onload = () => setTimeout(() => reportWindow.print(), 500);
+    reportWindow.onafterprint = () => reportWindow.close();
+  };
+
+  const handleOpen = async () => {
+    const opened = await runAction(
+      () => posShiftService.openShift({ cashierId, openingFloat }),
+      'Shift opened'
+    );
+    if (opened) {
+      setLastZReport(null);
+      onShiftChange(opened);
+    }
+  };
+
+  const handleMovement = async () => {
+    const updated = await runAction(
+      () => posShiftService.addCashMovement(shift.Id, movement),
+      `${CASH_MOVEMENT_LABELS[movement.type]} of ${formatAmount(parseFloat(movement.amount) || 0)} recorded`
+    );
+    if (updated) {
+      setMovement(null);
+      onShiftChange(updated);
+    }
+  };
+
+  const handlePrintX = async () => {
+    const xReport = await runAction(() => posShiftService.getXReport(shift.Id));
+    if (xReport) {
+      setReport(xReport);
+      printReport(xReport);
+    }
+  };
+
+  const handleClose = async () => {
+    const closed = await runAction(
+      () => posShiftService.closeShift(shift.Id, { countedCash }),
+      'Shift closed'
+    );
+    if (closed) {
+      setCountedCash(null);
+      setLastZReport(closed.zReport);
+      printReport(closed.zReport);
+      onShiftChange(null);
+    }
+  };
+
+  if (!shift) {
+    return (
+      <div className="card p-6 mb-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+              <ApperIcon name="Wallet" size={20} className="text-primary" />
+              <span>Open a Shift to Start Selling</span>
+            </h2>
+            <p className="text-sm text-gray-600">Count the float into the drawer before the first sale.</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <label className="text-sm text-gray-700">Opening float (Rs.)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={openingFloat}
+              onChange={(e) => setOpeningFloat(e.target.value)}
+              className={`${inputClass} w-32`}
+            />
+            <Button icon="Unlock" loading={busy} onClick={handleOpen}>Open Shift</Button>
+          </div>
+        </div>
+        {lastZReport && (
+          <div className="flex flex-wrap items-center justify-between gap-2 mt-4 p-3 bg-gray-50 rounded-lg text-sm">
+            <span>
+              {lastZReport.shift.shiftNumber} closed: {formatAmount(lastZReport.netSales)} net from
+              {' '}{lastZReport.salesCount} sales, counted {formatAmount(lastZReport.countedCash)}
+              {' '}against {formatAmount(lastZReport.expectedCash)} expected
+            </span>
+            <div className="flex items-center gap-2">
+              <Badge variant={DRAWER_STATUS_VARIANTS[lastZReport.drawerStatus]} size="small" className="capitalize">
+                {lastZReport.drawerStatus === 'balanced' ? 'Balanced' : `${lastZReport.drawerStatus} ${formatAmount(Math.abs(lastZReport.variance))}`}
+              </Badge>
+              <Button size="small" variant="ghost" icon="Printer" onClick={() => printReport(lastZReport)}>
+                Reprint Z
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const counted = parseFloat(countedCash);
+  const variance = report && Number.isFinite(counted) ? Math.round((counted - report.expectedCash) * 100) / 100 : null;
+  const balanced = variance !== null && Math.abs(variance) <= posShiftService.config.varianceTolerance;
+
+  return (
+    <div className="card p-4 mb-6">
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-1 text-sm">
+          <span className="font-semibold text-gray-900 flex items-center space-x-2">
+            <ApperIcon name="Wallet" size={18} className="text-primary" />
+            <span>{shift.shiftNumber}</span>
+            <Badge variant="success" size="small">Open</Badge>
+          </span>
+          <span className="text-gray-600">Since {formatTime(shift.openedAt)}</span>
+          <span className="text-gray-600">Float {formatAmount(shift.openingFloat)}</span>
+          {report && (
+            <>
+              <span className="text-gray-600">
+                {report.salesCount} sales • {formatAmount(report.netSales)} net
+                {report.refundCount + report.voidCount > 0 && ` after ${formatAmount(report.refundTotal + report.voidTotal)} refunded or voided`}
+              </span>
+              <span className="font-medium text-gray-900">Drawer should hold {formatAmount(report.expectedCash)}</span>
+            </>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Button size="small" variant="outline" icon="ArrowDownToLine" onClick={() => setMovement({ type: 'cash_in', amount: '', reason: '' })}>
+            Cash In
+          </Button>
+          <Button size="small" variant="outline" icon="ArrowUpFromLine" onClick={() => setMovement({ type: 'cash_out', amount: '', reason: '' })}>
+            Cash Out
+          </Button>
+          <Button size="small" variant="outline" icon="Printer" disabled={busy} onClick={handlePrintX}>
+            X Report
+          </Button>
+          <Button size="small" variant="secondary" icon="Lock" onClick={() => setCountedCash('')}>
+            Close Shift
+          </Button>
+        </div>
+      </div>
+
+      {movement && (
+        <div className="flex flex-wrap items-center gap-2 mt-4 p-3 bg-gray-50 rounded-lg">
+          <span className="text-sm font-medium text-gray-900">{CASH_MOVEMENT_LABELS[movement.type]}</span>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Amount"
+            value={movement.amount}
+            onChange={(e) => setMovement(prev => ({ ...prev, amount: e.target.value }))}
+            className={`${inputClass} w-32`}
+          />
+          <input
+            type="text"
+            placeholder={movement.type === 'cash_in' ? 'e.g. Change top-up' : 'e.g. Petty cash, bank drop'}
+            value={movement.reason}
+            onChange={(e) => setMovement(prev => ({ ...prev, reason: e.target.value }))}
+            className={`${inputClass} flex-1 min-w-[12rem]`}
+          />
+          <Button size="small" icon="Check" loading={busy} onClick={handleMovement}>Record</Button>
+          <Button size="small" variant="ghost" onClick={() => setMovement(null)}>Cancel</Button>
+        </div>
+      )}
+
+      {countedCash !== null && report && (
+        <div className="mt-4 p-3 bg-gray-50 rounded-lg text-sm">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
+            {Object.entries(report.payments).map(([method, data]) => (
+              <div key={method}>
+                <p className="text-gray-500">{PAYMENT_METHOD_LABELS[method] || method} ({data.count})</p>
+                <p className="font-medium text-gray-900">{formatAmount(data.total)}</p>
+              </div>
+            ))}
+          </div>
+          <p className="text-gray-600 mb-3">
+            Float {formatAmount(report.openingFloat)} + net cash taken {formatAmount(report.cashSales)} + cash in
+            {' '}{formatAmount(report.cashIn)} − cash out {formatAmount(report.cashOut)} =
+            {' '}<span className="font-semibold text-gray-900">{formatAmount(report.expectedCash)} expected</span>
+          </p>
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="text-gray-700">Counted cash (Rs.)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={countedCash}
+              onChange={(e) => setCountedCash(e.target.value)}
+              className={`${inputClass} w-32`}
+            />
+            {variance !== null && (
+              <Badge variant={balanced ? 'success' : variance < 0 ? 'danger' : 'warning'} size="small">
+                {balanced ? 'Balanced' : `${variance < 0 ? 'Short' : 'Over'} ${formatAmount(Math.abs(variance))}`}
+              </Badge>
+            )}
+            <Button size="small" icon="Lock" loading={busy} onClick={handleClose}>Close &amp; Print Z Report</Button>
+            <Button size="small" variant="ghost" onClick={() => setCountedCash(null)}>Cancel</Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CashDrawerPanel;
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Badge from "@/components/atoms/Badge";
+import { codReconciliationService } from "@/services/api/codReconciliationService";
+
+const formatAmount = (amount) => `Rs. ${Math.abs(amount).toLocaleString()}`;
+
+// Cashier view: count rider cash against delivered COD orders and flag any difference
+const CodReconciliationPanel = ({ personnel = [], refreshKey }) => {
+  const [holdings, setHoldings] = useState([]);
+  const [deposits, setDeposits] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [busyRiderId, setBusyRiderId] = useState(null);
+  // Variance being written off: { depositId, notes }
+  const [resolving, setResolving] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, [refreshKey]);
+
+  const loadData = async () => {
+    try {
+      const [holdingsData, depositsData] = await Promise.all([
+        codReconciliationService.getCashInHandByRider(),
+        codReconciliationService.getDeposits({ status: 'confirmed' })
+      ]);
+      setHoldings(holdingsData.filter(h => h.amount > 0 || h.pendingDeposit));
+      setDeposits(depositsData.slice(0, 10));
+    } catch (err) {
+      toast.error('Failed to load cash collections');
+    }
+  };
+
+  const riderName = (riderId) => personnel.find(p => p.Id === riderId)?.name || `Rider #${riderId}`;
+
+  const handleConfirm = async (holding) => {
+    const countedAmount = counts[holding.riderId];
+    try {
+      setBusyRiderId(holding.riderId);
+      const deposit = holding.pendingDeposit
+        ? await codReconciliationService.confirmDeposit(holding.pendingDeposit.Id, { countedAmount })
+        : await codReconciliationService.receiveCash(holding.riderId, { countedAmount });
+      if (deposit.flagged) {
+        toast.warning(`Deposit ${deposit.variance < 0 ? 'short' : 'over'} by ${formatAmount(deposit.variance)}`);
+      } else {
+        toast.success(`${holding.riderName}'s cash reconciled`);
+      }
+      setCounts(prev => ({ ...prev, [holding.riderId]: '' }));
+      await loadData();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyRiderId(null);
+    }
+  };
+
+  const handleResolve = async () => {
+    if (!resolving.notes.trim()) {
+      toast.error('Describe how the variance was resolved');
+      return;
+    }
+    try {
+      await codReconciliationService.resolveVariance(resolving.depositId, resolving.notes);
+      toast.success('Variance resolved');
+      setResolving(null);
+      await loadData();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <h2 className="text-xl font-semibold text-gray-900 flex items-center space-x-2 mb-4">
+        <ApperIcon name="Banknote" size={20} className="text-primary" />
+        <span>Cash on Delivery</span>
+      </h2>
+
+      {/* Cash waiting to be counted */}
+      {holdings.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">No rider is holding store cash.</p>
+      ) : (
+        <div className="space-y-3 mb-6">
+          {holdings.map(holding => {
+            const expected = holding.pendingDeposit ? holding.pendingDeposit.expectedAmount : holding.amount;
+            return (
+              <div key={holding.riderId} className="p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{holding.riderName}</p>
+                    <p className="text-xs text-gray-500">
+                      {holding.pendingDeposit
+                        ? `Handed in ${format(new Date(holding.pendingDeposit.submittedAt), 'hh:mm a')}, declared ${formatAmount(holding.pendingDeposit.declaredAmount)}`
+                        : `${holding.orders.length} cash order${holding.orders.length === 1 ? '' : 's'} not yet handed in`}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-xs text-gray-500">Expected</p>
+                    <p className="font-semibold text-gray-900">{formatAmount(expected)}</p>
+                  </div>
+                </div>
+                {holding.pendingDeposit && holding.amount > 0 && (
+                  <p className="text-xs text-yellow-700 mb-2">
+                    {formatAmount(holding.amount)} collected since is not part of this deposit
+                  </p>
+                )}
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="Amount counted"
+                    value={counts[holding.riderId] ?? ''}
+                    onChange={(e) => setCounts(prev => ({ ...prev, [holding.riderId]: e.target.value }))}
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                  />
+                  <Button
+                    size="small"
+                    loading={busyRiderId === holding.riderId}
+                    disabled={counts[holding.riderId] === undefined || counts[holding.riderId] === ''}
+                    onClick={() => handleConfirm(holding)}
+                  >
+                    Confirm Count
+                  </Button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Recent deposits */}
+      <h3 className="font-medium text-gray-900 mb-3">Recent deposits</h3>
+      {deposits.length === 0 ? (
+        <p className="text-sm text-gray-500">No deposits confirmed yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {deposits.map(deposit => (
+            <div key={deposit.Id} className="p-2 bg-gray-50 rounded-lg text-sm">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="text-gray-900">{riderName(deposit.riderId)}</p>
+                  <p className="text-xs text-gray-500">
+                    {format(new Date(deposit.confirmedAt), 'MMM d, hh:mm a')} • {deposit.orders.length} order{deposit.orders.length === 1 ? '' : 's'}
+                  </p>
+                </div>
+                <span className="text-gray-900">{formatAmount(deposit.countedAmount)}</span>
+                {!deposit.flagged ? (
+                  <Badge variant="success" size="small">Matched</Badge>
+                ) : deposit.varianceResolution ? (
+                  <span title={deposit.varianceResolution.notes}>
+                    <Badge variant="default" size="small">Resolved</Badge>
+                  </span>
+                ) : (
+                  <button onClick={() => setResolving({ depositId: deposit.Id, notes: '' })} title="Resolve variance">
+                    <Badge variant="danger" size="small">
+                      {deposit.variance < 0 ? 'Short' : 'Over'} {formatAmount(deposit.variance)}
+                    </Badge>
+                  </button>
+                )}
+              </div>
+              {resolving?.depositId === deposit.Id && (
+                <div className="flex items-center space-x-2 mt-2">
+                  <input
+                    type="text"
+                    placeholder="How was this variance resolved?"
+                    value={resolving.notes}
+                    onChange={(e) => setResolving(prev => ({ ...prev, notes: e.target.value }))}
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                  />
+                  <Button size="small" icon="Check" onClick={handleResolve}>Resolve</Button>
+                  <Button size="small" variant="ghost" onClick={() => setResolving(null)}>Cancel</Button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CodReconciliationPanel;
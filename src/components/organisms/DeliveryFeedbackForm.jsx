@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { FEEDBACK_TAGS, deliveryFeedbackService } from "@/services/api/deliveryFeedbackService";
+
+const StarRating = ({ label, value, onChange }) => (
+  <div>
+    <p className="text-sm font-medium text-gray-700 mb-1">{label}</p>
+    <div className="flex space-x-1">
+      {[1, 2, 3, 4, 5].map(star => (
+        <button
+          key={star}
+          type="button"
+          onClick={() => onChange(star)}
+          aria-label={`${star} star${star === 1 ? '' : 's'}`}
+        >
+          <ApperIcon
+            name="Star"
+            size={28}
+            className={star <= value ? 'text-yellow-400 fill-current' : 'text-gray-300'}
+          />
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+// Post-delivery rating of the rider and the order, with quick tags and a comment
+const DeliveryFeedbackForm = ({ order, onSubmitted, onCancel }) => {
+  const [riderRating, setRiderRating] = useState(0);
+  const [orderRating, setOrderRating] = useState(0);
+  const [tags, setTags] = useState([]);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const toggleTag = (tag) => {
+    setTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+  };
+
+  const handleSubmit = async () => {
+    if (!riderRating || !orderRating) {
+      toast.error('Please rate both the rider and your order');
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const feedback = await deliveryFeedbackService.submitFeedback(order.id, {
+        riderRating,
+        orderRating,
+        tags,
+        comment
+      });
+      toast.success('Thanks for your feedback!');
+      onSubmitted?.(feedback);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <StarRating label="Your rider" value={riderRating} onChange={setRiderRating} />
+        <StarRating label="Order quality" value={orderRating} onChange={setOrderRating} />
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(FEEDBACK_TAGS).map(([key, tag]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => toggleTag(key)}
+            className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+              tags.includes(key)
+                ? tag.positive
+                  ? 'border-green-500 bg-green-50 text-green-700'
+                  : 'border-red-500 bg-red-50 text-red-700'
+                : 'border-gray-300 text-gray-600 hover:border-gray-400'
+            }`}
+          >
+            {tag.label}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        rows={3}
+        placeholder="Anything else you'd like to tell us? (optional)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+      />
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <Button variant="ghost" onClick={onCancel}>Cancel</Button>
+        )}
+        <Button loading={submitting} onClick={handleSubmit}>Submit Rating</Button>
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryFeedbackForm;
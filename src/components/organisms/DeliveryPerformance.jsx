@@ -0,0 +1,242 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { format, subDays } from "date-fns";
+import Chart from "react-apexcharts";
+import ApperIcon from "@/components/ApperIcon";
+import Loading from "@/components/ui/Loading";
+import Error from "@/components/ui/Error";
+import { deliveryAnalyticsService } from "@/services/api/deliveryAnalyticsService";
+
+const LEADERBOARD_SORTS = {
+  onTimeRate: { label: 'On-time rate', direction: -1 },
+  deliveries: { label: 'Deliveries', direction: -1 },
+  deliveriesPerHour: { label: 'Deliveries per hour', direction: -1 },
+  failedRate: { label: 'Lowest failure rate', direction: 1 }
+};
+
+const formatRate = (value) => (value === null ? '—' : `${value}%`);
+
+const formatMinutes = (minutes) => {
+  if (minutes === null) {
+    return '—';
+  }
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} min`;
+};
+
+// Missing values sort last whichever way the board is ordered
+const sortBy = (rows, key) => {
+  const { direction } = LEADERBOARD_SORTS[key];
+  return [...rows].sort((a, b) => {
+    if (a[key] === null) return 1;
+    if (b[key] === null) return -1;
+    return (a[key] - b[key]) * direction || b.deliveries - a.deliveries;
+  });
+};
+
+// Delivery KPIs for the Analytics page, computed from order history over the last `days` days
+const DeliveryPerformance = ({ days }) => {
+  const [performance, setPerformance] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [riderSort, setRiderSort] = useState('onTimeRate');
+
+  useEffect(() => {
+    loadPerformance();
+  }, [days]);
+
+  const loadPerformance = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setPerformance(await deliveryAnalyticsService.getPerformance({
+        from: subDays(new Date(), parseInt(days) - 1)
+      }));
+    } catch (err) {
+      setError(err.message);
+      toast.error('Failed to load delivery performance');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <Loading type="dashboard" />;
+  }
+
+  if (error) {
+    return <Error message={error} onRetry={loadPerformance} />;
+  }
+
+  const { overall, stages, riders, zones, trend } = performance;
+  const activeRiders = riders.filter(r => r.deliveries > 0 || r.failedAttempts > 0);
+  const longestStage = Math.max(...stages.map(s => s.averageMinutes || 0), 1);
+
+  const kpis = [
+    { label: 'On-time Rate', value: formatRate(overall.onTimeRate), detail: `${overall.late} late of ${overall.onTime + overall.late}`, icon: 'Clock', iconClass: 'bg-green-100 text-green-600' },
+    { label: 'Avg. Delivery Time', value: formatMinutes(overall.averageDeliveryMinutes), detail: 'Assigned to delivered', icon: 'Timer', iconClass: 'bg-blue-100 text-blue-600' },
+    { label: 'Failed Deliveries', value: formatRate(overall.failedRate), detail: `${overall.failedAttempts} failed attempts`, icon: 'PackageX', iconClass: 'bg-red-100 text-red-600' },
+    { label: 'Deliveries per Hour', value: overall.deliveriesPerHour ?? '—', detail: `${overall.hoursWorked} rider hours on shift`, icon: 'Gauge', iconClass: 'bg-purple-100 text-purple-600' }
+  ];
+
+  return (
+    <div>
+      {/* Delivery KPIs */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+        {kpis.map(kpi => (
+          <div key={kpi.label} className="card p-6 bg-gradient-to-r from-white to-gray-50">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-600 mb-1">{kpi.label}</p>
+                <p className="text-2xl font-bold text-gray-900">{kpi.value}</p>
+                <p className="text-xs text-gray-500 mt-1">{kpi.detail}</p>
+              </div>
+              <div className={`p-3 rounded-lg ${kpi.iconClass}`}>
+                <ApperIcon name={kpi.icon} size={24} />
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
+        {/* Trend */}
+        <div className="card p-6 lg:col-span-2">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Delivery Trend</h2>
+          <Chart
+            options={{
+              chart: { type: 'line', toolbar: { show: false } },
+              stroke: { curve: 'smooth', width: [0, 3, 3] },
+              colors: ['#2196F3', '#2E7D32', '#F44336'],
+              xaxis: { categories: trend.map(day => format(new Date(`${day.date}T00:00:00`), 'MMM dd')) },
+              yaxis: [
+                { title: { text: 'Deliveries' } },
+                { opposite: true, min: 0, max: 100, title: { text: 'Rate (%)' } },
+                { show: false, min: 0, max: 100 }
+              ],
+              tooltip: {
+                y: [
+                  { formatter: (val) => `${val} deliveries` },
+                  { formatter: (val) => (val === null ? 'No deliveries' : `${val}%`) },
+                  { formatter: (val) => (val === null ? 'No attempts' : `${val}%`) }
+                ]
+              },
+              legend: { position: 'top', horizontalAlign: 'center' }
+            }}
+            series={[
+              { name: 'Deliveries', type: 'column', data: trend.map(day => day.deliveries) },
+              { name: 'On-time rate', type: 'line', data: trend.map(day => day.onTimeRate) },
+              { name: 'Failure rate', type: 'line', data: trend.map(day => day.failedRate) }
+            ]}
+            type="line"
+            height={350}
+          />
+        </div>
+
+        {/* Stage timing */}
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Time per Stage</h2>
+          <div className="space-y-4">
+            {stages.map(stage => (
+              <div key={stage.key}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="text-gray-700">{stage.label}</span>
+                  <span className="font-medium text-gray-900">{formatMinutes(stage.averageMinutes)}</span>
+                </div>
+                <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-primary rounded-full"
+                    style={{ width: `${((stage.averageMinutes || 0) / longestStage) * 100}%` }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {stage.samples} order{stage.samples === 1 ? '' : 's'} timed
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Rider leaderboard */}
+        <div className="card p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Rider Leaderboard</h2>
+            <select
+              value={riderSort}
+              onChange={(e) => setRiderSort(e.target.value)}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+            >
+              {Object.entries(LEADERBOARD_SORTS).map(([key, sort]) => (
+                <option key={key} value={key}>{sort.label}</option>
+              ))}
+            </select>
+          </div>
+          {activeRiders.length === 0 ? (
+            <div className="text-center py-8">
+              <ApperIcon name="Bike" size={48} className="text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No deliveries in this period</p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {sortBy(activeRiders, riderSort).map((rider, index) => (
+                <div key={rider.riderId} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+                  <div className="flex items-center space-x-3">
+                    <div className="bg-primary p-2 rounded-lg">
+                      <span className="text-white font-bold text-sm">#{index + 1}</span>
+                    </div>
+                    <div>
+                      <p className="font-medium text-gray-900">{rider.name}</p>
+                      <p className="text-sm text-gray-600">
+                        {rider.deliveries} delivered • {rider.failedAttempts} failed • {rider.totalDeliveries} all time
+                      </p>
+                    </div>
+                  </div>
+                  <div className="text-right text-sm">
+                    <p className="font-semibold text-gray-900">{formatRate(rider.onTimeRate)} on time</p>
+                    <p className="text-gray-600">
+                      {rider.deliveriesPerHour === null ? 'No shift hours' : `${rider.deliveriesPerHour}/hr`}
+                    </p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Zone breakdown */}
+        <div className="card p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Zones</h2>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-2 font-medium">Zone</th>
+                  <th className="py-2 font-medium">Delivered</th>
+                  <th className="py-2 font-medium">On time</th>
+                  <th className="py-2 font-medium">Failed</th>
+                  <th className="py-2 font-medium">Avg. time</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {sortBy(zones, 'onTimeRate').map(zone => (
+                  <tr key={zone.zone}>
+                    <td className="py-2 text-gray-900">{zone.zone}</td>
+                    <td className="py-2 text-gray-900">{zone.deliveries}</td>
+                    <td className={`py-2 ${zone.onTimeRate !== null && zone.onTimeRate < 80 ? 'text-red-600' : 'text-gray-900'}`}>
+                      {formatRate(zone.onTimeRate)}
+                    </td>
+                    <td className="py-2 text-gray-900">{formatRate(zone.failedRate)}</td>
+                    <td className="py-2 text-gray-900">{formatMinutes(zone.averageDeliveryMinutes)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryPerformance;
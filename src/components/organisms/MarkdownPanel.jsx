@@ -0,0 +1,253 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Badge from "@/components/atoms/Badge";
+import { markdownService } from "@/services/api/markdownService";
+
+const formatAmount = (amount) => `Rs. ${amount.toLocaleString()}`;
+
+// How often an open panel brings near-expiry markdowns in line with lot expiry dates
+const MARKDOWN_SWEEP_MS = 15 * 60 * 1000;
+
+// Near-expiry markdown rules, manager approvals below the price floor, and what markdowns recovered against wastage
+const MarkdownPanel = ({ refreshKey, onChanged }) => {
+  const [rules, setRules] = useState([]);
+  const [markdowns, setMarkdowns] = useState([]);
+  const [approvals, setApprovals] = useState([]);
+  const [report, setReport] = useState(null);
+  const [editingRules, setEditingRules] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [busyApprovalId, setBusyApprovalId] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, [refreshKey]);
+
+  // Markdowns are only swept from the inventory side, never from storefront browsers
+  useEffect(() => {
+    const interval = setInterval(loadData, MARKDOWN_SWEEP_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const loadData = async () => {
+    try {
+      const changes = await markdownService.applyMarkdowns();
+      const [rulesData, markdownsData, approvalsData, reportData] = await Promise.all([
+        markdownService.getRules(),
+        markdownService.getActiveMarkdowns(),
+        markdownService.getApprovals({ status: 'pending' }),
+        markdownService.getRecoveryReport()
+      ]);
+      setRules(rulesData);
+      setMarkdowns(markdownsData);
+      setApprovals(approvalsData);
+      setReport(reportData);
+      if (changes.length > 0) {
+        onChanged?.();
+      }
+    } catch (err) {
+      toast.error('Failed to load markdowns');
+    }
+  };
+
+  const updateRule = (index, changes) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleSaveRules = async () => {
+    try {
+      setSaving(true);
+      setRules(await markdownService.updateRules(rules));
+      setEditingRules(false);
+      toast.success('Markdown rules saved');
+      onChanged?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDecision = async (approval, approved) => {
+    try {
+      setBusyApprovalId(approval.Id);
+      await markdownService.decideApproval(approval.Id, approved);
+      toast.success(approved
+        ? `${approval.productName} marked down to ${formatAmount(approval.requestedPrice)}`
+        : `${approval.productName} stays at ${formatAmount(approval.floorPrice)}`);
+      onChanged?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyApprovalId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center space-x-2">
+          <ApperIcon name="Tags" size={20} className="text-primary" />
+          <span>Near-Expiry Markdowns</span>
+        </h2>
+        {!editingRules && (
+          <Button size="small" variant="outline" icon="Settings" onClick={() => setEditingRules(true)}>
+            Edit Rules
+          </Button>
+        )}
+      </div>
+
+      {/* Rules */}
+      {editingRules ? (
+        <div className="space-y-2 mb-6">
+          {rules.map((rule, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2 text-sm">
+              <input
+                type="number"
+                min="1"
+                max="90"
+                value={rule.percentage}
+                onChange={(e) => updateRule(index, { percentage: e.target.value })}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+              />
+              <span>% off from</span>
+              <input
+                type="number"
+                min="0"
+                value={rule.daysBeforeExpiry}
+                onChange={(e) => updateRule(index, { daysBeforeExpiry: e.target.value })}
+                className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+              />
+              <span>days before expiry (0 = last day)</span>
+              <button
+                type="button"
+                onClick={() => setRules(prev => prev.filter((_, i) => i !== index))}
+                disabled={rules.length === 1}
+                className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+              >
+                <ApperIcon name="Trash2" size={16} />
+              </button>
+            </div>
+          ))}
+          <div className="flex items-center gap-2 pt-2">
+            <Button
+              size="small"
+              variant="ghost"
+              icon="Plus"
+              onClick={() => setRules(prev => [...prev, { daysBeforeExpiry: '', percentage: '' }])}
+            >
+              Add Rule
+            </Button>
+            <Button size="small" icon="Check" loading={saving} onClick={handleSaveRules}>Save Rules</Button>
+            <Button size="small" variant="ghost" onClick={() => { setEditingRules(false); loadData(); }}>Cancel</Button>
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600 mb-6">
+          {rules
+            .map(rule => `${rule.percentage}% off ${rule.daysBeforeExpiry === 0 ? 'on the last day' : `${rule.daysBeforeExpiry} day${rule.daysBeforeExpiry === 1 ? '' : 's'} before expiry`}`)
+            .join(', ')}
+          . Markdowns never go below the minimum selling price without a manager's approval.
+        </p>
+      )}
+
+      {/* Awaiting a manager */}
+      {approvals.length > 0 && (
+        <div className="mb-6">
+          <h3 className="font-medium text-gray-900 mb-2">Below Minimum Price — Approval Needed</h3>
+          <div className="space-y-2">
+            {approvals.map(approval => (
+              <div key={approval.Id} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-3 bg-yellow-50 rounded-lg text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">{approval.productName} • lot {approval.lotNumber}</p>
+                  <p className="text-gray-600">
+                    {approval.percentage}% off would be {formatAmount(approval.requestedPrice)}, under the
+                    {' '}{formatAmount(approval.floorPrice)} minimum
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    size="small"
+                    icon="Check"
+                    loading={busyApprovalId === approval.Id}
+                    onClick={() => handleDecision(approval, true)}
+                  >
+                    Approve
+                  </Button>
+                  <Button
+                    size="small"
+                    variant="ghost"
+                    disabled={busyApprovalId === approval.Id}
+                    onClick={() => handleDecision(approval, false)}
+                  >
+                    Keep at Minimum
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Live markdowns */}
+      <h3 className="font-medium text-gray-900 mb-2">Marked Down Now</h3>
+      {markdowns.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-6">No products are marked down.</p>
+      ) : (
+        <div className="space-y-2 mb-6">
+          {markdowns.map(markdown => (
+            <div key={markdown.productId} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+              <div>
+                <span className="font-medium text-gray-900">{markdown.name}</span>
+                <span className="text-gray-500 ml-2">
+                  lot {markdown.lotNumber}, {markdown.quantity} {markdown.unit} left, expires {format(new Date(markdown.expiresAt), 'MMM dd')}
+                </span>
+              </div>
+              <div className="flex items-center space-x-2">
+                <span className="text-gray-500 line-through">{formatAmount(markdown.listPrice)}</span>
+                <span className="font-semibold text-gray-900">{formatAmount(markdown.price)}</span>
+                <Badge variant={markdown.capped ? 'warning' : 'sale'} size="small">
+                  {markdown.capped ? 'At minimum' : `-${markdown.percentage}%`}
+                </Badge>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Recovered revenue against wastage */}
+      {report && (
+        <>
+          <h3 className="font-medium text-gray-900 mb-2">Last {report.days} Days</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="p-3 bg-green-50 rounded-lg">
+              <p className="text-xs text-gray-600">Recovered revenue</p>
+              <p className="text-lg font-semibold text-green-700">{formatAmount(report.recoveredRevenue)}</p>
+              <p className="text-xs text-gray-500">{report.markdownUnits} units sold marked down</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-xs text-gray-600">Discount given</p>
+              <p className="text-lg font-semibold text-gray-900">{formatAmount(report.discountGiven)}</p>
+            </div>
+            <div className="p-3 bg-red-50 rounded-lg">
+              <p className="text-xs text-gray-600">Expired wastage (at cost)</p>
+              <p className="text-lg font-semibold text-red-700">{formatAmount(report.wastageCost)}</p>
+              <p className="text-xs text-gray-500">{report.wastedUnits} units written off</p>
+            </div>
+            <div className="p-3 bg-blue-50 rounded-lg">
+              <p className="text-xs text-gray-600">Sold before expiry</p>
+              <p className="text-lg font-semibold text-blue-700">
+                {report.sellThroughRate === null ? '—' : `${report.sellThroughRate}%`}
+              </p>
+              <p className="text-xs text-gray-500">of near-expiry units</p>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MarkdownPanel;
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Badge from "@/components/atoms/Badge";
+import { inventoryService } from "@/services/api/inventoryService";
+
+// Lots that have expired or are about to, so they can be sold first or written off
+const NearExpiryPanel = ({ refreshKey, onWrittenOff }) => {
+  const [lots, setLots] = useState([]);
+  const [busyLotId, setBusyLotId] = useState(null);
+
+  useEffect(() => {
+    loadLots();
+  }, [refreshKey]);
+
+  const loadLots = async () => {
+    try {
+      setLots(await inventoryService.getExpiringLots());
+    } catch (err) {
+      toast.error('Failed to load expiring stock');
+    }
+  };
+
+  const handleWriteOff = async (lot) => {
+    if (!confirm(`Write off ${lot.quantity} ${lot.unit} of ${lot.productName} from lot ${lot.lotNumber}?`)) {
+      return;
+    }
+    try {
+      setBusyLotId(lot.id);
+      await inventoryService.writeOffLot(lot.id);
+      toast.success(`Lot ${lot.lotNumber} written off`);
+      await loadLots();
+      onWrittenOff?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyLotId(null);
+    }
+  };
+
+  const expired = lots.filter(lot => lot.expired);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center space-x-2">
+          <ApperIcon name="CalendarClock" size={20} className="text-primary" />
+          <span>Near Expiry</span>
+        </h2>
+        <div className="flex items-center space-x-2">
+          {expired.length > 0 && <Badge variant="danger">Expired: {expired.length}</Badge>}
+          <Badge variant="warning">
+            Within {inventoryService.config.nearExpiryDays} days: {lots.length - expired.length}
+          </Badge>
+        </div>
+      </div>
+
+      {lots.length === 0 ? (
+        <p className="text-sm text-gray-500">No lots expire in the next {inventoryService.config.nearExpiryDays} days.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-4 font-medium">Product</th>
+                <th className="py-2 pr-4 font-medium">Lot</th>
+                <th className="py-2 pr-4 font-medium text-right">Quantity</th>
+                <th className="py-2 pr-4 font-medium">Expiry</th>
+                <th className="py-2 font-medium text-right"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {lots.map(lot => (
+                <tr key={lot.id}>
+                  <td className="py-2 pr-4 text-gray-900">{lot.productName}</td>
+                  <td className="py-2 pr-4 text-gray-600">
+                    {lot.lotNumber}
+                    {lot.reference && <span className="block text-xs text-gray-400">{lot.reference}</span>}
+                  </td>
+                  <td className="py-2 pr-4 text-right">{lot.quantity} {lot.unit}</td>
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    <Badge variant={lot.expired ? 'danger' : 'warning'} size="small">
+                      {lot.expired ? 'Expired' : lot.hoursLeft < 24 ? 'Last day' : `${Math.ceil(lot.hoursLeft / 24)} days left`}
+                    </Badge>
+                    <span className="text-gray-500 ml-2">{format(new Date(lot.expiresAt), 'MMM dd')}</span>
+                  </td>
+                  <td className="py-2 text-right">
+                    <Button
+                      size="small"
+                      variant={lot.expired ? 'primary' : 'outline'}
+                      icon="Trash2"
+                      loading={busyLotId === lot.id}
+                      onClick={() => handleWriteOff(lot)}
+                    >
+                      Write Off
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {expired.length > 0 && (
+        <p className="text-xs text-red-600 mt-3">
+          Expired lots are held back from online orders and cannot be rung up at the POS.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default NearExpiryPanel;
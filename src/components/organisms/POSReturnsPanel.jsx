@@ -0,0 +1,465 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Badge from "@/components/atoms/Badge";
+import BarcodeScanner from "@/components/molecules/BarcodeScanner";
+import { posService, RETURN_REASONS, TRANSACTION_TYPE_LABELS } from "@/services/api/posService";
+import { getMarkdownSnapshot, getSellingPrice } from "@/utils/pricing";
+import { isSoldByWeight } from "@/utils/scaleBarcode";
+
+const formatAmount = (amount) => `Rs. ${amount.toLocaleString()}`;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary text-sm';
+
+// What handing back `quantity` of a sold line is worth, at the price the sale charged
+const returnValue = (line, quantity) => (line.lineTotal !== undefined
+  ? roundAmount(line.lineTotal * quantity / line.quantity)
+  : roundAmount(line.price * quantity));
+
+// Returns and exchanges against a printed receipt, and voids that wait for a manager
+const POSReturnsPanel = ({ cashierId, shift, products = [], onCompleted }) => {
+  const [receiptQuery, setReceiptQuery] = useState('');
+  const [transaction, setTransaction] = useState(null);
+  const [selections, setSelections] = useState({});
+  const [mode, setMode] = useState('return');
+  const [newItems, setNewItems] = useState([]);
+  const [newItem, setNewItem] = useState({ productId: '', quantity: 1 });
+  const [paymentType, setPaymentType] = useState('cash');
+  const [customerPaid, setCustomerPaid] = useState('');
+  const [voidReason, setVoidReason] = useState('');
+  const [voidRequests, setVoidRequests] = useState([]);
+  const [showScanner, setShowScanner] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadVoidRequests();
+  }, []);
+
+  const loadVoidRequests = async () => {
+    try {
+      setVoidRequests(await posService.getVoidRequests({ status: 'pending' }));
+    } catch (err) {
+      toast.error('Failed to load void requests');
+    }
+  };
+
+  const lookup = async (receiptNumber = receiptQuery) => {
+    if (!String(receiptNumber).trim()) {
+      toast.error('Enter or scan a receipt number');
+      return;
+    }
+    try {
+      setBusy(true);
+      const found = await posService.getByReceiptNumber(receiptNumber);
+      setTransaction(found);
+      setReceiptQuery(found.receiptNumber);
+      setSelections({});
+      setNewItems([]);
+      setCustomerPaid('');
+      setVoidReason('');
+      setPaymentType(found.paymentType);
+    } catch (err) {
+      setTransaction(null);
+      setSelections({});
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleScan = (barcode) => {
+    setShowScanner(false);
+    lookup(barcode);
+  };
+
+  const updateSelection = (lineIndex, changes) => {
+    setSelections(prev => ({
+      ...prev,
+      [lineIndex]: { quantity: '', reason: RETURN_REASONS[0], ...prev[lineIndex], ...changes }
+    }));
+  };
+
+  const addNewItem = () => {
+    const product = products.find(p => p.id === parseInt(newItem.productId));
+    const quantity = parseFloat(newItem.quantity);
+    if (!product || !(quantity > 0)) {
+      toast.error('Choose a product and quantity');
+      return;
+    }
+    if (!Number.isInteger(quantity) && !isSoldByWeight(product)) {
+      toast.error(`${product.name} is sold in whole ${product.unit || 'units'}`);
+      return;
+    }
+    // Earlier lines of the same product use up a near-expiry markdown first
+    const ahead = newItems
+      .filter(item => item.productId === product.id)
+      .reduce((sum, item) => sum + item.quantity, 0);
+    setNewItems(prev => [...prev, {
+      productId: product.id,
+      name: product.name,
+      price: getSellingPrice(product, quantity, ahead),
+      listPrice: product.price,
+      markdown: getMarkdownSnapshot(product, quantity, ahead),
+      quantity
+    }]);
+    setNewItem({ productId: '', quantity: 1 });
+  };
+
+  const chosenLines = Object.entries(selections)
+    .map(([lineIndex, selection]) => ({ lineIndex: parseInt(lineIndex), ...selection }))
+    .filter(line => parseFloat(line.quantity) > 0);
+  const returnedTotal = roundAmount(chosenLines.reduce((sum, line) => {
+    const sold = transaction.returnableLines.find(l => l.lineIndex === line.lineIndex);
+    return sum + returnValue(sold, parseFloat(line.quantity));
+  }, 0));
+  const newTotal = roundAmount(newItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const difference = roundAmount(newTotal - returnedTotal);
+
+  const complete = async (action, message) => {
+    if (!shift) {
+      toast.error('Open a shift first; refunds come out of the drawer');
+      return;
+    }
+    try {
+      setBusy(true);
+      const result = await action();
+      toast.success(message);
+      onCompleted?.(result);
+      await lookup(transaction.receiptNumber);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReturn = () => complete(
+    () => posService.createReturn(transaction.id, { lines: chosenLines, shiftId: shift.Id, cashierId }),
+    `Refunded ${formatAmount(returnedTotal)} to ${transaction.paymentType.toUpperCase()}`
+  );
+
+  const handleExchange = () => complete(
+    () => posService.createExchange(transaction.id, {
+      lines: chosenLines,
+      newItems,
+      paymentType,
+      customerPaid,
+      shiftId: shift.Id,
+      cashierId
+    }),
+    difference > 0
+      ? `Exchange done, ${formatAmount(difference)} collected`
+      : difference < 0 ? `Exchange done, ${formatAmount(-difference)} refunded` : 'Exchange done, nothing to pay'
+  );
+
+  const handleRequestVoid = async () => {
+    try {
+      setBusy(true);
+      await posService.requestVoid(transaction.id, { reason: voidReason, requestedBy: cashierId, shiftId: shift?.Id });
+      toast.success(`Void of ${transaction.receiptNumber} sent for manager approval`);
+      setVoidReason('');
+      await loadVoidRequests();
+      await lookup(transaction.receiptNumber);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleVoidDecision = async (request, approved) => {
+    if (approved && !shift) {
+      toast.error('Open a shift first; the refund comes out of the drawer');
+      return;
+    }
+    try {
+      setBusy(true);
+      const result = await posService.decideVoid(request.Id, approved, { shiftId: shift?.Id });
+      toast.success(approved ? `${request.receiptNumber} voided` : `Void of ${request.receiptNumber} rejected`);
+      if (result.transaction) {
+        onCompleted?.(result.transaction);
+      }
+      await loadVoidRequests();
+      if (transaction?.id === request.transactionId) {
+        await lookup(transaction.receiptNumber);
+      }
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canVoid = transaction && (transaction.type || 'sale') === 'sale' && !transaction.voidedAt &&
+    transaction.adjustments.length === 0 && !transaction.pendingVoid;
+
+  return (
+    <div className="space-y-6">
+      {!shift && (
+        <div className="bg-warning bg-opacity-10 border border-warning rounded-lg p-4 text-sm text-gray-700">
+          Open a shift on the POS tab before giving refunds; they are paid out of the drawer.
+        </div>
+      )}
+
+      {/* Manager approvals */}
+      {voidRequests.length > 0 && (
+        <div className="card p-6">
+          <h3 className="text-lg font-semibold mb-3">Voids Awaiting a Manager</h3>
+          <div className="space-y-2">
+            {voidRequests.map(request => (
+              <div key={request.Id} className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-3 bg-yellow-50 rounded-lg text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {request.receiptNumber} • {formatAmount(request.total)} {request.paymentType.toUpperCase()}
+                  </p>
+                  <p className="text-gray-600">{request.reason} — requested by {request.requestedBy}</p>
+                </div>
+                <div className="flex gap-2">
+                  <Button size="small" icon="Check" disabled={busy} onClick={() => handleVoidDecision(request, true)}>
+                    Approve Void
+                  </Button>
+                  <Button size="small" variant="ghost" disabled={busy} onClick={() => handleVoidDecision(request, false)}>
+                    Reject
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Receipt lookup */}
+      <div className="card p-6">
+        <h3 className="text-lg font-semibold mb-3">Find the Original Receipt</h3>
+        <div className="flex flex-wrap gap-2">
+          <input
+            type="text"
+            value={receiptQuery}
+            onChange={(e) => setReceiptQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && lookup()}
+            placeholder="Receipt number, e.g. RCP-000012"
+            className="input-field flex-1 min-w-[12rem]"
+          />
+          <Button icon="Search" loading={busy && !transaction} onClick={() => lookup()}>Find</Button>
+          <Button variant="outline" icon="Scan" onClick={() => setShowScanner(true)}>Scan Receipt</Button>
+        </div>
+      </div>
+
+      {transaction && (
+        <div className="card p-6">
+          <div className="flex flex-wrap items-start justify-between gap-2 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">{transaction.receiptNumber}</h3>
+              <p className="text-sm text-gray-600">
+                {TRANSACTION_TYPE_LABELS[transaction.type || 'sale']} • {format(new Date(transaction.timestamp), 'MMM dd, yyyy hh:mm a')}
+                {' '}• {transaction.paymentType.toUpperCase()} • {formatAmount(transaction.total)}
+                {transaction.customerName && ` • ${transaction.customerName}`}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              {transaction.voidedAt && <Badge variant="danger">Voided by {transaction.voidedBy}</Badge>}
+              {transaction.pendingVoid && <Badge variant="warning">Void pending</Badge>}
+              {transaction.adjustments.length > 0 && (
+                <Badge variant="info">
+                  {transaction.adjustments.map(a => `${TRANSACTION_TYPE_LABELS[a.type]} ${a.receiptNumber}`).join(', ')}
+                </Badge>
+              )}
+            </div>
+          </div>
+
+          {transaction.returnableLines.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing on this receipt can be returned.</p>
+          ) : (
+            <>
+              <div className="flex space-x-2 mb-4">
+                <Button size="small" variant={mode === 'return' ? 'primary' : 'outline'} icon="Undo2" onClick={() => setMode('return')}>
+                  Return
+                </Button>
+                <Button size="small" variant={mode === 'exchange' ? 'primary' : 'outline'} icon="Repeat" onClick={() => setMode('exchange')}>
+                  Exchange
+                </Button>
+              </div>
+
+              <div className="overflow-x-auto mb-4">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 pr-4 font-medium">Item</th>
+                      <th className="py-2 pr-4 font-medium text-right">Sold</th>
+                      <th className="py-2 pr-4 font-medium text-right">Returned</th>
+                      <th className="py-2 pr-4 font-medium">Give back</th>
+                      <th className="py-2 font-medium">Reason</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {transaction.returnableLines.map(line => (
+                      <tr key={line.lineIndex}>
+                        <td className="py-2 pr-4 text-gray-900">
+                          {line.name}
+                          <span className="block text-xs text-gray-500">{formatAmount(returnValue(line, line.quantity))}</span>
+                        </td>
+                        <td className="py-2 pr-4 text-right">{line.quantity}</td>
+                        <td className="py-2 pr-4 text-right">{line.returnedQuantity}</td>
+                        <td className="py-2 pr-4">
+                          <input
+                            type="number"
+                            min="0"
+                            max={line.returnableQuantity}
+                            step={line.soldByWeight ? 0.001 : 1}
+                            value={selections[line.lineIndex]?.quantity ?? ''}
+                            disabled={line.returnableQuantity <= 0}
+                            onChange={(e) => updateSelection(line.lineIndex, { quantity: e.target.value })}
+                            placeholder={`max ${line.returnableQuantity}`}
+                            className={`${inputClass} w-28`}
+                          />
+                        </td>
+                        <td className="py-2">
+                          <select
+                            value={selections[line.lineIndex]?.reason || RETURN_REASONS[0]}
+                            disabled={line.returnableQuantity <= 0}
+                            onChange={(e) => updateSelection(line.lineIndex, { reason: e.target.value })}
+                            className={inputClass}
+                          >
+                            {RETURN_REASONS.map(reason => <option key={reason} value={reason}>{reason}</option>)}
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {mode === 'exchange' && (
+                <div className="mb-4 p-3 bg-gray-50 rounded-lg">
+                  <p className="font-medium text-gray-900 mb-2 text-sm">Taking instead</p>
+                  {newItems.map((item, index) => (
+                    <div key={index} className="flex items-center justify-between text-sm py-1">
+                      <span>{item.quantity} × {item.name} @ {formatAmount(item.price)}</span>
+                      <div className="flex items-center space-x-2">
+                        <span className="font-medium">{formatAmount(roundAmount(item.price * item.quantity))}</span>
+                        <button
+                          type="button"
+                          onClick={() => setNewItems(prev => prev.filter((_, i) => i !== index))}
+                          className="text-gray-400 hover:text-red-600"
+                        >
+                          <ApperIcon name="X" size={14} />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                  <div className="flex flex-wrap items-center gap-2 mt-2">
+                    <select
+                      value={newItem.productId}
+                      onChange={(e) => setNewItem(prev => ({ ...prev, productId: e.target.value }))}
+                      className={`${inputClass} flex-1 min-w-[12rem]`}
+                    >
+                      <option value="">Choose a product</option>
+                      {products.map(product => (
+                        <option key={product.id} value={product.id}>
+                          {product.name} — {formatAmount(getSellingPrice(product))}/{product.unit}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={newItem.quantity}
+                      onChange={(e) => setNewItem(prev => ({ ...prev, quantity: e.target.value }))}
+                      className={`${inputClass} w-20`}
+                    />
+                    <Button size="small" variant="outline" icon="Plus" onClick={addNewItem}>Add</Button>
+                  </div>
+                </div>
+              )}
+
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-3 bg-gray-50 rounded-lg text-sm">
+                {mode === 'return' ? (
+                  <span>
+                    Refund <span className="font-semibold">{formatAmount(returnedTotal)}</span> to {transaction.paymentType.toUpperCase()}
+                  </span>
+                ) : (
+                  <span>
+                    Returned {formatAmount(returnedTotal)}, taking {formatAmount(newTotal)}:{' '}
+                    <span className="font-semibold">
+                      {difference > 0
+                        ? `customer pays ${formatAmount(difference)}`
+                        : difference < 0 ? `refund ${formatAmount(-difference)} to ${transaction.paymentType.toUpperCase()}` : 'even swap'}
+                    </span>
+                  </span>
+                )}
+                <div className="flex flex-wrap items-center gap-2">
+                  {mode === 'exchange' && difference > 0 && (
+                    <>
+                      <select value={paymentType} onChange={(e) => setPaymentType(e.target.value)} className={inputClass}>
+                        <option value="cash">Cash</option>
+                        <option value="card">Credit/Debit Card</option>
+                        <option value="jazzcash">JazzCash</option>
+                        <option value="easypaisa">EasyPaisa</option>
+                        <option value="sadapay">SadaPay</option>
+                        <option value="bank">Bank Transfer</option>
+                      </select>
+                      {paymentType === 'cash' && (
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={customerPaid}
+                          onChange={(e) => setCustomerPaid(e.target.value)}
+                          placeholder="Customer paid"
+                          className={`${inputClass} w-32`}
+                        />
+                      )}
+                    </>
+                  )}
+                  {mode === 'return' ? (
+                    <Button icon="Undo2" loading={busy} disabled={chosenLines.length === 0} onClick={handleReturn}>
+                      Refund Return
+                    </Button>
+                  ) : (
+                    <Button
+                      icon="Repeat"
+                      loading={busy}
+                      disabled={chosenLines.length === 0 || newItems.length === 0}
+                      onClick={handleExchange}
+                    >
+                      Complete Exchange
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+
+          {canVoid && (
+            <div className="flex flex-wrap items-center gap-2 mt-4 pt-4 border-t border-gray-200">
+              <span className="text-sm text-gray-700">Void the whole sale:</span>
+              <input
+                type="text"
+                value={voidReason}
+                onChange={(e) => setVoidReason(e.target.value)}
+                placeholder="Reason, e.g. rung up twice"
+                className={`${inputClass} flex-1 min-w-[12rem]`}
+              />
+              <Button size="small" variant="outline" icon="Ban" loading={busy} onClick={handleRequestVoid}>
+                Request Void
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <BarcodeScanner
+        isActive={showScanner}
+        onScan={handleScan}
+        onClose={() => setShowScanner(false)}
+      />
+    </div>
+  );
+};
+
+export default POSReturnsPanel;
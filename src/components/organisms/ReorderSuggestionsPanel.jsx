@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Badge from "@/components/atoms/Badge";
+import { replenishmentService } from "@/services/api/replenishmentService";
+
+const formatAmount = (amount) => `Rs. ${amount.toLocaleString()}`;
+
+// Manager view: products running short by sales velocity, one card per supplier, each a click away from a draft PO
+const ReorderSuggestionsPanel = ({ onDraftCreated, refreshKey }) => {
+  const [groups, setGroups] = useState([]);
+  const [quantities, setQuantities] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, [refreshKey]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const suggestions = await replenishmentService.getSuggestions();
+      setGroups(suggestions);
+      setQuantities(Object.fromEntries(suggestions.flatMap(group =>
+        group.items.map(item => [item.productId, String(item.suggestedQuantity)])
+      )));
+    } catch (err) {
+      toast.error('Failed to load reorder suggestions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateDraft = async (group) => {
+    try {
+      setBusyKey(group.vendorId);
+      const purchaseOrder = await replenishmentService.createDraftOrder(
+        group.vendorId,
+        group.items.map(item => ({ productId: item.productId, quantity: quantities[item.productId] }))
+      );
+      toast.success(`${purchaseOrder.poNumber} drafted for ${purchaseOrder.vendorName}`);
+      onDraftCreated?.(purchaseOrder);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="card p-12 text-center">
+        <ApperIcon name="Loader2" size={32} className="text-gray-400 mx-auto animate-spin" />
+      </div>
+    );
+  }
+
+  if (groups.length === 0) {
+    return (
+      <div className="card p-12 text-center">
+        <ApperIcon name="PackageCheck" size={48} className="text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-600">Every product has enough stock to last until a new order would arrive</p>
+      </div>
+    );
+  }
+
+  const { velocityDays, safetyDays, targetCoverDays } = replenishmentService.config;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Based on the last {velocityDays} days of online and POS sales. Products are reordered when stock and
+        open orders won't cover the supplier's lead time plus {safetyDays} days, up to {targetCoverDays} days of cover.
+      </p>
+      {groups.map(group => {
+        const key = group.vendorId ?? 'unassigned';
+        const total = group.items.reduce((sum, item) => sum + (parseInt(quantities[item.productId]) || 0) * item.unitCost, 0);
+        return (
+          <div key={key} className="card p-6">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+              <div>
+                <h3 className="font-semibold text-gray-900">{group.vendorName}</h3>
+                <p className="text-sm text-gray-600">
+                  {group.vendorId !== null && `${group.leadTimeDays} day lead time • `}
+                  {group.items.length} product{group.items.length === 1 ? '' : 's'} • {formatAmount(total)}
+                </p>
+              </div>
+              <Button
+                size="small"
+                icon="FilePlus"
+                loading={busyKey === group.vendorId}
+                disabled={group.vendorId === null}
+                onClick={() => handleCreateDraft(group)}
+              >
+                Create Draft PO
+              </Button>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="py-1 font-medium">Product</th>
+                    <th className="py-1 font-medium text-right">In Stock</th>
+                    <th className="py-1 font-medium text-right">On Order</th>
+                    <th className="py-1 font-medium text-right">Sold / Day</th>
+                    <th className="py-1 font-medium text-right">Days of Cover</th>
+                    <th className="py-1 font-medium text-right">Order Qty</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {group.items.map(item => (
+                    <tr key={item.productId}>
+                      <td className="py-1 text-gray-900">
+                        <span className="mr-2">{item.name}</span>
+                        {item.urgent && <Badge variant="danger" size="small">Runs out first</Badge>}
+                      </td>
+                      <td className="py-1 text-right">{item.stock} {item.unit}</td>
+                      <td className="py-1 text-right">{item.onOrder}</td>
+                      <td className="py-1 text-right">{item.dailyVelocity}</td>
+                      <td className="py-1 text-right">{item.daysOfCover ?? '—'}</td>
+                      <td className="py-1 text-right">
+                        <input
+                          type="number"
+                          min="0"
+                          value={quantities[item.productId] ?? ''}
+                          onChange={(e) => setQuantities(prev => ({ ...prev, [item.productId]: e.target.value }))}
+                          className="w-20 px-2 py-1 text-sm text-right border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {group.vendorId === null && (
+              <p className="text-xs text-yellow-700 mt-2">
+                These products have never been ordered and their category has no default supplier; raise a purchase order by hand.
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ReorderSuggestionsPanel;
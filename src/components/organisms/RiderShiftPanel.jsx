@@ -0,0 +1,283 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { riderShiftService } from "@/services/api/riderShiftService";
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const hourLabel = (hour) => format(new Date(2000, 0, 1, hour), 'ha').toLowerCase();
+
+// Clock-in roster, hourly coverage per zone and the weekly shift schedule
+const RiderShiftPanel = ({ personnel = [], onRosterChange, refreshKey }) => {
+  const riders = personnel.filter(p => p.isActive);
+  const zones = [...new Set(riders.map(p => p.zone))];
+  const [coverageDate, setCoverageDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [coverage, setCoverage] = useState(null);
+  const [dayOfWeek, setDayOfWeek] = useState(new Date().getDay());
+  const [shifts, setShifts] = useState([]);
+  const [busyRiderId, setBusyRiderId] = useState(null);
+  const [newShift, setNewShift] = useState({ riderId: '', zone: '', start: '10:00', end: '18:00' });
+
+  useEffect(() => {
+    loadCoverage();
+  }, [coverageDate, refreshKey]);
+
+  useEffect(() => {
+    loadShifts();
+  }, [dayOfWeek]);
+
+  const loadCoverage = async () => {
+    try {
+      setCoverage(await riderShiftService.getCoverage(new Date(`${coverageDate}T00:00:00`)));
+    } catch (err) {
+      toast.error('Failed to load shift coverage');
+    }
+  };
+
+  const loadShifts = async () => {
+    try {
+      setShifts(await riderShiftService.getSchedule({ dayOfWeek }));
+    } catch (err) {
+      toast.error('Failed to load shift schedule');
+    }
+  };
+
+  const runShiftAction = async (riderId, action, message) => {
+    try {
+      setBusyRiderId(riderId);
+      await action(riderId);
+      toast.success(message);
+      onRosterChange?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyRiderId(null);
+    }
+  };
+
+  const handleAddShift = async () => {
+    const rider = riders.find(p => p.Id === parseInt(newShift.riderId));
+    try {
+      await riderShiftService.addShift({
+        ...newShift,
+        zone: newShift.zone || rider?.zone,
+        dayOfWeek
+      });
+      toast.success('Shift added');
+      setNewShift({ ...newShift, riderId: '' });
+      await Promise.all([loadShifts(), loadCoverage()]);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleRemoveShift = async (shiftId) => {
+    try {
+      await riderShiftService.removeShift(shiftId);
+      await Promise.all([loadShifts(), loadCoverage()]);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const gapCount = coverage
+    ? coverage.zones.reduce((sum, zone) => sum + zone.cells.filter(cell => cell.gap).length, 0)
+    : 0;
+
+  return (
+    <div className="card p-6">
+      <h2 className="text-xl font-semibold text-gray-900 flex items-center space-x-2 mb-4">
+        <ApperIcon name="CalendarClock" size={20} className="text-primary" />
+        <span>Rider Shifts</span>
+      </h2>
+
+      {/* Clock-in roster */}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3 mb-6">
+        {riders.map(rider => {
+          const session = riderShiftService.getSession(rider.Id);
+          const busy = busyRiderId === rider.Id;
+          return (
+            <div key={rider.Id} className="p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between mb-2">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{rider.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {!session
+                      ? 'Off shift'
+                      : session.onBreak
+                        ? 'On break'
+                        : `On shift since ${format(new Date(session.clockedInAt), 'hh:mm a')}`}
+                  </p>
+                </div>
+                <span className={`w-2 h-2 rounded-full ${
+                  !session ? 'bg-gray-300' : session.onBreak ? 'bg-yellow-400' : 'bg-green-500'
+                }`} />
+              </div>
+              <div className="flex space-x-2">
+                {!session ? (
+                  <Button
+                    size="small"
+                    variant="outline"
+                    loading={busy}
+                    onClick={() => runShiftAction(rider.Id, (id) => riderShiftService.clockIn(id), `${rider.name} clocked in`)}
+                  >
+                    Clock In
+                  </Button>
+                ) : (
+                  <>
+                    <Button
+                      size="small"
+                      variant="outline"
+                      loading={busy}
+                      onClick={() => session.onBreak
+                        ? runShiftAction(rider.Id, (id) => riderShiftService.endBreak(id), `${rider.name} is back from break`)
+                        : runShiftAction(rider.Id, (id) => riderShiftService.startBreak(id), `${rider.name} is on break`)}
+                    >
+                      {session.onBreak ? 'End Break' : 'Break'}
+                    </Button>
+                    <Button
+                      size="small"
+                      variant="ghost"
+                      disabled={busy}
+                      onClick={() => runShiftAction(rider.Id, (id) => riderShiftService.clockOut(id), `${rider.name} clocked out`)}
+                    >
+                      Clock Out
+                    </Button>
+                  </>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Coverage grid */}
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="font-medium text-gray-900">Coverage by zone and hour</h3>
+          {coverage && (
+            <p className={`text-xs ${gapCount > 0 ? 'text-red-600' : 'text-green-600'}`}>
+              {gapCount > 0 ? `${gapCount} uncovered hour${gapCount === 1 ? '' : 's'}` : 'Every zone is covered'}
+            </p>
+          )}
+        </div>
+        <input
+          type="date"
+          value={coverageDate}
+          onChange={(e) => setCoverageDate(e.target.value)}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+        />
+      </div>
+      {coverage && (
+        <div className="overflow-x-auto mb-6">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr>
+                <th className="text-left font-medium text-gray-500 pr-3 py-1">Zone</th>
+                {coverage.hours.map(hour => (
+                  <th key={hour} className="font-medium text-gray-500 px-1 py-1">{hourLabel(hour)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {coverage.zones.map(zone => (
+                <tr key={zone.zone}>
+                  <td className="pr-3 py-1 whitespace-nowrap text-gray-900">{zone.zone}</td>
+                  {zone.cells.map(cell => (
+                    <td key={cell.hour} className="px-0.5 py-0.5">
+                      <div
+                        title={`${cell.riders.join(', ') || 'Nobody rostered'} • ${cell.demand} booked, needs ${cell.required}`}
+                        className={`h-7 rounded flex items-center justify-center font-medium ${
+                          cell.gap ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-800'
+                        }`}
+                      >
+                        {cell.scheduled}
+                      </div>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Weekly schedule */}
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-medium text-gray-900">Weekly schedule</h3>
+        <select
+          value={dayOfWeek}
+          onChange={(e) => setDayOfWeek(parseInt(e.target.value))}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+        >
+          {WEEKDAYS.map((day, index) => (
+            <option key={day} value={index}>{day}</option>
+          ))}
+        </select>
+      </div>
+      <div className="space-y-2 mb-4">
+        {shifts.length === 0 ? (
+          <p className="text-sm text-gray-500">No shifts on {WEEKDAYS[dayOfWeek]}.</p>
+        ) : (
+          shifts.map(shift => (
+            <div key={shift.Id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+              <span className="text-gray-900">
+                {riders.find(p => p.Id === shift.riderId)?.name || `Rider #${shift.riderId}`}
+              </span>
+              <span className="text-gray-600">{shift.zone}</span>
+              <span className="text-gray-600">{shift.start} - {shift.end}</span>
+              <button
+                onClick={() => handleRemoveShift(shift.Id)}
+                className="text-gray-400 hover:text-red-600"
+                aria-label="Remove shift"
+              >
+                <ApperIcon name="Trash2" size={16} />
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+        <select
+          value={newShift.riderId}
+          onChange={(e) => setNewShift({ ...newShift, riderId: e.target.value })}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+        >
+          <option value="">Rider...</option>
+          {riders.map(rider => (
+            <option key={rider.Id} value={rider.Id}>{rider.name}</option>
+          ))}
+        </select>
+        <select
+          value={newShift.zone}
+          onChange={(e) => setNewShift({ ...newShift, zone: e.target.value })}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+        >
+          <option value="">Home zone</option>
+          {zones.map(zone => (
+            <option key={zone} value={zone}>{zone}</option>
+          ))}
+        </select>
+        <input
+          type="time"
+          value={newShift.start}
+          onChange={(e) => setNewShift({ ...newShift, start: e.target.value })}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+        />
+        <input
+          type="time"
+          value={newShift.end}
+          onChange={(e) => setNewShift({ ...newShift, end: e.target.value })}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+        />
+        <Button size="small" icon="Plus" disabled={!newShift.riderId} onClick={handleAddShift}>
+          Add Shift
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RiderShiftPanel;
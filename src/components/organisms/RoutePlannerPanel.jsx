@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import ApperIcon from "@/components/ApperIcon";
+import RoutePlan from "@/components/molecules/RoutePlan";
+import { routePlannerService } from "@/services/api/routePlannerService";
+
+const RoutePlannerPanel = ({ personnel = [], refreshKey }) => {
+  const riders = personnel.filter(p => p.isActive);
+  const [riderId, setRiderId] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // Default to the first rider who is out on a run
+  useEffect(() => {
+    if (riderId === null && riders.length > 0) {
+      const busy = riders.find(p => p.status === 'on_delivery');
+      setRiderId((busy || riders[0]).Id);
+    }
+  }, [personnel]);
+
+  useEffect(() => {
+    if (riderId !== null) {
+      loadPlan(() => routePlannerService.planRoute(riderId));
+    }
+  }, [riderId, refreshKey]);
+
+  const loadPlan = async (request) => {
+    try {
+      setLoading(true);
+      setPlan(await request());
+    } catch (err) {
+      toast.error('Failed to plan route');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReorder = (orderIds) => {
+    loadPlan(() => routePlannerService.reorderStops(riderId, orderIds));
+    toast.success('Stop order updated');
+  };
+
+  const handleReset = () => {
+    loadPlan(() => routePlannerService.resetSequence(riderId));
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center space-x-2">
+          <ApperIcon name="Route" size={20} className="text-primary" />
+          <span>Route Plan</span>
+        </h2>
+        <select
+          value={riderId ?? ''}
+          onChange={(e) => setRiderId(parseInt(e.target.value))}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+        >
+          {riders.map(rider => (
+            <option key={rider.Id} value={rider.Id}>
+              {rider.name} ({rider.zone})
+            </option>
+          ))}
+        </select>
+      </div>
+      {loading && !plan ? (
+        <p className="text-sm text-gray-500 text-center py-8">Planning route...</p>
+      ) : (
+        <div className={loading ? 'opacity-60 pointer-events-none' : ''}>
+          <RoutePlan plan={plan} editable onReorder={handleReorder} onReset={handleReset} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoutePlannerPanel;
@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Badge from "@/components/atoms/Badge";
+import { MOVEMENT_TYPES, WASTAGE_REASONS, inventoryService } from "@/services/api/inventoryService";
+import { isSoldByWeight } from "@/utils/scaleBarcode";
+
+const ADJUSTMENTS = [
+  { type: 'wastage', label: 'Wastage', quantityLabel: 'Quantity written off' },
+  { type: 'stock_count', label: 'Stock Count', quantityLabel: 'Counted on shelf' },
+  { type: 'supplier_receipt', label: 'Receive Stock', quantityLabel: 'Quantity received' }
+];
+
+// Adjust one product's on-hand stock with a reason, and browse its movement history
+const StockAdjustmentModal = ({ product, onClose, onAdjusted }) => {
+  const [stock, setStock] = useState(product.stock || 0);
+  const [movements, setMovements] = useState([]);
+  const [lots, setLots] = useState([]);
+  const [adjustmentType, setAdjustmentType] = useState('wastage');
+  const [quantity, setQuantity] = useState('');
+  const [wastageReason, setWastageReason] = useState(WASTAGE_REASONS[0]);
+  const [note, setNote] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadMovements();
+  }, [product.id]);
+
+  const loadMovements = async () => {
+    try {
+      const [history, availability, lotsData] = await Promise.all([
+        inventoryService.getMovements({ productId: product.id }),
+        inventoryService.getAvailableStock(product.id),
+        inventoryService.getLots(product.id)
+      ]);
+      setMovements(history);
+      setStock(availability.stock);
+      setLots(lotsData);
+    } catch (err) {
+      toast.error('Failed to load stock history');
+    }
+  };
+
+  // Weighed goods can be adjusted and counted by the gram; inventoryService rejects fractions of anything else
+  const entered = quantity === '' ? NaN : Number(quantity);
+  const change = isNaN(entered)
+    ? null
+    : adjustmentType === 'wastage'
+      ? -entered
+      : adjustmentType === 'stock_count'
+        ? entered - stock
+        : entered;
+  const current = ADJUSTMENTS.find(a => a.type === adjustmentType);
+  const unit = product.unit || 'pcs';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isNaN(entered) || entered < 0 || (entered === 0 && adjustmentType !== 'stock_count')) {
+      toast.error('Please enter a valid quantity');
+      return;
+    }
+    try {
+      setSaving(true);
+      if (adjustmentType === 'wastage') {
+        await inventoryService.recordWastage(product.id, entered, note.trim() ? `${wastageReason}: ${note.trim()}` : wastageReason);
+      } else if (adjustmentType === 'stock_count') {
+        await inventoryService.recordStockCount(product.id, entered, { reason: note });
+      } else {
+        await inventoryService.receiveStock(product.id, entered, { reason: note.trim(), expiresAt: expiresAt || undefined });
+      }
+      toast.success(`${product.name} stock updated`);
+      setQuantity('');
+      setNote('');
+      setExpiresAt('');
+      await loadMovements();
+      onAdjusted?.();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full m-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Stock: {product.name}</h2>
+            <p className="text-sm text-gray-600">On hand: {stock} {unit}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={24} />
+          </button>
+        </div>
+
+        {/* Adjustment */}
+        <form onSubmit={handleSubmit} className="space-y-4 mb-6">
+          <div className="flex flex-wrap gap-2">
+            {ADJUSTMENTS.map(option => (
+              <button
+                key={option.type}
+                type="button"
+                onClick={() => setAdjustmentType(option.type)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  adjustmentType === option.type ? 'bg-primary text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{current.quantityLabel}</label>
+              <input
+                type="number"
+                min="0"
+                step={isSoldByWeight(product) ? '0.001' : '1'}
+                value={quantity}
+                onChange={(e) => setQuantity(e.target.value)}
+                className="input-field"
+                placeholder="0"
+              />
+            </div>
+            {adjustmentType === 'wastage' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                <select
+                  value={wastageReason}
+                  onChange={(e) => setWastageReason(e.target.value)}
+                  className="input-field"
+                >
+                  {WASTAGE_REASONS.map(reason => (
+                    <option key={reason} value={reason}>{reason}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {adjustmentType === 'supplier_receipt' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Expiry date</label>
+                <input
+                  type="date"
+                  value={expiresAt}
+                  onChange={(e) => setExpiresAt(e.target.value)}
+                  className="input-field"
+                />
+              </div>
+            )}
+          </div>
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder={adjustmentType === 'supplier_receipt' ? 'Supplier or delivery note (optional)' : 'Notes (optional)'}
+            className="input-field"
+          />
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-600">
+              {change !== null && (
+                <>
+                  {change > 0 ? '+' : ''}{change} {unit} → new balance {stock + change} {unit}
+                </>
+              )}
+            </p>
+            <Button type="submit" icon="Check" loading={saving}>
+              Record {current.label}
+            </Button>
+          </div>
+        </form>
+
+        {/* Lots on hand, in the order they are sold */}
+        {lots.length > 0 && (
+          <div className="mb-6">
+            <h3 className="font-semibold text-gray-900 mb-3">Lots</h3>
+            <div className="space-y-2">
+              {lots.map(lot => (
+                <div key={lot.id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+                  <div>
+                    <span className="font-medium text-gray-900">{lot.lotNumber}</span>
+                    <span className="text-gray-500 ml-2">
+                      {lot.receivedAt ? `received ${format(new Date(lot.receivedAt), 'MMM dd')}` : 'before lot tracking'}
+                    </span>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className="text-gray-900">{lot.quantity} {unit}</span>
+                    {lot.expiresAt ? (
+                      <Badge variant={lot.expired ? 'danger' : 'default'} size="small">
+                        {lot.expired ? 'Expired' : 'Expires'} {format(new Date(lot.expiresAt), 'MMM dd')}
+                      </Badge>
+                    ) : (
+                      <Badge variant="default" size="small">No expiry</Badge>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Movement history */}
+        <h3 className="font-semibold text-gray-900 mb-3">Movement History</h3>
+        {movements.length === 0 ? (
+          <p className="text-sm text-gray-500">No stock movements recorded yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4 font-medium">When</th>
+                  <th className="py-2 pr-4 font-medium">Type</th>
+                  <th className="py-2 pr-4 font-medium text-right">Change</th>
+                  <th className="py-2 pr-4 font-medium text-right">Balance</th>
+                  <th className="py-2 font-medium">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {movements.map(movement => (
+                  <tr key={movement.id}>
+                    <td className="py-2 pr-4 whitespace-nowrap text-gray-600">
+                      {format(new Date(movement.createdAt), 'MMM dd, hh:mm a')}
+                    </td>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      <span className="inline-flex items-center space-x-1">
+                        <ApperIcon name={MOVEMENT_TYPES[movement.type]?.icon || 'Circle'} size={14} className="text-gray-500" />
+                        <span>{MOVEMENT_TYPES[movement.type]?.label || movement.type}</span>
+                      </span>
+                    </td>
+                    <td className="py-2 pr-4 text-right">
+                      <Badge variant={movement.quantity < 0 ? 'danger' : movement.quantity > 0 ? 'success' : 'default'}>
+                        {movement.quantity > 0 ? '+' : ''}{movement.quantity}
+                      </Badge>
+                    </td>
+                    <td className="py-2 pr-4 text-right font-medium text-gray-900">{movement.balance}</td>
+                    <td className="py-2 text-gray-600">
+                      {[movement.orderId && `Order #${movement.orderId}`, movement.reference, movement.reason]
+                        .filter(Boolean)
+                        .join(' • ')}
+                      {movement.user && <span className="block text-xs text-gray-400">by {movement.user}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockAdjustmentModal;
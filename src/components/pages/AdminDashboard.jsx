@@ -185,6 +185,7 @@ const handleWalletAction = async (action, amount = 0) => {
 
 const quickActions = [
     { label: 'Manage Products', path: '/admin/products', icon: 'Package', color: 'from-blue-500 to-cyan-500', notificationKey: 'products' },
+    { label: 'Purchase Orders', path: '/admin/purchase-orders', icon: 'ClipboardList', color: 'from-cyan-500 to-blue-500', notificationKey: 'products' },
     { label: 'POS Terminal', path: '/admin/pos', icon: 'Calculator', color: 'from-green-500 to-emerald-500', notificationKey: 'pos' },
     { label: 'View Orders', path: '/orders', icon: 'ShoppingCart', color: 'from-purple-500 to-pink-500', notificationKey: 'orders' },
     { label: 'Financial Dashboard', path: '/admin/financial-dashboard', icon: 'DollarSign', color: 'from-emerald-500 to-teal-500', notificationKey: 'financial' },
@@ -192,6 +193,9 @@ const quickActions = [
     { label: 'Payment Verification', path: '/admin/payments?tab=verification', icon: 'Shield', color: 'from-orange-500 to-red-500', notificationKey: 'verification' },
     { label: 'Payment Management', path: '/admin/payments', icon: 'CreditCard', color: 'from-teal-500 to-cyan-500', notificationKey: 'payments' },
     { label: 'Delivery Tracking', path: '/admin/delivery-dashboard', icon: 'MapPin', color: 'from-indigo-500 to-purple-500', notificationKey: 'delivery' },
+    { label: 'Dispatch Center', path: '/admin/delivery', icon: 'Truck', color: 'from-sky-500 to-indigo-500', notificationKey: 'delivery' },
+    { label: 'Delivery Fees', path: '/admin/delivery-fees', icon: 'Receipt', color: 'from-lime-500 to-green-500', notificationKey: 'delivery' },
+    { label: 'Customer Feedback', path: '/admin/feedback', icon: 'MessageSquare', color: 'from-yellow-500 to-amber-500', notificationKey: 'feedback' },
     { label: 'Analytics', path: '/admin/analytics', icon: 'TrendingUp', color: 'from-amber-500 to-orange-500', notificationKey: 'analytics' }
   ];
 
@@ -9,6 +9,12 @@ import Error from '@/components/ui/Error';
 import Badge from '@/components/atoms/Badge';
 import { orderService } from '@/services/api/orderService';
 import { productService } from '@/services/api/productService';
+import DeliveryPerformance from '@/components/organisms/DeliveryPerformance';
+
+const tabs = [
+  { id: 'overview', label: 'Sales', icon: 'BarChart3' },
+  { id: 'delivery', label: 'Delivery Performance', icon: 'Truck' }
+];
 
 const Analytics = () => {
   const [data, setData] = useState({
@@ -19,6 +25,7 @@ const Analytics = () => {
   const [error, setError] = useState(null);
   const [dateRange, setDateRange] = useState('30'); // days
   const [selectedMetric, setSelectedMetric] = useState('revenue');
+  const [activeTab, setActiveTab] = useState('overview');
 
 const metrics = [
     { key: 'revenue', label: 'Revenue', icon: 'DollarSign', color: 'green' },
@@ -249,13 +256,37 @@ const calculateMetrics = () => {
             <option value="90">Last 90 days</option>
             <option value="365">Last year</option>
           </select>
-          <Button onClick={exportData} variant="outline">
-            <ApperIcon name="Download" size={16} className="mr-2" />
-            Export
-          </Button>
+          {activeTab === 'overview' && (
+            <Button onClick={exportData} variant="outline">
+              <ApperIcon name="Download" size={16} className="mr-2" />
+              Export
+            </Button>
+          )}
         </div>
       </div>
 
+      {/* Tab Navigation */}
+      <div className="flex overflow-x-auto border-b mb-8">
+        {tabs.map((tab) => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`flex items-center gap-2 px-4 md:px-6 py-3 font-medium transition-all duration-200 whitespace-nowrap ${
+              activeTab === tab.id
+                ? 'text-primary border-b-2 border-primary'
+                : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            <ApperIcon name={tab.icon} size={18} />
+            <span>{tab.label}</span>
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'delivery' ? (
+        <DeliveryPerformance days={dateRange} />
+      ) : (
+      <>
       {/* Key Metrics */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
 {metrics.map((metric) => {
@@ -478,6 +509,8 @@ const calculateMetrics = () => {
           </div>
         </div>
       </div>
+      </>
+      )}
     </div>
   );
 };
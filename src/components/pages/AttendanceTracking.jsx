@@ -293,7 +293,7 @@ const AttendanceTracking = () => {
                 <tr key={record.Id} className="hover:bg-gray-50">
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm font-medium text-gray-900">
-                      {getEmployeeName(record.employeeId)}
+                      {record.riderId ? `${record.riderName} (Rider)` : getEmployeeName(record.employeeId)}
                     </div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
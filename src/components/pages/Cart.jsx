@@ -6,6 +6,7 @@ import Button from '@/components/atoms/Button';
 import CartItem from '@/components/molecules/CartItem';
 import Empty from '@/components/ui/Empty';
 import { selectCartItems, selectCartTotal, selectCartItemCount, clearCart, validateCartPrices } from '@/store/cartSlice';
+import { deliveryFeeService } from '@/services/api/deliveryFeeService';
 
 const Cart = () => {
   const navigate = useNavigate();
@@ -33,7 +34,9 @@ const Cart = () => {
 
 // Use validated cart total for accurate calculations
   const subtotal = cartTotal;
-  const deliveryCharge = subtotal >= 2000 ? 0 : 150; // Free delivery over Rs. 2000
+  // No address yet, so this is the default rate; checkout re-prices for the customer's zone
+  const feeQuote = deliveryFeeService.quote({ subtotal });
+  const deliveryCharge = feeQuote.deliveryCharge;
   const total = subtotal + deliveryCharge;
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -88,14 +91,13 @@ const Cart = () => {
                 </span>
               </div>
               
-{subtotal >= 2000 && deliveryCharge === 150 && (
-                <div className="flex justify-between items-center text-green-600">
-                  <span className="text-sm">Free delivery bonus!</span>
-                  <span className="text-sm font-medium">-Rs. 150</span>
-                </div>
+{!feeQuote.freeDeliveryApplied && (
+                <p className="text-sm text-primary">
+                  Add Rs. {feeQuote.amountToFreeDelivery.toLocaleString()} more for free delivery
+                </p>
               )}
               
-              {subtotal >= 2000 && deliveryCharge === 0 && (
+              {feeQuote.freeDeliveryApplied && (
                 <div className="flex justify-between items-center text-green-600">
                   <span className="text-sm">🎉 Free delivery applied!</span>
                   <span className="text-sm font-medium">Rs. 0</span>
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { toast } from "react-toastify";
 import { useCart } from "@/hooks/useCart";
@@ -9,9 +9,18 @@ import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Account from "@/components/pages/Account";
 import PaymentMethod from "@/components/molecules/PaymentMethod";
+import DeliverySlotPicker from "@/components/molecules/DeliverySlotPicker";
 import { orderService } from "@/services/api/orderService";
 import { productService } from "@/services/api/productService";
 import { paymentService } from "@/services/api/paymentService";
+import { dispatchService } from "@/services/api/dispatchService";
+import { deliverySlotService } from "@/services/api/deliverySlotService";
+import { deliveryFeeService } from "@/services/api/deliveryFeeService";
+import { inventoryService } from "@/services/api/inventoryService";
+import { getMarkdownSnapshot, getSellingPrice } from "@/utils/pricing";
+
+const RIDER_TIP_OPTIONS = [0, 50, 100, 200];
+
 function Checkout() {
   const navigate = useNavigate()
 const { cart, clearCart } = useCart()
@@ -31,6 +40,16 @@ const { cart, clearCart } = useCart()
   const [paymentProof, setPaymentProof] = useState(null)
   const [transactionId, setTransactionId] = useState('')
   const [errors, setErrors] = useState({})
+  const [slotOptions, setSlotOptions] = useState(null)
+  const [slotsLoading, setSlotsLoading] = useState(false)
+  const [selectedSlot, setSelectedSlot] = useState(null)
+  const [coordinates, setCoordinates] = useState(null)
+  const [locating, setLocating] = useState(false)
+  const [riderTip, setRiderTip] = useState(0)
+  // Checkout hold on the cart's stock; handed to the order on submit, released if the customer leaves
+  const stockReservationRef = useRef(null)
+  // Place held in the chosen delivery window while the order goes through
+  const slotHoldRef = useRef(null)
 
 // Calculate totals with validated pricing and deals
   const calculateCartTotals = () => {
@@ -58,19 +77,25 @@ const { cart, clearCart } = useCart()
     });
     
     const discountedSubtotal = subtotal - totalSavings;
-    const deliveryCharge = discountedSubtotal >= 2000 ? 0 : 150;
+    const feeQuote = deliveryFeeService.quote({
+      address: { ...formData, coordinates },
+      subtotal: discountedSubtotal,
+      slot: selectedSlot
+    });
+    const deliveryCharge = feeQuote.deliveryCharge;
     
     return {
       originalSubtotal: subtotal,
       dealSavings: totalSavings,
       subtotal: discountedSubtotal,
       deliveryCharge,
-      total: discountedSubtotal + deliveryCharge + calculateGatewayFee()
+      feeQuote,
+      total: discountedSubtotal + deliveryCharge + calculateGatewayFee() + riderTip
     };
   };
 
   const totals = calculateCartTotals();
-  const { originalSubtotal, dealSavings, subtotal, deliveryCharge, total } = totals;
+  const { originalSubtotal, dealSavings, subtotal, deliveryCharge, feeQuote, total } = totals;
   const gatewayFee = calculateGatewayFee();
 
 // Load available payment methods from admin configuration
@@ -78,6 +103,80 @@ const { cart, clearCart } = useCart()
     loadPaymentMethods()
   }, [])
 
+  // Re-hold stock whenever the cart changes, so others can't buy it out from under this checkout
+  const cartStockKey = cart.map(item => `${item.id}:${item.quantity}`).join(',')
+  useEffect(() => {
+    if (cart.length === 0) return
+    inventoryService.reserve(cart, { reservationId: stockReservationRef.current })
+      .then(reservation => {
+        stockReservationRef.current = reservation.id
+      })
+      .catch(error => {
+        toast.warning(`${error.message}. Please review your cart.`)
+      })
+  }, [cartStockKey])
+
+  useEffect(() => () => {
+    if (stockReservationRef.current) {
+      inventoryService.release(stockReservationRef.current)
+    }
+    if (slotHoldRef.current) {
+      deliverySlotService.releaseSlot(slotHoldRef.current)
+    }
+  }, [])
+
+  // Delivery windows depend on the zone, which comes from city and postal code
+  useEffect(() => {
+    if (!formData.city.trim()) {
+      setSlotOptions(null)
+      setSelectedSlot(null)
+      return undefined
+    }
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        setSlotsLoading(true)
+        const options = await deliverySlotService.getAvailableSlots({
+          city: formData.city,
+          postalCode: formData.postalCode
+        })
+        if (cancelled) return
+        setSlotOptions(options)
+        // Keep the chosen window only if it is still offered for the new zone
+        setSelectedSlot(prev => options?.slots.find(slot => slot.id === prev?.id && slot.available) || null)
+      } catch (error) {
+        console.error('Failed to load delivery slots:', error)
+      } finally {
+        if (!cancelled) setSlotsLoading(false)
+      }
+    }, 400)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [formData.city, formData.postalCode])
+
+  // Exact drop-off coordinates let the fee engine price by distance instead of the zone's flat fee
+  function handleUseMyLocation() {
+    if (!navigator.geolocation) {
+      toast.error('Location is not supported on this device')
+      return
+    }
+    setLocating(true)
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setCoordinates({ lat: position.coords.latitude, lng: position.coords.longitude })
+        setLocating(false)
+        toast.success('Location added to your address')
+      },
+      () => {
+        setLocating(false)
+        toast.error('Unable to get your location')
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    )
+  }
+
   async function loadPaymentMethods() {
     try {
       const methods = await paymentService.getAvailablePaymentMethods()
@@ -182,6 +281,16 @@ function handleFileUpload(e) {
       }
     }
 
+    if (slotOptions && !selectedSlot) {
+      newErrors.deliverySlot = 'Please choose a delivery slot'
+    }
+
+    if (!feeQuote.deliverable) {
+      newErrors.deliveryFee = `Your location is outside our ${feeQuote.maxDistanceKm} km delivery range for ${feeQuote.zone}`
+    } else if (!feeQuote.meetsMinimum) {
+      newErrors.deliveryFee = `Minimum order for ${feeQuote.zone} is Rs. ${feeQuote.minimumOrder.toLocaleString()}`
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -252,8 +361,12 @@ async function completeOrder(paymentResult) {
             continue;
           }
           
-          if (currentProduct.stock < item.quantity) {
-            toast.error(`${item.name} has insufficient stock. Available: ${currentProduct.stock}`);
+          // Our own checkout hold counts towards what's available to us
+          const { available } = await inventoryService.getAvailableStock(item.id, {
+            excludeReservationId: stockReservationRef.current
+          });
+          if (available < item.quantity) {
+            toast.error(`${item.name} has insufficient stock. Available: ${available}`);
             hasValidationErrors = true;
             continue;
           }
@@ -262,7 +375,9 @@ async function completeOrder(paymentResult) {
           validatedItems.push({
             id: item.id,
             name: item.name,
-            price: currentProduct.price, // Use validated current price
+            price: getSellingPrice(currentProduct, item.quantity), // Use validated current price, after any near-expiry markdown
+            listPrice: currentProduct.price,
+            markdown: getMarkdownSnapshot(currentProduct, item.quantity),
             quantity: item.quantity,
             image: item.image,
             validatedAt: new Date().toISOString()
@@ -303,8 +418,37 @@ async function completeOrder(paymentResult) {
       });
       
       const finalSubtotal = validatedSubtotal - validatedDealSavings;
-      const validatedDeliveryCharge = finalSubtotal >= 2000 ? 0 : 150;
-      const validatedTotal = finalSubtotal + validatedDeliveryCharge + gatewayFee;
+
+      const deliveryAddress = {
+        name: formData.name,
+        phone: formData.phone,
+        email: formData.email,
+        address: formData.address,
+        city: formData.city,
+        postalCode: formData.postalCode,
+        instructions: formData.instructions,
+        ...(coordinates && { coordinates })
+      }
+      // Re-check capacity in case the window filled up while the customer was checking out, and hold the place
+      const deliverySlot = selectedSlot
+        ? await deliverySlotService.reserveSlot(deliveryAddress, selectedSlot.id, { holdId: slotHoldRef.current })
+        : null
+      slotHoldRef.current = deliverySlot?.holdId || null
+
+      // Re-price delivery against the validated subtotal
+      const validatedFee = deliveryFeeService.quote({
+        address: deliveryAddress,
+        subtotal: finalSubtotal,
+        slot: deliverySlot
+      });
+      if (!validatedFee.deliverable) {
+        throw new Error(`Address is outside the ${validatedFee.zone} delivery range`);
+      }
+      if (!validatedFee.meetsMinimum) {
+        throw new Error(`Minimum order for ${validatedFee.zone} is Rs. ${validatedFee.minimumOrder.toLocaleString()}`);
+      }
+      const validatedDeliveryCharge = validatedFee.deliveryCharge;
+      const validatedTotal = finalSubtotal + validatedDeliveryCharge + gatewayFee + riderTip;
 
 const orderData = {
         items: validatedItems,
@@ -312,7 +456,15 @@ const orderData = {
         dealSavings: validatedDealSavings,
         subtotal: finalSubtotal,
         deliveryCharge: validatedDeliveryCharge,
+        deliveryFee: {
+          zone: validatedFee.zone,
+          distanceKm: validatedFee.distanceKm,
+          baseFee: validatedFee.baseFee,
+          surcharges: validatedFee.surcharges
+        },
         gatewayFee,
+        // Passed on in full to the rider's earnings
+        riderTip,
         total: validatedTotal,
         paymentMethod,
         paymentResult,
@@ -324,21 +476,26 @@ paymentStatus: paymentMethod === 'cash' ? 'pending' : 'pending_verification',
           dataUrl: paymentProofData
         } : null,
         transactionId: transactionId || paymentResult?.transactionId || null,
-        deliveryAddress: {
-          name: formData.name,
-          phone: formData.phone,
-          email: formData.email,
-          address: formData.address,
-          city: formData.city,
-          postalCode: formData.postalCode,
-          instructions: formData.instructions
-        },
+        deliveryAddress,
+        deliveryZone: slotOptions?.zone.name || null,
+        deliverySlot,
+        ...(deliverySlot && { estimatedDelivery: deliverySlot.endsAt }),
         status: paymentMethod === 'cash' ? 'confirmed' : 'payment_pending',
         verificationStatus: paymentMethod === 'cash' ? null : 'pending',
-        priceValidatedAt: new Date().toISOString()
+        priceValidatedAt: new Date().toISOString(),
+        stockReservationId: stockReservationRef.current
       }
 
       const order = await orderService.create(orderData)
+      // The reservation and slot hold now belong to the order, nothing left to release
+      stockReservationRef.current = null
+      slotHoldRef.current = null
+      // Hand confirmed orders straight to the dispatch engine; later slots and unassigned ones stay queued
+      if (order.status === 'confirmed' && dispatchService.isDueForDispatch(order)) {
+        dispatchService.dispatchOrder(order.id).catch(error => {
+          console.error('Auto-dispatch failed:', error)
+        })
+      }
       clearCart()
       toast.success('Order placed successfully!')
       navigate('/orders')
@@ -496,15 +653,45 @@ if (paymentMethod === 'card') {
                     <span>Rs. {subtotal.toLocaleString()}</span>
                   </div>
                   <div className="flex justify-between">
-                    <span>Delivery Charge:</span>
-                    <span>Rs. {deliveryCharge.toLocaleString()}</span>
+                    <span>
+                      Delivery Charge:
+                      {feeQuote.distanceKm !== null && (
+                        <span className="text-xs text-gray-500 ml-1">({feeQuote.distanceKm} km)</span>
+                      )}
+                    </span>
+                    <span>{feeQuote.baseFee === 0 ? 'Free' : `Rs. ${feeQuote.baseFee.toLocaleString()}`}</span>
                   </div>
+                  {feeQuote.surcharges.map(surcharge => (
+                    <div key={surcharge.key} className="flex justify-between text-sm text-gray-600">
+                      <span>{surcharge.label}:</span>
+                      <span>Rs. {surcharge.fee.toLocaleString()}</span>
+                    </div>
+                  ))}
+                  {!feeQuote.freeDeliveryApplied && feeQuote.amountToFreeDelivery > 0 && (
+                    <p className="text-xs text-primary">
+                      Add Rs. {feeQuote.amountToFreeDelivery.toLocaleString()} more for free delivery
+                    </p>
+                  )}
+                  {!feeQuote.meetsMinimum && (
+                    <p className="text-xs text-red-600">
+                      Minimum order for {feeQuote.zone} is Rs. {feeQuote.minimumOrder.toLocaleString()}
+                    </p>
+                  )}
+                  {errors.deliveryFee && feeQuote.meetsMinimum && (
+                    <p className="text-xs text-red-600">{errors.deliveryFee}</p>
+                  )}
                   {gatewayFee > 0 && (
                     <div className="flex justify-between">
                       <span>Gateway Fee:</span>
                       <span>Rs. {gatewayFee.toLocaleString()}</span>
                     </div>
                   )}
+                  {riderTip > 0 && (
+                    <div className="flex justify-between">
+                      <span>Rider Tip:</span>
+                      <span>Rs. {riderTip.toLocaleString()}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between text-lg font-semibold border-t pt-2">
                     <span>Total:</span>
                     <span className="gradient-text">Rs. {total.toLocaleString()}</span>
@@ -568,6 +755,17 @@ if (paymentMethod === 'card') {
                       error={errors.address}
                       required
                     />
+                    <button
+                      type="button"
+                      onClick={handleUseMyLocation}
+                      disabled={locating}
+                      className="mt-2 text-sm text-primary hover:underline flex items-center space-x-1"
+                    >
+                      <ApperIcon name={coordinates ? 'MapPin' : 'LocateFixed'} size={14} />
+                      <span>
+                        {locating ? 'Locating...' : coordinates ? 'Exact location added' : 'Use my current location'}
+                      </span>
+                    </button>
                   </div>
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                     <Input
@@ -599,6 +797,57 @@ if (paymentMethod === 'card') {
                 </div>
               </div>
 
+              {/* Delivery Slot */}
+              <div className="card p-6">
+                <h2 className="text-xl font-semibold mb-1">Delivery Slot</h2>
+                {slotOptions && (
+                  <p className="text-sm text-gray-600 mb-4">Delivering to {slotOptions.zone.name}</p>
+                )}
+                {!formData.city.trim() ? (
+                  <p className="text-sm text-gray-500">Enter your city to see available delivery windows.</p>
+                ) : slotsLoading && !slotOptions ? (
+                  <p className="text-sm text-gray-500">Loading delivery windows...</p>
+                ) : slotOptions ? (
+                  <DeliverySlotPicker
+                    slots={slotOptions.slots}
+                    selectedSlotId={selectedSlot?.id}
+                    onSelect={(slot) => {
+                      setSelectedSlot(slot)
+                      if (errors.deliverySlot) {
+                        setErrors(prev => ({ ...prev, deliverySlot: '' }))
+                      }
+                    }}
+                    error={errors.deliverySlot}
+                  />
+                ) : (
+                  <p className="text-sm text-gray-500">
+                    Slot booking is not available in {formData.city} yet, we will deliver as soon as possible.
+                  </p>
+                )}
+              </div>
+
+              {/* Rider Tip */}
+              <div className="card p-6">
+                <h2 className="text-xl font-semibold mb-1">Tip Your Rider</h2>
+                <p className="text-sm text-gray-600 mb-4">100% of the tip goes to the rider who delivers your order.</p>
+                <div className="grid grid-cols-4 gap-3">
+                  {RIDER_TIP_OPTIONS.map(amount => (
+                    <button
+                      key={amount}
+                      type="button"
+                      onClick={() => setRiderTip(amount)}
+                      className={`py-2 rounded-lg border text-sm font-medium transition-colors ${
+                        riderTip === amount
+                          ? 'border-primary bg-primary/5 text-primary'
+                          : 'border-gray-300 text-gray-700 hover:border-primary'
+                      }`}
+                    >
+                      {amount === 0 ? 'No tip' : `Rs. ${amount}`}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
 {/* Payment Method */}
               <div className="card p-6">
                 <h2 className="text-xl font-semibold mb-4">Payment Method</h2>
@@ -1,37 +1,88 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { toast } from 'react-toastify';
 import ApperIcon from '@/components/ApperIcon';
 import Button from '@/components/atoms/Button';
 import Loading from '@/components/ui/Loading';
 import Error from '@/components/ui/Error';
-import { orderService } from '@/services/api/orderService';
+import RoutePlannerPanel from '@/components/organisms/RoutePlannerPanel';
+import RiderShiftPanel from '@/components/organisms/RiderShiftPanel';
+import CodReconciliationPanel from '@/components/organisms/CodReconciliationPanel';
+import LiveDeliveryMap from '@/components/molecules/LiveDeliveryMap';
+import DeliverySlotPicker from '@/components/molecules/DeliverySlotPicker';
+import DeliveryStatusHistory from '@/components/molecules/DeliveryStatusHistory';
+import { DELIVERY_FAILURE_REASONS, orderService } from '@/services/api/orderService';
+import { orderStateMachine } from '@/services/api/orderStateMachine';
 import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+import { dispatchService } from '@/services/api/dispatchService';
+import { locationStreamService } from '@/services/api/locationStreamService';
+import { deliverySlotService } from '@/services/api/deliverySlotService';
 
 const DeliveryDashboard = () => {
   const [orders, setOrders] = useState([]);
+  const [deliveredOrders, setDeliveredOrders] = useState([]);
+  const [reattemptQueue, setReattemptQueue] = useState([]);
+  const [reattemptOrder, setReattemptOrder] = useState(null);
+  const [reattemptForm, setReattemptForm] = useState({ scheduledFor: '', slot: null, address: '' });
+  const [reattemptSlots, setReattemptSlots] = useState(null);
+  const [proofOrder, setProofOrder] = useState(null);
+  const [historyOrder, setHistoryOrder] = useState(null);
+  const [resolutionNotes, setResolutionNotes] = useState('');
   const [personnel, setPersonnel] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [assignModalOpen, setAssignModalOpen] = useState(false);
-  const [mapCenter, setMapCenter] = useState({ lat: 31.5204, lng: 74.3587 });
+  const [mapArea, setMapArea] = useState('all');
+  const [positions, setPositions] = useState({});
+  const [now, setNow] = useState(Date.now());
+  const [candidates, setCandidates] = useState([]);
+  const [candidatesLoading, setCandidatesLoading] = useState(false);
+  const [overrideReason, setOverrideReason] = useState('');
+  const [dispatchLog, setDispatchLog] = useState([]);
+  const [dispatching, setDispatching] = useState(false);
 
   useEffect(() => {
     loadData();
   }, []);
 
+  // Live rider positions; the clock tick re-evaluates stale warnings between updates
+  useEffect(() => {
+    locationStreamService.getSnapshot().then(setPositions).catch(() => {});
+    const unsubscribe = locationStreamService.subscribe((position) => {
+      setPositions(prev => ({ ...prev, [position.riderId]: position }));
+    });
+    const clock = setInterval(() => setNow(Date.now()), 30000);
+    return () => {
+      unsubscribe();
+      clearInterval(clock);
+    };
+  }, []);
+
   const loadData = async () => {
     try {
       setLoading(true);
       setError(null);
       
-      const [ordersData, personnelData] = await Promise.all([
+      const [ordersData, personnelData, logData, failedData] = await Promise.all([
         orderService.getAll(),
-        deliveryPersonnelService.getAll()
+        deliveryPersonnelService.getAll(),
+        dispatchService.getDispatchLog(),
+        orderService.getReattemptQueue()
       ]);
 
-      setOrders(ordersData.filter(order => order.deliveryStatus !== 'delivered'));
+      setOrders(ordersData.filter(order => !['delivered', 'failed', 'returned'].includes(order.deliveryStatus)));
+      setReattemptQueue(failedData);
+      // Disputed deliveries first, then most recent
+      setDeliveredOrders(ordersData
+        .filter(order => order.deliveryStatus === 'delivered')
+        .sort((a, b) => {
+          const disputeA = a.deliveryDispute?.status === 'open' ? 1 : 0;
+          const disputeB = b.deliveryDispute?.status === 'open' ? 1 : 0;
+          if (disputeA !== disputeB) return disputeB - disputeA;
+          return new Date(b.actualDelivery || 0) - new Date(a.actualDelivery || 0);
+        }));
       setPersonnel(personnelData);
+      setDispatchLog(logData);
     } catch (err) {
       setError(err.message);
       toast.error('Failed to load delivery data');
@@ -40,46 +91,64 @@ const DeliveryDashboard = () => {
     }
   };
 
+  const openAssignModal = async (order) => {
+    setSelectedOrder(order);
+    setOverrideReason('');
+    setAssignModalOpen(true);
+    try {
+      setCandidatesLoading(true);
+      setCandidates(await dispatchService.scoreCandidates(order));
+    } catch (err) {
+      toast.error('Failed to rank delivery personnel');
+      setCandidates([]);
+    } finally {
+      setCandidatesLoading(false);
+    }
+  };
+
+  const closeAssignModal = () => {
+    setAssignModalOpen(false);
+    setSelectedOrder(null);
+    setCandidates([]);
+  };
+
   const handleAssignDelivery = async (orderId, personnelId) => {
     try {
-      await orderService.assignDeliveryPersonnel(orderId, personnelId);
-      await deliveryPersonnelService.updateStatus(personnelId, 'on_delivery');
-      
+      await dispatchService.overrideAssignment(orderId, personnelId, overrideReason);
       toast.success('Delivery personnel assigned successfully');
-      setAssignModalOpen(false);
-      setSelectedOrder(null);
+      closeAssignModal();
+      loadData();
+    } catch (err) {
+      toast.error(err.message || 'Failed to assign delivery personnel');
+    }
+  };
+
+  const handleAutoDispatch = async () => {
+    try {
+      setDispatching(true);
+      const results = await dispatchService.dispatchPendingOrders();
+      const assignedCount = results.filter(r => r.assigned).length;
+      if (results.length === 0) {
+        toast.info('No confirmed orders waiting for a rider');
+      } else if (assignedCount === results.length) {
+        toast.success(`Dispatched ${assignedCount} order${assignedCount === 1 ? '' : 's'}`);
+      } else {
+        toast.warning(`Dispatched ${assignedCount} of ${results.length} orders - check the dispatch log`);
+      }
       loadData();
     } catch (err) {
-      toast.error('Failed to assign delivery personnel');
+      toast.error('Auto-dispatch failed');
+    } finally {
+      setDispatching(false);
     }
   };
 
 const handleStatusUpdate = async (orderId, status) => {
     try {
       const actualDelivery = status === 'delivered' ? new Date().toISOString() : null;
+      // The order status follows along, e.g. out_for_delivery -> shipped
       await orderService.updateDeliveryStatus(orderId, status, actualDelivery);
       
-      // Update order status to align with delivery status
-      let orderStatus = null;
-      switch (status) {
-        case 'picked_up':
-          orderStatus = 'packed';
-          break;
-        case 'out_for_delivery':
-          orderStatus = 'shipped';
-          break;
-        case 'delivered':
-          orderStatus = 'delivered';
-          break;
-        default:
-          // For assigned and pending_assignment, maintain current order status
-          break;
-      }
-      
-      if (orderStatus) {
-        await orderService.updateOrderStatus(orderId, orderStatus);
-      }
-      
       if (status === 'delivered') {
         const order = orders.find(o => o.id === orderId);
         if (order?.deliveryPersonId) {
@@ -90,7 +159,70 @@ const handleStatusUpdate = async (orderId, status) => {
       toast.success('Delivery status updated successfully');
       loadData();
     } catch (err) {
-      toast.error('Failed to update delivery status');
+      toast.error(err.message || 'Failed to update delivery status');
+    }
+  };
+
+  const openReattemptModal = async (order) => {
+    setReattemptOrder(order);
+    setReattemptForm({ scheduledFor: '', slot: null, address: order.deliveryAddress?.address || '' });
+    setReattemptSlots(null);
+    try {
+      setReattemptSlots(await deliverySlotService.getAvailableSlots(order.deliveryAddress));
+    } catch (err) {
+      toast.error('Failed to load delivery slots');
+    }
+  };
+
+  const handleScheduleReattempt = async () => {
+    let deliverySlot = null;
+    try {
+      const addressChanged = reattemptForm.address.trim() &&
+        reattemptForm.address.trim() !== reattemptOrder.deliveryAddress?.address;
+      deliverySlot = reattemptForm.slot
+        ? await deliverySlotService.reserveSlot(reattemptOrder.deliveryAddress, reattemptForm.slot.id)
+        : null;
+      await orderService.scheduleReattempt(reattemptOrder.id, {
+        scheduledFor: reattemptForm.scheduledFor,
+        deliverySlot,
+        ...(addressChanged && { deliveryAddress: { address: reattemptForm.address.trim() } })
+      });
+      toast.success(`Order #${reattemptOrder.id} queued for redelivery`);
+      setReattemptOrder(null);
+      loadData();
+    } catch (err) {
+      // Give the held place back if the reattempt didn't go through
+      if (deliverySlot) {
+        deliverySlotService.releaseSlot(deliverySlot.holdId);
+      }
+      toast.error(err.message || 'Failed to schedule reattempt');
+    }
+  };
+
+  const handleReturnToStore = async (order) => {
+    if (!window.confirm(`Return order #${order.id} to store? Items will be restocked and any payment refunded.`)) {
+      return;
+    }
+    try {
+      const returned = await orderService.returnToStore(order.id);
+      toast.success(returned.returnedToStore.refunded
+        ? `Order #${order.id} returned, refund requested`
+        : `Order #${order.id} returned to store`);
+      loadData();
+    } catch (err) {
+      toast.error(err.message || 'Failed to return order');
+    }
+  };
+
+  const handleResolveDispute = async (resolution) => {
+    try {
+      const updated = await orderService.resolveDeliveryDispute(proofOrder.id, resolution, resolutionNotes);
+      toast.success(resolution === 'accepted' ? 'Customer claim accepted' : 'Delivery proof upheld');
+      setProofOrder(updated);
+      setResolutionNotes('');
+      loadData();
+    } catch (err) {
+      toast.error(err.message || 'Failed to resolve dispute');
     }
   };
 
@@ -100,7 +232,8 @@ const handleStatusUpdate = async (orderId, status) => {
       'assigned': 'bg-blue-100 text-blue-800',
       'picked_up': 'bg-purple-100 text-purple-800',
       'out_for_delivery': 'bg-orange-100 text-orange-800',
-      'delivered': 'bg-green-100 text-green-800'
+      'delivered': 'bg-green-100 text-green-800',
+      'failed': 'bg-red-100 text-red-800'
     };
     return colors[status] || 'bg-gray-100 text-gray-800';
   };
@@ -109,11 +242,36 @@ const handleStatusUpdate = async (orderId, status) => {
     const colors = {
       'available': 'bg-green-100 text-green-800',
       'on_delivery': 'bg-blue-100 text-blue-800',
+      'on_break': 'bg-yellow-100 text-yellow-800',
       'off_duty': 'bg-gray-100 text-gray-800'
     };
     return colors[status] || 'bg-gray-100 text-gray-800';
   };
 
+  const mapAreas = useMemo(
+    () => [...new Set(personnel.map(p => (p.zone || '').split(' ')[0]).filter(Boolean))],
+    [personnel]
+  );
+
+  const isStale = (position) => locationStreamService.isStale(position, now);
+
+  const inMapArea = (zoneOrCity) => mapArea === 'all' || (zoneOrCity || '').startsWith(mapArea);
+
+  const mapRiders = personnel
+    .filter(p => p.isActive && p.status !== 'off_duty' && inMapArea(p.zone))
+    .map(p => ({ ...p, position: positions[p.Id] }));
+
+  const mapDropoffs = orders
+    .filter(o => o.deliveryPersonId && inMapArea(o.deliveryAddress?.city))
+    .map(o => ({
+      orderId: o.id,
+      riderId: o.deliveryPersonId,
+      coordinates: o.deliveryAddress?.coordinates,
+      label: o.deliveryAddress?.address
+    }));
+
+  const staleRiders = mapRiders.filter(r => isStale(r.position));
+
   if (loading) {
     return (
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -132,9 +290,18 @@ const handleStatusUpdate = async (orderId, status) => {
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-      <div className="mb-8">
-        <h1 className="text-3xl font-bold text-gray-900 mb-2">Delivery Dashboard</h1>
-        <p className="text-gray-600">Track and manage deliveries in real-time</p>
+      <div className="mb-8 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Delivery Dashboard</h1>
+          <p className="text-gray-600">Track and manage deliveries in real-time</p>
+        </div>
+        <Button
+          icon="Zap"
+          loading={dispatching}
+          onClick={handleAutoDispatch}
+        >
+          Auto-Dispatch
+        </Button>
       </div>
 
       {/* Stats Cards */}
@@ -199,32 +366,52 @@ const handleStatusUpdate = async (orderId, status) => {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Delivery Map */}
         <div className="card p-6">
-          <h2 className="text-xl font-semibold text-gray-900 mb-4">Delivery Map</h2>
-          <div className="bg-gray-100 rounded-lg h-96 flex items-center justify-center mb-4">
-            <div className="text-center">
-              <ApperIcon name="Map" size={48} className="text-gray-400 mx-auto mb-4" />
-              <p className="text-gray-600">Interactive map showing delivery locations</p>
-              <p className="text-sm text-gray-500 mt-2">
-                Map integration would display real-time delivery tracking
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Live Rider Map</h2>
+            <span className="inline-flex items-center space-x-1 text-xs text-gray-500">
+              <ApperIcon name="Radio" size={14} className="text-primary" />
+              <span>{locationStreamService.mode === 'sse' ? 'Live stream' : 'Local feed'}</span>
+            </span>
+          </div>
+          <div className="mb-4">
+            <LiveDeliveryMap riders={mapRiders} dropoffs={mapDropoffs} isStale={isStale} />
+          </div>
+          {staleRiders.length > 0 && (
+            <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <p className="text-sm font-medium text-yellow-800 flex items-center space-x-2 mb-1">
+                <ApperIcon name="AlertTriangle" size={16} />
+                <span>Stale locations</span>
               </p>
+              <ul className="text-xs text-yellow-700 space-y-0.5">
+                {staleRiders.map(rider => (
+                  <li key={rider.Id}>
+                    {rider.name}: {rider.position?.timestamp
+                      ? `last update ${Math.round((now - new Date(rider.position.timestamp).getTime()) / 60000)} min ago`
+                      : 'no live update received'}
+                  </li>
+                ))}
+              </ul>
             </div>
-          </div>
+          )}
           <div className="flex justify-between items-center">
+            <select
+              value={mapArea}
+              onChange={(e) => setMapArea(e.target.value)}
+              className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+            >
+              <option value="all">All areas</option>
+              {mapAreas.map(area => (
+                <option key={area} value={area}>{area}</option>
+              ))}
+            </select>
             <Button
               variant="outline"
-              onClick={() => setMapCenter({ lat: 31.5204, lng: 74.3587 })}
+              onClick={() => setMapArea('all')}
               className="flex items-center space-x-2"
             >
               <ApperIcon name="RotateCcw" size={16} />
               <span>Reset View</span>
             </Button>
-            <Button
-              variant="outline"
-              className="flex items-center space-x-2"
-            >
-              <ApperIcon name="Maximize" size={16} />
-              <span>Fullscreen</span>
-            </Button>
           </div>
         </div>
 
@@ -257,6 +444,21 @@ const handleStatusUpdate = async (orderId, status) => {
         </div>
       </div>
 
+      {/* Shifts and coverage */}
+      <div className="mt-8">
+        <RiderShiftPanel personnel={personnel} onRosterChange={loadData} refreshKey={orders} />
+      </div>
+
+      {/* Cash-on-delivery reconciliation */}
+      <div className="mt-8">
+        <CodReconciliationPanel personnel={personnel} refreshKey={orders} />
+      </div>
+
+      {/* Multi-stop Route Planning */}
+      <div className="mt-8">
+        <RoutePlannerPanel personnel={personnel} refreshKey={orders} />
+      </div>
+
       {/* Orders List */}
       <div className="card p-6 mt-8">
         <h2 className="text-xl font-semibold text-gray-900 mb-4">Active Orders</h2>
@@ -284,6 +486,10 @@ const handleStatusUpdate = async (orderId, status) => {
             <tbody className="bg-white divide-y divide-gray-200">
               {orders.map((order) => {
                 const assignedPersonnel = personnel.find(p => p.Id === order.deliveryPersonId);
+                const nextStatuses = orderStateMachine.getAllowedTransitions(order, 'deliveryStatus');
+                const dispatchBlocker = nextStatuses.includes('assigned')
+                  ? null
+                  : orderStateMachine.getTransitionError(order, { deliveryStatus: 'assigned' });
                 return (
                   <tr key={order.id}>
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -294,6 +500,11 @@ const handleStatusUpdate = async (orderId, status) => {
                         <div className="ml-3">
                           <p className="text-sm font-medium text-gray-900">Order #{order.id}</p>
                           <p className="text-sm text-gray-500">Rs. {order.total.toLocaleString()}</p>
+                          {order.deliverySlot && (
+                            <p className="text-xs text-primary">
+                              {new Date(order.deliverySlot.startsAt).toLocaleDateString()} • {order.deliverySlot.start}-{order.deliverySlot.end}
+                            </p>
+                          )}
                         </div>
                       </div>
                     </td>
@@ -320,19 +531,21 @@ const handleStatusUpdate = async (orderId, status) => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                       <div className="flex space-x-2">
-                        {!order.deliveryPersonId && (
+                        {nextStatuses.includes('assigned') && (
                           <Button
                             variant="outline"
                             size="sm"
-                            onClick={() => {
-                              setSelectedOrder(order);
-                              setAssignModalOpen(true);
-                            }}
+                            onClick={() => openAssignModal(order)}
                           >
-                            Assign
+                            {order.deliveryPersonId ? 'Reassign' : 'Assign'}
                           </Button>
                         )}
-                        {order.deliveryStatus === 'assigned' && (
+                        {dispatchBlocker && !order.deliveryPersonId && (
+                          <span className="text-xs text-orange-600 self-center whitespace-normal max-w-[12rem]">
+                            {dispatchBlocker}
+                          </span>
+                        )}
+                        {nextStatuses.includes('picked_up') && (
                           <Button
                             variant="outline"
                             size="sm"
@@ -341,7 +554,7 @@ const handleStatusUpdate = async (orderId, status) => {
                             Picked Up
                           </Button>
                         )}
-                        {order.deliveryStatus === 'picked_up' && (
+                        {nextStatuses.includes('out_for_delivery') && (
                           <Button
                             variant="outline"
                             size="sm"
@@ -350,7 +563,7 @@ const handleStatusUpdate = async (orderId, status) => {
                             Out for Delivery
                           </Button>
                         )}
-                        {order.deliveryStatus === 'out_for_delivery' && (
+                        {nextStatuses.includes('delivered') && (
                           <Button
                             variant="primary"
                             size="sm"
@@ -359,6 +572,14 @@ const handleStatusUpdate = async (orderId, status) => {
                             Mark Delivered
                           </Button>
                         )}
+                        <Button
+                          variant="ghost"
+                          size="small"
+                          icon="History"
+                          onClick={() => setHistoryOrder(order)}
+                        >
+                          History
+                        </Button>
                       </div>
                     </td>
                   </tr>
@@ -369,32 +590,362 @@ const handleStatusUpdate = async (orderId, status) => {
         </div>
       </div>
 
+      {/* Failed deliveries awaiting reattempt or return */}
+      {reattemptQueue.length > 0 && (
+        <div className="card p-6 mt-8">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Failed Deliveries</h2>
+            <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+              {reattemptQueue.length} waiting
+            </span>
+          </div>
+          <div className="space-y-3">
+            {reattemptQueue.map((order) => {
+              const failure = order.deliveryFailure || {};
+              const attempts = (order.deliveryAttempts || []).length;
+              const rider = personnel.find(p => p.Id === failure.riderId);
+              return (
+                <div key={order.id} className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-4 bg-red-50 rounded-lg">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      Order #{order.id} • {order.deliveryAddress?.name} • {order.deliveryAddress?.city}
+                    </p>
+                    <p className="text-sm text-red-700">
+                      {DELIVERY_FAILURE_REASONS[failure.reasonCode] || 'Unknown reason'}
+                      {failure.notes && ` — ${failure.notes}`}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Attempt {attempts} of {orderService.maxDeliveryAttempts}
+                      {rider && ` • ${rider.name}`}
+                      {failure.failedAt && ` • ${new Date(failure.failedAt).toLocaleString()}`}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2">
+                    <Button
+                      variant="ghost"
+                      size="small"
+                      icon="History"
+                      onClick={() => setHistoryOrder(order)}
+                    >
+                      History
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="small"
+                      icon="CalendarClock"
+                      disabled={attempts >= orderService.maxDeliveryAttempts}
+                      onClick={() => openReattemptModal(order)}
+                    >
+                      Reattempt
+                    </Button>
+                    <Button
+                      variant="danger"
+                      size="small"
+                      icon="Undo2"
+                      onClick={() => handleReturnToStore(order)}
+                    >
+                      Return to Store
+                    </Button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Proof of Delivery Review */}
+      <div className="card p-6 mt-8">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Proof of Delivery</h2>
+        {deliveredOrders.length === 0 ? (
+          <p className="text-sm text-gray-500">No delivered orders yet.</p>
+        ) : (
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {deliveredOrders.map((order) => {
+              const proof = order.proofOfDelivery;
+              const rider = personnel.find(p => p.Id === order.deliveryPersonId);
+              return (
+                <div key={order.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      Order #{order.id} • {order.deliveryAddress?.name}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {rider?.name || 'Unknown rider'}
+                      {order.actualDelivery && ` • ${new Date(order.actualDelivery).toLocaleString()}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {order.deliveryDispute?.status === 'open' && (
+                      <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                        Disputed
+                      </span>
+                    )}
+                    {proof ? (
+                      <>
+                        {proof.otpVerified && <ApperIcon name="KeyRound" size={16} className="text-green-600" />}
+                        {proof.signature && <ApperIcon name="PenTool" size={16} className="text-green-600" />}
+                        {proof.photo && <ApperIcon name="Camera" size={16} className="text-green-600" />}
+                      </>
+                    ) : (
+                      <span className="text-xs text-gray-400">No proof</span>
+                    )}
+                    <Button variant="outline" size="small" onClick={() => setProofOrder(order)}>
+                      Review
+                    </Button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Dispatch Log */}
+      <div className="card p-6 mt-8">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Dispatch Log</h2>
+        {dispatchLog.length === 0 ? (
+          <p className="text-sm text-gray-500">No dispatch decisions yet. Run auto-dispatch or assign an order.</p>
+        ) : (
+          <div className="space-y-3 max-h-96 overflow-y-auto">
+            {dispatchLog.map((entry) => (
+              <div key={entry.id} className="p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-center justify-between mb-1">
+                  <p className="text-sm font-medium text-gray-900">
+                    Order #{entry.orderId} → {entry.riderName || 'Unassigned'}
+                  </p>
+                  <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${
+                    entry.mode === 'manual' ? 'bg-orange-100 text-orange-800' : 'bg-blue-100 text-blue-800'
+                  }`}>
+                    {entry.mode === 'manual' ? 'Manual override' : `Auto${entry.score !== null ? ` • score ${entry.score}` : ''}`}
+                  </span>
+                </div>
+                <ul className="text-xs text-gray-600 list-disc list-inside">
+                  {entry.reasons.map((reason, index) => (
+                    <li key={index}>{reason}</li>
+                  ))}
+                </ul>
+                <p className="text-xs text-gray-400 mt-1">
+                  {new Date(entry.createdAt).toLocaleString()}
+                  {entry.decidedBy && ` • by ${entry.decidedBy}`}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Reattempt Modal */}
+      {reattemptOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full m-4">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Reattempt Order #{reattemptOrder.id}</h3>
+              <button onClick={() => setReattemptOrder(null)} className="text-gray-400 hover:text-gray-600">
+                <ApperIcon name="X" size={20} />
+              </button>
+            </div>
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">New delivery slot</label>
+                {reattemptSlots ? (
+                  <DeliverySlotPicker
+                    slots={reattemptSlots.slots}
+                    selectedSlotId={reattemptForm.slot?.id}
+                    onSelect={(slot) => setReattemptForm({ ...reattemptForm, slot })}
+                  />
+                ) : (
+                  // Addresses outside the slot zones get a free-form time
+                  <input
+                    type="datetime-local"
+                    value={reattemptForm.scheduledFor}
+                    onChange={(e) => setReattemptForm({ ...reattemptForm, scheduledFor: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                  />
+                )}
+              </div>
+              {reattemptOrder.deliveryFailure?.reasonCode === 'wrong_address' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Corrected address</label>
+                  <textarea
+                    value={reattemptForm.address}
+                    onChange={(e) => setReattemptForm({ ...reattemptForm, address: e.target.value })}
+                    rows={2}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                  />
+                </div>
+              )}
+              <div className="flex justify-end space-x-2">
+                <Button variant="outline" onClick={() => setReattemptOrder(null)}>
+                  Cancel
+                </Button>
+                <Button
+                  disabled={!reattemptForm.slot && !reattemptForm.scheduledFor}
+                  onClick={handleScheduleReattempt}
+                >
+                  Schedule Reattempt
+                </Button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Proof Review Modal */}
+      {proofOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-lg w-full m-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Order #{proofOrder.id} • Proof of Delivery</h3>
+              <button onClick={() => setProofOrder(null)} className="text-gray-400 hover:text-gray-600">
+                <ApperIcon name="X" size={20} />
+              </button>
+            </div>
+
+            {proofOrder.deliveryDispute && (
+              <div className={`mb-4 p-3 rounded-lg border ${
+                proofOrder.deliveryDispute.status === 'open' ? 'bg-red-50 border-red-200' : 'bg-gray-50 border-gray-200'
+              }`}>
+                <p className="text-sm font-medium text-gray-900">
+                  Customer dispute • {proofOrder.deliveryDispute.status}
+                </p>
+                <p className="text-sm text-gray-700">{proofOrder.deliveryDispute.reason}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Reported {new Date(proofOrder.deliveryDispute.reportedAt).toLocaleString()}
+                </p>
+                {proofOrder.deliveryDispute.resolutionNotes && (
+                  <p className="text-xs text-gray-600 mt-1">{proofOrder.deliveryDispute.resolutionNotes}</p>
+                )}
+              </div>
+            )}
+
+            {proofOrder.proofOfDelivery ? (
+              <div className="space-y-3 text-sm">
+                <div className="grid grid-cols-2 gap-2">
+                  <p className="text-gray-600">Captured</p>
+                  <p className="text-gray-900">{new Date(proofOrder.proofOfDelivery.capturedAt).toLocaleString()}</p>
+                  <p className="text-gray-600">OTP</p>
+                  <p className={proofOrder.proofOfDelivery.otpVerified ? 'text-green-600' : 'text-gray-400'}>
+                    {proofOrder.proofOfDelivery.otpVerified ? 'Verified' : 'Not used'}
+                  </p>
+                  <p className="text-gray-600">Received by</p>
+                  <p className="text-gray-900">{proofOrder.proofOfDelivery.recipientName || '—'}</p>
+                  <p className="text-gray-600">Location</p>
+                  <p className="text-gray-900">
+                    {proofOrder.proofOfDelivery.location
+                      ? `${proofOrder.proofOfDelivery.location.lat.toFixed(5)}, ${proofOrder.proofOfDelivery.location.lng.toFixed(5)}`
+                      : '—'}
+                  </p>
+                </div>
+                {proofOrder.proofOfDelivery.signature && (
+                  <div>
+                    <p className="text-gray-600 mb-1">Signature</p>
+                    <img src={proofOrder.proofOfDelivery.signature} alt="Customer signature" className="w-full border rounded-lg bg-white" />
+                  </div>
+                )}
+                {proofOrder.proofOfDelivery.photo && (
+                  <div>
+                    <p className="text-gray-600 mb-1">Doorstep photo</p>
+                    <img src={proofOrder.proofOfDelivery.photo} alt="Doorstep" className="w-full rounded-lg" />
+                  </div>
+                )}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No proof of delivery was captured for this order.</p>
+            )}
+
+            <div className="mt-6">
+              <p className="text-sm font-medium text-gray-900 mb-3">Status history</p>
+              <DeliveryStatusHistory order={proofOrder} personnel={personnel} detailed />
+            </div>
+
+            {proofOrder.deliveryDispute?.status === 'open' && (
+              <div className="mt-6 space-y-3">
+                <textarea
+                  value={resolutionNotes}
+                  onChange={(e) => setResolutionNotes(e.target.value)}
+                  placeholder="Resolution notes shown to the customer"
+                  rows={2}
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                />
+                <div className="flex justify-end space-x-2">
+                  <Button variant="outline" onClick={() => handleResolveDispute('rejected')}>
+                    Uphold Delivery
+                  </Button>
+                  <Button variant="danger" onClick={() => handleResolveDispute('accepted')}>
+                    Accept Claim
+                  </Button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Status History Modal */}
+      {historyOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-lg w-full m-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Order #{historyOrder.id} • Status History</h3>
+              <button onClick={() => setHistoryOrder(null)} className="text-gray-400 hover:text-gray-600">
+                <ApperIcon name="X" size={20} />
+              </button>
+            </div>
+            <DeliveryStatusHistory order={historyOrder} personnel={personnel} detailed />
+          </div>
+        </div>
+      )}
+
       {/* Assignment Modal */}
       {assignModalOpen && selectedOrder && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 max-w-md w-full m-4">
+          <div className="bg-white rounded-lg p-6 max-w-lg w-full m-4">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">
-              Assign Delivery Personnel
+              {selectedOrder.deliveryPersonId ? 'Reassign' : 'Assign'} Delivery Personnel
             </h3>
             <p className="text-sm text-gray-600 mb-4">
-              Order #{selectedOrder.id} to {selectedOrder.deliveryAddress.city}
+              Order #{selectedOrder.id} to {selectedOrder.deliveryAddress.city} • riders ranked by the dispatch engine
             </p>
-            <div className="space-y-2 max-h-60 overflow-y-auto">
-              {personnel.filter(p => p.status === 'available').map((person) => (
+            <textarea
+              value={overrideReason}
+              onChange={(e) => setOverrideReason(e.target.value)}
+              placeholder="Reason for manual assignment (optional)"
+              rows={2}
+              className="w-full px-3 py-2 mb-4 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+            />
+            <div className="space-y-2 max-h-72 overflow-y-auto">
+              {candidatesLoading ? (
+                <p className="text-sm text-gray-500 text-center py-4">Ranking riders...</p>
+              ) : candidates.map((candidate) => (
                 <div
-                  key={person.Id}
-                  className="flex items-center justify-between p-3 border rounded-lg hover:bg-gray-50 cursor-pointer"
-                  onClick={() => handleAssignDelivery(selectedOrder.id, person.Id)}
+                  key={candidate.riderId}
+                  className={`flex items-center justify-between p-3 border rounded-lg ${
+                    candidate.riderId === selectedOrder.deliveryPersonId
+                      ? 'opacity-50'
+                      : 'hover:bg-gray-50 cursor-pointer'
+                  }`}
+                  onClick={() => candidate.riderId !== selectedOrder.deliveryPersonId &&
+                    handleAssignDelivery(selectedOrder.id, candidate.riderId)}
                 >
                   <div>
-                    <p className="font-medium text-gray-900">{person.name}</p>
-                    <p className="text-sm text-gray-600">{person.zone} • {person.vehicleType}</p>
+                    <p className="font-medium text-gray-900">{candidate.name}</p>
+                    <p className="text-sm text-gray-600">
+                      {candidate.zone} • {candidate.vehicleType} • {candidate.activeLoad}/{candidate.capacity} orders
+                      {candidate.distanceKm !== null && ` • ${candidate.distanceKm} km`}
+                    </p>
+                    {!candidate.eligible && (
+                      <p className="text-xs text-red-600">{candidate.rejectedReason}</p>
+                    )}
                   </div>
                   <div className="text-right">
                     <div className="flex items-center space-x-1">
                       <ApperIcon name="Star" size={14} className="text-yellow-400" />
-                      <span className="text-sm text-gray-600">{person.rating}</span>
+                      <span className="text-sm text-gray-600">{candidate.rating}</span>
                     </div>
+                    {candidate.eligible && (
+                      <p className="text-xs text-gray-500">Score {Math.round(candidate.score * 100)}</p>
+                    )}
                   </div>
                 </div>
               ))}
@@ -402,10 +953,7 @@ const handleStatusUpdate = async (orderId, status) => {
             <div className="flex justify-end space-x-2 mt-6">
               <Button
                 variant="outline"
-                onClick={() => {
-                  setAssignModalOpen(false);
-                  setSelectedOrder(null);
-                }}
+                onClick={closeAssignModal}
               >
                 Cancel
               </Button>
@@ -0,0 +1,299 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Input from '@/components/atoms/Input';
+import Loading from '@/components/ui/Loading';
+import Error from '@/components/ui/Error';
+import { deliveryFeeService } from '@/services/api/deliveryFeeService';
+
+const toNumber = (value) => (value === '' ? '' : Number(value));
+
+const ZoneFeeCard = ({ zone, onSave }) => {
+  const [form, setForm] = useState(zone);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(zone);
+  }, [zone]);
+
+  const updateRing = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      feeRings: prev.feeRings.map((ring, i) => (i === index ? { ...ring, [field]: toNumber(value) } : ring))
+    }));
+  };
+
+  const addRing = () => {
+    const last = form.feeRings[form.feeRings.length - 1];
+    setForm(prev => ({
+      ...prev,
+      feeRings: [...prev.feeRings, { maxKm: (last?.maxKm || 0) + 5, fee: (last?.fee || 0) + 50 }]
+    }));
+  };
+
+  const removeRing = (index) => {
+    setForm(prev => ({ ...prev, feeRings: prev.feeRings.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await onSave(zone.Id, {
+        minimumOrder: Number(form.minimumOrder),
+        freeDeliveryThreshold: Number(form.freeDeliveryThreshold),
+        fallbackFee: Number(form.fallbackFee),
+        feeRings: form.feeRings.map(ring => ({ maxKm: Number(ring.maxKm), fee: Number(ring.fee) }))
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{zone.name}</h3>
+          <p className="text-sm text-gray-500">
+            Hub {zone.hub.lat.toFixed(4)}, {zone.hub.lng.toFixed(4)} • {zone.postalCodes.join(', ')}
+          </p>
+        </div>
+        <Button size="small" icon="Save" loading={saving} onClick={handleSave}>
+          Save
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <Input
+          label="Minimum Order (Rs.)"
+          type="number"
+          min="0"
+          value={form.minimumOrder}
+          onChange={(e) => setForm({ ...form, minimumOrder: toNumber(e.target.value) })}
+        />
+        <Input
+          label="Free Delivery From (Rs.)"
+          type="number"
+          min="0"
+          value={form.freeDeliveryThreshold}
+          onChange={(e) => setForm({ ...form, freeDeliveryThreshold: toNumber(e.target.value) })}
+        />
+        <Input
+          label="Fee Without Location (Rs.)"
+          type="number"
+          min="0"
+          value={form.fallbackFee}
+          onChange={(e) => setForm({ ...form, fallbackFee: toNumber(e.target.value) })}
+        />
+      </div>
+
+      <p className="text-sm font-medium text-gray-700 mb-2">Distance rings from hub</p>
+      <div className="space-y-2">
+        {form.feeRings.map((ring, index) => (
+          <div key={index} className="flex items-center space-x-3">
+            <span className="text-sm text-gray-500 w-20">
+              {index === 0 ? '0' : form.feeRings[index - 1].maxKm} km to
+            </span>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={ring.maxKm}
+              onChange={(e) => updateRing(index, 'maxKm', e.target.value)}
+              className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+            />
+            <span className="text-sm text-gray-500">km: Rs.</span>
+            <input
+              type="number"
+              min="0"
+              value={ring.fee}
+              onChange={(e) => updateRing(index, 'fee', e.target.value)}
+              className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+            />
+            <button
+              type="button"
+              onClick={() => removeRing(index)}
+              disabled={form.feeRings.length === 1}
+              className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+            >
+              <ApperIcon name="Trash2" size={16} />
+            </button>
+          </div>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={addRing}
+        className="mt-3 text-sm text-primary hover:underline flex items-center space-x-1"
+      >
+        <ApperIcon name="Plus" size={14} />
+        <span>Add ring</span>
+      </button>
+      <p className="text-xs text-gray-500 mt-2">
+        Addresses beyond the last ring cannot be delivered to.
+      </p>
+    </div>
+  );
+};
+
+const DeliveryFeeSettings = () => {
+  const [zones, setZones] = useState([]);
+  const [config, setConfig] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [savingConfig, setSavingConfig] = useState(false);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [zonesData, configData] = await Promise.all([
+        deliveryFeeService.getZones(),
+        deliveryFeeService.getConfig()
+      ]);
+      setZones(zonesData);
+      setConfig(configData);
+    } catch (err) {
+      setError(err.message);
+      toast.error('Failed to load delivery fee settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveZone = async (id, zoneData) => {
+    try {
+      const updated = await deliveryFeeService.updateZone(id, zoneData);
+      setZones(prev => prev.map(zone => (zone.Id === id ? updated : zone)));
+      toast.success(`${updated.name} fees updated`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to update zone');
+    }
+  };
+
+  const updateSurcharge = (key, field, value) => {
+    setConfig(prev => ({
+      ...prev,
+      surcharges: { ...prev.surcharges, [key]: { ...prev.surcharges[key], [field]: toNumber(value) } }
+    }));
+  };
+
+  const handleSaveConfig = async () => {
+    try {
+      setSavingConfig(true);
+      const updated = await deliveryFeeService.updateConfig({
+        defaultFee: Number(config.defaultFee),
+        defaultFreeDeliveryThreshold: Number(config.defaultFreeDeliveryThreshold),
+        surcharges: {
+          express: {
+            fee: Number(config.surcharges.express.fee),
+            withinMinutes: Number(config.surcharges.express.withinMinutes)
+          },
+          lateNight: {
+            fee: Number(config.surcharges.lateNight.fee),
+            fromHour: Number(config.surcharges.lateNight.fromHour)
+          }
+        }
+      });
+      setConfig(updated);
+      toast.success('Delivery fee settings saved');
+    } catch (err) {
+      toast.error(err.message || 'Failed to save settings');
+    } finally {
+      setSavingConfig(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Loading type="dashboard" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Error message={error} onRetry={loadData} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Delivery Fees</h1>
+        <p className="text-gray-600">Distance pricing, free-delivery thresholds and minimum orders per zone</p>
+      </div>
+
+      {/* Global settings */}
+      <div className="card p-6 mb-8">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Surcharges & Defaults</h2>
+          <Button icon="Save" loading={savingConfig} onClick={handleSaveConfig}>
+            Save Settings
+          </Button>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          <Input
+            label="Express Surcharge (Rs.)"
+            type="number"
+            min="0"
+            value={config.surcharges.express.fee}
+            onChange={(e) => updateSurcharge('express', 'fee', e.target.value)}
+          />
+          <Input
+            label="Express When Slot Starts Within (min)"
+            type="number"
+            min="0"
+            value={config.surcharges.express.withinMinutes}
+            onChange={(e) => updateSurcharge('express', 'withinMinutes', e.target.value)}
+          />
+          <Input
+            label="Late-night Surcharge (Rs.)"
+            type="number"
+            min="0"
+            value={config.surcharges.lateNight.fee}
+            onChange={(e) => updateSurcharge('lateNight', 'fee', e.target.value)}
+          />
+          <Input
+            label="Late-night From Hour (0-23)"
+            type="number"
+            min="0"
+            max="23"
+            value={config.surcharges.lateNight.fromHour}
+            onChange={(e) => updateSurcharge('lateNight', 'fromHour', e.target.value)}
+          />
+          <Input
+            label="Fee Outside Zones (Rs.)"
+            type="number"
+            min="0"
+            value={config.defaultFee}
+            onChange={(e) => setConfig({ ...config, defaultFee: toNumber(e.target.value) })}
+          />
+          <Input
+            label="Free Delivery Outside Zones From (Rs.)"
+            type="number"
+            min="0"
+            value={config.defaultFreeDeliveryThreshold}
+            onChange={(e) => setConfig({ ...config, defaultFreeDeliveryThreshold: toNumber(e.target.value) })}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {zones.map(zone => (
+          <ZoneFeeCard key={zone.Id} zone={zone} onSave={handleSaveZone} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryFeeSettings;
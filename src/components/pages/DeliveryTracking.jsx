@@ -7,6 +7,7 @@ import Input from '@/components/atoms/Input';
 import Loading from '@/components/ui/Loading';
 import Error from '@/components/ui/Error';
 import Badge from '@/components/atoms/Badge';
+import RoutePlannerPanel from '@/components/organisms/RoutePlannerPanel';
 import { orderService } from '@/services/api/orderService';
 import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
 
@@ -63,7 +64,7 @@ const DeliveryTracking = () => {
       setSelectedOrder(null);
       toast.success('Delivery personnel assigned successfully');
     } catch (err) {
-      toast.error('Failed to assign delivery personnel');
+      toast.error(err.message || 'Failed to assign delivery personnel');
     }
   };
 
@@ -73,7 +74,7 @@ const DeliveryTracking = () => {
       await loadData();
       toast.success('Delivery status updated successfully');
     } catch (err) {
-      toast.error('Failed to update delivery status');
+      toast.error(err.message || 'Failed to update delivery status');
     }
   };
 
@@ -365,6 +366,11 @@ const DeliveryTracking = () => {
         </div>
       )}
 
+      {/* Multi-stop Route Planning */}
+      <div className="mt-8">
+        <RoutePlannerPanel personnel={personnel} refreshKey={orders} />
+      </div>
+
       {/* Personnel Status */}
       <div className="card p-6 mt-8">
         <h2 className="text-xl font-semibold text-gray-900 mb-6">Delivery Personnel Status</h2>
@@ -0,0 +1,601 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { toast } from "react-toastify";
+import { format } from "date-fns";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import Input from "@/components/atoms/Input";
+import Badge from "@/components/atoms/Badge";
+import Loading from "@/components/ui/Loading";
+import Error from "@/components/ui/Error";
+import ProofOfDeliveryCapture from "@/components/molecules/ProofOfDeliveryCapture";
+import { DELIVERY_FAILURE_REASONS, orderService } from "@/services/api/orderService";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { routePlannerService } from "@/services/api/routePlannerService";
+import { locationStreamService } from "@/services/api/locationStreamService";
+import { riderShiftService } from "@/services/api/riderShiftService";
+import { codReconciliationService } from "@/services/api/codReconciliationService";
+import { selectDriverSession, signInDriver, signOutDriver } from "@/store/driverSlice";
+
+// Next step a rider can take from each delivery status
+const nextDeliveryAction = {
+  'assigned': { status: 'picked_up', label: 'Picked Up', icon: 'PackageCheck', variant: 'outline' },
+  'picked_up': { status: 'in_transit', label: 'Start Delivery', icon: 'Truck', variant: 'secondary' },
+  'in_transit': { status: 'delivered', label: 'Mark Delivered', icon: 'CheckCircle', variant: 'primary' },
+  'out_for_delivery': { status: 'delivered', label: 'Mark Delivered', icon: 'CheckCircle', variant: 'primary' }
+};
+
+const deliveryStatusBadges = {
+  'assigned': { variant: 'info', label: 'Assigned' },
+  'picked_up': { variant: 'warning', label: 'Picked Up' },
+  'in_transit': { variant: 'secondary', label: 'In Transit' },
+  'out_for_delivery': { variant: 'secondary', label: 'In Transit' }
+};
+
+const getDirectionsUrl = (coordinates) =>
+  `https://www.google.com/maps/dir/?api=1&destination=${coordinates.lat},${coordinates.lng}`;
+
+const DriverSignIn = ({ onSignIn }) => {
+  const [phone, setPhone] = useState('');
+  const [pin, setPin] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!phone.trim() || !pin.trim()) {
+      toast.error('Enter your phone and PIN');
+      return;
+    }
+    try {
+      setSubmitting(true);
+      const rider = await deliveryPersonnelService.authenticate(phone, pin);
+      onSignIn(rider);
+      toast.success(`Welcome, ${rider.name}`);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="card p-6 w-full max-w-sm space-y-4">
+        <div className="flex items-center space-x-2 mb-2">
+          <div className="bg-gradient-to-r from-primary to-accent p-2 rounded-lg">
+            <ApperIcon name="Bike" size={24} className="text-white" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold gradient-text">FreshMart Rider</h1>
+            <p className="text-sm text-gray-600">Sign in to see your deliveries</p>
+          </div>
+        </div>
+        <Input
+          label="Phone Number"
+          type="tel"
+          value={phone}
+          onChange={(e) => setPhone(e.target.value)}
+          placeholder="+92 300 1111111"
+          icon="Phone"
+          required
+        />
+        <Input
+          label="PIN"
+          type="password"
+          inputMode="numeric"
+          autoComplete="current-password"
+          value={pin}
+          onChange={(e) => setPin(e.target.value)}
+          placeholder="4-digit PIN"
+          icon="KeyRound"
+          required
+        />
+        <Button type="submit" loading={submitting} className="w-full">
+          Sign In
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+const FailedDeliveryForm = ({ order, onSubmit, onCancel }) => {
+  const [reasonCode, setReasonCode] = useState('customer_unreachable');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      await onSubmit(reasonCode, notes);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-end sm:items-center justify-center z-50">
+      <div className="bg-white rounded-t-2xl sm:rounded-lg p-5 w-full max-w-md">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Couldn't deliver #{order.id}</h3>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <ApperIcon name="X" size={20} />
+          </button>
+        </div>
+        <div className="space-y-2 mb-4">
+          {Object.entries(DELIVERY_FAILURE_REASONS).map(([code, label]) => (
+            <label
+              key={code}
+              className={`flex items-center space-x-3 p-3 rounded-lg border-2 cursor-pointer ${
+                reasonCode === code ? 'border-primary bg-green-50' : 'border-gray-200'
+              }`}
+            >
+              <input
+                type="radio"
+                name="failure-reason"
+                value={code}
+                checked={reasonCode === code}
+                onChange={() => setReasonCode(code)}
+              />
+              <span className="text-sm text-gray-900">{label}</span>
+            </label>
+          ))}
+        </div>
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={2}
+          placeholder="Notes for dispatch (optional)"
+          className="w-full px-3 py-2 mb-4 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+        />
+        <Button
+          variant="danger"
+          icon="PackageX"
+          onClick={handleSubmit}
+          loading={submitting}
+          disabled={reasonCode === 'other' && !notes.trim()}
+          className="w-full"
+        >
+          Report Failed Delivery
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const DriverOrderCard = ({ order, stop, leg, updating, onAdvance, onFail }) => {
+  const action = nextDeliveryAction[order.deliveryStatus];
+  const badge = deliveryStatusBadges[order.deliveryStatus];
+  const coordinates = order.deliveryAddress?.coordinates;
+  const isCash = order.paymentMethod === 'cash' && order.paymentStatus !== 'completed';
+
+  return (
+    <div className="card p-4">
+      <div className="flex items-start justify-between mb-3">
+        <div className="flex items-center space-x-3">
+          <div className="bg-primary text-white w-8 h-8 rounded-full flex items-center justify-center font-bold">
+            {stop}
+          </div>
+          <div>
+            <p className="font-semibold text-gray-900">Order #{order.id}</p>
+            {order.estimatedDelivery && (
+              <p className="text-xs text-gray-500">
+                Due {format(new Date(order.estimatedDelivery), 'MMM dd • hh:mm a')}
+              </p>
+            )}
+            {leg?.eta && (
+              <p className="text-xs text-primary">
+                {leg.legDistanceKm} km • arrive ~{format(new Date(leg.eta), 'hh:mm a')}
+              </p>
+            )}
+          </div>
+        </div>
+        {badge && <Badge variant={badge.variant} size="small">{badge.label}</Badge>}
+      </div>
+
+      <div className="space-y-1 mb-3">
+        <p className="font-medium text-gray-900">{order.deliveryAddress?.name}</p>
+        <p className="text-sm text-gray-600">
+          {order.deliveryAddress?.address}, {order.deliveryAddress?.city}
+        </p>
+        {order.deliveryAddress?.instructions && (
+          <p className="text-sm text-orange-700 flex items-start space-x-1">
+            <ApperIcon name="MessageSquare" size={14} className="mt-0.5 flex-shrink-0" />
+            <span>{order.deliveryAddress.instructions}</span>
+          </p>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between text-sm mb-4">
+        <span className="text-gray-600">{(order.items || []).length} items</span>
+        {isCash ? (
+          <span className="font-semibold text-secondary">
+            Collect Rs. {(order.total || 0).toLocaleString()}
+          </span>
+        ) : (
+          <span className="text-green-600 font-medium">Prepaid</span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        <a
+          href={`tel:${(order.deliveryAddress?.phone || '').replace(/\s/g, '')}`}
+          className="flex items-center justify-center space-x-2 py-2 border-2 border-primary text-primary rounded-lg font-medium"
+        >
+          <ApperIcon name="Phone" size={16} />
+          <span>Call</span>
+        </a>
+        {coordinates ? (
+          <a
+            href={getDirectionsUrl(coordinates)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex items-center justify-center space-x-2 py-2 border-2 border-primary text-primary rounded-lg font-medium"
+          >
+            <ApperIcon name="Navigation" size={16} />
+            <span>Directions</span>
+          </a>
+        ) : (
+          <span className="flex items-center justify-center py-2 text-xs text-gray-400 border-2 border-gray-200 rounded-lg">
+            No coordinates
+          </span>
+        )}
+      </div>
+
+      {action && (
+        <Button
+          variant={action.variant}
+          icon={action.icon}
+          loading={updating}
+          onClick={() => onAdvance(order, action.status)}
+          className="w-full"
+        >
+          {action.label}
+        </Button>
+      )}
+      {order.deliveryStatus !== 'assigned' && (
+        <button
+          onClick={() => onFail(order)}
+          className="w-full mt-2 py-2 text-sm text-red-600 hover:text-red-700 font-medium"
+        >
+          Couldn't deliver
+        </button>
+      )}
+    </div>
+  );
+};
+
+const DriverApp = () => {
+  const dispatch = useDispatch();
+  const session = useSelector(selectDriverSession);
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [updatingOrderId, setUpdatingOrderId] = useState(null);
+  const [sharingLocation, setSharingLocation] = useState(true);
+  const [locationError, setLocationError] = useState(null);
+  const [proofOrder, setProofOrder] = useState(null);
+  const [failedOrder, setFailedOrder] = useState(null);
+  const [shift, setShift] = useState(null);
+  const [shiftUpdating, setShiftUpdating] = useState(false);
+  const [cashInHand, setCashInHand] = useState(null);
+  const [handingIn, setHandingIn] = useState(false);
+  // Amount the rider says they are handing in; null while the form is closed
+  const [declaredCash, setDeclaredCash] = useState(null);
+
+  useEffect(() => {
+    if (session.riderId) {
+      loadQueue();
+      setShift(riderShiftService.getSession(session.riderId));
+    }
+  }, [session.riderId]);
+
+  // Push GPS positions to dispatch while the rider is signed in and sharing
+  useEffect(() => {
+    if (!session.riderId || !sharingLocation) {
+      return undefined;
+    }
+    setLocationError(null);
+    return locationStreamService.startSharing(session.riderId, {
+      onError: (err) => setLocationError(err.message)
+    });
+  }, [session.riderId, sharingLocation]);
+
+  const loadQueue = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [plan, holding] = await Promise.all([
+        routePlannerService.planRoute(session.riderId),
+        codReconciliationService.getCashInHand(session.riderId)
+      ]);
+      setQueue(plan.stops);
+      setCashInHand(holding);
+    } catch (err) {
+      setError(err.message);
+      toast.error('Failed to load your deliveries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Who and where, for the order's status history
+  const riderAudit = () => {
+    const position = locationStreamService.getLatestPosition(session.riderId);
+    return {
+      changedBy: { role: 'rider', id: session.riderId, name: session.riderName },
+      location: position ? { lat: position.lat, lng: position.lng, recordedAt: position.timestamp } : null
+    };
+  };
+
+  const handleAdvance = async (order, status) => {
+    // Delivery can only be completed with proof captured at the door
+    if (status === 'delivered') {
+      setProofOrder(order);
+      return;
+    }
+    try {
+      setUpdatingOrderId(order.id);
+      await orderService.updateDeliveryStatus(order.id, status, null, riderAudit());
+      toast.success(`Order #${order.id} ${status.replace('_', ' ')}`);
+      await loadQueue();
+    } catch (err) {
+      toast.error(err.message || 'Failed to update delivery status');
+    } finally {
+      setUpdatingOrderId(null);
+    }
+  };
+
+  const handleProofSubmit = async (proof) => {
+    const order = proofOrder;
+    try {
+      setUpdatingOrderId(order.id);
+      const position = locationStreamService.getLatestPosition(session.riderId);
+      await orderService.completeDelivery(order.id, {
+        ...proof,
+        capturedBy: session.riderId,
+        location: position ? { lat: position.lat, lng: position.lng } : null
+      });
+
+      // Free the rider once the last drop of the run is done
+      if (queue.length === 1) {
+        await deliveryPersonnelService.updateStatus(session.riderId, 'available');
+      }
+
+      setProofOrder(null);
+      toast.success(`Order #${order.id} delivered`);
+      await loadQueue();
+    } catch (err) {
+      toast.error(err.message || 'Failed to complete delivery');
+    } finally {
+      setUpdatingOrderId(null);
+    }
+  };
+
+  const handleFailureSubmit = async (reasonCode, notes) => {
+    const order = failedOrder;
+    try {
+      setUpdatingOrderId(order.id);
+      await orderService.reportDeliveryFailure(order.id, reasonCode, notes, session.riderId, riderAudit());
+      if (queue.length === 1) {
+        await deliveryPersonnelService.updateStatus(session.riderId, 'available');
+      }
+      setFailedOrder(null);
+      toast.info(`Order #${order.id} sent back to dispatch`);
+      await loadQueue();
+    } catch (err) {
+      toast.error(err.message || 'Failed to report delivery');
+    } finally {
+      setUpdatingOrderId(null);
+    }
+  };
+
+  const shiftActions = {
+    clockIn: (riderId) => riderShiftService.clockIn(riderId),
+    clockOut: (riderId) => riderShiftService.clockOut(riderId),
+    startBreak: (riderId) => riderShiftService.startBreak(riderId),
+    endBreak: (riderId) => riderShiftService.endBreak(riderId)
+  };
+
+  const handleShiftAction = async (action) => {
+    try {
+      setShiftUpdating(true);
+      const result = await shiftActions[action](session.riderId);
+      setShift(riderShiftService.getSession(session.riderId));
+      if (action === 'clockOut') {
+        toast.success(`Clocked out${result.breakMinutes ? `, ${result.breakMinutes} min on break` : ''}`);
+        if (cashInHand?.amount > 0) {
+          toast.info(`Hand in Rs. ${cashInHand.amount.toLocaleString()} cash at the store before you leave`);
+        }
+      }
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setShiftUpdating(false);
+    }
+  };
+
+  const handleHandInCash = async (e) => {
+    e.preventDefault();
+    if (declaredCash.trim() === '' || !(Number(declaredCash) >= 0)) {
+      toast.error('Enter the cash you are handing in');
+      return;
+    }
+    try {
+      setHandingIn(true);
+      await codReconciliationService.submitDeposit(session.riderId, { declaredAmount: declaredCash });
+      toast.success('Cash handed in, waiting for the cashier to count it');
+      setDeclaredCash(null);
+      setCashInHand(await codReconciliationService.getCashInHand(session.riderId));
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setHandingIn(false);
+    }
+  };
+
+  const handleSignOut = () => {
+    dispatch(signOutDriver());
+    setQueue([]);
+  };
+
+  if (!session.riderId) {
+    return <DriverSignIn onSignIn={(rider) => dispatch(signInDriver(rider))} />;
+  }
+
+  return (
+    <div className="max-w-md mx-auto min-h-screen pb-8">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-primary to-accent text-white px-4 py-5 sticky top-0 z-10">
+        <div className="flex items-center justify-between">
+          <div>
+            <p className="text-sm text-green-100">Signed in as</p>
+            <h1 className="text-xl font-bold">{session.riderName}</h1>
+            {session.zone && <p className="text-xs text-green-100">{session.zone}</p>}
+          </div>
+          <div className="flex items-center space-x-2">
+            <button onClick={loadQueue} className="p-2 bg-white/20 rounded-lg" aria-label="Refresh">
+              <ApperIcon name="RefreshCw" size={18} />
+            </button>
+            <button onClick={handleSignOut} className="p-2 bg-white/20 rounded-lg" aria-label="Sign out">
+              <ApperIcon name="LogOut" size={18} />
+            </button>
+          </div>
+        </div>
+        <button
+          onClick={() => setSharingLocation(!sharingLocation)}
+          className="mt-3 flex items-center space-x-2 text-xs bg-white/20 rounded-full px-3 py-1"
+        >
+          <span className={`w-2 h-2 rounded-full ${sharingLocation && !locationError ? 'bg-green-300 animate-pulse' : 'bg-gray-300'}`} />
+          <span>
+            {!sharingLocation ? 'Location sharing paused' : locationError ? locationError : 'Sharing live location'}
+          </span>
+        </button>
+        <div className="mt-3 flex items-center justify-between bg-white/20 rounded-lg px-3 py-2">
+          <span className="text-sm">
+            {!shift ? 'Off shift' : shift.onBreak ? 'On break' : `On shift since ${format(new Date(shift.clockedInAt), 'hh:mm a')}`}
+          </span>
+          <div className="flex items-center space-x-2">
+            {shift && (
+              <button
+                disabled={shiftUpdating}
+                onClick={() => handleShiftAction(shift.onBreak ? 'endBreak' : 'startBreak')}
+                className="text-xs bg-white/20 rounded-full px-3 py-1"
+              >
+                {shift.onBreak ? 'End Break' : 'Break'}
+              </button>
+            )}
+            <button
+              disabled={shiftUpdating}
+              onClick={() => handleShiftAction(shift ? 'clockOut' : 'clockIn')}
+              className="text-xs bg-white text-primary font-medium rounded-full px-3 py-1"
+            >
+              {shift ? 'Clock Out' : 'Clock In'}
+            </button>
+          </div>
+        </div>
+        <div className="grid grid-cols-3 gap-3 mt-4">
+          <div className="bg-white/20 rounded-lg p-3">
+            <p className="text-xs text-green-100">Stops Left</p>
+            <p className="text-2xl font-bold">{queue.length}</p>
+          </div>
+          <div className="bg-white/20 rounded-lg p-3">
+            <p className="text-xs text-green-100">Cash to Collect</p>
+            <p className="text-lg font-bold">
+              Rs. {queue
+                .filter(({ order }) => order.paymentMethod === 'cash' && order.paymentStatus !== 'completed')
+                .reduce((sum, { order }) => sum + (order.total || 0), 0)
+                .toLocaleString()}
+            </p>
+          </div>
+          <div className="bg-white/20 rounded-lg p-3">
+            <p className="text-xs text-green-100">Cash in Hand</p>
+            <p className="text-lg font-bold">Rs. {(cashInHand?.amount || 0).toLocaleString()}</p>
+          </div>
+        </div>
+        {cashInHand?.pendingDeposit ? (
+          <p className="mt-3 text-xs text-green-100">
+            Rs. {cashInHand.pendingDeposit.declaredAmount.toLocaleString()} handed in, waiting to be counted
+          </p>
+        ) : cashInHand?.amount > 0 && (declaredCash !== null ? (
+          <form onSubmit={handleHandInCash} className="mt-3 flex items-center space-x-2">
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={declaredCash}
+              onChange={(e) => setDeclaredCash(e.target.value)}
+              aria-label="Cash you are handing in (Rs.)"
+              className="flex-1 min-w-0 text-sm text-gray-900 rounded-lg px-3 py-2"
+            />
+            <button
+              type="submit"
+              disabled={handingIn}
+              className="text-sm bg-white text-primary font-medium rounded-lg px-3 py-2"
+            >
+              {handingIn ? 'Handing in...' : 'Hand In'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setDeclaredCash(null)}
+              className="text-sm text-white rounded-lg px-2 py-2"
+            >
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <button
+            onClick={() => setDeclaredCash(String(cashInHand.amount))}
+            className="mt-3 w-full flex items-center justify-center space-x-2 text-sm bg-white text-primary font-medium rounded-lg px-3 py-2"
+          >
+            <ApperIcon name="Banknote" size={16} />
+            <span>Hand In Cash</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="px-4 pt-4 space-y-4">
+        {loading ? (
+          <Loading type="orders" />
+        ) : error ? (
+          <Error message={error} onRetry={loadQueue} />
+        ) : queue.length === 0 ? (
+          <div className="card p-8 text-center">
+            <ApperIcon name="Coffee" size={48} className="text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-900 font-medium">No deliveries assigned</p>
+            <p className="text-sm text-gray-500">New orders will appear here once dispatched to you.</p>
+          </div>
+        ) : (
+          queue.map((stop) => (
+            <DriverOrderCard
+              key={stop.orderId}
+              order={stop.order}
+              stop={stop.sequence}
+              leg={stop}
+              updating={updatingOrderId === stop.orderId}
+              onAdvance={handleAdvance}
+              onFail={setFailedOrder}
+            />
+          ))
+        )}
+      </div>
+
+      {proofOrder && (
+        <ProofOfDeliveryCapture
+          order={proofOrder}
+          onSubmit={handleProofSubmit}
+          onCancel={() => setProofOrder(null)}
+        />
+      )}
+
+      {failedOrder && (
+        <FailedDeliveryForm
+          order={failedOrder}
+          onSubmit={handleFailureSubmit}
+          onCancel={() => setFailedOrder(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DriverApp;
@@ -0,0 +1,238 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Badge from '@/components/atoms/Badge';
+import Loading from '@/components/ui/Loading';
+import Error from '@/components/ui/Error';
+import { FEEDBACK_TAGS, deliveryFeedbackService } from '@/services/api/deliveryFeedbackService';
+import { deliveryPersonnelService } from '@/services/api/deliveryPersonnelService';
+
+const FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'alerts', label: 'Low-score alerts' },
+  { id: 'new', label: 'Unreviewed' },
+  { id: 'reviewed', label: 'Reviewed' }
+];
+
+const Stars = ({ value }) => (
+  <span className="inline-flex items-center">
+    {[1, 2, 3, 4, 5].map(star => (
+      <ApperIcon
+        key={star}
+        name="Star"
+        size={14}
+        className={star <= value ? 'text-yellow-400 fill-current' : 'text-gray-300'}
+      />
+    ))}
+  </span>
+);
+
+const FeedbackInbox = () => {
+  const [feedback, setFeedback] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [personnel, setPersonnel] = useState([]);
+  const [filter, setFilter] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reviewNotes, setReviewNotes] = useState({});
+  const [reviewingId, setReviewingId] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [feedbackData, summaryData, personnelData] = await Promise.all([
+        deliveryFeedbackService.getFeedback(),
+        deliveryFeedbackService.getSummary(),
+        deliveryPersonnelService.getAll()
+      ]);
+      setFeedback(feedbackData);
+      setSummary(summaryData);
+      setPersonnel(personnelData);
+    } catch (err) {
+      setError(err.message);
+      toast.error('Failed to load feedback');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMarkReviewed = async (entry) => {
+    try {
+      setReviewingId(entry.Id);
+      await deliveryFeedbackService.markReviewed(entry.Id, reviewNotes[entry.Id] || '');
+      toast.success('Feedback marked as reviewed');
+      await loadData();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Loading type="dashboard" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Error message={error} onRetry={loadData} />
+      </div>
+    );
+  }
+
+  const rider = (riderId) => personnel.find(p => p.Id === riderId);
+  const visible = feedback.filter(entry =>
+    filter === 'all' ||
+    (filter === 'alerts' && entry.lowScore && entry.status === 'new') ||
+    entry.status === filter
+  );
+  const topTags = Object.entries(summary.tagCounts).sort((a, b) => b[1] - a[1]).slice(0, 6);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Customer Feedback</h1>
+        <p className="text-gray-600">Delivery ratings, comments and low-score alerts</p>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+        {[
+          { label: 'Ratings', value: summary.count, icon: 'MessageSquare', iconClass: 'bg-blue-100 text-blue-600' },
+          { label: 'Avg. Rider Rating', value: summary.averageRiderRating ?? '—', icon: 'Bike', iconClass: 'bg-green-100 text-green-600' },
+          { label: 'Avg. Order Rating', value: summary.averageOrderRating ?? '—', icon: 'ShoppingBag', iconClass: 'bg-purple-100 text-purple-600' },
+          { label: 'Open Alerts', value: summary.openAlerts, icon: 'AlertTriangle', iconClass: 'bg-red-100 text-red-600' }
+        ].map(card => (
+          <div key={card.label} className="card p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-600 mb-1">{card.label}</p>
+                <p className="text-2xl font-bold text-gray-900">{card.value}</p>
+              </div>
+              <div className={`p-3 rounded-lg ${card.iconClass}`}>
+                <ApperIcon name={card.icon} size={24} />
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {topTags.length > 0 && (
+        <div className="card p-6 mb-8">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Most mentioned</h2>
+          <div className="flex flex-wrap gap-2">
+            {topTags.map(([tag, count]) => (
+              <Badge key={tag} variant={FEEDBACK_TAGS[tag]?.positive ? 'success' : 'danger'}>
+                {FEEDBACK_TAGS[tag]?.label || tag} • {count}
+              </Badge>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        {FILTERS.map(option => (
+          <button
+            key={option.id}
+            onClick={() => setFilter(option.id)}
+            className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+              filter === option.id ? 'bg-primary text-white' : 'bg-white text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            {option.label}
+            {option.id === 'alerts' && summary.openAlerts > 0 && ` (${summary.openAlerts})`}
+          </button>
+        ))}
+      </div>
+
+      {/* Inbox */}
+      {visible.length === 0 ? (
+        <div className="card p-12 text-center">
+          <ApperIcon name="Inbox" size={48} className="text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600">No feedback here yet</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {visible.map(entry => (
+            <div
+              key={entry.Id}
+              className={`card p-6 ${entry.lowScore && entry.status === 'new' ? 'border-l-4 border-red-500' : ''}`}
+            >
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div className="space-y-2">
+                  <div className="flex items-center gap-2">
+                    <Link to={`/orders/${entry.orderId}`} className="font-semibold text-gray-900 hover:text-primary">
+                      Order #{entry.orderId}
+                    </Link>
+                    {entry.customerName && <span className="text-sm text-gray-500">by {entry.customerName}</span>}
+                    {entry.lowScore && <Badge variant="danger" size="small">Low score</Badge>}
+                    {entry.status === 'reviewed' && <Badge variant="default" size="small">Reviewed</Badge>}
+                  </div>
+                  <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+                    <span className="flex items-center gap-1">
+                      Rider {rider(entry.riderId)?.name ? `(${rider(entry.riderId).name})` : ''}: <Stars value={entry.riderRating} />
+                    </span>
+                    <span className="flex items-center gap-1">
+                      Order: <Stars value={entry.orderRating} />
+                    </span>
+                  </div>
+                  {entry.tags.length > 0 && (
+                    <div className="flex flex-wrap gap-1">
+                      {entry.tags.map(tag => (
+                        <Badge key={tag} size="small" variant={FEEDBACK_TAGS[tag]?.positive ? 'success' : 'warning'}>
+                          {FEEDBACK_TAGS[tag]?.label || tag}
+                        </Badge>
+                      ))}
+                    </div>
+                  )}
+                  {entry.comment && <p className="text-gray-800">"{entry.comment}"</p>}
+                  {entry.reviewNotes && (
+                    <p className="text-sm text-gray-500">Review note: {entry.reviewNotes}</p>
+                  )}
+                </div>
+                <div className="text-sm text-gray-500 whitespace-nowrap">
+                  {format(new Date(entry.createdAt), 'MMM d, yyyy hh:mm a')}
+                </div>
+              </div>
+              {entry.status === 'new' && (
+                <div className="flex items-center gap-2 mt-4">
+                  <input
+                    type="text"
+                    placeholder="Follow-up notes (optional)"
+                    value={reviewNotes[entry.Id] || ''}
+                    onChange={(e) => setReviewNotes(prev => ({ ...prev, [entry.Id]: e.target.value }))}
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                  />
+                  <Button
+                    size="small"
+                    variant="outline"
+                    loading={reviewingId === entry.Id}
+                    onClick={() => handleMarkReviewed(entry)}
+                  >
+                    Mark Reviewed
+                  </Button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackInbox;
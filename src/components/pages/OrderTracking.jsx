@@ -1,12 +1,25 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useNavigate, useParams } from "react-router-dom";
-import { format } from "date-fns";
+import { toast } from "react-toastify";
+import { format, formatDistanceToNow } from "date-fns";
 import ApperIcon from "@/components/ApperIcon";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import Orders from "@/components/pages/Orders";
 import OrderStatusBadge from "@/components/molecules/OrderStatusBadge";
-import { orderService } from "@/services/api/orderService";
+import LiveDeliveryMap from "@/components/molecules/LiveDeliveryMap";
+import DeliveryStatusHistory from "@/components/molecules/DeliveryStatusHistory";
+import DeliveryFeedbackForm from "@/components/organisms/DeliveryFeedbackForm";
+import { DELIVERY_FAILURE_REASONS, orderService } from "@/services/api/orderService";
+import { ORDER_PROGRESS, orderStateMachine } from "@/services/api/orderStateMachine";
+import { routePlannerService } from "@/services/api/routePlannerService";
+import { locationStreamService } from "@/services/api/locationStreamService";
+import { notificationService } from "@/services/api/notificationService";
+
+// Alert the customer once when the rider gets this close
+const ARRIVING_SOON_MINUTES = 5;
+// Minimum gap between ETA recalculations triggered by location updates
+const ETA_REFRESH_MS = 10000;
 
 const OrderTracking = () => {
   const { orderId } = useParams();
@@ -14,11 +27,61 @@ const OrderTracking = () => {
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [liveEta, setLiveEta] = useState(null);
+  const [riderPosition, setRiderPosition] = useState(null);
+  const [disputeOpen, setDisputeOpen] = useState(false);
+  const [disputeReason, setDisputeReason] = useState('');
+  const [submittingDispute, setSubmittingDispute] = useState(false);
+  const [ratingOpen, setRatingOpen] = useState(false);
+  const [cancelOpen, setCancelOpen] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
+  const [cancelling, setCancelling] = useState(false);
+  const lastEtaRefresh = useRef(0);
+  const arrivalAlertSent = useRef(false);
 
   useEffect(() => {
     loadOrder();
   }, [orderId]);
 
+  const isOnTheWay = ['in_transit', 'out_for_delivery'].includes(order?.deliveryStatus);
+
+  // Follow the rider while the order is on the way and keep the ETA current
+  useEffect(() => {
+    if (!isOnTheWay || !order?.deliveryPersonId) {
+      setLiveEta(null);
+      return undefined;
+    }
+    arrivalAlertSent.current = false;
+    refreshEta(null, true);
+    const unsubscribe = locationStreamService.subscribe((position) => {
+      if (position.riderId !== order.deliveryPersonId) return;
+      setRiderPosition(position);
+      refreshEta(position);
+    });
+    const interval = setInterval(() => refreshEta(null, true), 60000);
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, [order?.id, order?.deliveryPersonId, isOnTheWay]);
+
+  const refreshEta = async (position = null, force = false) => {
+    if (!force && Date.now() - lastEtaRefresh.current < ETA_REFRESH_MS) return;
+    lastEtaRefresh.current = Date.now();
+    try {
+      const eta = await routePlannerService.getOrderEta(order.id, position);
+      setLiveEta(eta);
+      if (eta.live && eta.minutesAway <= ARRIVING_SOON_MINUTES && !arrivalAlertSent.current) {
+        arrivalAlertSent.current = true;
+        const message = `${eta.riderName} is about ${eta.minutesAway} min away with order #${order.id}`;
+        toast.info(message, { autoClose: 8000 });
+        notificationService.pushCustomerAlert('Your FreshMart order is almost there', message);
+      }
+    } catch (err) {
+      console.error('Failed to refresh delivery ETA:', err);
+    }
+  };
+
   const loadOrder = async () => {
     try {
       setLoading(true);
@@ -32,21 +95,59 @@ const OrderTracking = () => {
     }
   };
 
+  const handleReportDispute = async () => {
+    if (!disputeReason.trim()) {
+      toast.error('Please tell us what went wrong');
+      return;
+    }
+    try {
+      setSubmittingDispute(true);
+      const updated = await orderService.reportDeliveryDispute(order.id, disputeReason.trim());
+      setOrder(updated);
+      setDisputeOpen(false);
+      setDisputeReason('');
+      toast.success('Thanks, our team will review the delivery');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSubmittingDispute(false);
+    }
+  };
+
+  const handleCancelOrder = async () => {
+    try {
+      setCancelling(true);
+      const updated = await orderService.cancelOrder(order.id, cancelReason.trim(), {
+        changedBy: { role: 'customer', name: order.deliveryAddress?.name }
+      });
+      setOrder(updated);
+      setCancelOpen(false);
+      setCancelReason('');
+      toast.success('Your order has been cancelled');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setCancelling(false);
+    }
+  };
+
   const getStatusSteps = () => {
-    const steps = [
-      { key: 'pending', label: 'Order Placed', icon: 'ShoppingCart' },
-      { key: 'confirmed', label: 'Confirmed', icon: 'CheckCircle' },
-      { key: 'packed', label: 'Packed', icon: 'Package' },
-      { key: 'shipped', label: 'Shipped', icon: 'Truck' },
-      { key: 'delivered', label: 'Delivered', icon: 'Home' }
-    ];
+    const icons = {
+      pending: 'ShoppingCart',
+      confirmed: 'CheckCircle',
+      packed: 'Package',
+      shipped: 'Truck',
+      delivered: 'Home'
+    };
+    const currentIndex = orderStateMachine.getProgressIndex(order);
+    const onHappyPath = orderStateMachine.isOnHappyPath(order);
 
-    const currentIndex = steps.findIndex(step => step.key === order?.status?.toLowerCase());
-    
-    return steps.map((step, index) => ({
-      ...step,
+    return ORDER_PROGRESS.map((key, index) => ({
+      key,
+      label: orderStateMachine.getStatusLabel(key),
+      icon: icons[key],
       completed: index <= currentIndex,
-      active: index === currentIndex
+      active: onHappyPath && index === currentIndex
     }));
   };
 
@@ -110,9 +211,66 @@ return (
             </div>
         </div>
     </div>
+    {/* Delivery OTP */}
+    {order.deliveryOtp && ['assigned', 'picked_up', 'in_transit', 'out_for_delivery'].includes(order.deliveryStatus) && <div
+        className="card p-6 mb-6 flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+            <ApperIcon name="ShieldCheck" size={24} className="text-primary" />
+            <div>
+                <p className="font-medium text-gray-900">Delivery code</p>
+                <p className="text-sm text-gray-600">Share this code with your rider only when you receive your order</p>
+            </div>
+        </div>
+        <p className="text-3xl font-mono font-bold tracking-widest gradient-text">{order.deliveryOtp}</p>
+    </div>}
+    {/* Live Delivery ETA */}
+    {isOnTheWay && liveEta && <div className="card p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+                <ApperIcon name="Bike" size={20} className="text-primary" />
+                <span>Your rider is on the way</span>
+            </h2>
+            {liveEta.riderName && <span className="text-sm text-gray-600">{liveEta.riderName}</span>}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="space-y-3">
+                <div>
+                    <p className="text-sm text-gray-600">Estimated arrival</p>
+                    <p className="text-3xl font-bold gradient-text">
+                        {liveEta.eta ? format(new Date(liveEta.eta), "hh:mm a") : "Calculating..."}
+                    </p>
+                    {liveEta.live && <p className="text-sm text-gray-600">
+                        About {liveEta.minutesAway} min • {liveEta.distanceKm} km away
+                    </p>}
+                </div>
+                {liveEta.live && liveEta.stopsBefore > 0 && <p className="text-sm text-gray-600 flex items-center space-x-2">
+                    <ApperIcon name="Route" size={16} className="text-gray-500" />
+                    <span>{liveEta.stopsBefore} stop{liveEta.stopsBefore === 1 ? "" : "s"} before yours</span>
+                </p>}
+                {liveEta.live && liveEta.delayMinutes !== null && Math.abs(liveEta.delayMinutes) >= 5 && <p
+                    className={`text-sm ${liveEta.delayMinutes > 0 ? "text-orange-600" : "text-green-600"}`}>
+                    {Math.abs(liveEta.delayMinutes)} min {liveEta.delayMinutes > 0 ? "later" : "earlier"} than originally estimated
+                </p>}
+                {!liveEta.live && <p className="text-sm text-gray-500">Live tracking is unavailable, showing the scheduled time</p>}
+                {riderPosition?.timestamp && <p className="text-xs text-gray-400">
+                    Rider location updated {formatDistanceToNow(new Date(riderPosition.timestamp), { addSuffix: true })}
+                </p>}
+            </div>
+            {liveEta.live && <LiveDeliveryMap
+                height="h-48"
+                riders={[{ Id: liveEta.riderId, name: liveEta.riderName, position: riderPosition || { ...liveEta.riderLocation, timestamp: null } }]}
+                dropoffs={[{ orderId: order.id, riderId: liveEta.riderId, coordinates: order.deliveryAddress?.coordinates, label: "Your address" }]}
+                isStale={(position) => locationStreamService.isStale(position)} />}
+        </div>
+    </div>}
     {/* Order Status Timeline */}
     <div className="card p-6 mb-6">
         <h2 className="text-lg font-semibold text-gray-900 mb-6">Order Status</h2>
+        {!orderStateMachine.isOnHappyPath(order) && <div
+            className="flex items-center space-x-2 mb-6 p-3 rounded-lg bg-orange-50 text-orange-800 text-sm">
+            <ApperIcon name="AlertCircle" size={16} />
+            <span>Current status: {orderStateMachine.getStatusLabel(order.status)}</span>
+        </div>}
         <div className="relative">
             {statusSteps.map(
                 (step, index) => <div key={step.key} className="flex items-center mb-6 last:mb-0">
@@ -139,6 +297,122 @@ return (
             )}
         </div>
     </div>
+    {/* Delivery status history */}
+    <div className="card p-6 mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-6">Delivery History</h2>
+        <DeliveryStatusHistory order={order} />
+    </div>
+    {/* Failed delivery / return notice */}
+    {["failed", "returned"].includes(order.deliveryStatus) && <div className="card p-6 mb-6 bg-red-50 border border-red-200">
+        <div className="flex items-start space-x-3">
+            <ApperIcon name="PackageX" size={20} className="text-red-600 mt-0.5" />
+            <div>
+                <p className="font-medium text-gray-900">
+                    {order.deliveryStatus === "failed" ? "We couldn't deliver your order" : "Your order was returned to the store"}
+                </p>
+                {order.deliveryFailure && <p className="text-sm text-gray-600">
+                    Reason: {DELIVERY_FAILURE_REASONS[order.deliveryFailure.reasonCode]}
+                </p>}
+                <p className="text-sm text-gray-600 mt-1">
+                    {order.deliveryStatus === "failed"
+                        ? "Our team will contact you to arrange another delivery."
+                        : order.returnedToStore?.refunded
+                            ? "A refund for this order has been requested."
+                            : "No payment was collected for this order."}
+                </p>
+            </div>
+        </div>
+    </div>}
+    {/* Cancellation */}
+    {order.cancellation ? <div className="card p-6 mb-6 flex items-start space-x-3">
+        <ApperIcon name="XCircle" size={20} className="text-red-500 mt-0.5" />
+        <div>
+            <p className="font-medium text-gray-900">
+                Cancelled on {format(new Date(order.cancellation.cancelledAt), "MMM dd, yyyy • hh:mm a")}
+            </p>
+            <p className="text-sm text-gray-600">{order.cancellation.reason}</p>
+        </div>
+    </div> : orderStateMachine.canTransition(order, { status: "cancelled" }) && <div className="card p-6 mb-6">
+        {cancelOpen ? <div className="space-y-3">
+            <p className="font-medium text-gray-900">Cancel this order?</p>
+            <textarea
+                value={cancelReason}
+                onChange={e => setCancelReason(e.target.value)}
+                rows={2}
+                placeholder="Reason (optional)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary" />
+            <div className="flex justify-end space-x-2">
+                <button onClick={() => setCancelOpen(false)} className="px-4 py-2 text-gray-600 hover:text-gray-900">Keep Order</button>
+                <button
+                    onClick={handleCancelOrder}
+                    disabled={cancelling}
+                    className="btn-primary">{cancelling ? "Cancelling..." : "Cancel Order"}</button>
+            </div>
+        </div> : <button
+            onClick={() => setCancelOpen(true)}
+            className="flex items-center space-x-2 text-red-600 hover:text-red-700">
+            <ApperIcon name="XCircle" size={16} />
+            <span>Cancel this order</span>
+        </button>}
+    </div>}
+    {/* Delivery rating */}
+    {order.deliveryStatus === "delivered" && <div className="card p-6 mb-6">
+        {order.feedback ? <div className="flex items-center space-x-3">
+            <ApperIcon name="Star" size={20} className="text-yellow-400 fill-current" />
+            <p className="text-gray-900">
+                You rated your rider {order.feedback.riderRating}/5 and the order {order.feedback.orderRating}/5. Thank you!
+            </p>
+        </div> : ratingOpen ? <div>
+            <p className="font-medium text-gray-900 mb-4">How was your delivery?</p>
+            <DeliveryFeedbackForm
+                order={order}
+                onSubmitted={() => {
+                    setRatingOpen(false);
+                    loadOrder();
+                }}
+                onCancel={() => setRatingOpen(false)} />
+        </div> : <button
+            onClick={() => setRatingOpen(true)}
+            className="flex items-center space-x-2 text-primary hover:underline">
+            <ApperIcon name="Star" size={16} />
+            <span>Rate your rider and this order</span>
+        </button>}
+    </div>}
+    {/* Delivery problem reporting */}
+    {order.deliveryStatus === "delivered" && <div className="card p-6 mb-6">
+        {order.deliveryDispute ? <div className="flex items-start space-x-3">
+            <ApperIcon name="ShieldAlert" size={20} className="text-orange-500 mt-0.5" />
+            <div>
+                <p className="font-medium text-gray-900">
+                    Delivery issue {order.deliveryDispute.status === "open" ? "under review" : order.deliveryDispute.status}
+                </p>
+                <p className="text-sm text-gray-600">{order.deliveryDispute.reason}</p>
+                {order.deliveryDispute.resolutionNotes && <p className="text-sm text-gray-600 mt-1">
+                    {order.deliveryDispute.resolutionNotes}
+                </p>}
+            </div>
+        </div> : disputeOpen ? <div className="space-y-3">
+            <p className="font-medium text-gray-900">What went wrong with this delivery?</p>
+            <textarea
+                value={disputeReason}
+                onChange={e => setDisputeReason(e.target.value)}
+                rows={3}
+                placeholder="e.g. I never received the order"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary" />
+            <div className="flex justify-end space-x-2">
+                <button onClick={() => setDisputeOpen(false)} className="px-4 py-2 text-gray-600 hover:text-gray-900">Cancel</button>
+                <button
+                    onClick={handleReportDispute}
+                    disabled={submittingDispute}
+                    className="btn-primary">{submittingDispute ? "Submitting..." : "Submit"}</button>
+            </div>
+        </div> : <button
+            onClick={() => setDisputeOpen(true)}
+            className="flex items-center space-x-2 text-orange-600 hover:text-orange-700">
+            <ApperIcon name="AlertTriangle" size={16} />
+            <span>Report a problem with this delivery</span>
+        </button>}
+    </div>}
     <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Order Items */}
         <div className="card p-6">
@@ -205,6 +479,12 @@ return (
                         <ApperIcon name="MessageSquare" size={16} className="text-gray-500 mt-1" />
                         <p className="text-gray-900">{order.deliveryAddress.instructions}</p>
                     </div>}
+                    {order.deliverySlot && <div className="flex items-center space-x-3">
+                        <ApperIcon name="CalendarClock" size={16} className="text-gray-500" />
+                        <span className="text-gray-900">
+                            {format(new Date(order.deliverySlot.startsAt), "EEE, MMM d • h:mm a")} - {format(new Date(order.deliverySlot.endsAt), "h:mm a")}
+                        </span>
+                    </div>}
                 </div>
             </div>
             {/* Payment Information */}
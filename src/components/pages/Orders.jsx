@@ -6,12 +6,14 @@ import Empty from "@/components/ui/Empty";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import OrderStatusBadge from "@/components/molecules/OrderStatusBadge";
+import DeliveryFeedbackForm from "@/components/organisms/DeliveryFeedbackForm";
 import { orderService } from "@/services/api/orderService";
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [ratingOrder, setRatingOrder] = useState(null);
 
   useEffect(() => {
     loadOrders();
@@ -263,6 +265,16 @@ const Orders = () => {
                   <span>Chat Support</span>
                 </button>
                 
+                {order.deliveryStatus === 'delivered' && !order.feedback && (
+                  <button
+                    onClick={() => setRatingOrder(order)}
+                    className="flex items-center space-x-2 text-yellow-600 hover:text-yellow-700 transition-colors"
+                  >
+                    <ApperIcon name="Star" size={16} />
+                    <span>Rate Delivery</span>
+                  </button>
+                )}
+
                 {order.status === 'delivered' && (
                   <button className="flex items-center space-x-2 text-green-600 hover:text-green-700 transition-colors">
                     <ApperIcon name="RotateCcw" size={16} />
@@ -274,6 +286,28 @@ const Orders = () => {
           </div>
         ))}
       </div>
+
+      {/* Rating Modal */}
+      {ratingOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-lg w-full m-4">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Rate Order #{ratingOrder.id}</h3>
+              <button onClick={() => setRatingOrder(null)} className="text-gray-400 hover:text-gray-600">
+                <ApperIcon name="X" size={20} />
+              </button>
+            </div>
+            <DeliveryFeedbackForm
+              order={ratingOrder}
+              onSubmitted={() => {
+                setRatingOrder(null);
+                loadOrders();
+              }}
+              onCancel={() => setRatingOrder(null)}
+            />
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -10,9 +10,19 @@ import Analytics from "@/components/pages/Analytics";
 import Category from "@/components/pages/Category";
 import SearchBar from "@/components/molecules/SearchBar";
 import BarcodeScanner from "@/components/molecules/BarcodeScanner";
-import { posService } from "@/services/api/posService";
+import CashDrawerPanel from "@/components/organisms/CashDrawerPanel";
+import POSReturnsPanel from "@/components/organisms/POSReturnsPanel";
+import { posService, TRANSACTION_TYPE_LABELS } from "@/services/api/posService";
 import { productService } from "@/services/api/productService";
-import { paymentService } from "@/services/api/paymentService";
+import { inventoryService } from "@/services/api/inventoryService";
+import { getMarkdownSnapshot, getSellingPrice } from "@/utils/pricing";
+import { isSoldByWeight, parseScaleBarcode, roundQuantity } from "@/utils/scaleBarcode";
+import { renderCode39Svg } from "@/utils/receiptBarcode";
+import { posShiftService } from "@/services/api/posShiftService";
+
+// In real app, this would be the logged-in user
+const CASHIER_ID = 'admin';
+
 const POS = () => {
   const [products, setProducts] = useState([]);
   const [filteredProducts, setFilteredProducts] = useState([]);
@@ -24,6 +34,8 @@ const POS = () => {
   const [customerPaid, setCustomerPaid] = useState('');
   const [processingPayment, setProcessingPayment] = useState(false);
   const [showBarcodeScanner, setShowBarcodeScanner] = useState(false);
+  const [currentShift, setCurrentShift] = useState(null);
+  const [drawerRefreshKey, setDrawerRefreshKey] = useState(0);
   
 // Receipt configuration state
   const [receiptConfig, setReceiptConfig] = useState({
@@ -69,6 +81,7 @@ const POS = () => {
 useEffect(() => {
     loadProducts();
     loadDashboardData();
+    loadShift();
   }, []);
 
   useEffect(() => {
@@ -92,6 +105,14 @@ useEffect(() => {
     }
 };
 
+  const loadShift = async () => {
+    try {
+      setCurrentShift(await posShiftService.getOpenShift(CASHIER_ID));
+    } catch (err) {
+      toast.error('Failed to load the cashier shift');
+    }
+  };
+
   const loadDashboardData = async () => {
     try {
       const today = new Date().toISOString().split('T')[0];
@@ -100,9 +121,11 @@ useEffect(() => {
       
       setDailySales(salesData.transactions || []);
       setSalesSummary({
-        totalSales: salesData.totalSales || 0,
-        totalTransactions: salesData.totalTransactions || 0,
-        averageTransaction: salesData.totalTransactions > 0 ? salesData.totalSales / salesData.totalTransactions : 0
+        netSales: salesData.netSales,
+        grossSales: salesData.grossSales,
+        refunded: salesData.refundTotal + salesData.voidTotal,
+        salesCount: salesData.salesCount,
+        averageTransaction: salesData.salesCount > 0 ? salesData.grossSales / salesData.salesCount : 0
       });
       setPaymentBreakdown(breakdown);
       
@@ -170,7 +193,12 @@ useEffect(() => {
           else if (bulkAction === 'subtract10') newStock = Math.max(0, newStock - 10);
           else if (bulkAction === 'setZero') newStock = 0;
           
-          await productService.update(productId, { ...product, stock: newStock });
+          if (newStock !== product.stock) {
+            await inventoryService.adjustStock(productId, newStock - product.stock, {
+              type: 'stock_count',
+              reason: 'Bulk adjustment from POS'
+            });
+          }
         }
       }
       
@@ -211,64 +239,142 @@ const filterProducts = () => {
     setFilteredProducts(filtered);
   };
 
-  const handleBarcodeScan = async (barcode) => {
+  const handleBarcodeScan = async (barcode, scale = parseScaleBarcode(barcode)) => {
     try {
-      const product = await productService.getByBarcode(barcode);
-      if (product) {
-        addToCart(product);
-        toast.success(`${product.name} added to cart`);
+      if (scale) {
+        const product = await productService.getByScaleCode(scale.itemCode);
+        addScaleLine(products.find(p => p.id === product.id) || product, scale);
       } else {
-        toast.error('Product not found');
+        const product = await productService.getByBarcode(barcode);
+        if (product) {
+          addToCart(product);
+          toast.success(`${product.name} added to cart`);
+        } else {
+          toast.error('Product not found');
+        }
       }
     } catch (err) {
-      toast.error('Error finding product');
+      toast.error(scale ? err.message : 'Error finding product');
     }
     setShowBarcodeScanner(false);
   };
 
+  // Expired lots stay on hand until written off, but must never be rung up
+  const getSellableStock = (product) => product.stock - inventoryService.getExpiredQuantity(product.id);
+
+  const rejectUnsellable = (product) => {
+    const expired = inventoryService.getExpiredQuantity(product.id);
+    toast.error(expired > 0
+      ? `Only ${getSellableStock(product)} ${product.name} in date; ${expired} past expiry cannot be sold`
+      : 'Insufficient stock');
+  };
+
+  // Scale labels get a line each, so the same product can be in the cart more than once
+  const lineKey = (item) => item.lineId || item.id;
+
+  const lineAmount = (item) => item.lineTotal ?? item.price * item.quantity;
+
+  const quantityInCart = (productId, lines = cart) => roundQuantity(
+    lines.filter(item => item.id === productId).reduce((sum, item) => sum + item.quantity, 0)
+  );
+
+  // A near-expiry markdown covers only so many units, and the lines ahead of this one use them up first
+  const quantityAhead = (line) => quantityInCart(line.id, cart.slice(0, cart.indexOf(line)));
+
+  // The label fixes the weight, or the price from which the weight is worked out
+  const addScaleLine = (product, scale) => {
+    if (!isSoldByWeight(product)) {
+      toast.error(`${product.name} is not sold by weight`);
+      return;
+    }
+    const inCart = quantityInCart(product.id);
+    const quantity = scale.type === 'weight'
+      ? scale.weight
+      : roundQuantity(scale.price / getSellingPrice(product, 1, inCart));
+    const unitPrice = getSellingPrice(product, quantity, inCart);
+    if (!(quantity > 0)) {
+      toast.error('The scale label shows no weight or price');
+      return;
+    }
+    if (quantityInCart(product.id) + quantity > getSellableStock(product)) {
+      rejectUnsellable(product);
+      return;
+    }
+    setCart([...cart, {
+      ...product,
+      lineId: `scale-${scale.barcode}-${Date.now()}`,
+      scaleBarcode: scale.barcode,
+      price: unitPrice,
+      listPrice: product.price,
+      markdown: getMarkdownSnapshot(product, quantity, inCart),
+      quantity,
+      lineTotal: scale.type === 'price' ? scale.price : Math.round(quantity * unitPrice * 100) / 100
+    }]);
+    toast.success(`${quantity} ${product.unit} ${product.name} added to cart`);
+  };
+
   const addToCart = (product) => {
-    const existingItem = cart.find(item => item.id === product.id);
-    
+    const existingItem = cart.find(item => item.id === product.id && !item.lineId);
+    if (quantityInCart(product.id) + 1 > getSellableStock(product)) {
+      rejectUnsellable(product);
+      return;
+    }
+
     if (existingItem) {
-      if (existingItem.quantity >= product.stock) {
-        toast.error('Insufficient stock');
-        return;
-      }
       setCart(cart.map(item =>
-        item.id === product.id
-          ? { ...item, quantity: item.quantity + 1 }
+        item === existingItem
+          ? {
+            ...item,
+            quantity: item.quantity + 1,
+            price: getSellingPrice(product, item.quantity + 1, quantityAhead(item)),
+            markdown: getMarkdownSnapshot(product, item.quantity + 1, quantityAhead(item))
+          }
           : item
       ));
     } else {
-      setCart([...cart, { ...product, quantity: 1 }]);
+      setCart([...cart, {
+        ...product,
+        price: getSellingPrice(product, 1, quantityInCart(product.id)),
+        listPrice: product.price,
+        markdown: getMarkdownSnapshot(product, 1, quantityInCart(product.id)),
+        quantity: 1
+      }]);
     }
   };
 
+  // Only counted lines change quantity; a scale line can just be removed
   const updateQuantity = (productId, newQuantity) => {
+    const isCountedLine = (item) => item.id === productId && !item.lineId;
     if (newQuantity <= 0) {
-      setCart(cart.filter(item => item.id !== productId));
+      setCart(cart.filter(item => !isCountedLine(item)));
       return;
     }
 
     const product = products.find(p => p.id === productId);
-    if (newQuantity > product.stock) {
-      toast.error('Insufficient stock');
+    const otherLines = cart.filter(item => !isCountedLine(item));
+    if (quantityInCart(productId, otherLines) + newQuantity > getSellableStock(product)) {
+      rejectUnsellable(product);
       return;
     }
 
     setCart(cart.map(item =>
-      item.id === productId
-        ? { ...item, quantity: newQuantity }
+      isCountedLine(item)
+        ? {
+          ...item,
+          quantity: newQuantity,
+          price: getSellingPrice(product, newQuantity, quantityAhead(item)),
+          markdown: getMarkdownSnapshot(product, newQuantity, quantityAhead(item))
+        }
         : item
     ));
   };
 
-  const removeFromCart = (productId) => {
-    setCart(cart.filter(item => item.id !== productId));
+  const removeFromCart = (key) => {
+    setCart(cart.filter(item => lineKey(item) !== key));
   };
 
   const getTotal = () => {
-    return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+    return Math.round(cart.reduce((total, item) => total + lineAmount(item), 0) * 100) / 100;
   };
 
   const getChange = () => {
@@ -283,6 +389,11 @@ const processPayment = async () => {
       return;
     }
 
+    if (!currentShift) {
+      toast.error('Open a shift before taking payment');
+      return;
+    }
+
     const total = getTotal();
     const paid = parseFloat(customerPaid) || 0;
 
@@ -291,33 +402,27 @@ const processPayment = async () => {
       return;
     }
 
+    // A lot may have expired while the sale was being rung up; stop before any money is taken
+    const expiredLine = cart.find(item => {
+      const product = products.find(p => p.id === item.id) || item;
+      return quantityInCart(item.id) > getSellableStock(product);
+    });
+    if (expiredLine) {
+      rejectUnsellable(products.find(p => p.id === expiredLine.id) || expiredLine);
+      return;
+    }
+
     try {
       setProcessingPayment(true);
 
       // Process payment based on payment type
       let paymentResult = null;
-      
-      if (paymentType !== 'cash') {
-        try {
-          if (paymentType === 'card') {
-            // For POS, we'll simulate card payment without form
-            const mockCardData = {
-              cardNumber: '4*** **** **** ****',
-              expiryDate: '12/25',
-              cvv: '***',
-              cardholderName: 'Customer'
-            };
-            paymentResult = await paymentService.processCardPayment(mockCardData, total, `POS-${Date.now()}`);
-          } else if (['jazzcash', 'easypaisa', 'sadapay'].includes(paymentType)) {
-            paymentResult = await paymentService.processDigitalWalletPayment(paymentType, total, `POS-${Date.now()}`, '03001234567');
-          } else if (paymentType === 'bank') {
-            paymentResult = await paymentService.processBankTransfer(total, `POS-${Date.now()}`, {});
-          }
-        } catch (paymentError) {
-          toast.error(paymentError.message);
-          setProcessingPayment(false);
-          return;
-        }
+      try {
+        paymentResult = await posService.collectPayment(paymentType, total, `POS-${Date.now()}`);
+      } catch (paymentError) {
+        toast.error(paymentError.message);
+        setProcessingPayment(false);
+        return;
       }
 
 const transactionData = {
@@ -325,27 +430,25 @@ const transactionData = {
           productId: item.id,
           name: item.name,
           price: item.price,
-          quantity: item.quantity
+          listPrice: item.listPrice,
+          markdown: item.markdown,
+          quantity: item.quantity,
+          ...(item.lineId && { lineTotal: item.lineTotal, scaleBarcode: item.scaleBarcode })
         })),
         total,
         paymentType,
-        cashierId: 'admin', // In real app, this would be the logged-in user
+        cashierId: CASHIER_ID,
+        shiftId: currentShift.Id,
         customerPaid: paymentType === 'cash' ? paid : total,
         change: paymentType === 'cash' ? getChange() : 0,
         paymentResult: paymentResult || null,
         customerId: selectedCustomer ? selectedCustomer.Id : null,
         customerName: selectedCustomer ? selectedCustomer.name : null
       };
-      await posService.createTransaction(transactionData);
-
-      // Update product stock
-      for (const item of cart) {
-        const product = products.find(p => p.id === item.id);
-        await productService.update(item.id, {
-          ...product,
-          stock: product.stock - item.quantity
-        });
-      }
+      const transaction = await posService.createTransaction(transactionData);
+
+      // Take the sold items off the shelf through the stock ledger
+      await inventoryService.recordPosSale(transaction);
 
 // Update customer purchase history
       if (selectedCustomer) {
@@ -363,6 +466,7 @@ const transactionData = {
       setCustomerPaid('');
       await loadProducts();
       await loadDashboardData(); // Refresh dashboard data
+      setDrawerRefreshKey(key => key + 1);
       
       if (paymentType === 'cash') {
         toast.success('Payment processed successfully!');
@@ -372,9 +476,9 @@ const transactionData = {
       
       // Handle receipt printing based on configuration
       if (receiptConfig.autoPrint) {
-        printReceipt(transactionData);
+        printReceipt(transaction);
       } else {
-        showReceiptPreviewModal(transactionData);
+        showReceiptPreviewModal(transaction);
       }
     } catch (err) {
       toast.error('Payment processing failed');
@@ -384,8 +488,8 @@ const transactionData = {
   };
 
 const generateReceiptHTML = (transaction) => {
-    const receiptNumber = `RCP-${Date.now()}`;
-    const currentDate = new Date().toLocaleString();
+    const { receiptNumber } = transaction;
+    const currentDate = new Date(transaction.timestamp).toLocaleString();
     
     const receiptStyles = receiptConfig.receiptFormat === 'thermal' ? `
       <style>
@@ -419,6 +523,7 @@ const generateReceiptHTML = (transaction) => {
         .total-row { display: flex; justify-content: space-between; font-weight: bold; }
         .footer { text-align: center; margin-top: 10px; font-size: 10px; }
         .receipt-number { font-size: 10px; text-align: center; margin-top: 5px; }
+        .receipt-barcode { margin: 8px 4mm 0; }
       </style>
     ` : `
       <style>
@@ -455,6 +560,7 @@ const generateReceiptHTML = (transaction) => {
         .footer { text-align: center; margin-top: 20px; padding-top: 15px; border-top: 1px solid #eee; }
         .footer-message { font-style: italic; color: #666; }
         .receipt-number { font-size: 10px; color: #999; margin-top: 10px; }
+        .receipt-barcode { margin: 10px 20px 0; }
       </style>
     `;
 
@@ -483,6 +589,9 @@ const generateReceiptHTML = (transaction) => {
             <div>Date: ${currentDate}</div>
             <div>Cashier: ${transaction.cashierId}</div>
             <div>Payment: ${transaction.paymentType.toUpperCase()}</div>
+            ${transaction.originalReceiptNumber ? `
+              <div>${TRANSACTION_TYPE_LABELS[transaction.type]} against ${transaction.originalReceiptNumber}</div>
+            ` : ''}
           </div>
 
           <div class="divider"></div>
@@ -492,9 +601,9 @@ const generateReceiptHTML = (transaction) => {
               <div class="item-row">
                 <div class="item-details">
                   <div class="item-name">${item.name}</div>
-                  <div class="item-subtitle">${item.quantity} x Rs. ${item.price.toLocaleString()}</div>
+                  <div class="item-subtitle">${item.quantity} x Rs. ${item.price.toLocaleString()}${item.reason ? ` • ${item.reason}` : ''}</div>
                 </div>
-                <div class="item-price">Rs. ${(item.price * item.quantity).toLocaleString()}</div>
+                <div class="item-price">Rs. ${lineAmount(item).toLocaleString()}</div>
               </div>
             `).join('')}
           </div>
@@ -512,7 +621,12 @@ const generateReceiptHTML = (transaction) => {
               <span>Total:</span>
               <span>Rs. ${transaction.total.toLocaleString()}</span>
             </div>
-            ${transaction.paymentType === 'cash' ? `
+            ${transaction.total < 0 ? `
+              <div class="total-row">
+                <span>Refunded (${transaction.paymentType.toUpperCase()}):</span>
+                <span>Rs. ${(-transaction.total).toLocaleString()}</span>
+              </div>
+            ` : transaction.paymentType === 'cash' ? `
               <div class="total-row">
                 <span>Paid:</span>
                 <span>Rs. ${transaction.customerPaid.toLocaleString()}</span>
@@ -526,6 +640,7 @@ const generateReceiptHTML = (transaction) => {
 
           <div class="footer">
             <div class="footer-message">${receiptConfig.footerMessage}</div>
+            ${receiptConfig.includeBarcode ? `<div class="receipt-barcode">${renderCode39Svg(receiptNumber)}</div>` : ''}
             <div class="receipt-number">Receipt #: ${receiptNumber}</div>
           </div>
         </body>
@@ -571,6 +686,18 @@ const generateReceiptHTML = (transaction) => {
     }
   };
 
+  // Returns, exchanges and voids print like a sale and move stock and the drawer the same way
+  const handleAdjustmentCompleted = async (transaction) => {
+    await loadProducts();
+    await loadDashboardData();
+    setDrawerRefreshKey(key => key + 1);
+    if (receiptConfig.autoPrint) {
+      printReceipt(transaction);
+    } else {
+      showReceiptPreviewModal(transaction);
+    }
+  };
+
   const showReceiptPreviewModal = (transaction) => {
     setPreviewTransaction(transaction);
     setShowReceiptPreview(true);
@@ -620,6 +747,14 @@ return (
           >
             POS
           </Button>
+          <Button
+            variant={activeTab === 'returns' ? 'primary' : 'outline'}
+            onClick={() => setActiveTab('returns')}
+            icon="Undo2"
+            size="small"
+          >
+            Returns
+          </Button>
           <Button
             variant={activeTab === 'inventory' ? 'primary' : 'outline'}
             onClick={() => setActiveTab('inventory')}
@@ -680,6 +815,14 @@ return (
 
       {/* POS Tab */}
       {activeTab === 'pos' && (
+        <>
+        <CashDrawerPanel
+          cashierId={CASHIER_ID}
+          shift={currentShift}
+          onShiftChange={setCurrentShift}
+          storeName={receiptConfig.storeName}
+          refreshKey={drawerRefreshKey}
+        />
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Products Section */}
           <div className="lg:col-span-2">
@@ -718,7 +861,12 @@ return (
                     {product.name}
                   </h3>
                   <p className="text-primary font-bold text-sm">
-                    Rs. {product.price.toLocaleString()}
+                    Rs. {getSellingPrice(product).toLocaleString()}
+                    {product.markdown?.quantity > 0 && (
+                      <span className="ml-1 text-xs font-normal text-gray-500 line-through">
+                        Rs. {product.price.toLocaleString()}
+                      </span>
+                    )}
                   </p>
                   <p className="text-xs text-gray-500">
                     Stock: {product.stock}
@@ -743,27 +891,35 @@ return (
               <>
                 <div className="space-y-3 mb-6 max-h-64 overflow-y-auto">
                   {cart.map((item) => (
-                    <div key={item.id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg">
+                    <div key={lineKey(item)} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg">
                       <div className="flex-1">
                         <p className="font-medium text-sm text-gray-900">{item.name}</p>
-                        <p className="text-xs text-gray-600">Rs. {item.price.toLocaleString()}</p>
+                        <p className="text-xs text-gray-600">
+                          {item.lineId
+                            ? `${item.quantity} ${item.unit} @ Rs. ${item.price.toLocaleString()} = Rs. ${lineAmount(item).toLocaleString()}`
+                            : `Rs. ${item.price.toLocaleString()}`}
+                        </p>
                       </div>
                       <div className="flex items-center space-x-2">
+                        {!item.lineId && (
+                          <>
+                            <button
+                              onClick={() => updateQuantity(item.id, item.quantity - 1)}
+                              className="p-1 rounded hover:bg-gray-200"
+                            >
+                              <ApperIcon name="Minus" size={14} />
+                            </button>
+                            <span className="w-8 text-center text-sm">{item.quantity}</span>
+                            <button
+                              onClick={() => updateQuantity(item.id, item.quantity + 1)}
+                              className="p-1 rounded hover:bg-gray-200"
+                            >
+                              <ApperIcon name="Plus" size={14} />
+                            </button>
+                          </>
+                        )}
                         <button
-                          onClick={() => updateQuantity(item.id, item.quantity - 1)}
-                          className="p-1 rounded hover:bg-gray-200"
-                        >
-                          <ApperIcon name="Minus" size={14} />
-                        </button>
-                        <span className="w-8 text-center text-sm">{item.quantity}</span>
-                        <button
-                          onClick={() => updateQuantity(item.id, item.quantity + 1)}
-                          className="p-1 rounded hover:bg-gray-200"
-                        >
-                          <ApperIcon name="Plus" size={14} />
-                        </button>
-                        <button
-                          onClick={() => removeFromCart(item.id)}
+                          onClick={() => removeFromCart(lineKey(item))}
                           className="p-1 rounded hover:bg-red-100 text-red-600"
                         >
                           <ApperIcon name="Trash2" size={14} />
@@ -880,9 +1036,10 @@ return (
                       icon="CreditCard"
                       onClick={processPayment}
                       loading={processingPayment}
+                      disabled={!currentShift}
                       className="w-full"
                     >
-                      Process Payment
+                      {currentShift ? 'Process Payment' : 'Open a Shift to Take Payment'}
                     </Button>
                     
                     {printStatus && (
@@ -897,7 +1054,18 @@ return (
           </div>
         </div>
       </div>
+        </>
       )}
+      {/* Returns Tab */}
+      {activeTab === 'returns' && (
+        <POSReturnsPanel
+          cashierId={CASHIER_ID}
+          shift={currentShift}
+          products={products}
+          onCompleted={handleAdjustmentCompleted}
+        />
+      )}
+
       {/* Inventory Tab */}
       {activeTab === 'inventory' && (
         <div className="space-y-6">
@@ -1049,10 +1217,15 @@ return (
             <div className="card p-6">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-sm font-medium text-gray-600">Today's Sales</p>
+                  <p className="text-sm font-medium text-gray-600">Today's Net Sales</p>
                   <p className="text-2xl font-bold text-primary">
-                    Rs. {salesSummary.totalSales?.toLocaleString() || 0}
+                    Rs. {salesSummary.netSales?.toLocaleString() || 0}
                   </p>
+                  {salesSummary.refunded > 0 && (
+                    <p className="text-xs text-gray-500">
+                      Rs. {salesSummary.grossSales.toLocaleString()} sold, Rs. {salesSummary.refunded.toLocaleString()} refunded or voided
+                    </p>
+                  )}
                 </div>
                 <ApperIcon name="TrendingUp" size={32} className="text-success" />
               </div>
@@ -1061,9 +1234,9 @@ return (
             <div className="card p-6">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-sm font-medium text-gray-600">Transactions</p>
+                  <p className="text-sm font-medium text-gray-600">Sales</p>
                   <p className="text-2xl font-bold text-primary">
-                    {salesSummary.totalTransactions || 0}
+                    {salesSummary.salesCount || 0}
                   </p>
                 </div>
                 <ApperIcon name="Receipt" size={32} className="text-info" />
@@ -1129,7 +1302,8 @@ return (
               </div>
               
               <div className="border-t border-gray-300 pt-3 mb-3">
-                <p className="text-sm">Date: {new Date().toLocaleString()}</p>
+                <p className="text-sm">Receipt #: {previewTransaction.receiptNumber}</p>
+                <p className="text-sm">Date: {new Date(previewTransaction.timestamp).toLocaleString()}</p>
                 <p className="text-sm">Payment: {previewTransaction.paymentType.toUpperCase()}</p>
               </div>
               
@@ -1140,7 +1314,7 @@ return (
                       <div className="font-medium">{item.name}</div>
                       <div className="text-gray-600">{item.quantity} x Rs. {item.price.toLocaleString()}</div>
                     </div>
-                    <div className="font-medium">Rs. {(item.price * item.quantity).toLocaleString()}</div>
+                    <div className="font-medium">Rs. {lineAmount(item).toLocaleString()}</div>
                   </div>
                 ))}
               </div>
@@ -1150,7 +1324,12 @@ return (
                   <span>Total:</span>
                   <span>Rs. {previewTransaction.total.toLocaleString()}</span>
                 </div>
-                {previewTransaction.paymentType === 'cash' && (
+                {previewTransaction.total < 0 ? (
+                  <div className="flex justify-between text-sm">
+                    <span>Refunded ({previewTransaction.paymentType.toUpperCase()}):</span>
+                    <span>Rs. {(-previewTransaction.total).toLocaleString()}</span>
+                  </div>
+                ) : previewTransaction.paymentType === 'cash' && (
                   <>
                     <div className="flex justify-between text-sm">
                       <span>Paid:</span>
@@ -8,6 +8,7 @@ import Input from "@/components/atoms/Input";
 import Error from "@/components/ui/Error";
 import Loading from "@/components/ui/Loading";
 import { orderService } from "@/services/api/orderService";
+import { orderStateMachine } from "@/services/api/orderStateMachine";
 import { paymentService } from "@/services/api/paymentService";
 
 // Payment Gateway Management Component
@@ -360,6 +361,7 @@ const [filterMethod, setFilterMethod] = useState('all');
   const [rejectionReason, setRejectionReason] = useState('');
   const [activeTab, setActiveTab] = useState('overview');
   const [pendingVerifications, setPendingVerifications] = useState([]);
+  const [orders, setOrders] = useState([]);
   const [processingVerification, setProcessingVerification] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
@@ -409,6 +411,7 @@ const [filterMethod, setFilterMethod] = useState('all');
       setWalletTransactions(walletTxns);
       setPaymentMethods(methods);
       setPendingVerifications(verifications);
+      setOrders(orders);
 
     } catch (err) {
       setError(err.message);
@@ -473,11 +476,14 @@ const handleVerificationAction = async (orderId, action, notes = '') => {
     setProcessingVerification(true);
     try {
       const status = action === 'approve' ? 'verified' : 'rejected';
-      await orderService.updateVerificationStatus(orderId, status, notes);
+      const previousStatus = orders.find(o => o.id === orderId)?.status;
+      const updatedOrder = await orderService.updateVerificationStatus(orderId, status, notes);
       
       if (action === 'approve') {
         toast.success('Payment approved successfully');
-        toast.info('Order status updated: Order Placed → Confirmed');
+        if (updatedOrder.status !== previousStatus) {
+          toast.info(`Order status updated: ${orderStateMachine.getStatusLabel(previousStatus)} → ${orderStateMachine.getStatusLabel(updatedOrder.status)}`);
+        }
       } else {
         toast.success('Payment rejected and user has been notified');
         // In a real implementation, this would trigger an email/SMS to the user
@@ -985,11 +991,19 @@ const handleVerificationAction = async (orderId, action, notes = '') => {
               </div>
             ) : (
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-{pendingVerifications.map((verification) => (
+{pendingVerifications.map((verification) => {
+                  const order = orders.find(o => o.id === verification.orderId);
+                  const approvalBlocker = order && orderStateMachine.getTransitionError(order, { verificationStatus: 'verified' });
+                  return (
                   <div key={verification.Id} className="card p-6 border-l-4 border-yellow-400">
                     <div className="flex items-start justify-between mb-4">
                       <div>
                         <h4 className="font-semibold text-gray-900">Order #{verification.orderId}</h4>
+                        {order && (
+                          <p className="text-xs text-gray-500">
+                            Order status: {orderStateMachine.getStatusLabel(order.status)}
+                          </p>
+                        )}
                         <p className="text-sm text-gray-600">
                           Submitted {format(new Date(verification.submittedAt), 'MMM dd, yyyy hh:mm a')}
 </p>
@@ -1070,10 +1084,13 @@ const handleVerificationAction = async (orderId, action, notes = '') => {
                       </div>
                     )}
 
+                    {approvalBlocker && (
+                      <p className="text-sm text-red-600 mb-3">{approvalBlocker}</p>
+                    )}
 <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-3">
                       <Button
                         onClick={() => handleVerificationAction(verification.orderId, 'approve', 'Payment verified by admin')}
-disabled={processingVerification}
+disabled={processingVerification || !!approvalBlocker}
                         className="flex-1 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600"
                       >
                         {processingVerification ? (
@@ -1093,7 +1110,8 @@ disabled={processingVerification}
                       </Button>
 </div>
                   </div>
-                ))}
+                  );
+                })}
               </div>
             )}
           </div>
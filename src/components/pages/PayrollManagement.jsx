@@ -4,6 +4,7 @@ import ApperIcon from '@/components/ApperIcon';
 import EmployeeManagement from '@/components/pages/EmployeeManagement';
 import AttendanceTracking from '@/components/pages/AttendanceTracking';
 import PayrollCalculation from '@/components/pages/PayrollCalculation';
+import RiderPayouts from '@/components/pages/RiderPayouts';
 
 const PayrollManagement = () => {
   const [activeTab, setActiveTab] = useState('employees');
@@ -11,7 +12,8 @@ const PayrollManagement = () => {
   const tabs = [
     { id: 'employees', label: 'Employee Management', icon: 'Users' },
     { id: 'attendance', label: 'Attendance Tracking', icon: 'Clock' },
-    { id: 'payroll', label: 'Payroll Calculation', icon: 'Calculator' }
+    { id: 'payroll', label: 'Payroll Calculation', icon: 'Calculator' },
+    { id: 'riders', label: 'Rider Payouts', icon: 'Bike' }
   ];
 
   const renderTabContent = () => {
@@ -22,6 +24,8 @@ const PayrollManagement = () => {
         return <AttendanceTracking />;
       case 'payroll':
         return <PayrollCalculation />;
+      case 'riders':
+        return <RiderPayouts />;
       default:
         return <EmployeeManagement />;
     }
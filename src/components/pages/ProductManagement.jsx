@@ -11,6 +11,9 @@ import Loading from "@/components/ui/Loading";
 import Cart from "@/components/pages/Cart";
 import Category from "@/components/pages/Category";
 import Checkout from "@/components/pages/Checkout";
+import StockAdjustmentModal from "@/components/organisms/StockAdjustmentModal";
+import NearExpiryPanel from "@/components/organisms/NearExpiryPanel";
+import MarkdownPanel from "@/components/organisms/MarkdownPanel";
 import { productService } from "@/services/api/productService";
 
 // Material UI Switch Component
@@ -56,6 +59,7 @@ const ProductManagement = () => {
   const [editingProduct, setEditingProduct] = useState(null);
   const [showBulkPriceModal, setShowBulkPriceModal] = useState(false);
   const [pendingVisibilityToggles, setPendingVisibilityToggles] = useState(new Set());
+  const [stockProduct, setStockProduct] = useState(null);
   
   // Preview Mode State
   const [previewMode, setPreviewMode] = useState(false);
@@ -79,6 +83,7 @@ const [formData, setFormData] = useState({
     description: "",
     imageUrl: "",
     barcode: "",
+    plu: "",
     isVisible: true,
     enableVariations: false,
     variations: [],
@@ -306,7 +311,7 @@ const [formData, setFormData] = useState({
         return;
       }
       
-      if (!formData.stock || parseInt(formData.stock) < 0) {
+      if (!editingProduct && (!formData.stock || parseInt(formData.stock) < 0)) {
         toast.error("Valid stock quantity is required");
         return;
       }
@@ -369,10 +374,11 @@ const [formData, setFormData] = useState({
         discountValue: parseFloat(formData.discountValue) || 0,
         minSellingPrice: parseFloat(formData.minSellingPrice) || 0,
         profitMargin: parseFloat(formData.profitMargin) || 0,
-        stock: parseInt(formData.stock) || 0,
+        stock: parseFloat(formData.stock) || 0,
         minStock: formData.minStock ? parseInt(formData.minStock) : 5,
         imageUrl: formData.imageUrl || "/api/placeholder/300/200",
-        barcode: formData.barcode || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+        barcode: formData.barcode || `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        plu: formData.plu.trim()
       };
 
       // Validate offer conflicts before saving
@@ -398,7 +404,9 @@ const [formData, setFormData] = useState({
 
       let result;
       if (editingProduct) {
-        result = await productService.update(editingProduct.id, productData);
+        // Stock is read-only here and left out of the update; it changes through stock adjustments
+        const { stock: _ignoredStock, ...details } = productData;
+        result = await productService.update(editingProduct.id, details);
         toast.success("Product updated successfully!");
       } else {
         result = await productService.create(productData);
@@ -441,6 +449,7 @@ setFormData({
       description: product.description || "",
       imageUrl: product.imageUrl || "",
       barcode: product.barcode || "",
+      plu: product.plu || "",
       isVisible: product.isVisible !== false,
       enableVariations: product.enableVariations || false,
       variations: product.variations || [],
@@ -546,6 +555,7 @@ setFormData({
       description: "",
       imageUrl: "",
       barcode: "",
+      plu: "",
       isVisible: true,
       enableVariations: false,
       variations: [],
@@ -652,6 +662,7 @@ return matchesSearch && matchesCategory;
           handleVisibilityToggle={handleVisibilityToggle}
           resetForm={resetForm}
           handleBulkPriceUpdate={handleBulkPriceUpdate}
+          handleAdjustStock={setStockProduct}
         />
       ) : (
         <div className="max-w-7xl mx-auto p-6">
@@ -722,6 +733,12 @@ return matchesSearch && matchesCategory;
         </div>
       </div>
 
+      {/* Near-expiry lots */}
+      <NearExpiryPanel refreshKey={products} onWrittenOff={loadProducts} />
+
+      {/* Near-expiry markdowns */}
+      <MarkdownPanel refreshKey={products} onChanged={loadProducts} />
+
       {/* Products Grid */}
       <div className="bg-white rounded-lg shadow-md">
         <div className="p-6 border-b border-gray-200">
@@ -881,6 +898,14 @@ return matchesSearch && matchesCategory;
                           >
                             Edit
                           </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            icon="Boxes"
+                            onClick={() => setStockProduct(product)}
+                          >
+                            Stock
+                          </Button>
                           <Button
                             variant="ghost"
                             size="sm"
@@ -1054,12 +1079,13 @@ return matchesSearch && matchesCategory;
                 
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                   <Input
-                    label="Stock Quantity *"
+                    label={editingProduct ? "Stock on Hand (use Stock to adjust)" : "Stock Quantity *"}
                     name="stock"
                     type="number"
                     value={formData.stock}
                     onChange={handleInputChange}
                     required
+                    disabled={!!editingProduct}
                     icon="Archive"
                     placeholder="0"
                   />
@@ -1669,6 +1695,15 @@ return matchesSearch && matchesCategory;
                   icon="BarChart"
                   placeholder="Auto-generated if left empty"
                 />
+
+                <Input
+                  label="Scale PLU"
+                  name="plu"
+                  value={formData.plu}
+                  onChange={handleInputChange}
+                  icon="Scale"
+                  placeholder="5-digit code for weighed items (optional)"
+                />
               </div>
 
               <div className="flex justify-end space-x-4 pt-4 border-t border-gray-200">
@@ -1704,6 +1739,15 @@ return matchesSearch && matchesCategory;
       )}
       </div>
       )}
+
+      {/* Stock Adjustment Modal */}
+      {stockProduct && (
+        <StockAdjustmentModal
+          product={stockProduct}
+          onClose={() => setStockProduct(null)}
+          onAdjusted={loadProducts}
+        />
+      )}
     </div>
   );
 };
@@ -4032,7 +4076,8 @@ const PreviewMode = ({
   handleDelete,
   handleVisibilityToggle,
   resetForm,
-  handleBulkPriceUpdate
+  handleBulkPriceUpdate,
+  handleAdjustStock
 }) => {
   const [previewCollapsed, setPreviewCollapsed] = useState(false);
   
@@ -4201,6 +4246,7 @@ const PreviewMode = ({
               handleEdit={handleEdit}
               handleDelete={handleDelete}
               handleVisibilityToggle={handleVisibilityToggle}
+              handleAdjustStock={handleAdjustStock}
             />
           </div>
         </div>
@@ -4756,7 +4802,8 @@ const AdminProductsTable = ({
   pendingVisibilityToggles,
   handleEdit,
   handleDelete,
-  handleVisibilityToggle
+  handleVisibilityToggle,
+  handleAdjustStock
 }) => {
   return (
     <div className="bg-white rounded-lg shadow-md">
@@ -4884,6 +4931,14 @@ const AdminProductsTable = ({
                         >
                           Edit
                         </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          icon="Boxes"
+                          onClick={() => handleAdjustStock(product)}
+                        >
+                          Stock
+                        </Button>
                         <Button
                           variant="ghost"
                           size="sm"
@@ -5000,12 +5055,13 @@ const ProductFormModal = ({
           {/* Inventory */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <Input
-              label="Stock Quantity *"
+              label={editingProduct ? "Stock on Hand (use Stock to adjust)" : "Stock Quantity *"}
               name="stock"
               type="number"
               value={formData.stock}
               onChange={handleInputChange}
               required
+              disabled={!!editingProduct}
               icon="Archive"
               placeholder="0"
             />
@@ -0,0 +1,572 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Badge from '@/components/atoms/Badge';
+import Loading from '@/components/ui/Loading';
+import Error from '@/components/ui/Error';
+import ReorderSuggestionsPanel from '@/components/organisms/ReorderSuggestionsPanel';
+import { PO_STATUS_LABELS, purchaseOrderService } from '@/services/api/purchaseOrderService';
+import { productService } from '@/services/api/productService';
+import { isSoldByWeight, roundQuantity } from '@/utils/scaleBarcode';
+
+const FILTERS = ['all', 'draft', 'ordered', 'partially_received', 'received', 'cancelled'];
+
+const STATUS_VARIANTS = {
+  draft: 'default',
+  ordered: 'info',
+  partially_received: 'warning',
+  received: 'success',
+  cancelled: 'danger'
+};
+
+const formatAmount = (amount) => `Rs. ${amount.toLocaleString()}`;
+
+const emptyLine = () => ({ productId: '', quantity: '', unitCost: '' });
+
+const PurchaseOrders = () => {
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [view, setView] = useState('orders');
+  const [filter, setFilter] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  // Order being cancelled and why: { Id, reason }
+  const [cancelling, setCancelling] = useState(null);
+
+  // New order form
+  const [showCreate, setShowCreate] = useState(false);
+  const [draft, setDraft] = useState({ vendorId: '', expectedDate: '', notes: '', lines: [emptyLine()] });
+  const [saving, setSaving] = useState(false);
+
+  // Goods receiving form
+  const [receiving, setReceiving] = useState(null);
+  const [receiptLines, setReceiptLines] = useState({});
+  const [invoiceReference, setInvoiceReference] = useState('');
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [ordersData, suppliersData, productsData] = await Promise.all([
+        purchaseOrderService.getAll(),
+        purchaseOrderService.getSuppliers(),
+        productService.getAll('admin')
+      ]);
+      setPurchaseOrders(ordersData);
+      setSuppliers(suppliersData);
+      setProducts(productsData);
+    } catch (err) {
+      setError(err.message);
+      toast.error('Failed to load purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateLine = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      lines: prev.lines.map((line, i) => (i === index ? { ...line, ...changes } : line))
+    }));
+  };
+
+  const handleProductChange = (index, productId) => {
+    const product = products.find(p => p.id === parseInt(productId));
+    updateLine(index, { productId, unitCost: product?.purchasePrice ? String(product.purchasePrice) : '' });
+  };
+
+  const resetCreate = () => {
+    setShowCreate(false);
+    setDraft({ vendorId: '', expectedDate: '', notes: '', lines: [emptyLine()] });
+  };
+
+  const handleCreate = async (status) => {
+    if (!draft.vendorId) {
+      toast.error('Please choose a supplier');
+      return;
+    }
+    try {
+      setSaving(true);
+      const purchaseOrder = await purchaseOrderService.create({
+        vendorId: parseInt(draft.vendorId),
+        expectedDate: draft.expectedDate || null,
+        notes: draft.notes,
+        status,
+        items: draft.lines
+          .filter(line => line.productId)
+          .map(line => ({ productId: parseInt(line.productId), quantity: line.quantity, unitCost: line.unitCost }))
+      });
+      toast.success(status === 'draft'
+        ? `${purchaseOrder.poNumber} saved as a draft`
+        : `${purchaseOrder.poNumber} sent to ${purchaseOrder.vendorName}`);
+      resetCreate();
+      await loadData();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSuggestionDrafted = async (purchaseOrder) => {
+    setView('orders');
+    setFilter('draft');
+    setExpandedId(purchaseOrder.Id);
+    await loadData();
+  };
+
+  const handleSubmitDraft = async (purchaseOrder) => {
+    try {
+      setBusyId(purchaseOrder.Id);
+      await purchaseOrderService.submit(purchaseOrder.Id);
+      toast.success(`${purchaseOrder.poNumber} sent to ${purchaseOrder.vendorName}`);
+      await loadData();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = async (purchaseOrder) => {
+    if (!cancelling.reason.trim()) {
+      toast.error(`Give a reason for cancelling ${purchaseOrder.poNumber}`);
+      return;
+    }
+    try {
+      setBusyId(purchaseOrder.Id);
+      await purchaseOrderService.cancel(purchaseOrder.Id, cancelling.reason);
+      toast.success(`${purchaseOrder.poNumber} cancelled`);
+      setCancelling(null);
+      await loadData();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const openReceiving = (purchaseOrder) => {
+    setReceiving(purchaseOrder);
+    setInvoiceReference('');
+    setReceiptLines(Object.fromEntries(purchaseOrder.items.map(item => [
+      item.productId,
+      { quantity: String(roundQuantity(item.quantity - item.receivedQuantity)), unitCost: String(item.unitCost), expiresAt: '' }
+    ])));
+  };
+
+  const handleReceive = async () => {
+    try {
+      setSaving(true);
+      const { receipt } = await purchaseOrderService.receive(
+        receiving.Id,
+        Object.entries(receiptLines).map(([productId, line]) => ({
+          productId: parseInt(productId),
+          quantity: line.quantity,
+          unitCost: line.unitCost,
+          expiresAt: line.expiresAt || undefined
+        })),
+        { reference: invoiceReference }
+      );
+      toast.success(`${receipt.grnNumber} booked into stock, bill ${receipt.billNumber} raised for ${formatAmount(receipt.amount)}`);
+      setReceiving(null);
+      await loadData();
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Loading type="dashboard" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Error message={error} onRetry={loadData} />
+      </div>
+    );
+  }
+
+  const visible = purchaseOrders.filter(po => filter === 'all' || po.status === filter);
+  const draftTotal = draft.lines.reduce((sum, line) => sum + (Number(line.quantity) || 0) * (parseFloat(line.unitCost) || 0), 0);
+  const receiptTotal = Object.values(receiptLines)
+    .reduce((sum, line) => sum + (Number(line.quantity) || 0) * (parseFloat(line.unitCost) || 0), 0);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-8 gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Purchase Orders</h1>
+          <p className="text-gray-600">Order stock from suppliers and receive it against the order</p>
+        </div>
+        <Button icon="Plus" onClick={() => setShowCreate(true)}>New Purchase Order</Button>
+      </div>
+
+      {/* View */}
+      <div className="flex gap-2 mb-6 border-b border-gray-200">
+        {[['orders', 'Purchase Orders'], ['suggestions', 'Reorder Suggestions']].map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setView(key)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              view === key ? 'border-primary text-primary' : 'border-transparent text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {view === 'suggestions' ? (
+        <ReorderSuggestionsPanel onDraftCreated={handleSuggestionDrafted} refreshKey={purchaseOrders} />
+      ) : (
+        <>
+          {/* Filters */}
+          <div className="flex flex-wrap gap-2 mb-4">
+            {FILTERS.map(option => (
+              <button
+                key={option}
+                onClick={() => setFilter(option)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  filter === option ? 'bg-primary text-white' : 'bg-white text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {option === 'all' ? 'All' : PO_STATUS_LABELS[option]}
+              </button>
+            ))}
+          </div>
+
+          {/* Orders */}
+          {visible.length === 0 ? (
+            <div className="card p-12 text-center">
+              <ApperIcon name="ClipboardList" size={48} className="text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-600">No purchase orders here yet</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {visible.map(po => {
+                const ordered = po.items.reduce((sum, item) => sum + item.quantity, 0);
+                const received = po.items.reduce((sum, item) => sum + item.receivedQuantity, 0);
+                return (
+                  <div key={po.Id} className="card p-6">
+                    <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                      <div>
+                        <div className="flex items-center gap-2">
+                          <button
+                            onClick={() => setExpandedId(expandedId === po.Id ? null : po.Id)}
+                            className="font-semibold text-gray-900 hover:text-primary flex items-center gap-1"
+                          >
+                            <ApperIcon name={expandedId === po.Id ? 'ChevronDown' : 'ChevronRight'} size={16} />
+                            {po.poNumber}
+                          </button>
+                          <Badge variant={STATUS_VARIANTS[po.status]} size="small">{PO_STATUS_LABELS[po.status]}</Badge>
+                        </div>
+                        <p className="text-sm text-gray-600 mt-1">
+                          {po.vendorName} • {po.items.length} product{po.items.length === 1 ? '' : 's'} • {formatAmount(po.total)}
+                          {po.expectedDate && ` • expected ${format(new Date(po.expectedDate), 'MMM dd')}`}
+                        </p>
+                        {po.status !== 'draft' && po.status !== 'cancelled' && (
+                          <p className="text-sm text-gray-500">Received {received} of {ordered}</p>
+                        )}
+                      </div>
+                      <div className="flex flex-wrap gap-2">
+                        {po.status === 'draft' && (
+                          <Button size="small" icon="Send" loading={busyId === po.Id} onClick={() => handleSubmitDraft(po)}>
+                            Send to Supplier
+                          </Button>
+                        )}
+                        {['ordered', 'partially_received'].includes(po.status) && (
+                          <Button size="small" icon="PackageCheck" onClick={() => openReceiving(po)}>
+                            Receive Goods
+                          </Button>
+                        )}
+                        {['draft', 'ordered'].includes(po.status) && (
+                          <Button size="small" variant="ghost" disabled={busyId === po.Id} onClick={() => setCancelling({ Id: po.Id, reason: '' })}>
+                            Cancel
+                          </Button>
+                        )}
+                      </div>
+                    </div>
+
+                    {cancelling?.Id === po.Id && (
+                      <div className="flex flex-wrap items-center gap-2 mt-4 p-3 bg-gray-50 rounded-lg">
+                        <input
+                          type="text"
+                          placeholder={`Why is ${po.poNumber} being cancelled?`}
+                          value={cancelling.reason}
+                          onChange={(e) => setCancelling(prev => ({ ...prev, reason: e.target.value }))}
+                          className="input-field flex-1 min-w-[12rem]"
+                        />
+                        <Button size="small" variant="danger" loading={busyId === po.Id} onClick={() => handleCancel(po)}>
+                          Cancel Order
+                        </Button>
+                        <Button size="small" variant="ghost" onClick={() => setCancelling(null)}>Keep Order</Button>
+                      </div>
+                    )}
+
+                    {expandedId === po.Id && (
+                      <div className="mt-4 border-t border-gray-200 pt-4 space-y-4">
+                        <table className="min-w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-gray-500">
+                              <th className="py-1 font-medium">Product</th>
+                              <th className="py-1 font-medium text-right">Ordered</th>
+                              <th className="py-1 font-medium text-right">Received</th>
+                              <th className="py-1 font-medium text-right">Unit Cost</th>
+                              <th className="py-1 font-medium text-right">Amount</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {po.items.map(item => (
+                              <tr key={item.productId}>
+                                <td className="py-1 text-gray-900">{item.name}</td>
+                                <td className="py-1 text-right">{item.quantity} {item.unit}</td>
+                                <td className="py-1 text-right">{item.receivedQuantity}</td>
+                                <td className="py-1 text-right">{formatAmount(item.unitCost)}</td>
+                                <td className="py-1 text-right">{formatAmount(item.quantity * item.unitCost)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        {po.notes && <p className="text-sm text-gray-600">Notes: {po.notes}</p>}
+                        {po.cancellationReason && <p className="text-sm text-gray-600">Cancelled: {po.cancellationReason}</p>}
+                        {po.receipts.length > 0 && (
+                          <div>
+                            <h3 className="font-medium text-gray-900 mb-2">Goods Received</h3>
+                            <div className="space-y-2">
+                              {po.receipts.map(receipt => (
+                                <div key={receipt.Id} className="p-3 bg-gray-50 rounded-lg text-sm">
+                                  <div className="flex flex-wrap justify-between gap-2">
+                                    <span className="font-medium text-gray-900">{receipt.grnNumber}</span>
+                                    <span className="text-gray-500">{format(new Date(receipt.receivedAt), 'MMM dd, yyyy hh:mm a')}</span>
+                                  </div>
+                                  <p className="text-gray-600">
+                                    {receipt.items.map(item => `${item.quantity} ${item.name} @ ${formatAmount(item.unitCost)}${item.lotNumber ? ` (${item.lotNumber})` : ''}`).join(', ')}
+                                  </p>
+                                  <p className="text-gray-600">
+                                    Bill {receipt.billNumber} • {formatAmount(receipt.amount)} • due {format(new Date(receipt.billDueDate), 'MMM dd, yyyy')}
+                                  </p>
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </>
+      )}
+
+      {/* New Purchase Order Modal */}
+      {showCreate && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-2xl w-full m-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-gray-900">New Purchase Order</h2>
+              <button onClick={resetCreate} className="text-gray-400 hover:text-gray-600">
+                <ApperIcon name="X" size={24} />
+              </button>
+            </div>
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+                  <select
+                    value={draft.vendorId}
+                    onChange={(e) => setDraft(prev => ({ ...prev, vendorId: e.target.value }))}
+                    className="input-field"
+                  >
+                    <option value="">Select supplier</option>
+                    {suppliers.map(vendor => (
+                      <option key={vendor.Id} value={vendor.Id}>{vendor.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Expected delivery</label>
+                  <input
+                    type="date"
+                    value={draft.expectedDate}
+                    onChange={(e) => setDraft(prev => ({ ...prev, expectedDate: e.target.value }))}
+                    className="input-field"
+                  />
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <div className="grid grid-cols-12 gap-2 text-sm font-medium text-gray-700">
+                  <span className="col-span-6">Product</span>
+                  <span className="col-span-2">Qty</span>
+                  <span className="col-span-3">Unit cost (Rs.)</span>
+                </div>
+                {draft.lines.map((line, index) => (
+                  <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                    <select
+                      value={line.productId}
+                      onChange={(e) => handleProductChange(index, e.target.value)}
+                      className="input-field col-span-6"
+                    >
+                      <option value="">Select product</option>
+                      {products.map(product => (
+                        <option key={product.id} value={product.id}>
+                          {product.name} ({product.stock} in stock)
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      step={isSoldByWeight(products.find(p => p.id === parseInt(line.productId))) ? '0.001' : '1'}
+                      value={line.quantity}
+                      onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                      className="input-field col-span-2"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={line.unitCost}
+                      onChange={(e) => updateLine(index, { unitCost: e.target.value })}
+                      className="input-field col-span-3"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setDraft(prev => ({ ...prev, lines: prev.lines.filter((_, i) => i !== index) }))}
+                      disabled={draft.lines.length === 1}
+                      className="col-span-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                    >
+                      <ApperIcon name="Trash2" size={16} />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => setDraft(prev => ({ ...prev, lines: [...prev.lines, emptyLine()] }))}
+                  className="text-sm text-primary hover:underline flex items-center gap-1"
+                >
+                  <ApperIcon name="Plus" size={14} />
+                  Add product
+                </button>
+              </div>
+
+              <textarea
+                value={draft.notes}
+                onChange={(e) => setDraft(prev => ({ ...prev, notes: e.target.value }))}
+                rows={2}
+                placeholder="Notes for the supplier (optional)"
+                className="input-field"
+              />
+
+              <div className="flex items-center justify-between">
+                <p className="font-medium text-gray-900">Total: {formatAmount(draftTotal)}</p>
+                <div className="flex gap-2">
+                  <Button variant="outline" disabled={saving} onClick={() => handleCreate('draft')}>Save Draft</Button>
+                  <Button icon="Send" loading={saving} onClick={() => handleCreate('ordered')}>Place Order</Button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Goods Receiving Modal */}
+      {receiving && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-2xl w-full m-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">Receive {receiving.poNumber}</h2>
+                <p className="text-sm text-gray-600">{receiving.vendorName}</p>
+              </div>
+              <button onClick={() => setReceiving(null)} className="text-gray-400 hover:text-gray-600">
+                <ApperIcon name="X" size={24} />
+              </button>
+            </div>
+            <div className="space-y-4">
+              <div className="grid grid-cols-12 gap-2 text-sm font-medium text-gray-700">
+                <span className="col-span-4">Product</span>
+                <span className="col-span-2 text-right">Outstanding</span>
+                <span className="col-span-2">Received</span>
+                <span className="col-span-2">Unit cost (Rs.)</span>
+                <span className="col-span-2">Expires</span>
+              </div>
+              {receiving.items.map(item => {
+                const outstanding = roundQuantity(item.quantity - item.receivedQuantity);
+                const line = receiptLines[item.productId];
+                return (
+                  <div key={item.productId} className="grid grid-cols-12 gap-2 items-center text-sm">
+                    <span className="col-span-4 text-gray-900">{item.name}</span>
+                    <span className="col-span-2 text-right text-gray-600">{outstanding} {item.unit}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max={outstanding}
+                      step={isSoldByWeight(item) ? '0.001' : '1'}
+                      value={line.quantity}
+                      disabled={outstanding === 0}
+                      onChange={(e) => setReceiptLines(prev => ({ ...prev, [item.productId]: { ...line, quantity: e.target.value } }))}
+                      className="input-field col-span-2"
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={line.unitCost}
+                      disabled={outstanding === 0}
+                      onChange={(e) => setReceiptLines(prev => ({ ...prev, [item.productId]: { ...line, unitCost: e.target.value } }))}
+                      className="input-field col-span-2"
+                    />
+                    <input
+                      type="date"
+                      value={line.expiresAt}
+                      disabled={outstanding === 0}
+                      onChange={(e) => setReceiptLines(prev => ({ ...prev, [item.productId]: { ...line, expiresAt: e.target.value } }))}
+                      className="input-field col-span-2"
+                    />
+                  </div>
+                );
+              })}
+              <input
+                type="text"
+                value={invoiceReference}
+                onChange={(e) => setInvoiceReference(e.target.value)}
+                placeholder="Supplier invoice number (optional, used as the bill number)"
+                className="input-field"
+              />
+              <p className="text-sm text-gray-600">
+                Stock and product costs are updated from what you enter, and a vendor bill is raised for the received amount.
+                Each line is booked as a new lot; leave the expiry blank to use the category's usual shelf life.
+              </p>
+              <div className="flex items-center justify-between">
+                <p className="font-medium text-gray-900">Bill amount: {formatAmount(receiptTotal)}</p>
+                <Button icon="PackageCheck" loading={saving} onClick={handleReceive}>Book Receipt</Button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrders;
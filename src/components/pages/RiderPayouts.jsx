@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { format } from 'date-fns';
+import ApperIcon from '@/components/ApperIcon';
+import Button from '@/components/atoms/Button';
+import Loading from '@/components/ui/Loading';
+import { riderEarningsService } from '@/services/api/riderEarningsService';
+import { paymentService } from '@/services/api/paymentService';
+
+const ENTRY_LABELS = {
+  delivery_fee: 'Delivery fee',
+  distance_bonus: 'Distance bonus',
+  tip: 'Tip',
+  cod_collected: 'Cash collected',
+  cod_remitted: 'Cash deposited',
+  cod_variance: 'Deposit variance',
+  payout: 'Payout'
+};
+
+const STATUS_STYLES = {
+  open: 'bg-blue-100 text-blue-800',
+  due: 'bg-yellow-100 text-yellow-800',
+  settled: 'bg-green-100 text-green-800'
+};
+
+const formatAmount = (amount) => `${amount < 0 ? '-' : ''}Rs. ${Math.abs(amount).toLocaleString()}`;
+
+const shiftWeek = (weekStart, weeks) => {
+  const date = new Date(`${weekStart}T00:00:00`);
+  date.setDate(date.getDate() + weeks * 7);
+  return riderEarningsService.getWeekStart(date);
+};
+
+const weekLabel = (weekStart) => {
+  const start = new Date(`${weekStart}T00:00:00`);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 6);
+  return `${format(start, 'MMM d')} - ${format(end, 'MMM d, yyyy')}`;
+};
+
+const RiderPayouts = () => {
+  const [weekStart, setWeekStart] = useState(riderEarningsService.getWeekStart(new Date()));
+  const [statements, setStatements] = useState([]);
+  const [walletBalance, setWalletBalance] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [selectedRiderId, setSelectedRiderId] = useState(null);
+  const [settlingId, setSettlingId] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, [weekStart]);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [statementsData, balance] = await Promise.all([
+        riderEarningsService.getStatements(weekStart),
+        paymentService.getWalletBalance()
+      ]);
+      setStatements(statementsData);
+      setWalletBalance(balance);
+    } catch (err) {
+      toast.error('Failed to load rider statements');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSettle = async (statement) => {
+    if (!confirm(`Pay ${formatAmount(statement.netPayable)} to ${statement.riderName} from the store wallet?`)) {
+      return;
+    }
+    try {
+      setSettlingId(statement.id);
+      await riderEarningsService.settleStatement(statement.riderId, statement.weekStart);
+      toast.success(`${statement.riderName} has been paid`);
+      await loadData();
+    } catch (err) {
+      toast.error(err.message || 'Failed to settle statement');
+    } finally {
+      setSettlingId(null);
+    }
+  };
+
+  const currentWeek = riderEarningsService.getWeekStart(new Date());
+  const selected = statements.find(s => s.riderId === selectedRiderId);
+  const totalEarnings = statements.reduce((sum, s) => sum + s.earnings, 0);
+  const totalCod = statements.reduce((sum, s) => sum + s.codCollected, 0);
+  const totalDue = statements
+    .filter(s => s.status !== 'settled' && s.netPayable > 0)
+    .reduce((sum, s) => sum + s.netPayable, 0);
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Rider Payouts</h2>
+          <p className="text-gray-600">Per-delivery earnings, tips and cash collections by week</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" size="small" onClick={() => setWeekStart(shiftWeek(weekStart, -1))}>
+            <ApperIcon name="ChevronLeft" size={16} />
+          </Button>
+          <span className="text-sm font-medium text-gray-900 whitespace-nowrap">
+            {weekLabel(weekStart)}
+          </span>
+          <Button
+            variant="outline"
+            size="small"
+            disabled={weekStart >= currentWeek}
+            onClick={() => setWeekStart(shiftWeek(weekStart, 1))}
+          >
+            <ApperIcon name="ChevronRight" size={16} />
+          </Button>
+        </div>
+      </div>
+
+      {/* Summary Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+        {[
+          { label: 'Rider Earnings', value: totalEarnings, icon: 'Bike', iconClass: 'bg-blue-100 text-blue-600' },
+          { label: 'Cash Collected', value: totalCod, icon: 'Banknote', iconClass: 'bg-orange-100 text-orange-600' },
+          { label: 'Payable This Week', value: totalDue, icon: 'Wallet', iconClass: 'bg-purple-100 text-purple-600' },
+          { label: 'Store Wallet', value: walletBalance, icon: 'Landmark', iconClass: 'bg-green-100 text-green-600' }
+        ].map(card => (
+          <div key={card.label} className="bg-white rounded-lg shadow-card p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm text-gray-600">{card.label}</p>
+                <p className="text-2xl font-bold text-gray-900">{formatAmount(card.value)}</p>
+              </div>
+              <div className={`h-12 w-12 rounded-lg flex items-center justify-center ${card.iconClass}`}>
+                <ApperIcon name={card.icon} size={24} />
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {loading ? (
+        <Loading type="page" />
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Statements */}
+          <div className="lg:col-span-2 bg-white rounded-lg shadow-card p-6">
+            <h3 className="text-lg font-semibold mb-4">Weekly Statements</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Rider', 'Drops', 'Earnings', 'Cash Held', 'Net', 'Status', 'Actions'].map(heading => (
+                      <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {statements.map(statement => (
+                    <tr
+                      key={statement.id}
+                      className={`hover:bg-gray-50 cursor-pointer ${selectedRiderId === statement.riderId ? 'bg-primary/5' : ''}`}
+                      onClick={() => setSelectedRiderId(statement.riderId)}
+                    >
+                      <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {statement.riderName}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{statement.deliveries}</td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{formatAmount(statement.earnings)}</td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">{formatAmount(statement.cashHeld)}</td>
+                      <td className={`px-4 py-4 whitespace-nowrap text-sm font-medium ${
+                        statement.netPayable < 0 ? 'text-red-600' : 'text-gray-900'
+                      }`}>
+                        {formatAmount(statement.netPayable)}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[statement.status]}`}>
+                          {statement.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm">
+                        {statement.status === 'due' && statement.netPayable >= 0 && (
+                          <Button
+                            size="small"
+                            loading={settlingId === statement.id}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleSettle(statement);
+                            }}
+                          >
+                            Settle
+                          </Button>
+                        )}
+                        {statement.status === 'due' && statement.netPayable < 0 && (
+                          <span className="text-xs text-red-600">Owes cash</span>
+                        )}
+                        {statement.status === 'settled' && statement.payout?.reference && (
+                          <span className="text-xs text-gray-500">{statement.payout.reference}</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Statement detail */}
+          <div className="bg-white rounded-lg shadow-card p-6">
+            {!selected ? (
+              <div className="text-center py-12">
+                <ApperIcon name="Receipt" size={48} className="text-gray-400 mx-auto mb-4" />
+                <p className="text-gray-500">Select a rider to see their statement</p>
+              </div>
+            ) : (
+              <>
+                <h3 className="text-lg font-semibold mb-1">{selected.riderName}</h3>
+                <p className="text-sm text-gray-500 mb-4">{selected.weekStart} to {selected.weekEnd}</p>
+                <div className="space-y-2 text-sm mb-4">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Delivery fees ({selected.deliveries})</span>
+                    <span>{formatAmount(selected.deliveryFees)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Distance bonus</span>
+                    <span>{formatAmount(selected.distanceBonus)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Tips</span>
+                    <span>{formatAmount(selected.tips)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Cash collected</span>
+                    <span>{formatAmount(-selected.codCollected)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Cash deposited</span>
+                    <span>{formatAmount(selected.codDeposited)}</span>
+                  </div>
+                  <div className="flex justify-between font-semibold border-t pt-2">
+                    <span>{selected.netPayable < 0 ? 'Owed to store' : 'Net payable'}</span>
+                    <span>{formatAmount(Math.abs(selected.netPayable))}</span>
+                  </div>
+                  {selected.payout && (
+                    <p className="text-xs text-green-700">
+                      Paid {formatAmount(selected.payout.amount)} on {format(new Date(selected.payout.settledAt), 'MMM d, yyyy hh:mm a')}
+                    </p>
+                  )}
+                </div>
+                <h4 className="font-medium text-gray-900 mb-2">Ledger</h4>
+                {selected.entries.length === 0 ? (
+                  <p className="text-sm text-gray-500">No activity this week.</p>
+                ) : (
+                  <div className="space-y-2 max-h-96 overflow-y-auto">
+                    {selected.entries.map(entry => (
+                      <div key={entry.Id} className="flex justify-between items-start p-2 bg-gray-50 rounded-lg text-sm">
+                        <div>
+                          <p className="text-gray-900">{ENTRY_LABELS[entry.type] || entry.type}</p>
+                          <p className="text-xs text-gray-500">{entry.description}</p>
+                        </div>
+                        <span className={entry.amount < 0 ? 'text-red-600' : 'text-green-700'}>
+                          {formatAmount(entry.amount)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RiderPayouts;
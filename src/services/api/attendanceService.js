@@ -22,7 +22,8 @@ const attendanceService = {
     const newRecord = {
       ...attendanceRecord,
       Id: ++lastId,
-      employeeId: parseInt(attendanceRecord.employeeId),
+      // Rider shift records carry a riderId instead and stay out of payroll
+      employeeId: attendanceRecord.employeeId != null ? parseInt(attendanceRecord.employeeId) : null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
@@ -41,7 +42,7 @@ const attendanceService = {
       ...attendanceData[index],
       ...updatedData,
       Id: parseInt(id),
-      employeeId: parseInt(updatedData.employeeId || attendanceData[index].employeeId),
+      employeeId: updatedData.employeeId != null ? parseInt(updatedData.employeeId) : attendanceData[index].employeeId,
       updatedAt: new Date().toISOString()
     };
     
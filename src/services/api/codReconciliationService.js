@@ -0,0 +1,180 @@
+import { orderService } from "@/services/api/orderService";
+import { orderStateMachine } from "@/services/api/orderStateMachine";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { riderEarningsService } from "@/services/api/riderEarningsService";
+
+class CodReconciliationService {
+  constructor() {
+    // Cash handovers: { Id, riderId, orders [{ orderId, amount }], expectedAmount, declaredAmount,
+    // countedAmount, variance, flagged, status 'pending' | 'confirmed', ... }
+    this.deposits = [];
+    this.config = {
+      // Count differences within this many rupees are not flagged
+      varianceTolerance: 0
+    };
+  }
+
+  // Delivered cash order whose money has not reached the store yet
+  isCashOutstanding(order) {
+    return order.paymentMethod === 'cash' &&
+      order.deliveryStatus === 'delivered' &&
+      order.paymentStatus !== 'completed';
+  }
+
+  // Cash a rider is carrying, less anything already handed over for counting
+  async getCashInHand(riderId) {
+    const id = parseInt(riderId);
+    const orders = await orderService.getOrdersByDeliveryPerson(id);
+    const pendingDeposit = this.deposits.find(d => d.riderId === id && d.status === 'pending') || null;
+    const handedOver = new Set(pendingDeposit ? pendingDeposit.orders.map(o => o.orderId) : []);
+    const outstanding = orders
+      .filter(order => this.isCashOutstanding(order) && !handedOver.has(order.id))
+      .map(order => ({ orderId: order.id, amount: order.total || 0, deliveredAt: order.actualDelivery || null }));
+
+    return {
+      riderId: id,
+      orders: outstanding,
+      amount: outstanding.reduce((sum, o) => sum + o.amount, 0),
+      pendingDeposit: pendingDeposit ? this.copyDeposit(pendingDeposit) : null
+    };
+  }
+
+  async getCashInHandByRider() {
+    const personnel = await deliveryPersonnelService.getAll();
+    const holdings = await Promise.all(personnel.map(rider => this.getCashInHand(rider.Id)));
+    return holdings.map((holding, index) => ({ ...holding, riderName: personnel[index].name }));
+  }
+
+  // Rider hands their cash in at the end of a shift, declaring how much they are handing over
+  async submitDeposit(riderId, { declaredAmount, notes = '' } = {}) {
+    const holding = await this.getCashInHand(riderId);
+    if (holding.pendingDeposit) {
+      throw new Error('A deposit is already waiting to be counted');
+    }
+    if (holding.orders.length === 0) {
+      throw new Error('No cash collections to deposit');
+    }
+    const declared = declaredAmount === undefined || declaredAmount === '' ? holding.amount : Number(declaredAmount);
+    if (!(declared >= 0)) {
+      throw new Error('Declared amount must be 0 or more');
+    }
+
+    const deposit = {
+      Id: this.getNextId(),
+      riderId: holding.riderId,
+      orders: holding.orders.map(o => ({ orderId: o.orderId, amount: o.amount })),
+      expectedAmount: holding.amount,
+      declaredAmount: declared,
+      countedAmount: null,
+      variance: null,
+      flagged: false,
+      status: 'pending',
+      notes: notes.trim(),
+      submittedAt: new Date().toISOString()
+    };
+    this.deposits.push(deposit);
+    return this.copyDeposit(deposit);
+  }
+
+  // Cashier's count closes the deposit and marks its orders paid
+  async confirmDeposit(depositId, { countedAmount, countedBy = 'cashier', notes = '' } = {}) {
+    const deposit = this.deposits.find(d => d.Id === parseInt(depositId));
+    if (!deposit) {
+      throw new Error('Deposit not found');
+    }
+    if (deposit.status !== 'pending') {
+      throw new Error('Deposit has already been confirmed');
+    }
+    const counted = Number(countedAmount);
+    if (countedAmount === '' || countedAmount === undefined || !(counted >= 0)) {
+      throw new Error('Enter the amount counted');
+    }
+
+    // Every order is checked before any is touched, so one bad order leaves the whole deposit pending.
+    // Orders already paid are skipped, which lets a deposit that failed part-way be confirmed again.
+    const unpaid = [];
+    for (const { orderId } of deposit.orders) {
+      const order = await orderService.getById(orderId);
+      if (order.paymentStatus === 'completed') {
+        continue;
+      }
+      orderStateMachine.assertTransition(order, orderService.getPaymentStatusChanges(order, 'completed'));
+      unpaid.push(order);
+    }
+
+    const variance = counted - deposit.expectedAmount;
+    const confirmedAt = new Date().toISOString();
+    for (const { id: orderId } of unpaid) {
+      await orderService.updatePaymentStatus(orderId, 'completed', {
+        method: 'cash',
+        depositId: deposit.Id,
+        collectedBy: deposit.riderId,
+        confirmedBy: countedBy,
+        confirmedAt
+      });
+    }
+
+    Object.assign(deposit, {
+      countedAmount: counted,
+      variance,
+      flagged: Math.abs(variance) > this.config.varianceTolerance,
+      status: 'confirmed',
+      countedBy,
+      countNotes: notes.trim(),
+      confirmedAt
+    });
+    await riderEarningsService.recordCodDeposit(deposit);
+    return this.copyDeposit(deposit);
+  }
+
+  // Counter walk-up: take the rider's cash and count it in one step
+  async receiveCash(riderId, { countedAmount, countedBy, notes } = {}) {
+    const holding = await this.getCashInHand(riderId);
+    const deposit = holding.pendingDeposit ||
+      await this.submitDeposit(riderId, { declaredAmount: countedAmount });
+    return this.confirmDeposit(deposit.Id, { countedAmount, countedBy, notes });
+  }
+
+  // Record how a flagged variance was explained; the amount stays on the rider's ledger
+  async resolveVariance(depositId, resolution, resolvedBy = 'admin') {
+    const deposit = this.deposits.find(d => d.Id === parseInt(depositId));
+    if (!deposit?.flagged) {
+      throw new Error('Deposit has no variance to resolve');
+    }
+    if (!resolution?.trim()) {
+      throw new Error('Describe how the variance was resolved');
+    }
+    deposit.varianceResolution = {
+      notes: resolution.trim(),
+      resolvedBy,
+      resolvedAt: new Date().toISOString()
+    };
+    return this.copyDeposit(deposit);
+  }
+
+  async getDeposits({ riderId, status, flagged } = {}) {
+    await this.delay();
+    return this.deposits
+      .filter(d =>
+        (!riderId || d.riderId === parseInt(riderId)) &&
+        (!status || d.status === status) &&
+        (flagged === undefined || d.flagged === flagged)
+      )
+      .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt))
+      .map(d => this.copyDeposit(d));
+  }
+
+  copyDeposit(deposit) {
+    return { ...deposit, orders: deposit.orders.map(o => ({ ...o })) };
+  }
+
+  getNextId() {
+    return this.deposits.reduce((max, d) => Math.max(max, d.Id), 0) + 1;
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const codReconciliationService = new CodReconciliationService();
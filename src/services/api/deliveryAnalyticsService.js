@@ -0,0 +1,203 @@
+import attendanceService from "@/services/api/attendanceService";
+import { orderService } from "@/services/api/orderService";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { deliveryFeeService } from "@/services/api/deliveryFeeService";
+
+// Consecutive stages timed from the order's deliveryTimeline; 'placed' is the order's createdAt
+export const DELIVERY_STAGES = [
+  { key: 'assignment', label: 'Waiting for a rider', from: 'placed', to: 'assigned' },
+  { key: 'pickup', label: 'Picking up at store', from: 'assigned', to: 'picked_up' },
+  { key: 'departure', label: 'Leaving the store', from: 'picked_up', to: 'in_transit' },
+  { key: 'travel', label: 'On the road', from: 'in_transit', to: 'delivered' }
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+const average = (values) => (values.length > 0
+  ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null);
+
+class DeliveryAnalyticsService {
+  constructor() {
+    this.config = {
+      // Deliveries this many minutes after the promised time still count as on time
+      onTimeGraceMinutes: 0
+    };
+  }
+
+  // When the customer was promised the order: end of the booked slot, else the estimate
+  getPromisedAt(order) {
+    const promised = order.deliverySlot?.endsAt || order.estimatedDelivery;
+    return promised ? new Date(promised) : null;
+  }
+
+  isOnTime(order) {
+    const promisedAt = this.getPromisedAt(order);
+    if (!promisedAt || !order.actualDelivery) {
+      return null;
+    }
+    return new Date(order.actualDelivery) - promisedAt <= this.config.onTimeGraceMinutes * 60000;
+  }
+
+  getZoneName(order) {
+    return order.deliveryZone ||
+      order.deliveryFee?.zone ||
+      deliveryFeeService.resolveZone(order.deliveryAddress)?.name ||
+      'Outside zones';
+  }
+
+  // Minutes spent in each stage for one order, skipping stages without both timestamps
+  getStageDurations(order) {
+    const timeline = {
+      placed: order.createdAt,
+      ...(order.deliveryTimeline || {}),
+      delivered: order.deliveryTimeline?.delivered || order.actualDelivery
+    };
+    timeline.in_transit = timeline.in_transit || timeline.out_for_delivery;
+
+    return DELIVERY_STAGES.reduce((durations, stage) => {
+      const from = timeline[stage.from];
+      const to = timeline[stage.to];
+      if (from && to && new Date(to) >= new Date(from)) {
+        durations[stage.key] = (new Date(to) - new Date(from)) / 60000;
+      }
+      return durations;
+    }, {});
+  }
+
+  // Worked hours per rider from shift attendance, net of breaks; open shifts run to now
+  getHoursWorked(records, now = new Date()) {
+    return records.reduce((hours, record) => {
+      if (!record.riderId || !record.clockIn) {
+        return hours;
+      }
+      const isToday = record.date === toDateKey(now);
+      const end = record.clockOut
+        ? toMinutes(record.clockOut)
+        : isToday ? now.getHours() * 60 + now.getMinutes() : null;
+      if (end === null || end <= toMinutes(record.clockIn)) {
+        return hours;
+      }
+      const worked = end - toMinutes(record.clockIn) - (record.breakMinutes || 0);
+      hours[record.riderId] = (hours[record.riderId] || 0) + Math.max(worked, 0) / 60;
+      return hours;
+    }, {});
+  }
+
+  summarize(delivered, failures, hoursWorked = null) {
+    const judged = delivered.map(order => this.isOnTime(order)).filter(result => result !== null);
+    const onTime = judged.filter(Boolean).length;
+    const attempts = delivered.length + failures.length;
+    const totals = delivered
+      .map(order => this.getStageDurations(order))
+      .map(durations => ['pickup', 'departure', 'travel'].every(key => durations[key] !== undefined)
+        ? durations.pickup + durations.departure + durations.travel
+        : null)
+      .filter(minutes => minutes !== null);
+
+    return {
+      deliveries: delivered.length,
+      onTime,
+      late: judged.length - onTime,
+      onTimeRate: percentage(onTime, judged.length),
+      failedAttempts: failures.length,
+      failedRate: percentage(failures.length, attempts),
+      averageDeliveryMinutes: average(totals),
+      hoursWorked: hoursWorked === null ? null : Math.round(hoursWorked * 10) / 10,
+      deliveriesPerHour: hoursWorked > 0 ? Math.round((delivered.length / hoursWorked) * 10) / 10 : null
+    };
+  }
+
+  // On-time, stage timing, failure and throughput KPIs for deliveries completed in [from, to]
+  async getPerformance({ from, to = new Date() } = {}) {
+    const start = new Date(from);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(to);
+    end.setHours(23, 59, 59, 999);
+    const inRange = (value) => !!value && new Date(value) >= start && new Date(value) <= end;
+
+    const [orders, personnel, deliveryZones, attendance] = await Promise.all([
+      orderService.getAll(),
+      deliveryPersonnelService.getAll(),
+      deliveryFeeService.getZones(),
+      attendanceService.getByDateRange(toDateKey(start), toDateKey(end))
+    ]);
+
+    const allDelivered = orders.filter(order => order.deliveryStatus === 'delivered' && order.deliveryPersonId);
+    const delivered = allDelivered.filter(order => inRange(order.actualDelivery));
+    // Every failed attempt counts, including ones on orders that were later delivered
+    const failures = orders.flatMap(order => (order.deliveryAttempts || [])
+      .filter(attempt => inRange(attempt.failedAt))
+      .map(attempt => ({ ...attempt, orderId: order.id, zone: this.getZoneName(order) })));
+    const hoursWorked = this.getHoursWorked(attendance);
+
+    const riders = personnel.map(rider => ({
+      riderId: rider.Id,
+      name: rider.name,
+      zone: rider.zone,
+      rating: rider.rating,
+      totalDeliveries: allDelivered.filter(order => order.deliveryPersonId === rider.Id).length,
+      ...this.summarize(
+        delivered.filter(order => order.deliveryPersonId === rider.Id),
+        failures.filter(attempt => parseInt(attempt.riderId) === rider.Id),
+        hoursWorked[rider.Id] || 0
+      )
+    }));
+
+    const zoneNames = [...new Set([
+      ...deliveryZones.map(zone => zone.name),
+      ...delivered.map(order => this.getZoneName(order)),
+      ...failures.map(attempt => attempt.zone)
+    ])];
+    const zones = zoneNames.map(zone => ({
+      zone,
+      ...this.summarize(
+        delivered.filter(order => this.getZoneName(order) === zone),
+        failures.filter(attempt => attempt.zone === zone)
+      )
+    }));
+
+    const stageDurations = delivered.map(order => this.getStageDurations(order));
+    const stages = DELIVERY_STAGES.map(stage => {
+      const samples = stageDurations.map(d => d[stage.key]).filter(minutes => minutes !== undefined);
+      return { ...stage, averageMinutes: average(samples), samples: samples.length };
+    });
+
+    const trend = [];
+    for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+      const dateKey = toDateKey(day);
+      const dayDelivered = delivered.filter(order => toDateKey(new Date(order.actualDelivery)) === dateKey);
+      const dayFailures = failures.filter(attempt => toDateKey(new Date(attempt.failedAt)) === dateKey);
+      const summary = this.summarize(dayDelivered, dayFailures);
+      trend.push({
+        date: dateKey,
+        deliveries: summary.deliveries,
+        onTimeRate: summary.onTimeRate,
+        failedAttempts: summary.failedAttempts,
+        failedRate: summary.failedRate
+      });
+    }
+
+    const totalHours = Object.values(hoursWorked).reduce((sum, hours) => sum + hours, 0);
+    return {
+      from: toDateKey(start),
+      to: toDateKey(end),
+      overall: this.summarize(delivered, failures, totalHours),
+      stages,
+      riders,
+      zones,
+      trend
+    };
+  }
+}
+
+export const deliveryAnalyticsService = new DeliveryAnalyticsService();
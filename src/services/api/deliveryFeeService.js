@@ -0,0 +1,156 @@
+import deliveryZonesData from "@/services/mockData/deliveryZones.json";
+import { hasCoordinates, haversineDistance } from "@/utils/geo";
+
+class DeliveryFeeService {
+  constructor() {
+    this.zones = deliveryZonesData.map(zone => ({ ...zone, feeRings: zone.feeRings.map(ring => ({ ...ring })) }));
+    this.config = {
+      // Applied to addresses outside every zone
+      defaultFee: 150,
+      defaultFreeDeliveryThreshold: 2000,
+      surcharges: {
+        // Slot starting soon after the order is placed
+        express: { label: 'Express delivery', fee: 100, withinMinutes: 180 },
+        // Slot starting at or after this hour
+        lateNight: { label: 'Late-night delivery', fee: 50, fromHour: 20 }
+      }
+    };
+  }
+
+  async getZones() {
+    await this.delay();
+    return this.zones.map(zone => ({ ...zone, feeRings: zone.feeRings.map(ring => ({ ...ring })) }));
+  }
+
+  async getConfig() {
+    await this.delay();
+    return {
+      ...this.config,
+      surcharges: {
+        express: { ...this.config.surcharges.express },
+        lateNight: { ...this.config.surcharges.lateNight }
+      }
+    };
+  }
+
+  async updateConfig(updates) {
+    await this.delay();
+    this.config = {
+      ...this.config,
+      ...updates,
+      surcharges: {
+        express: { ...this.config.surcharges.express, ...(updates.surcharges?.express || {}) },
+        lateNight: { ...this.config.surcharges.lateNight, ...(updates.surcharges?.lateNight || {}) }
+      }
+    };
+    return this.getConfig();
+  }
+
+  async updateZone(id, zoneData) {
+    await this.delay();
+    const index = this.zones.findIndex(zone => zone.Id === parseInt(id));
+    if (index === -1) {
+      throw new Error('Delivery zone not found');
+    }
+
+    const feeRings = zoneData.feeRings || this.zones[index].feeRings;
+    if (feeRings.length === 0) {
+      throw new Error('A zone needs at least one distance ring');
+    }
+    if (feeRings.some(ring => !(ring.maxKm > 0) || !(ring.fee >= 0))) {
+      throw new Error('Each ring needs a positive distance and a fee of 0 or more');
+    }
+    if (zoneData.minimumOrder !== undefined && zoneData.minimumOrder < 0) {
+      throw new Error('Minimum order cannot be negative');
+    }
+
+    this.zones[index] = {
+      ...this.zones[index],
+      ...zoneData,
+      Id: this.zones[index].Id,
+      feeRings: [...feeRings].sort((a, b) => a.maxKm - b.maxKm)
+    };
+    return { ...this.zones[index] };
+  }
+
+  // Match an address to a zone by postal code, falling back to the first zone in the city
+  resolveZone(address = {}) {
+    const city = (address.city || '').trim().toLowerCase();
+    const postalCode = (address.postalCode || '').trim();
+    const cityZones = this.zones.filter(zone => zone.city.toLowerCase() === city);
+    return cityZones.find(zone => zone.postalCodes.includes(postalCode)) || cityZones[0] || null;
+  }
+
+  getSurcharges(slot, orderedAt = new Date()) {
+    if (!slot?.startsAt) {
+      return [];
+    }
+    const { express, lateNight } = this.config.surcharges;
+    const startsAt = new Date(slot.startsAt);
+    const surcharges = [];
+    if (express.fee > 0 && startsAt - new Date(orderedAt) <= express.withinMinutes * 60000) {
+      surcharges.push({ key: 'express', label: express.label, fee: express.fee });
+    }
+    if (lateNight.fee > 0 && startsAt.getHours() >= lateNight.fromHour) {
+      surcharges.push({ key: 'lateNight', label: lateNight.label, fee: lateNight.fee });
+    }
+    return surcharges;
+  }
+
+  // Price delivery for an address and basket; synchronous so the checkout summary can call it on render.
+  // Surcharges are kept even when the base fee is waived by the free-delivery threshold.
+  quote({ address = {}, subtotal = 0, slot = null, orderedAt = new Date() } = {}) {
+    const zone = this.resolveZone(address);
+    const surcharges = this.getSurcharges(slot, orderedAt);
+    const surchargeTotal = surcharges.reduce((sum, s) => sum + s.fee, 0);
+
+    if (!zone) {
+      const threshold = this.config.defaultFreeDeliveryThreshold;
+      const baseFee = subtotal >= threshold ? 0 : this.config.defaultFee;
+      return {
+        zone: null,
+        deliverable: true,
+        distanceKm: null,
+        baseFee,
+        surcharges,
+        deliveryCharge: baseFee + surchargeTotal,
+        freeDeliveryThreshold: threshold,
+        freeDeliveryApplied: baseFee === 0,
+        amountToFreeDelivery: Math.max(threshold - subtotal, 0),
+        minimumOrder: 0,
+        meetsMinimum: true
+      };
+    }
+
+    const distanceKm = hasCoordinates(address.coordinates)
+      ? haversineDistance(zone.hub, address.coordinates)
+      : null;
+    // Without coordinates the zone's flat fallback fee applies
+    const ring = distanceKm === null ? null : zone.feeRings.find(r => distanceKm <= r.maxKm);
+    const deliverable = distanceKm === null || !!ring;
+    const zoneFee = distanceKm === null ? zone.fallbackFee : ring?.fee ?? 0;
+    const freeDeliveryApplied = subtotal >= zone.freeDeliveryThreshold;
+    const baseFee = freeDeliveryApplied ? 0 : zoneFee;
+
+    return {
+      zone: zone.name,
+      deliverable,
+      distanceKm: distanceKm === null ? null : Math.round(distanceKm * 10) / 10,
+      maxDistanceKm: zone.feeRings[zone.feeRings.length - 1].maxKm,
+      baseFee,
+      surcharges,
+      deliveryCharge: baseFee + surchargeTotal,
+      freeDeliveryThreshold: zone.freeDeliveryThreshold,
+      freeDeliveryApplied,
+      amountToFreeDelivery: Math.max(zone.freeDeliveryThreshold - subtotal, 0),
+      minimumOrder: zone.minimumOrder,
+      meetsMinimum: subtotal >= zone.minimumOrder
+    };
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const deliveryFeeService = new DeliveryFeeService();
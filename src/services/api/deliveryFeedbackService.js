@@ -0,0 +1,156 @@
+import { orderService } from "@/services/api/orderService";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { notificationService } from "@/services/api/notificationService";
+
+// Quick tags customers can add to a rating
+export const FEEDBACK_TAGS = {
+  late: { label: 'Late', positive: false },
+  damaged_items: { label: 'Damaged items', positive: false },
+  missing_items: { label: 'Missing items', positive: false },
+  wrong_items: { label: 'Wrong items', positive: false },
+  rude_rider: { label: 'Rude rider', positive: false },
+  on_time: { label: 'On time', positive: true },
+  friendly_rider: { label: 'Friendly rider', positive: true },
+  fresh_produce: { label: 'Fresh produce', positive: true },
+  well_packed: { label: 'Well packed', positive: true }
+};
+
+class DeliveryFeedbackService {
+  constructor() {
+    this.feedback = [];
+    this.config = {
+      // A rider or order score at or below this raises a low-score alert
+      lowScoreThreshold: 2,
+      // Ratings a rider without a ratingCount is assumed to have behind their starting rating
+      seedRatingCount: 10
+    };
+  }
+
+  async submitFeedback(orderId, { riderRating, orderRating, tags = [], comment = '' } = {}) {
+    await this.delay();
+    const order = await orderService.getById(orderId);
+    if (order.deliveryStatus !== 'delivered') {
+      throw new Error('You can rate an order once it has been delivered');
+    }
+    if (this.feedback.some(f => f.orderId === order.id)) {
+      throw new Error('This order has already been rated');
+    }
+    const scores = [riderRating, orderRating].map(Number);
+    if (scores.some(score => !Number.isInteger(score) || score < 1 || score > 5)) {
+      throw new Error('Rate both the rider and the order from 1 to 5 stars');
+    }
+    const unknownTag = tags.find(tag => !FEEDBACK_TAGS[tag]);
+    if (unknownTag) {
+      throw new Error(`Unknown feedback tag: ${unknownTag}`);
+    }
+
+    const riderId = order.deliveryPersonId || null;
+    const lowScore = Math.min(...scores) <= this.config.lowScoreThreshold;
+    const entry = {
+      Id: this.getNextId(),
+      orderId: order.id,
+      riderId,
+      customerName: order.deliveryAddress?.name || null,
+      riderRating: scores[0],
+      orderRating: scores[1],
+      tags: [...new Set(tags)],
+      comment: comment.trim(),
+      lowScore,
+      status: 'new',
+      createdAt: new Date().toISOString()
+    };
+    this.feedback.push(entry);
+
+    if (riderId) {
+      await this.applyRiderRating(riderId, entry.riderRating);
+    }
+    await orderService.update(order.id, {
+      feedback: {
+        id: entry.Id,
+        riderRating: entry.riderRating,
+        orderRating: entry.orderRating,
+        submittedAt: entry.createdAt
+      }
+    });
+    if (lowScore) {
+      notificationService.increment('feedback');
+    }
+    return { ...entry, tags: [...entry.tags] };
+  }
+
+  // Fold a new score into the rider's running average
+  async applyRiderRating(riderId, score) {
+    const rider = await deliveryPersonnelService.getById(riderId);
+    const count = rider.ratingCount ?? this.config.seedRatingCount;
+    const rating = Math.round(((rider.rating ?? 5) * count + score) / (count + 1) * 100) / 100;
+    return deliveryPersonnelService.update(riderId, { rating, ratingCount: count + 1 });
+  }
+
+  async getFeedback({ status, riderId, lowScore } = {}) {
+    await this.delay();
+    return this.feedback
+      .filter(f =>
+        (!status || f.status === status) &&
+        (!riderId || f.riderId === parseInt(riderId)) &&
+        (lowScore === undefined || f.lowScore === lowScore)
+      )
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(f => ({ ...f, tags: [...f.tags] }));
+  }
+
+  async getByOrderId(orderId) {
+    await this.delay();
+    const entry = this.feedback.find(f => f.orderId === parseInt(orderId));
+    return entry ? { ...entry, tags: [...entry.tags] } : null;
+  }
+
+  // Low scores nobody has reviewed yet
+  async getAlerts() {
+    return this.getFeedback({ status: 'new', lowScore: true });
+  }
+
+  async markReviewed(id, notes = '', reviewedBy = 'admin') {
+    await this.delay();
+    const entry = this.feedback.find(f => f.Id === parseInt(id));
+    if (!entry) {
+      throw new Error('Feedback not found');
+    }
+    Object.assign(entry, {
+      status: 'reviewed',
+      reviewNotes: notes.trim(),
+      reviewedBy,
+      reviewedAt: new Date().toISOString()
+    });
+    return { ...entry, tags: [...entry.tags] };
+  }
+
+  async getSummary() {
+    await this.delay();
+    const count = this.feedback.length;
+    const averageOf = (key) => (count > 0
+      ? Math.round(this.feedback.reduce((sum, f) => sum + f[key], 0) / count * 10) / 10
+      : null);
+    const tagCounts = this.feedback
+      .flatMap(f => f.tags)
+      .reduce((counts, tag) => ({ ...counts, [tag]: (counts[tag] || 0) + 1 }), {});
+
+    return {
+      count,
+      averageRiderRating: averageOf('riderRating'),
+      averageOrderRating: averageOf('orderRating'),
+      lowScoreCount: this.feedback.filter(f => f.lowScore).length,
+      openAlerts: this.feedback.filter(f => f.lowScore && f.status === 'new').length,
+      tagCounts
+    };
+  }
+
+  getNextId() {
+    return this.feedback.reduce((max, f) => Math.max(max, f.Id), 0) + 1;
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const deliveryFeedbackService = new DeliveryFeedbackService();
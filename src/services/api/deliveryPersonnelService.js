@@ -1,5 +1,8 @@
 import deliveryPersonnelData from '../mockData/deliveryPersonnel.json';
 
+// A rider's sign-in PIN never leaves this service
+const withoutPin = ({ pin: _pin, ...person }) => person;
+
 class DeliveryPersonnelService {
   constructor() {
     this.personnel = [...deliveryPersonnelData];
@@ -7,7 +10,7 @@ class DeliveryPersonnelService {
 
   async getAll() {
     await this.delay();
-    return [...this.personnel];
+    return this.personnel.map(withoutPin);
   }
 
   async getById(id) {
@@ -16,7 +19,7 @@ class DeliveryPersonnelService {
     if (!person) {
       throw new Error('Delivery personnel not found');
     }
-    return { ...person };
+    return withoutPin(person);
   }
 
   async create(personnelData) {
@@ -30,7 +33,7 @@ class DeliveryPersonnelService {
       rating: 5.0
     };
     this.personnel.push(newPersonnel);
-    return { ...newPersonnel };
+    return withoutPin(newPersonnel);
   }
 
   async update(id, personnelData) {
@@ -40,7 +43,7 @@ class DeliveryPersonnelService {
       throw new Error('Delivery personnel not found');
     }
     this.personnel[index] = { ...this.personnel[index], ...personnelData };
-    return { ...this.personnel[index] };
+    return withoutPin(this.personnel[index]);
   }
 
   async delete(id) {
@@ -53,14 +56,31 @@ class DeliveryPersonnelService {
     return true;
   }
 
+  // Rider sign-in for the driver app: phone number plus the rider's own PIN. Riders without a PIN can't sign in.
+  async authenticate(phone, pin) {
+    await this.delay();
+    const normalize = (value) => (value || '').replace(/[^0-9A-Za-z]/g, '').toUpperCase();
+    const person = this.personnel.find(p =>
+      normalize(p.phone) === normalize(phone) &&
+      Boolean(p.pin) && p.pin === String(pin || '').trim()
+    );
+    if (!person) {
+      throw new Error('Invalid phone or PIN');
+    }
+    if (!person.isActive) {
+      throw new Error('Rider account is inactive');
+    }
+    return withoutPin(person);
+  }
+
   async getAvailablePersonnel() {
     await this.delay();
-    return this.personnel.filter(p => p.status === 'available' && p.isActive);
+    return this.personnel.filter(p => p.status === 'available' && p.isActive).map(withoutPin);
   }
 
   async getPersonnelByZone(zone) {
     await this.delay();
-    return this.personnel.filter(p => p.zone === zone && p.isActive);
+    return this.personnel.filter(p => p.zone === zone && p.isActive).map(withoutPin);
   }
 
   async updateLocation(id, location) {
@@ -70,7 +90,8 @@ class DeliveryPersonnelService {
       throw new Error('Delivery personnel not found');
     }
     this.personnel[index].currentLocation = location;
-    return { ...this.personnel[index] };
+    this.personnel[index].locationUpdatedAt = new Date().toISOString();
+    return withoutPin(this.personnel[index]);
   }
 
   async updateStatus(id, status) {
@@ -80,7 +101,7 @@ class DeliveryPersonnelService {
       throw new Error('Delivery personnel not found');
     }
     this.personnel[index].status = status;
-    return { ...this.personnel[index] };
+    return withoutPin(this.personnel[index]);
   }
 
   getNextId() {
@@ -0,0 +1,167 @@
+import { orderService } from "@/services/api/orderService";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { dispatchService } from "@/services/api/dispatchService";
+import { deliveryFeeService } from "@/services/api/deliveryFeeService";
+import { riderShiftService } from "@/services/api/riderShiftService";
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+class DeliverySlotService {
+  constructor() {
+    // Places held for customers who are checking out: { id, slotId, zone, createdAt, expiresAt }.
+    // Once the order is placed it carries the hold's id, and the order takes the place over.
+    this.holds = [];
+    this.config = {
+      // Daily bookable windows, local time
+      windows: [
+        { start: '10:00', end: '12:00' },
+        { start: '12:00', end: '14:00' },
+        { start: '14:00', end: '16:00' },
+        { start: '16:00', end: '18:00' },
+        { start: '18:00', end: '20:00' },
+        { start: '20:00', end: '22:00' }
+      ],
+      // How many days ahead customers can book, today included
+      daysAhead: 3,
+      // A window closes for booking this long before it starts
+      cutoffMinutes: 60,
+      // A held place is given back if no order is placed with it within this long
+      holdMinutes: 10
+    };
+  }
+
+  buildSlotId(zoneName, dateKey, start) {
+    return `${zoneName}|${dateKey}|${start}`;
+  }
+
+  // Vehicle load per rider in the zone, keyed by rider id.
+  // Riders are assumed to carry a full vehicle load per window.
+  async getRiderCapacities(zoneName) {
+    const riders = await deliveryPersonnelService.getPersonnelByZone(zoneName);
+    const { vehicleCapacity } = await dispatchService.getConfig();
+    return riders.reduce((capacities, rider) => {
+      capacities[rider.Id] = vehicleCapacity[rider.vehicleType] || vehicleCapacity.motorcycle;
+      return capacities;
+    }, {});
+  }
+
+  // Only riders rostered in the zone for the whole window count towards it
+  getWindowCapacity(zoneName, riderCapacities, startsAt, endsAt) {
+    return riderShiftService.getRidersScheduled(zoneName, startsAt, endsAt)
+      .reduce((sum, riderId) => sum + (riderCapacities[riderId] || 0), 0);
+  }
+
+  expireHolds(now = new Date()) {
+    this.holds = this.holds.filter(hold => new Date(hold.expiresAt) > now);
+  }
+
+  // Orders holding a place in each window, plus checkouts still holding one; `excludeHoldId` is the caller's own hold
+  async getBookingCounts(zoneName, { excludeHoldId = null } = {}) {
+    this.expireHolds();
+    const orders = await orderService.getAll();
+    const placedHoldIds = new Set(orders.map(order => order.deliverySlot?.holdId).filter(Boolean));
+    const counts = orders
+      .filter(order => order.deliverySlot?.zone === zoneName && orderService.holdsDeliverySlot(order))
+      .reduce((totals, order) => {
+        totals[order.deliverySlot.id] = (totals[order.deliverySlot.id] || 0) + 1;
+        return totals;
+      }, {});
+    this.holds
+      .filter(hold => hold.zone === zoneName && hold.id !== excludeHoldId && !placedHoldIds.has(hold.id))
+      .forEach(hold => {
+        counts[hold.slotId] = (counts[hold.slotId] || 0) + 1;
+      });
+    return counts;
+  }
+
+  // Bookable windows for an address over the next few days; null when the area is not served
+  async getAvailableSlots(address, { now = new Date(), excludeHoldId = null } = {}) {
+    const zone = deliveryFeeService.resolveZone(address);
+    if (!zone) {
+      return null;
+    }
+
+    const [riderCapacities, counts] = await Promise.all([
+      this.getRiderCapacities(zone.name),
+      this.getBookingCounts(zone.name, { excludeHoldId })
+    ]);
+    const cutoff = new Date(now.getTime() + this.config.cutoffMinutes * 60000);
+
+    const slots = [];
+    for (let day = 0; day < this.config.daysAhead; day++) {
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + day);
+      const dateKey = toDateKey(date);
+      this.config.windows.forEach(window => {
+        const [startHour, startMinute] = window.start.split(':').map(Number);
+        const [endHour, endMinute] = window.end.split(':').map(Number);
+        const startsAt = new Date(date.getFullYear(), date.getMonth(), date.getDate(), startHour, startMinute);
+        const endsAt = new Date(date.getFullYear(), date.getMonth(), date.getDate(), endHour, endMinute);
+        if (startsAt < cutoff) {
+          return;
+        }
+        const id = this.buildSlotId(zone.name, dateKey, window.start);
+        const booked = counts[id] || 0;
+        const capacity = this.getWindowCapacity(zone.name, riderCapacities, startsAt, endsAt);
+        slots.push({
+          id,
+          zone: zone.name,
+          date: dateKey,
+          start: window.start,
+          end: window.end,
+          startsAt: startsAt.toISOString(),
+          endsAt: endsAt.toISOString(),
+          capacity,
+          booked,
+          remaining: Math.max(capacity - booked, 0),
+          available: booked < capacity
+        });
+      });
+    }
+    return { zone: { ...zone }, slots };
+  }
+
+  // Re-check a slot right before the order is placed and hold a place in it until the order comes through;
+  // returns what gets stored on the order. Passing the checkout's previous `holdId` replaces that hold.
+  async reserveSlot(address, slotId, { holdId = null } = {}) {
+    const result = await this.getAvailableSlots(address, { excludeHoldId: holdId });
+    if (!result) {
+      throw new Error('Delivery slots are not available for this address');
+    }
+    const slot = result.slots.find(s => s.id === slotId);
+    if (!slot) {
+      throw new Error('The selected delivery slot is no longer available');
+    }
+    if (!slot.available) {
+      throw new Error(`The ${slot.start}-${slot.end} slot is fully booked, please choose another`);
+    }
+
+    const now = new Date();
+    const hold = {
+      id: `SLH-${now.getTime()}-${this.holds.length + 1}`,
+      slotId: slot.id,
+      zone: slot.zone,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.config.holdMinutes * 60000).toISOString()
+    };
+    this.holds = [...this.holds.filter(h => h.id !== holdId), hold];
+    return {
+      id: slot.id,
+      holdId: hold.id,
+      zone: slot.zone,
+      date: slot.date,
+      start: slot.start,
+      end: slot.end,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt
+    };
+  }
+
+  // Give a held place back, e.g. when the customer leaves checkout without ordering
+  releaseSlot(holdId) {
+    this.holds = this.holds.filter(hold => hold.id !== holdId);
+  }
+}
+
+export const deliverySlotService = new DeliverySlotService();
@@ -0,0 +1,294 @@
+import { orderService } from "@/services/api/orderService";
+import { orderStateMachine } from "@/services/api/orderStateMachine";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { riderShiftService } from "@/services/api/riderShiftService";
+import { haversineDistance } from "@/utils/geo";
+
+// Delivery statuses that still occupy a rider
+const ACTIVE_DELIVERY_STATUSES = ['assigned', 'picked_up', 'in_transit', 'out_for_delivery'];
+
+class DispatchService {
+  constructor() {
+    this.config = {
+      // Relative weight of each factor in a rider's score (sums to 1)
+      weights: {
+        distance: 0.35,
+        zone: 0.25,
+        load: 0.2,
+        rating: 0.2
+      },
+      // Maximum concurrent orders a rider can carry per vehicle type
+      vehicleCapacity: {
+        bicycle: 2,
+        motorcycle: 3,
+        car: 6
+      },
+      // Orders with more items than this need a car
+      bulkyOrderItemCount: 10,
+      // Riders further than this from the drop-off are not considered
+      maxDistanceKm: 25,
+      // Rider statuses that can accept new orders
+      dispatchableStatuses: ['available', 'on_delivery'],
+      // Only riders clocked in (and not on a break) get orders
+      requireOnShift: true,
+      // Slot-booked orders are held back until their window is this close
+      dispatchLeadMinutes: 90
+    };
+    this.log = [];
+  }
+
+  async getConfig() {
+    await this.delay();
+    return { ...this.config, weights: { ...this.config.weights } };
+  }
+
+  async updateConfig(updates) {
+    await this.delay();
+    this.config = {
+      ...this.config,
+      ...updates,
+      weights: { ...this.config.weights, ...(updates.weights || {}) }
+    };
+    return this.getConfig();
+  }
+
+  // Confirmed, unassigned and past the state machine's guards (e.g. payment verified)
+  isDispatchable(order) {
+    return order.status === 'confirmed' &&
+      !order.deliveryPersonId &&
+      orderStateMachine.canTransition(order, { deliveryStatus: 'assigned' });
+  }
+
+  // Orders without a booked slot are due immediately
+  isDueForDispatch(order, now = new Date()) {
+    if (!order.deliverySlot?.startsAt) {
+      return true;
+    }
+    const releaseAt = new Date(order.deliverySlot.startsAt).getTime() - this.config.dispatchLeadMinutes * 60000;
+    return now.getTime() >= releaseAt;
+  }
+
+  // Dispatch order: earliest delivery window first, then order age
+  compareDispatchPriority(a, b) {
+    const dueA = new Date(a.deliverySlot?.startsAt || a.createdAt).getTime();
+    const dueB = new Date(b.deliverySlot?.startsAt || b.createdAt).getTime();
+    if (dueA !== dueB) return dueA - dueB;
+    return new Date(a.createdAt) - new Date(b.createdAt);
+  }
+
+  // Score every rider for an order; ineligible riders are returned with the reason they were skipped
+  async scoreCandidates(order) {
+    const personnel = await deliveryPersonnelService.getAll();
+    const loads = await Promise.all(
+      personnel.map(person => orderService.getOrdersByDeliveryPerson(person.Id))
+    );
+    const { weights, vehicleCapacity, bulkyOrderItemCount, maxDistanceKm, dispatchableStatuses, requireOnShift } = this.config;
+    const itemCount = (order.items || []).reduce((sum, item) => sum + (parseInt(item.quantity) || 1), 0);
+    const city = (order.deliveryAddress?.city || '').toLowerCase();
+
+    const candidates = personnel.map((person, index) => {
+      const activeLoad = loads[index].filter(o => ACTIVE_DELIVERY_STATUSES.includes(o.deliveryStatus)).length;
+      const capacity = vehicleCapacity[person.vehicleType] || vehicleCapacity.motorcycle;
+      const distanceKm = haversineDistance(person.currentLocation, order.deliveryAddress?.coordinates);
+      const candidate = {
+        riderId: person.Id,
+        name: person.name,
+        zone: person.zone,
+        vehicleType: person.vehicleType,
+        rating: person.rating,
+        activeLoad,
+        capacity,
+        distanceKm: distanceKm !== null ? Math.round(distanceKm * 10) / 10 : null,
+        eligible: false,
+        score: 0,
+        breakdown: {},
+        rejectedReason: null
+      };
+
+      if (person.isActive && requireOnShift && !riderShiftService.isOnShift(person.Id)) {
+        candidate.rejectedReason = riderShiftService.getSession(person.Id) ? 'On a break' : 'Not clocked in';
+        return candidate;
+      }
+      if (!person.isActive || !dispatchableStatuses.includes(person.status)) {
+        candidate.rejectedReason = `Rider is ${(person.status || 'inactive').replace('_', ' ')}`;
+        return candidate;
+      }
+      if (activeLoad >= capacity) {
+        candidate.rejectedReason = `At ${person.vehicleType} capacity (${activeLoad}/${capacity})`;
+        return candidate;
+      }
+      if (itemCount > bulkyOrderItemCount && person.vehicleType !== 'car') {
+        candidate.rejectedReason = `${itemCount} items need a car`;
+        return candidate;
+      }
+      if (distanceKm !== null && distanceKm > maxDistanceKm) {
+        candidate.rejectedReason = `${candidate.distanceKm} km away (max ${maxDistanceKm} km)`;
+        return candidate;
+      }
+
+      // Each factor is normalised to 0..1, higher is better
+      const zoneName = (person.zone || '').toLowerCase();
+      const breakdown = {
+        distance: distanceKm === null ? 0.5 : 1 - distanceKm / maxDistanceKm,
+        zone: order.deliveryZone && order.deliveryZone === person.zone
+          ? 1
+          : city && zoneName.includes(city) ? 0.7 : 0,
+        load: 1 - activeLoad / capacity,
+        rating: Math.min(Math.max(((person.rating || 0) - 3) / 2, 0), 1)
+      };
+
+      candidate.eligible = true;
+      candidate.breakdown = breakdown;
+      candidate.score = Object.keys(weights).reduce(
+        (sum, factor) => sum + weights[factor] * breakdown[factor], 0
+      );
+      return candidate;
+    });
+
+    return candidates.sort((a, b) => {
+      if (a.eligible !== b.eligible) return a.eligible ? -1 : 1;
+      return b.score - a.score;
+    });
+  }
+
+  explainChoice(candidate) {
+    const reasons = [];
+    if (candidate.distanceKm !== null) {
+      reasons.push(`${candidate.distanceKm} km from drop-off`);
+    } else {
+      reasons.push('Drop-off has no coordinates, distance not scored');
+    }
+    if (candidate.breakdown.zone === 1) {
+      reasons.push(`Assigned to delivery zone ${candidate.zone}`);
+    } else if (candidate.breakdown.zone > 0) {
+      reasons.push(`Covers the customer's city (${candidate.zone})`);
+    } else {
+      reasons.push(`Outside home zone (${candidate.zone})`);
+    }
+    reasons.push(`Carrying ${candidate.activeLoad}/${candidate.capacity} orders on ${candidate.vehicleType}`);
+    reasons.push(`Rated ${candidate.rating}`);
+    return reasons;
+  }
+
+  async recordDecision(entry) {
+    const decision = {
+      id: Date.now() + this.log.length,
+      createdAt: new Date().toISOString(),
+      ...entry
+    };
+    this.log.unshift(decision);
+    return decision;
+  }
+
+  async assign(orderId, riderId, audit = {}) {
+    const order = await orderService.assignDeliveryPersonnel(orderId, riderId, audit);
+    await deliveryPersonnelService.updateStatus(riderId, 'on_delivery');
+    return order;
+  }
+
+  // Pick and assign the best rider for a confirmed order
+  async dispatchOrder(orderId) {
+    const order = await orderService.getById(orderId);
+    if (!this.isDispatchable(order)) {
+      throw new Error(`Order #${orderId} is not awaiting dispatch`);
+    }
+
+    const candidates = await this.scoreCandidates(order);
+    const chosen = candidates.find(c => c.eligible);
+
+    if (!chosen) {
+      await this.recordDecision({
+        orderId,
+        mode: 'auto',
+        riderId: null,
+        riderName: null,
+        score: null,
+        reasons: ['No eligible rider available'],
+        candidates
+      });
+      return null;
+    }
+
+    const updatedOrder = await this.assign(orderId, chosen.riderId, {
+      changedBy: { role: 'system', name: 'Auto-dispatch' }
+    });
+    await this.recordDecision({
+      orderId,
+      mode: 'auto',
+      riderId: chosen.riderId,
+      riderName: chosen.name,
+      score: Math.round(chosen.score * 100) / 100,
+      reasons: this.explainChoice(chosen),
+      candidates
+    });
+    return updatedOrder;
+  }
+
+  // Run the engine over every confirmed order without a rider whose slot is coming up
+  async dispatchPendingOrders() {
+    const orders = await orderService.getAll();
+    const pending = orders
+      .filter(order => this.isDispatchable(order) && this.isDueForDispatch(order))
+      .sort((a, b) => this.compareDispatchPriority(a, b));
+
+    const results = [];
+    // Sequential so each assignment counts towards the next order's rider load
+    for (const order of pending) {
+      try {
+        const assigned = await this.dispatchOrder(order.id);
+        results.push({ orderId: order.id, assigned: !!assigned, riderId: assigned?.deliveryPersonId || null });
+      } catch (error) {
+        results.push({ orderId: order.id, assigned: false, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  // Admin override: assign or reassign an order to a specific rider
+  async overrideAssignment(orderId, riderId, reason = '', overriddenBy = 'admin') {
+    const order = await orderService.getById(orderId);
+    const rider = await deliveryPersonnelService.getById(riderId);
+    const previousRiderId = order.deliveryPersonId || null;
+
+    if (previousRiderId === rider.Id) {
+      throw new Error(`Order #${orderId} is already assigned to ${rider.name}`);
+    }
+
+    const updatedOrder = await this.assign(orderId, rider.Id, {
+      changedBy: { role: 'admin', name: overriddenBy },
+      note: reason || null
+    });
+
+    if (previousRiderId) {
+      const remaining = await orderService.getOrdersByDeliveryPerson(previousRiderId);
+      if (!remaining.some(o => ACTIVE_DELIVERY_STATUSES.includes(o.deliveryStatus))) {
+        await deliveryPersonnelService.updateStatus(previousRiderId, 'available');
+      }
+    }
+
+    await this.recordDecision({
+      orderId,
+      mode: 'manual',
+      riderId: rider.Id,
+      riderName: rider.name,
+      previousRiderId,
+      score: null,
+      reasons: [reason.trim() || 'Manual assignment by admin'],
+      decidedBy: overriddenBy,
+      candidates: []
+    });
+    return updatedOrder;
+  }
+
+  async getDispatchLog(orderId = null) {
+    await this.delay();
+    const entries = orderId ? this.log.filter(entry => entry.orderId === orderId) : this.log;
+    return entries.map(entry => ({ ...entry }));
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const dispatchService = new DispatchService();
@@ -0,0 +1,483 @@
+import { addDays, endOfDay } from "date-fns";
+import { productService } from "@/services/api/productService";
+import { isSoldByWeight, roundQuantity } from "@/utils/scaleBarcode";
+
+// Every reason on-hand stock can change. A stock count can go either way, so its sign comes from the count.
+export const MOVEMENT_TYPES = {
+  sale: { label: 'Online sale', icon: 'ShoppingCart' },
+  pos_sale: { label: 'POS sale', icon: 'Store' },
+  return: { label: 'Return', icon: 'Undo2' },
+  wastage: { label: 'Wastage', icon: 'Trash2' },
+  stock_count: { label: 'Stock count', icon: 'ClipboardCheck' },
+  supplier_receipt: { label: 'Supplier receipt', icon: 'Truck' }
+};
+
+export const WASTAGE_REASONS = ['Expired', 'Spoiled', 'Damaged', 'Missing'];
+
+// Movements that sell to a customer; these may only draw on lots that are still in date
+const SALE_TYPES = ['sale', 'pos_sale'];
+
+// Checkout stores the product id as `id`, older orders as `productId`
+const itemProductId = (item) => item.productId ?? item.id;
+
+// Sum quantities per product, so a product listed twice is checked against stock once
+const groupItems = (items) => items.reduce((totals, item) => {
+  const productId = itemProductId(item);
+  totals[productId] = roundQuantity((totals[productId] || 0) + Number(item.quantity || 0));
+  return totals;
+}, {});
+
+class InventoryService {
+  constructor() {
+    // Stock held for customers who are checking out; on-hand stock is untouched until commit
+    this.reservations = [];
+    // Every change to a product's on-hand stock, newest last
+    this.movements = [];
+    // Batches of each product's stock with their expiry; open lots always add up to product.stock
+    this.lots = [];
+    this.config = {
+      // An abandoned checkout gives its stock back after this long
+      reservationMinutes: 15,
+      // Category -> days a delivery keeps, for receipts that don't give their own expiry date
+      shelfLifeDays: { Meat: 3, Fruits: 7, Vegetables: 5 },
+      // Lots expiring within this many days show on the near-expiry dashboard
+      nearExpiryDays: 2
+    };
+  }
+
+  isExpired(lot, now = new Date()) {
+    return Boolean(lot.expiresAt) && new Date(lot.expiresAt) < now;
+  }
+
+  // Oldest first; stock from before lot tracking has no received date and goes first of all
+  getOpenLots(productId) {
+    return this.lots
+      .filter(lot => lot.productId === productId && lot.quantity > 0)
+      .sort((a, b) => (a.receivedAt ? new Date(a.receivedAt) : 0) - (b.receivedAt ? new Date(b.receivedAt) : 0) || a.id - b.id);
+  }
+
+  getExpiredQuantity(productId, now = new Date()) {
+    return this.getOpenLots(productId)
+      .filter(lot => this.isExpired(lot, now))
+      .reduce((sum, lot) => sum + lot.quantity, 0);
+  }
+
+  createLot(product, quantity, { lotNumber, receivedAt = new Date().toISOString(), expiresAt = null, reference = null, source }) {
+    const lot = {
+      id: this.lots.length + 1,
+      productId: product.id,
+      lotNumber: lotNumber || `LOT-${product.id}-${this.lots.filter(l => l.productId === product.id).length + 1}`,
+      quantity,
+      receivedQuantity: quantity,
+      receivedAt,
+      expiresAt,
+      reference,
+      source
+    };
+    this.lots.push(lot);
+    return lot;
+  }
+
+  // Stock from before lot tracking becomes an undated opening lot; stock set outside the ledger is trimmed oldest first
+  syncLots(product) {
+    const lots = this.getOpenLots(product.id);
+    const tracked = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (product.stock > tracked) {
+      this.createLot(product, roundQuantity(product.stock - tracked), { lotNumber: 'OPENING', receivedAt: null, source: 'opening' });
+    } else if (product.stock < tracked) {
+      this.planConsumption(product, roundQuantity(tracked - product.stock)).forEach(({ lot, quantity }) => {
+        lot.quantity = roundQuantity(lot.quantity - quantity);
+      });
+    }
+  }
+
+  // Which lots a removal comes out of, oldest first (FIFO). Sales skip expired lots and throw rather than sell them.
+  planConsumption(product, quantity, { type, lotId } = {}) {
+    let lots = this.getOpenLots(product.id);
+    if (lotId) {
+      lots = lots.filter(lot => lot.id === parseInt(lotId));
+      const lotQuantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      if (quantity > lotQuantity) {
+        throw new Error(`Only ${lotQuantity} ${product.name} left in that lot`);
+      }
+    }
+    if (SALE_TYPES.includes(type)) {
+      const now = new Date();
+      const expired = lots.filter(lot => this.isExpired(lot, now)).reduce((sum, lot) => sum + lot.quantity, 0);
+      lots = lots.filter(lot => !this.isExpired(lot, now));
+      const inDate = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+      if (quantity > inDate) {
+        throw new Error(`Only ${inDate} ${product.name} in date; ${expired} past expiry cannot be sold`);
+      }
+      // A marked-down lot sells first, so the units charged its markdown price come out of it
+      const markdownLotId = product.markdown?.lotId;
+      lots = [...lots.filter(lot => lot.id === markdownLotId), ...lots.filter(lot => lot.id !== markdownLotId)];
+    }
+
+    const plan = [];
+    let remaining = quantity;
+    for (const lot of lots) {
+      if (remaining === 0) {
+        break;
+      }
+      const taken = Math.min(lot.quantity, remaining);
+      plan.push({ lot, quantity: taken });
+      remaining = roundQuantity(remaining - taken);
+    }
+    return plan;
+  }
+
+  // Where added stock goes: a return goes back into the lots its order or POS receipt took from, anything else is a new lot
+  addToLots(product, quantity, { type, orderId, reference, lotNumber, expiresAt }) {
+    const entries = [];
+    let remaining = quantity;
+    if (type === 'return' && (orderId || reference)) {
+      const related = this.movements.filter(m =>
+        m.productId === product.id && (orderId ? m.orderId === orderId : m.reference === reference)
+      );
+      // What earlier partial returns already put back, per lot
+      const returned = related
+        .filter(m => m.type === 'return')
+        .flatMap(m => m.lots || [])
+        .reduce((totals, entry) => ({ ...totals, [entry.lotId]: (totals[entry.lotId] || 0) + entry.quantity }), {});
+      const taken = related
+        .filter(m => SALE_TYPES.includes(m.type))
+        .flatMap(m => m.lots || [])
+        .reverse();
+      for (const entry of taken) {
+        const lot = this.lots.find(l => l.id === entry.lotId);
+        const alreadyReturned = Math.min(returned[entry.lotId] || 0, -entry.quantity);
+        returned[entry.lotId] = roundQuantity((returned[entry.lotId] || 0) - alreadyReturned);
+        const restored = Math.min(roundQuantity(-entry.quantity - alreadyReturned), remaining);
+        if (!lot || restored <= 0) {
+          continue;
+        }
+        lot.quantity = roundQuantity(lot.quantity + restored);
+        remaining = roundQuantity(remaining - restored);
+        entries.push({ lotId: lot.id, lotNumber: lot.lotNumber, quantity: restored });
+      }
+    }
+    if (remaining > 0) {
+      const shelfLife = this.config.shelfLifeDays[product.category];
+      const expiry = expiresAt
+        ? endOfDay(new Date(expiresAt))
+        : type === 'supplier_receipt' && shelfLife ? endOfDay(addDays(new Date(), shelfLife)) : null;
+      const lot = this.createLot(product, remaining, {
+        lotNumber,
+        expiresAt: expiry ? expiry.toISOString() : null,
+        reference,
+        source: type
+      });
+      entries.push({ lotId: lot.id, lotNumber: lot.lotNumber, quantity: remaining });
+    }
+    return entries;
+  }
+
+  expireReservations(now = new Date()) {
+    this.reservations.forEach(reservation => {
+      if (reservation.status === 'held' && new Date(reservation.expiresAt) <= now) {
+        reservation.status = 'expired';
+      }
+    });
+  }
+
+  getReservedQuantity(productId, excludeReservationId = null) {
+    this.expireReservations();
+    return this.reservations
+      .filter(r => r.status === 'held' && r.id !== excludeReservationId)
+      .reduce((sum, r) => sum + (groupItems(r.items)[productId] || 0), 0);
+  }
+
+  // What a customer can still buy: on-hand stock less everyone else's checkout holds and expired lots
+  async getAvailableStock(productId, { excludeReservationId = null } = {}) {
+    const product = await productService.getById(productId);
+    const reserved = this.getReservedQuantity(product.id, excludeReservationId);
+    return {
+      productId: product.id,
+      name: product.name,
+      stock: product.stock,
+      reserved,
+      expired: this.getExpiredQuantity(product.id),
+      available: Math.max(product.stock - reserved - this.getExpiredQuantity(product.id), 0)
+    };
+  }
+
+  // Throws naming the first product that can't cover the requested quantity
+  async assertAvailable(items, excludeReservationId = null) {
+    for (const [productId, quantity] of Object.entries(groupItems(items))) {
+      const { name, available } = await this.getAvailableStock(parseInt(productId), { excludeReservationId });
+      if (quantity > available) {
+        throw new Error(`Only ${available} ${name} available, ${quantity} requested`);
+      }
+    }
+  }
+
+  // Hold stock for a checkout. Passing the previous reservationId replaces its items and restarts the clock.
+  async reserve(items, { reservationId = null } = {}) {
+    const existing = reservationId && this.reservations.find(r => r.id === reservationId && r.status === 'held');
+    await this.assertAvailable(items, existing ? existing.id : null);
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.config.reservationMinutes * 60000).toISOString();
+    const lines = Object.entries(groupItems(items)).map(([productId, quantity]) => ({
+      productId: parseInt(productId),
+      quantity
+    }));
+
+    if (existing) {
+      Object.assign(existing, { items: lines, expiresAt, updatedAt: now.toISOString() });
+      return { ...existing, items: [...existing.items] };
+    }
+
+    const reservation = {
+      id: `RSV-${now.getTime()}-${this.reservations.length + 1}`,
+      items: lines,
+      status: 'held',
+      orderId: null,
+      createdAt: now.toISOString(),
+      expiresAt
+    };
+    this.reservations.push(reservation);
+    return { ...reservation, items: [...reservation.items] };
+  }
+
+  release(reservationId) {
+    const reservation = this.reservations.find(r => r.id === reservationId);
+    if (reservation?.status === 'held') {
+      reservation.status = 'released';
+      reservation.releasedAt = new Date().toISOString();
+    }
+    return reservation ? { ...reservation } : null;
+  }
+
+  recordMovement({ productId, type, quantity, balance, orderId = null, reference = null, reason = '', user = 'Admin', lots = [] }) {
+    const movement = {
+      id: this.movements.length + 1,
+      productId,
+      type,
+      quantity,
+      balance,
+      orderId,
+      reference,
+      reason,
+      user,
+      // Signed quantity per lot, so a return can go back where it came from
+      lots,
+      createdAt: new Date().toISOString()
+    };
+    this.movements.push(movement);
+    return movement;
+  }
+
+  // The only way on-hand stock changes: applies a signed quantity to the product and its lots, and writes it to the ledger.
+  // `details.lotId` takes a removal from one lot; `lotNumber`/`expiresAt` describe the lot an addition creates.
+  async adjustStock(productId, quantity, { lotId, lotNumber, expiresAt, ...details }) {
+    if (!MOVEMENT_TYPES[details.type]) {
+      throw new Error(`Unknown stock movement type "${details.type}"`);
+    }
+    if (!Number.isFinite(quantity) || (quantity === 0 && details.type !== 'stock_count')) {
+      throw new Error('Quantity must be a number other than zero');
+    }
+    const product = await productService.getById(productId);
+    // Weighed goods move by the gram, everything else in whole units
+    if (!Number.isInteger(quantity) && !isSoldByWeight(product)) {
+      throw new Error(`${product.name} is sold in whole ${product.unit || 'units'}`);
+    }
+    quantity = roundQuantity(quantity);
+    const balance = roundQuantity(product.stock + quantity);
+    if (balance < 0) {
+      throw new Error(`Only ${product.stock} ${product.name} in stock, cannot remove ${-quantity}`);
+    }
+    this.syncLots(product);
+    const plan = quantity < 0 ? this.planConsumption(product, -quantity, { type: details.type, lotId }) : [];
+    await productService.setStock(product.id, balance);
+
+    const lots = quantity < 0
+      ? plan.map(({ lot, quantity: taken }) => {
+        lot.quantity = roundQuantity(lot.quantity - taken);
+        return { lotId: lot.id, lotNumber: lot.lotNumber, quantity: -taken };
+      })
+      : quantity > 0 ? this.addToLots(product, quantity, { ...details, lotNumber, expiresAt }) : [];
+    await this.syncMarkdown(product);
+    return this.recordMovement({ productId: product.id, quantity, balance, lots, ...details });
+  }
+
+  // A near-expiry markdown covers only what is left of its lot, so its quantity follows the lot
+  async syncMarkdown(product) {
+    if (!product.markdown) {
+      return;
+    }
+    const quantity = this.lots.find(lot => lot.id === product.markdown.lotId)?.quantity || 0;
+    if (quantity !== product.markdown.quantity) {
+      await productService.update(product.id, { markdown: { ...product.markdown, quantity } });
+    }
+  }
+
+  async recordWastage(productId, quantity, reason, user) {
+    if (!reason?.trim()) {
+      throw new Error('Please give a reason for the wastage');
+    }
+    return this.adjustStock(productId, -Math.abs(quantity), { type: 'wastage', reason: reason.trim(), user });
+  }
+
+  // A cycle count replaces the on-hand figure; the ledger keeps the variance
+  async recordStockCount(productId, countedQuantity, { reason = '', user } = {}) {
+    if (!Number.isFinite(countedQuantity) || countedQuantity < 0) {
+      throw new Error('Counted quantity must be zero or more');
+    }
+    const product = await productService.getById(productId);
+    // Weighed goods are counted by the gram, everything else in whole units
+    if (!Number.isInteger(countedQuantity) && !isSoldByWeight(product)) {
+      throw new Error(`${product.name} is counted in whole ${product.unit || 'units'}`);
+    }
+    return this.adjustStock(product.id, countedQuantity - product.stock, {
+      type: 'stock_count',
+      reason: reason.trim() || 'Cycle count',
+      user
+    });
+  }
+
+  // Each receipt is its own lot; without an expiry date the category's shelf life applies
+  async receiveStock(productId, quantity, { reference = null, reason = '', user, lotNumber, expiresAt } = {}) {
+    return this.adjustStock(productId, Math.abs(quantity), {
+      type: 'supplier_receipt',
+      reference,
+      reason: reason || 'Goods received',
+      user,
+      lotNumber,
+      expiresAt
+    });
+  }
+
+  // Throw away whatever is left of one lot, typically once it has expired
+  async writeOffLot(lotId, { reason = 'Expired', user } = {}) {
+    const lot = this.lots.find(l => l.id === parseInt(lotId));
+    if (!lot || lot.quantity === 0) {
+      throw new Error('Lot not found or already empty');
+    }
+    return this.adjustStock(lot.productId, -lot.quantity, {
+      type: 'wastage',
+      lotId: lot.id,
+      reason: `${reason}: lot ${lot.lotNumber}`,
+      user
+    });
+  }
+
+  async recordPosSale(transaction) {
+    const movements = [];
+    // Lines handed back on an exchange are negative and come back through recordPosReturn
+    const sold = (transaction.items || []).filter(item => item.quantity > 0);
+    for (const [productId, quantity] of Object.entries(groupItems(sold))) {
+      movements.push(await this.adjustStock(parseInt(productId), -quantity, {
+        type: 'pos_sale',
+        reference: `POS #${transaction.id}`,
+        reason: 'Counter sale',
+        user: transaction.cashierId
+      }));
+    }
+    return movements;
+  }
+
+  // Put the lines a POS return, exchange or void took back on the shelf, into the lots the original sale drew from
+  async recordPosReturn(transaction, original) {
+    const movements = [];
+    const returned = (transaction.items || []).filter(item => item.quantity < 0);
+    for (const [productId, quantity] of Object.entries(groupItems(returned))) {
+      movements.push(await this.adjustStock(parseInt(productId), -quantity, {
+        type: 'return',
+        reference: `POS #${original.id}`,
+        reason: `Counter ${transaction.type} ${transaction.receiptNumber}`,
+        user: transaction.cashierId
+      }));
+    }
+    return movements;
+  }
+
+  // Take an order's items off the shelf, consuming the checkout's reservation if it has one
+  async commitOrder(order, reservationId = null) {
+    this.expireReservations();
+    const reservation = reservationId && this.reservations.find(r => r.id === reservationId && r.status === 'held');
+    await this.assertAvailable(order.items || [], reservation ? reservation.id : null);
+
+    const movements = [];
+    for (const [productId, quantity] of Object.entries(groupItems(order.items || []))) {
+      movements.push(await this.adjustStock(parseInt(productId), -quantity, {
+        type: 'sale',
+        orderId: order.id,
+        reason: `Online order #${order.id}`
+      }));
+    }
+    if (reservation) {
+      Object.assign(reservation, { status: 'committed', orderId: order.id, committedAt: new Date().toISOString() });
+    }
+    return movements;
+  }
+
+  // Put a cancelled or returned order's items back on the shelf. Only stock the order actually took comes back,
+  // and each product only once, so retrying a cancel or return that failed partway restocks just what is left.
+  // Throws if a product cannot be restocked.
+  async restockOrder(order, reason) {
+    const restocked = [];
+    if (!order.stockCommittedAt) {
+      return restocked;
+    }
+    for (const [productId, quantity] of Object.entries(groupItems(order.items || []))) {
+      const id = parseInt(productId);
+      if (this.movements.some(m => m.type === 'return' && m.orderId === order.id && m.productId === id)) {
+        continue;
+      }
+      await this.adjustStock(id, quantity, { type: 'return', orderId: order.id, reason });
+      restocked.push({ productId: id, quantity });
+    }
+    return restocked;
+  }
+
+  // Open lots for one product, oldest first
+  async getLots(productId) {
+    await this.delay();
+    this.syncLots(await productService.getById(productId));
+    const now = new Date();
+    return this.getOpenLots(parseInt(productId)).map(lot => ({ ...lot, expired: this.isExpired(lot, now) }));
+  }
+
+  // Lots with stock left that have expired or expire within `days`, soonest first
+  async getExpiringLots({ days = this.config.nearExpiryDays } = {}) {
+    const products = await productService.getAll('admin');
+    products.forEach(product => this.syncLots(product));
+    const now = new Date();
+    const horizon = endOfDay(addDays(now, days));
+    return this.lots
+      .filter(lot => lot.quantity > 0 && lot.expiresAt && new Date(lot.expiresAt) <= horizon)
+      .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt))
+      .map(lot => {
+        const product = products.find(p => p.id === lot.productId);
+        return {
+          ...lot,
+          productName: product?.name || `Product #${lot.productId}`,
+          unit: product?.unit || 'pcs',
+          category: product?.category,
+          expired: this.isExpired(lot, now),
+          hoursLeft: Math.round((new Date(lot.expiresAt) - now) / 3600000)
+        };
+      });
+  }
+
+  // Newest first
+  async getMovements({ productId, orderId, type } = {}) {
+    await this.delay();
+    return this.movements
+      .filter(m =>
+        (productId === undefined || m.productId === parseInt(productId)) &&
+        (orderId === undefined || m.orderId === parseInt(orderId)) &&
+        (type === undefined || m.type === type)
+      )
+      .reverse()
+      .map(m => ({ ...m }));
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 150));
+  }
+}
+
+export const inventoryService = new InventoryService();
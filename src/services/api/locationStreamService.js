@@ -0,0 +1,191 @@
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+
+// Set VITE_LOCATION_STREAM_URL (e.g. http://localhost:4010, see mock-server/location-stream.js)
+// to stream over SSE; without it positions are broadcast between tabs of this browser
+const STREAM_URL = import.meta.env.VITE_LOCATION_STREAM_URL || '';
+const CHANNEL_NAME = 'freshmart-rider-locations';
+
+class LocationStreamService {
+  constructor() {
+    this.positions = {};
+    this.listeners = new Set();
+    this.eventSource = null;
+    this.channel = null;
+    // A rider position older than this is flagged on the dashboard
+    this.staleAfterMs = 2 * 60 * 1000;
+    this.defaultShareIntervalMs = 15000;
+  }
+
+  get mode() {
+    return STREAM_URL ? 'sse' : 'local';
+  }
+
+  // Called for every position regardless of transport
+  receive(position) {
+    const riderId = parseInt(position.riderId);
+    const current = this.positions[riderId];
+    if (current && new Date(current.timestamp) > new Date(position.timestamp)) {
+      return;
+    }
+    this.positions[riderId] = { ...position, riderId };
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.positions[riderId]);
+      } catch (error) {
+        console.error('Location listener failed:', error);
+      }
+    });
+  }
+
+  connect() {
+    if (STREAM_URL) {
+      if (!this.eventSource) {
+        this.eventSource = new EventSource(`${STREAM_URL}/stream`);
+        this.eventSource.addEventListener('location', (event) => {
+          try {
+            this.receive(JSON.parse(event.data));
+          } catch (error) {
+            console.warn('Ignoring malformed location event:', error);
+          }
+        });
+        this.eventSource.onerror = () => {
+          console.warn('Location stream disconnected, retrying...');
+        };
+      }
+    } else if (!this.channel && typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.receive(event.data);
+    }
+  }
+
+  disconnect() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  // Returns an unsubscribe function; the stream closes when the last listener leaves
+  subscribe(listener) {
+    this.listeners.add(listener);
+    this.connect();
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        this.disconnect();
+      }
+    };
+  }
+
+  // Ingest a rider position: persist it on the rider and fan it out to subscribers
+  async publish(riderId, coords) {
+    const position = {
+      riderId: parseInt(riderId),
+      lat: coords.lat,
+      lng: coords.lng,
+      accuracy: coords.accuracy ?? null,
+      heading: coords.heading ?? null,
+      speed: coords.speed ?? null,
+      timestamp: coords.timestamp || new Date().toISOString()
+    };
+
+    await deliveryPersonnelService.updateLocation(position.riderId, {
+      lat: position.lat,
+      lng: position.lng
+    });
+
+    if (STREAM_URL) {
+      const response = await fetch(`${STREAM_URL}/locations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(position)
+      });
+      if (!response.ok) {
+        throw new Error(`Location stream rejected update (${response.status})`);
+      }
+    } else {
+      this.connect();
+      this.channel?.postMessage(position);
+      this.receive(position);
+    }
+    return position;
+  }
+
+  // Latest known position per rider, falling back to the rider record
+  async getSnapshot() {
+    const personnel = await deliveryPersonnelService.getAll();
+    return personnel.reduce((snapshot, person) => {
+      const live = this.positions[person.Id];
+      snapshot[person.Id] = live || (person.currentLocation ? {
+        riderId: person.Id,
+        lat: person.currentLocation.lat,
+        lng: person.currentLocation.lng,
+        timestamp: person.locationUpdatedAt || null
+      } : null);
+      return snapshot;
+    }, {});
+  }
+
+  getLatestPosition(riderId) {
+    const position = this.positions[parseInt(riderId)];
+    return position ? { ...position } : null;
+  }
+
+  isStale(position, now = Date.now()) {
+    if (!position?.timestamp) {
+      return true;
+    }
+    return now - new Date(position.timestamp).getTime() > this.staleAfterMs;
+  }
+
+  // Push the device's GPS fix as soon as there is one, then on a schedule; returns a stop function
+  startSharing(riderId, { intervalMs = this.defaultShareIntervalMs, onError } = {}) {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+      onError?.(new Error('Location services are not available on this device'));
+      return () => {};
+    }
+
+    let latestFix = null;
+    let pushed = false;
+    const push = () => {
+      if (latestFix) {
+        pushed = true;
+        this.publish(riderId, { ...latestFix, timestamp: new Date().toISOString() })
+          .catch(error => onError?.(error));
+      }
+    };
+
+    const watchId = navigator.geolocation.watchPosition(
+      (fix) => {
+        latestFix = {
+          lat: fix.coords.latitude,
+          lng: fix.coords.longitude,
+          accuracy: fix.coords.accuracy,
+          heading: fix.coords.heading,
+          speed: fix.coords.speed,
+          timestamp: new Date(fix.timestamp).toISOString()
+        };
+        // The dispatcher and customer shouldn't wait a whole interval for the first position
+        if (!pushed) {
+          push();
+        }
+      },
+      (error) => onError?.(new Error(error.message || 'Unable to read location')),
+      { enableHighAccuracy: true, maximumAge: 10000 }
+    );
+
+    // Later fixes go out once per interval, however often the device reports them
+    const interval = setInterval(push, intervalMs);
+
+    return () => {
+      navigator.geolocation.clearWatch(watchId);
+      clearInterval(interval);
+    };
+  }
+}
+
+export const locationStreamService = new LocationStreamService();
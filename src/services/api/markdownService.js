@@ -0,0 +1,232 @@
+import { differenceInCalendarDays } from "date-fns";
+import { productService } from "@/services/api/productService";
+import { inventoryService } from "@/services/api/inventoryService";
+import { orderService } from "@/services/api/orderService";
+import { posService } from "@/services/api/posService";
+import { roundQuantity } from "@/utils/scaleBarcode";
+
+// Orders that never left the store don't count as recovered revenue
+const NON_SALE_STATUSES = ['cancelled', 'returned', 'payment_rejected'];
+
+// Checkout stores the product id as `id`, older orders as `productId`
+const itemProductId = (item) => item.productId ?? item.id;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class MarkdownService {
+  constructor() {
+    // A lot takes the deepest rule whose window it is in; 0 days before expiry is its last day
+    this.rules = [
+      { daysBeforeExpiry: 2, percentage: 30 },
+      { daysBeforeExpiry: 0, percentage: 50 }
+    ];
+    // Markdowns that would go below minSellingPrice: { Id, productId, lotId, percentage, status 'pending' | 'approved' | 'rejected', ... }
+    this.approvals = [];
+  }
+
+  async getRules() {
+    await this.delay();
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  async updateRules(rules) {
+    await this.delay();
+    const cleaned = rules.map(rule => ({
+      daysBeforeExpiry: parseInt(rule.daysBeforeExpiry),
+      percentage: parseFloat(rule.percentage)
+    }));
+    if (cleaned.some(rule => !Number.isInteger(rule.daysBeforeExpiry) || rule.daysBeforeExpiry < 0)) {
+      throw new Error('Days before expiry must be zero or more');
+    }
+    // productService refuses percentage discounts above 90%
+    if (cleaned.some(rule => !(rule.percentage > 0 && rule.percentage <= 90))) {
+      throw new Error('Markdowns must be between 1% and 90%');
+    }
+    if (new Set(cleaned.map(rule => rule.daysBeforeExpiry)).size !== cleaned.length) {
+      throw new Error('Only one markdown rule per day before expiry');
+    }
+    this.rules = cleaned.sort((a, b) => b.daysBeforeExpiry - a.daysBeforeExpiry);
+    await this.applyMarkdowns();
+    return this.getRules();
+  }
+
+  getRulePercentage(lot, now = new Date()) {
+    const daysLeft = differenceInCalendarDays(new Date(lot.expiresAt), now);
+    const matching = this.rules.filter(rule => daysLeft <= rule.daysBeforeExpiry);
+    return matching.length > 0 ? Math.max(...matching.map(rule => rule.percentage)) : null;
+  }
+
+  // The markdown a product should carry for its lot, held at minSellingPrice until a manager approves going lower
+  getTarget(product, lot, now = new Date()) {
+    const percentage = this.getRulePercentage(lot, now);
+    if (percentage === null) {
+      return null;
+    }
+    const floor = product.minSellingPrice || 0;
+    const rulePrice = roundAmount(product.price * (1 - percentage / 100));
+    const approval = this.approvals.find(a =>
+      a.productId === product.id && a.lotId === lot.id && a.percentage === percentage
+    );
+
+    if (rulePrice >= floor || approval?.status === 'approved') {
+      return { lotId: lot.id, lotNumber: lot.lotNumber, expiresAt: lot.expiresAt, percentage, price: rulePrice, capped: false };
+    }
+    if (!approval) {
+      this.approvals.push({
+        Id: this.approvals.length + 1,
+        productId: product.id,
+        productName: product.name,
+        lotId: lot.id,
+        lotNumber: lot.lotNumber,
+        percentage,
+        listPrice: product.price,
+        requestedPrice: rulePrice,
+        floorPrice: floor,
+        status: 'pending',
+        requestedAt: now.toISOString()
+      });
+    }
+    if (floor >= product.price) {
+      return null;
+    }
+    const cappedPercentage = roundAmount(((product.price - floor) / product.price) * 100);
+    return { lotId: lot.id, lotNumber: lot.lotNumber, expiresAt: lot.expiresAt, percentage: cappedPercentage, price: floor, capped: true };
+  }
+
+  // Brings every product's markdown in line with its lots: marks down what is left of the soonest-expiring in-date lot,
+  // and lifts the markdown once that lot has sold out, expired or been written off. The product's own discount is untouched.
+  async applyMarkdowns(now = new Date()) {
+    const horizon = Math.max(0, ...this.rules.map(rule => rule.daysBeforeExpiry));
+    const [lots, products] = await Promise.all([
+      inventoryService.getExpiringLots({ days: horizon }),
+      productService.getAll('admin')
+    ]);
+    const changes = [];
+
+    for (const product of products) {
+      const lot = lots.find(l => l.productId === product.id && !l.expired);
+      const target = lot ? this.getTarget(product, lot, now) : null;
+      const current = product.markdown || null;
+
+      if (!target && current) {
+        await productService.update(product.id, { markdown: null });
+        changes.push({ productId: product.id, name: product.name, action: 'lifted' });
+      } else if (target && (!current || current.lotId !== target.lotId || current.price !== target.price || current.quantity !== lot.quantity)) {
+        // inventoryService keeps `quantity` in step with the lot as it sells
+        await productService.update(product.id, {
+          markdown: { ...target, listPrice: product.price, quantity: lot.quantity, appliedAt: now.toISOString() }
+        });
+        changes.push({ productId: product.id, name: product.name, action: 'applied', ...target });
+      }
+    }
+    return changes;
+  }
+
+  async getActiveMarkdowns() {
+    const products = await productService.getAll('admin');
+    return products
+      .filter(product => product.markdown)
+      .map(product => ({ productId: product.id, name: product.name, unit: product.unit, ...product.markdown }));
+  }
+
+  async getApprovals({ status } = {}) {
+    await this.delay();
+    return this.approvals
+      .filter(approval => status === undefined || approval.status === status)
+      .map(approval => ({ ...approval }));
+  }
+
+  async decideApproval(id, approved, decidedBy = 'Manager') {
+    await this.delay();
+    const approval = this.approvals.find(a => a.Id === parseInt(id));
+    if (!approval) {
+      throw new Error('Markdown approval not found');
+    }
+    if (approval.status !== 'pending') {
+      throw new Error(`This markdown was already ${approval.status}`);
+    }
+    Object.assign(approval, {
+      status: approved ? 'approved' : 'rejected',
+      decidedBy,
+      decidedAt: new Date().toISOString()
+    });
+    await this.applyMarkdowns();
+    return { ...approval };
+  }
+
+  // Revenue taken on marked-down lines against the cost of stock thrown away as expired, over the last `days`
+  async getRecoveryReport({ days = 30 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const [orders, transactions, wastage, products] = await Promise.all([
+      orderService.getAll(),
+      posService.getAll(),
+      inventoryService.getMovements({ type: 'wastage' }),
+      productService.getAll('admin')
+    ]);
+    const byProduct = {};
+    const entryFor = (productId) => {
+      if (!byProduct[productId]) {
+        const product = products.find(p => p.id === productId);
+        byProduct[productId] = {
+          productId,
+          name: product?.name || `Product #${productId}`,
+          markdownUnits: 0,
+          recoveredRevenue: 0,
+          discountGiven: 0,
+          wastedUnits: 0,
+          wastageCost: 0
+        };
+      }
+      return byProduct[productId];
+    };
+    // Only the units a line was charged the markdown price for count; the rest of the line sold at list price.
+    // Return lines carry their sale's markdown with a negative quantity, and give back marked-down units first.
+    const addSales = (items = []) => items.filter(item => item.markdown).forEach(item => {
+      const entry = entryFor(parseInt(itemProductId(item)));
+      const quantity = Number(item.quantity || 0);
+      const units = Math.sign(quantity) * Math.min(Math.abs(quantity), item.markdown.quantity);
+      entry.markdownUnits = roundQuantity(entry.markdownUnits + units);
+      entry.recoveredRevenue = roundAmount(entry.recoveredRevenue + item.markdown.price * units);
+      entry.discountGiven = roundAmount(entry.discountGiven + (item.listPrice - item.markdown.price) * units);
+    });
+
+    orders
+      .filter(order => !NON_SALE_STATUSES.includes(order.status) && new Date(order.createdAt) >= since)
+      .forEach(order => addSales(order.items));
+    transactions
+      .filter(transaction => new Date(transaction.timestamp) >= since)
+      .forEach(transaction => addSales(transaction.items));
+    wastage
+      .filter(movement => movement.reason.startsWith('Expired') && new Date(movement.createdAt) >= since)
+      .forEach(movement => {
+        const entry = entryFor(movement.productId);
+        const cost = products.find(p => p.id === movement.productId)?.purchasePrice || 0;
+        entry.wastedUnits += -movement.quantity;
+        entry.wastageCost = roundAmount(entry.wastageCost + -movement.quantity * cost);
+      });
+
+    const rows = Object.values(byProduct).sort((a, b) => b.recoveredRevenue - a.recoveredRevenue);
+    const totals = rows.reduce((sum, row) => ({
+      markdownUnits: sum.markdownUnits + row.markdownUnits,
+      recoveredRevenue: roundAmount(sum.recoveredRevenue + row.recoveredRevenue),
+      discountGiven: roundAmount(sum.discountGiven + row.discountGiven),
+      wastedUnits: sum.wastedUnits + row.wastedUnits,
+      wastageCost: roundAmount(sum.wastageCost + row.wastageCost)
+    }), { markdownUnits: 0, recoveredRevenue: 0, discountGiven: 0, wastedUnits: 0, wastageCost: 0 });
+    const nearExpiryUnits = totals.markdownUnits + totals.wastedUnits;
+
+    return {
+      days,
+      ...totals,
+      // Share of near-expiry units that were sold rather than thrown away
+      sellThroughRate: nearExpiryUnits > 0 ? Math.round((totals.markdownUnits / nearExpiryUnits) * 1000) / 10 : null,
+      products: rows
+    };
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 150));
+  }
+}
+
+export const markdownService = new MarkdownService();
@@ -9,7 +9,8 @@ const mockNotificationCounts = {
   verification: 8,
   management: 4,
   delivery: 6,
-  analytics: 0
+  analytics: 0,
+  feedback: 0
 };
 
 class NotificationService {
@@ -80,6 +81,28 @@ class NotificationService {
     this.lastUpdate = new Date().toISOString();
   }
 
+  // Raise a category's badge when something new needs an admin's attention
+  increment(category, amount = 1) {
+    this.counts[category] = (this.counts[category] || 0) + amount;
+    this.lastUpdate = new Date().toISOString();
+  }
+
+  // Browser push for customer-facing delivery updates; returns false when the user has not allowed it
+  async pushCustomerAlert(title, body) {
+    if (typeof window === 'undefined' || !('Notification' in window)) {
+      return false;
+    }
+    let permission = Notification.permission;
+    if (permission === 'default') {
+      permission = await Notification.requestPermission();
+    }
+    if (permission !== 'granted') {
+      return false;
+    }
+    new Notification(title, { body });
+    return true;
+  }
+
   // Utility method for simulating API delay
   delay(ms = 300) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -96,7 +119,10 @@ class NotificationService {
       '/admin/payments?tab=verification': 'verification',
       '/admin/payments': 'payments',
       '/admin/delivery-dashboard': 'delivery',
-      '/admin/analytics': 'analytics'
+      '/admin/delivery': 'delivery',
+      '/admin/delivery-fees': 'delivery',
+      '/admin/analytics': 'analytics',
+      '/admin/feedback': 'feedback'
     };
     
     return pathMap[path] || null;
@@ -1,11 +1,27 @@
 import ordersData from "../mockData/orders.json";
-import React from "react";
-import Error from "@/components/ui/Error";
 import { paymentService } from "@/services/api/paymentService";
+import { inventoryService } from "@/services/api/inventoryService";
+import { deliveryFeeService } from "@/services/api/deliveryFeeService";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { orderStateMachine } from "@/services/api/orderStateMachine";
+
+// Reason codes a rider picks when a drop-off cannot be completed
+export const DELIVERY_FAILURE_REASONS = {
+  customer_unreachable: 'Customer unreachable',
+  wrong_address: 'Wrong address',
+  refused: 'Refused by customer',
+  premises_closed: 'Premises closed',
+  damaged: 'Order damaged in transit',
+  other: 'Other'
+};
 
 class OrderService {
   constructor() {
     this.orders = [...ordersData];
+    // Handed out when checkout starts, so overlapping checkouts never share an id
+    this.nextId = Math.max(...this.orders.map(o => o.id), 0) + 1;
+    // After this many failed attempts the order can only be returned to store
+    this.maxDeliveryAttempts = 3;
   }
 
   async getAll() {
@@ -31,18 +47,31 @@ async getById(id) {
       }
     }
     
-const newOrder = {
+    const { stockReservationId, ...details } = orderData;
+    const newOrder = {
       id: this.getNextId(),
-      ...orderData,
+      ...details,
       // Preserve user-provided transaction ID over payment result transaction ID
       transactionId: orderData.transactionId || orderData.paymentResult?.transactionId || null,
       paymentStatus: orderData.paymentStatus || (orderData.paymentMethod === 'cash' ? 'pending' : 'completed'),
       // Ensure both total and totalAmount fields are set for compatibility
       total: orderData.total || orderData.totalAmount || 0,
       totalAmount: orderData.totalAmount || orderData.total || 0,
+      // Code the customer reads out to the rider as proof of delivery
+      deliveryOtp: this.generateDeliveryOtp(),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
+    newOrder.statusHistory = [
+      await this.buildStatusEvent(newOrder, 'placed', {
+        changedBy: { role: 'customer', name: orderData.deliveryAddress?.name },
+        at: newOrder.createdAt
+      })
+    ];
+    
+    // Takes the items off the shelf before any money moves; throws if stock ran out meanwhile
+    await inventoryService.commitOrder(newOrder, stockReservationId);
+    newOrder.stockCommittedAt = new Date().toISOString();
     
     // Handle wallet payments
 if (orderData.paymentMethod === 'wallet') {
@@ -51,6 +80,11 @@ if (orderData.paymentMethod === 'wallet') {
         newOrder.paymentResult = walletTransaction;
         newOrder.paymentStatus = 'completed';
       } catch (walletError) {
+        try {
+          await inventoryService.restockOrder(newOrder, 'Wallet payment failed');
+        } catch (restockError) {
+          throw new Error(`Wallet payment failed: ${walletError.message}. The items could not be put back in stock: ${restockError.message}`);
+        }
         throw new Error('Wallet payment failed: ' + walletError.message);
       }
     }
@@ -97,54 +131,339 @@ this.orders.splice(index, 1);
   }
 
   getNextId() {
-    const maxId = this.orders.reduce((max, order) => 
-      order.id > max ? order.id : max, 0);
-    return maxId + 1;
+    return this.nextId++;
+  }
+
+  generateDeliveryOtp() {
+    return String(Math.floor(1000 + Math.random() * 9000));
+  }
+  // First time each delivery stage was reached, used for stage timing analytics
+  stampDeliveryTimeline(order, deliveryStatus, at = new Date().toISOString()) {
+    return {
+      ...(order.deliveryTimeline || {}),
+      [deliveryStatus]: order.deliveryTimeline?.[deliveryStatus] || at
+    };
+  }
+
+  // Audit event for a delivery status change. `audit` says who made it ({ role, id, name }),
+  // with an optional note and location; without a location the rider's last known position is used
+  async buildStatusEvent(order, deliveryStatus, { changedBy, location, note, at } = {}) {
+    const riderId = order.deliveryPersonId || null;
+    let position = location ? { ...location, recordedAt: location.recordedAt || at || new Date().toISOString() } : null;
+    if (!position && riderId) {
+      try {
+        const rider = await deliveryPersonnelService.getById(riderId);
+        position = rider.currentLocation
+          ? { ...rider.currentLocation, recordedAt: rider.locationUpdatedAt || null }
+          : null;
+      } catch (error) {
+        console.error(`Failed to look up location of rider ${riderId}:`, error);
+      }
+    }
+
+    return {
+      id: (order.statusHistory || []).length + 1,
+      status: deliveryStatus,
+      previousStatus: deliveryStatus === 'placed' ? null : order.deliveryStatus || null,
+      at: at || new Date().toISOString(),
+      changedBy: { role: 'system', id: null, name: null, ...changedBy },
+      riderId,
+      location: position ? { lat: position.lat, lng: position.lng, recordedAt: position.recordedAt } : null,
+      note: note || null
+    };
   }
-  async assignDeliveryPersonnel(orderId, deliveryPersonId) {
+
+  // Every delivery status change in order, oldest first; orders from before the audit trail
+  // get a synthesized placement event so the timeline always has a starting point
+  getStatusHistory(order) {
+    const history = order.statusHistory || [];
+    if (history[0]?.status === 'placed') {
+      return [...history];
+    }
+    return [{
+      id: 0,
+      status: 'placed',
+      previousStatus: null,
+      at: order.createdAt,
+      changedBy: { role: 'customer', id: null, name: order.deliveryAddress?.name || null },
+      riderId: null,
+      location: null,
+      note: null
+    }, ...history];
+  }
+
+  async assignDeliveryPersonnel(orderId, deliveryPersonId, audit = {}) {
     await this.delay();
     const order = await this.getById(orderId);
+    orderStateMachine.assertTransition(order, { deliveryStatus: 'assigned', deliveryPersonId });
+    const event = await this.buildStatusEvent({ ...order, deliveryPersonId }, 'assigned', {
+      changedBy: { role: 'admin' },
+      ...audit,
+      note: audit.note || (order.deliveryPersonId && order.deliveryPersonId !== deliveryPersonId
+        ? `Reassigned from rider #${order.deliveryPersonId}`
+        : null)
+    });
     const updatedOrder = {
       ...order,
       deliveryPersonId: deliveryPersonId,
-      deliveryStatus: 'assigned'
+      deliveryStatus: 'assigned',
+      deliveryTimeline: this.stampDeliveryTimeline(order, 'assigned'),
+      statusHistory: [...(order.statusHistory || []), event]
     };
     return await this.update(orderId, updatedOrder);
   }
-async updateDeliveryStatus(orderId, deliveryStatus, actualDelivery = null) {
+async updateDeliveryStatus(orderId, deliveryStatus, actualDelivery = null, audit = {}) {
     await this.delay();
     const order = await this.getById(orderId);
-    
-    // Map delivery status to order status for user-facing display synchronization
-    const deliveryToOrderStatusMap = {
-      'pending': 'pending',
-      'assigned': 'confirmed', 
-      'picked_up': 'packed',        // Critical mapping: picked_up -> packed
-      'in_transit': 'shipped',
-      'delivered': 'delivered',
-      'failed': 'cancelled'
-    };
-    
-    // Get corresponding order status for the delivery status
-    const correspondingOrderStatus = deliveryToOrderStatusMap[deliveryStatus];
+    // The order status follows the delivery stage, e.g. picked_up -> packed
+    const changes = orderStateMachine.withSyncedStatus(order, { deliveryStatus });
+    orderStateMachine.assertTransition(order, changes);
+    const event = await this.buildStatusEvent(order, deliveryStatus, {
+      changedBy: { role: 'admin' },
+      ...audit,
+      at: actualDelivery || audit.at
+    });
     
     const updatedOrder = {
       ...order,
-      deliveryStatus,
-      // Automatically sync order status when delivery status changes
-      ...(correspondingOrderStatus && { status: correspondingOrderStatus }),
+      ...changes,
       ...(actualDelivery && { actualDelivery }),
+      // Orders placed before OTPs existed get one once they leave the store
+      ...(!order.deliveryOtp && ['picked_up', 'in_transit'].includes(deliveryStatus) && {
+        deliveryOtp: this.generateDeliveryOtp()
+      }),
       updatedAt: new Date().toISOString(),
       // Track when delivery status was last updated for audit purposes
-      deliveryStatusUpdatedAt: new Date().toISOString()
+      deliveryStatusUpdatedAt: new Date().toISOString(),
+      deliveryTimeline: this.stampDeliveryTimeline(order, deliveryStatus, actualDelivery || undefined),
+      statusHistory: [...(order.statusHistory || []), event]
     };
     
     return await this.update(orderId, updatedOrder);
   }
 
+  // Mark an order delivered with a doorstep photo, customer signature and/or the customer's OTP
+  async completeDelivery(orderId, proof = {}) {
+    const order = await this.getById(orderId);
+    
+    if (!proof.photo && !proof.signature && !proof.otp) {
+      throw new Error('Proof of delivery requires a photo, signature or OTP');
+    }
+    
+    if (proof.otp && proof.otp.trim() !== order.deliveryOtp) {
+      throw new Error('Incorrect delivery OTP');
+    }
+    
+    const deliveredAt = new Date().toISOString();
+    const proofOfDelivery = {
+      photo: proof.photo || null,
+      signature: proof.signature || null,
+      otpVerified: !!proof.otp,
+      recipientName: proof.recipientName?.trim() || null,
+      location: proof.location || null,
+      capturedBy: proof.capturedBy || null,
+      capturedAt: deliveredAt
+    };
+    
+    await this.updateDeliveryStatus(orderId, 'delivered', deliveredAt, {
+      changedBy: proof.capturedBy ? { role: 'rider', id: proof.capturedBy } : undefined,
+      location: proof.location || null
+    });
+    return await this.update(orderId, { proofOfDelivery });
+  }
+
+  // Customer reports a problem with a delivered order; admins review it against the proof
+  async reportDeliveryDispute(orderId, reason) {
+    await this.delay();
+    const order = await this.getById(orderId);
+    
+    if (order.deliveryStatus !== 'delivered') {
+      throw new Error('Only delivered orders can be disputed');
+    }
+    if (order.deliveryDispute?.status === 'open') {
+      throw new Error('A dispute is already open for this order');
+    }
+    
+    return await this.update(orderId, {
+      deliveryDispute: {
+        reason,
+        status: 'open',
+        reportedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  async resolveDeliveryDispute(orderId, resolution, notes = '') {
+    await this.delay();
+    const order = await this.getById(orderId);
+    
+    if (order.deliveryDispute?.status !== 'open') {
+      throw new Error('No open dispute for this order');
+    }
+    
+    return await this.update(orderId, {
+      deliveryDispute: {
+        ...order.deliveryDispute,
+        status: resolution,
+        resolutionNotes: notes,
+        resolvedAt: new Date().toISOString(),
+        resolvedBy: 'admin'
+      }
+    });
+  }
+
+  async reportDeliveryFailure(orderId, reasonCode, notes = '', reportedBy = null, audit = {}) {
+    await this.delay();
+    const order = await this.getById(orderId);
+
+    if (!DELIVERY_FAILURE_REASONS[reasonCode]) {
+      throw new Error('A valid failure reason is required');
+    }
+    orderStateMachine.assertTransition(order, orderStateMachine.withSyncedStatus(order, { deliveryStatus: 'failed' }));
+
+    const failedAt = new Date().toISOString();
+    const attempt = {
+      attempt: (order.deliveryAttempts || []).length + 1,
+      riderId: reportedBy || order.deliveryPersonId,
+      reasonCode,
+      notes,
+      failedAt
+    };
+
+    await this.updateDeliveryStatus(orderId, 'failed', null, {
+      ...(reportedBy && { changedBy: { role: 'rider', id: reportedBy } }),
+      ...audit,
+      note: [DELIVERY_FAILURE_REASONS[reasonCode], notes].filter(Boolean).join(' — ')
+    });
+    return await this.update(orderId, {
+      deliveryAttempts: [...(order.deliveryAttempts || []), attempt],
+      deliveryFailure: attempt,
+      // The rider no longer carries the order; it waits in the reattempt queue
+      deliveryPersonId: null
+    });
+  }
+
+  // Failed deliveries awaiting a reattempt or return, oldest failure first
+  async getReattemptQueue() {
+    await this.delay();
+    return this.orders
+      .filter(order => order.deliveryStatus === 'failed')
+      .sort((a, b) => new Date(a.deliveryFailure?.failedAt || 0) - new Date(b.deliveryFailure?.failedAt || 0))
+      .map(order => ({ ...order }));
+  }
+
+  // Pass a deliverySlot (from deliverySlotService.reserveSlot) or a bare scheduledFor time
+  async scheduleReattempt(orderId, { scheduledFor, deliverySlot, deliveryAddress } = {}, audit = {}) {
+    await this.delay();
+    const order = await this.getById(orderId);
+    scheduledFor = deliverySlot?.endsAt || scheduledFor;
+
+    if (order.deliveryStatus !== 'failed') {
+      throw new Error('Only failed deliveries can be reattempted');
+    }
+    if ((order.deliveryAttempts || []).length >= this.maxDeliveryAttempts) {
+      throw new Error(`Delivery already attempted ${this.maxDeliveryAttempts} times, return the order to store`);
+    }
+    orderStateMachine.assertTransition(order, { deliveryStatus: 'pending_assignment', status: 'confirmed' });
+    if (!scheduledFor || new Date(scheduledFor) <= new Date()) {
+      throw new Error('Choose a future delivery time for the reattempt');
+    }
+
+    const event = await this.buildStatusEvent(order, 'pending_assignment', {
+      changedBy: { role: 'admin' },
+      ...audit,
+      note: audit.note || `Reattempt scheduled for ${new Date(scheduledFor).toLocaleString()}`
+    });
+
+    // Back to confirmed/pending_assignment so dispatch picks it up again
+    return await this.update(orderId, {
+      status: 'confirmed',
+      deliveryStatus: 'pending_assignment',
+      deliveryPersonId: null,
+      estimatedDelivery: new Date(scheduledFor).toISOString(),
+      deliverySlot: deliverySlot || null,
+      ...(deliveryAddress && { deliveryAddress: { ...order.deliveryAddress, ...deliveryAddress } }),
+      // Stage timings start over for the new attempt
+      deliveryTimeline: {},
+      statusHistory: [...(order.statusHistory || []), event],
+      updatedAt: new Date().toISOString(),
+      deliveryStatusUpdatedAt: new Date().toISOString()
+    });
+  }
+
+  // Give up on delivery: put the items back on the shelf and refund what was paid
+  async returnToStore(orderId, reason = '', audit = {}) {
+    await this.delay();
+    const order = await this.getById(orderId);
+
+    // Checked up front, before anything is restocked
+    orderStateMachine.assertTransition(order, orderStateMachine.withSyncedStatus(order, { deliveryStatus: 'returned' }));
+
+    const restocked = await inventoryService.restockOrder(order, `Order #${order.id} returned to store`);
+
+    const returnReason = reason || DELIVERY_FAILURE_REASONS[order.deliveryFailure?.reasonCode] || 'Returned to store';
+    const wasPaid = this.isPaid(order);
+
+    await this.updateDeliveryStatus(orderId, 'returned', null, { ...audit, note: returnReason });
+    if (wasPaid) {
+      // Moves the order to refund_requested for the payments team
+      await this.processRefund(orderId, order.total, `Delivery failed: ${returnReason}`);
+    }
+
+    return await this.update(orderId, {
+      ...(!wasPaid && { status: 'cancelled' }),
+      ...(restocked.length > 0 && { stockRestockedAt: new Date().toISOString() }),
+      returnedToStore: {
+        reason: returnReason,
+        restocked,
+        refunded: wasPaid,
+        returnedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  // Older prepaid orders carry no paymentStatus at all
+  isPaid(order) {
+    return order.paymentStatus === 'completed' || (order.paymentMethod !== 'cash' && !order.paymentStatus);
+  }
+
+  // Cancel before the order leaves the store: its stock goes back on the shelf and any payment is refunded
+  async cancelOrder(orderId, reason = '', audit = {}) {
+    await this.delay();
+    const order = await this.getById(orderId);
+    orderStateMachine.assertTransition(order, { status: 'cancelled' });
+
+    const cancelReason = reason.trim() || 'Cancelled';
+    const restocked = await inventoryService.restockOrder(order, `Order #${order.id} cancelled`);
+    const event = await this.buildStatusEvent(order, 'cancelled', {
+      changedBy: { role: 'admin' },
+      ...audit,
+      note: cancelReason
+    });
+
+    await this.update(orderId, {
+      status: 'cancelled',
+      // Drops off the rider's queue if one was already assigned
+      deliveryPersonId: null,
+      ...(restocked.length > 0 && { stockRestockedAt: new Date().toISOString() }),
+      cancellation: {
+        reason: cancelReason,
+        restocked,
+        cancelledAt: new Date().toISOString()
+      },
+      statusHistory: [...(order.statusHistory || []), event],
+      updatedAt: new Date().toISOString()
+    });
+    if (this.isPaid(order)) {
+      return await this.processRefund(orderId, order.total, `Order cancelled: ${cancelReason}`);
+    }
+    return await this.getById(orderId);
+  }
+
   async updateOrderStatus(orderId, orderStatus) {
     await this.delay();
     const order = await this.getById(orderId);
+    orderStateMachine.assertTransition(order, { status: orderStatus });
     const updatedOrder = {
       ...order,
       status: orderStatus,
@@ -153,26 +472,63 @@ async updateDeliveryStatus(orderId, deliveryStatus, actualDelivery = null) {
     return await this.update(orderId, updatedOrder);
   }
 
+  // Cancelled and returned orders give their delivery slot back
+  holdsDeliverySlot(order) {
+    return !!order.deliverySlot && !['cancelled', 'returned', 'refund_requested'].includes(order.status);
+  }
+
   async getOrdersByDeliveryPerson(deliveryPersonId) {
     await this.delay();
     return this.orders.filter(order => order.deliveryPersonId === deliveryPersonId);
   }
 
+  // Active orders for a rider, sorted into the order they should be run
+  async getDeliveryQueue(deliveryPersonId) {
+    const orders = await this.getOrdersByDeliveryPerson(deliveryPersonId);
+    const stageRank = {
+      'in_transit': 0,
+      'out_for_delivery': 0,
+      'picked_up': 1,
+      'assigned': 2
+    };
+    
+    return orders
+      .filter(order => stageRank[order.deliveryStatus] !== undefined)
+      .map(order => ({ ...order }))
+      .sort((a, b) => {
+        const stageDiff = stageRank[a.deliveryStatus] - stageRank[b.deliveryStatus];
+        if (stageDiff !== 0) return stageDiff;
+        const etaA = a.estimatedDelivery ? new Date(a.estimatedDelivery).getTime() : Infinity;
+        const etaB = b.estimatedDelivery ? new Date(b.estimatedDelivery).getTime() : Infinity;
+        if (etaA !== etaB) return etaA - etaB;
+        return new Date(a.createdAt) - new Date(b.createdAt);
+      });
+  }
+
   async getOrdersByDeliveryStatus(deliveryStatus) {
 return this.orders.filter(order => order.deliveryStatus === deliveryStatus);
   }
 
 // Payment Integration Methods
+  // What setting `paymentStatus` changes on the order, so callers can check the transition before committing to it
+  getPaymentStatusChanges(order, paymentStatus) {
+    return {
+      paymentStatus,
+      ...(paymentStatus === 'completed' && order.status === 'payment_pending' && { status: 'confirmed' })
+    };
+  }
+
   async updatePaymentStatus(orderId, paymentStatus, paymentResult = null) {
     await this.delay();
     const order = await this.getById(orderId);
+    const changes = this.getPaymentStatusChanges(order, paymentStatus);
+    orderStateMachine.assertTransition(order, changes);
     const updatedOrder = {
       ...order,
-      paymentStatus,
+      ...changes,
       paymentResult,
       updatedAt: new Date().toISOString(),
-      ...(paymentStatus === 'completed' && { paidAt: new Date().toISOString() }),
-      ...(paymentStatus === 'completed' && order.status === 'payment_pending' && { status: 'confirmed' })
+      ...(paymentStatus === 'completed' && { paidAt: new Date().toISOString() })
     };
     return await this.update(orderId, updatedOrder);
   }
@@ -219,6 +575,7 @@ return this.orders.filter(order => order.deliveryStatus === deliveryStatus);
     if (order.paymentStatus === 'completed') {
       throw new Error('Payment already completed for this order');
     }
+    orderStateMachine.assertTransition(order, { paymentStatus: 'completed' });
     
     const updatedOrder = {
       ...order,
@@ -232,7 +589,8 @@ return this.orders.filter(order => order.deliveryStatus === deliveryStatus);
   }
   async processRefund(orderId, refundAmount, reason) {
     await this.delay();
-const order = await this.getById(orderId);
+    const order = await this.getById(orderId);
+    orderStateMachine.assertTransition(order, { status: 'refund_requested' });
     const refund = {
       id: Date.now(), // Use timestamp for refund ID
       orderId,
@@ -311,35 +669,28 @@ async updateVerificationStatus(orderId, status, notes = '') {
       throw new Error('Order verification is not pending');
     }
 
+    // Verifying the payment confirms the order; rejecting it sends it back to the customer
+    const changes = {
+      verificationStatus: status,
+      paymentStatus: status === 'verified' ? 'completed' : 'verification_failed',
+      ...(['pending', 'payment_pending'].includes(order.status || 'pending') && {
+        status: status === 'verified' ? 'confirmed' : 'payment_rejected'
+      })
+    };
+    orderStateMachine.assertTransition(order, changes);
+
     const updatedOrder = {
       ...order,
-      verificationStatus: status,
+      ...changes,
       verificationNotes: notes,
       verifiedAt: new Date().toISOString(),
       verifiedBy: 'admin',
-      paymentStatus: status === 'verified' ? 'completed' : 'verification_failed',
-      updatedAt: new Date().toISOString()
+      updatedAt: new Date().toISOString(),
+      ...(status === 'verified'
+        ? { paymentVerifiedAt: new Date().toISOString() }
+        : { paymentRejectedAt: new Date().toISOString() })
     };
 
-    // Update order status based on verification result - aligned with delivery tracking
-    if (status === 'verified') {
-      // When payment is verified by admin, set to pending first, then confirmed
-      updatedOrder.status = 'pending'; // Order Placed
-      updatedOrder.paymentVerifiedAt = new Date().toISOString();
-      
-      // Immediately update to confirmed status
-      setTimeout(async () => {
-        try {
-          await this.updateOrderStatus(orderId, 'confirmed');
-        } catch (error) {
-          console.error('Failed to update order to confirmed:', error);
-        }
-      }, 100);
-    } else {
-      updatedOrder.status = 'payment_rejected';
-      updatedOrder.paymentRejectedAt = new Date().toISOString();
-    }
-
     this.orders[orderIndex] = updatedOrder;
     return { ...updatedOrder };
   }
@@ -384,21 +735,36 @@ return {
 
   validateOrderAmount(order) {
     const calculatedSubtotal = this.calculateOrderSubtotal(order.items);
-    const calculatedTotal = this.calculateOrderTotal(order.items, order.deliveryCharge);
+    // Re-price delivery with the current fee rules, as of when the order was placed
+    const feeQuote = deliveryFeeService.quote({
+      address: order.deliveryAddress,
+      subtotal: order.subtotal ?? calculatedSubtotal,
+      slot: order.deliverySlot,
+      orderedAt: order.createdAt ? new Date(order.createdAt) : new Date()
+    });
+    const calculatedTotal = this.calculateOrderTotal(order.items, feeQuote.deliveryCharge);
+    const feeChecks = {
+      expectedDeliveryCharge: feeQuote.deliveryCharge,
+      deliveryChargeMatches: order.deliveryCharge === undefined || order.deliveryCharge === feeQuote.deliveryCharge,
+      minimumOrder: feeQuote.minimumOrder,
+      meetsMinimumOrder: feeQuote.meetsMinimum
+    };
     
     // Return calculated values if order total is missing or zero
     if (!order.total || order.total === 0) {
       return {
         subtotal: calculatedSubtotal,
         total: calculatedTotal,
-        isCalculated: true
+        isCalculated: true,
+        ...feeChecks
       };
     }
     
     return {
       subtotal: calculatedSubtotal,
       total: order.total,
-      isCalculated: false
+      isCalculated: false,
+      ...feeChecks
     };
   }
 
@@ -0,0 +1,203 @@
+// Allowed moves for each of an order's status fields. A field missing on an order counts as
+// 'pending'; a move to the same value is only allowed where it is listed (e.g. reassigning a rider)
+export const ORDER_TRANSITIONS = {
+  status: {
+    pending: ['payment_pending', 'payment_rejected', 'confirmed', 'cancelled'],
+    payment_pending: ['confirmed', 'payment_rejected', 'cancelled'],
+    payment_rejected: ['payment_pending', 'cancelled'],
+    confirmed: ['packed', 'delivery_failed', 'cancelled', 'refund_requested'],
+    packed: ['shipped', 'delivery_failed', 'cancelled', 'refund_requested'],
+    shipped: ['delivered', 'delivery_failed'],
+    delivered: ['refund_requested'],
+    delivery_failed: ['confirmed', 'returned', 'cancelled', 'refund_requested'],
+    returned: ['cancelled', 'refund_requested'],
+    cancelled: ['refund_requested'],
+    refund_requested: []
+  },
+  deliveryStatus: {
+    pending: ['pending_assignment', 'assigned'],
+    pending_assignment: ['assigned'],
+    assigned: ['assigned', 'picked_up', 'pending_assignment', 'failed'],
+    picked_up: ['in_transit', 'out_for_delivery', 'failed'],
+    in_transit: ['delivered', 'failed'],
+    out_for_delivery: ['delivered', 'failed'],
+    failed: ['pending_assignment', 'returned'],
+    delivered: [],
+    returned: []
+  },
+  paymentStatus: {
+    pending: ['pending_verification', 'verification_failed', 'completed', 'failed'],
+    pending_verification: ['completed', 'verification_failed'],
+    verification_failed: ['pending_verification', 'completed'],
+    failed: ['pending', 'pending_verification', 'completed'],
+    completed: []
+  },
+  verificationStatus: {
+    pending: ['verified', 'rejected'],
+    rejected: ['pending'],
+    verified: []
+  }
+};
+
+// Order status that follows each delivery stage; stages without one leave the status alone
+export const DELIVERY_ORDER_STATUS = {
+  assigned: 'confirmed',
+  picked_up: 'packed',
+  in_transit: 'shipped',
+  out_for_delivery: 'shipped',
+  delivered: 'delivered',
+  failed: 'delivery_failed',
+  returned: 'returned'
+};
+
+// The happy path customers see on the tracking page
+export const ORDER_PROGRESS = ['pending', 'confirmed', 'packed', 'shipped', 'delivered'];
+
+export const ORDER_STATUS_LABELS = {
+  pending: 'Order Placed',
+  payment_pending: 'Awaiting Payment Verification',
+  payment_rejected: 'Payment Rejected',
+  confirmed: 'Confirmed',
+  packed: 'Packed',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  delivery_failed: 'Delivery Failed',
+  returned: 'Returned to Store',
+  cancelled: 'Cancelled',
+  refund_requested: 'Refund Requested'
+};
+
+const FIELD_LABELS = {
+  status: 'order status',
+  deliveryStatus: 'delivery status',
+  paymentStatus: 'payment status',
+  verificationStatus: 'payment verification'
+};
+
+const CLOSED_STATUSES = ['cancelled', 'returned', 'refund_requested'];
+
+class OrderStateMachine {
+  constructor() {
+    // Conditions beyond the transition tables, keyed by field and target value.
+    // Each gets the order as it would be after the change and as it is now.
+    this.guards = {
+      'deliveryStatus:assigned': (next, order) => {
+        if (CLOSED_STATUSES.includes(order.status)) {
+          return `Order #${order.id} is ${ORDER_STATUS_LABELS[order.status].toLowerCase()} and cannot be dispatched`;
+        }
+        if (!this.isPaymentCleared(next)) {
+          return `Order #${order.id} cannot be dispatched until its payment is verified`;
+        }
+        if (!['confirmed', 'packed'].includes(order.status)) {
+          return `Order #${order.id} must be confirmed before it can be dispatched`;
+        }
+        return null;
+      },
+      'deliveryStatus:picked_up': (next) => (next.deliveryPersonId
+        ? null
+        : `Order #${next.id} has no rider assigned`),
+      'status:confirmed': (next) => (this.isPaymentCleared(next)
+        ? null
+        : `Order #${next.id} cannot be confirmed until its payment is verified`),
+      'status:cancelled': (next) => (['picked_up', 'in_transit', 'out_for_delivery'].includes(next.deliveryStatus)
+        ? `Order #${next.id} is already out for delivery and cannot be cancelled`
+        : null)
+    };
+  }
+
+  getValue(order, field) {
+    return order[field] || 'pending';
+  }
+
+  // Cash is collected at the door; everything else has to be paid and, where a proof
+  // was uploaded, verified by an admin
+  isPaymentCleared(order) {
+    if (['payment_pending', 'payment_rejected'].includes(order.status)) {
+      return false;
+    }
+    if (['pending', 'rejected'].includes(order.verificationStatus)) {
+      return false;
+    }
+    if (['pending_verification', 'verification_failed', 'failed'].includes(order.paymentStatus)) {
+      return false;
+    }
+    return !(order.paymentStatus === 'pending' && order.paymentMethod !== 'cash');
+  }
+
+  // Why `changes` (e.g. { deliveryStatus: 'assigned' }) can't be applied to the order, or null if it can
+  getTransitionError(order, changes) {
+    const next = { ...order, ...changes };
+    for (const field of Object.keys(changes)) {
+      const table = ORDER_TRANSITIONS[field];
+      if (!table) {
+        continue;
+      }
+      const from = this.getValue(order, field);
+      const to = changes[field];
+      if (!table[to]) {
+        return `Unknown ${FIELD_LABELS[field]} "${to}"`;
+      }
+      if (!(table[from] || []).includes(to)) {
+        return `Order #${order.id} cannot change ${FIELD_LABELS[field]} from ${from} to ${to}`;
+      }
+      const guard = this.guards[`${field}:${to}`];
+      const reason = guard && guard(next, order);
+      if (reason) {
+        return reason;
+      }
+    }
+    return null;
+  }
+
+  canTransition(order, changes) {
+    return this.getTransitionError(order, changes) === null;
+  }
+
+  assertTransition(order, changes) {
+    const reason = this.getTransitionError(order, changes);
+    if (reason) {
+      throw new Error(reason);
+    }
+  }
+
+  // Values a field can move to from where the order is now, guards included
+  getAllowedTransitions(order, field) {
+    const from = this.getValue(order, field);
+    return (ORDER_TRANSITIONS[field][from] || [])
+      .filter(to => this.canTransition(order, this.withSyncedStatus(order, { [field]: to })));
+  }
+
+  // Add the order status that goes with a delivery stage, unless the order is already past it
+  withSyncedStatus(order, changes) {
+    const status = DELIVERY_ORDER_STATUS[changes.deliveryStatus];
+    const current = this.getValue(order, 'status');
+    if (!status || status === current || !ORDER_TRANSITIONS.status[current]?.includes(status)) {
+      return changes;
+    }
+    return { ...changes, status };
+  }
+
+  // Position on ORDER_PROGRESS; orders off the happy path report the last step they reached
+  getProgressIndex(order) {
+    const status = this.getValue(order, 'status');
+    const index = ORDER_PROGRESS.indexOf(status);
+    if (index !== -1) {
+      return index;
+    }
+    if (order.deliveryStatus === 'delivered') {
+      return ORDER_PROGRESS.indexOf('delivered');
+    }
+    // Failed and returned deliveries had been confirmed; unpaid and cancelled orders stop at placed
+    return ['delivery_failed', 'returned'].includes(status) ? ORDER_PROGRESS.indexOf('confirmed') : 0;
+  }
+
+  isOnHappyPath(order) {
+    return ORDER_PROGRESS.includes(this.getValue(order, 'status'));
+  }
+
+  getStatusLabel(status) {
+    return ORDER_STATUS_LABELS[status || 'pending'] || status.replace(/_/g, ' ');
+  }
+}
+
+export const orderStateMachine = new OrderStateMachine();
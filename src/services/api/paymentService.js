@@ -247,6 +247,49 @@ transaction.verificationData = verificationData;
     
     return transaction;
   }
+
+  // Pays money back against an earlier payment, in part or in full. Without an original gateway
+  // payment (cash at the till) the refund is only recorded.
+  async refundPayment({ originalTransactionId = null, paymentMethod, amount, orderId, reason }) {
+    await this.delay(500);
+
+    const refundAmount = Math.round(parseFloat(amount) * 100) / 100;
+    if (!(refundAmount > 0)) {
+      throw new Error('Refund amount must be greater than zero');
+    }
+
+    let original = null;
+    if (originalTransactionId) {
+      original = this.transactions.find(t => t.transactionId === originalTransactionId);
+      if (!original) {
+        throw new Error('Original payment not found');
+      }
+      const alreadyRefunded = this.transactions
+        .filter(t => t.type === 'refund' && t.originalTransactionId === originalTransactionId)
+        .reduce((sum, t) => sum + t.amount, 0);
+      const refundable = Math.round((original.amount - alreadyRefunded) * 100) / 100;
+      if (refundAmount > refundable) {
+        throw new Error(`Only Rs. ${refundable.toLocaleString()} of this payment is left to refund`);
+      }
+    }
+
+    const refund = {
+      Id: this.getNextId(),
+      type: 'refund',
+      orderId,
+      amount: refundAmount,
+      paymentMethod: original ? original.paymentMethod : paymentMethod,
+      status: 'completed',
+      transactionId: this.generateTransactionId(),
+      originalTransactionId,
+      reason,
+      timestamp: new Date().toISOString(),
+      gatewayResponse: original ? { reference: this.generateReference() } : null
+    };
+
+    this.transactions.push(refund);
+    return { ...refund };
+  }
 async getAvailablePaymentMethods() {
     await this.delay(200);
     return [...this.paymentGateways];
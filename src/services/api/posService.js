@@ -1,8 +1,30 @@
 import posData from '../mockData/posTransactions.json';
+import { paymentService } from '@/services/api/paymentService';
+import { inventoryService } from '@/services/api/inventoryService';
+import { productService } from '@/services/api/productService';
+import { isSoldByWeight } from '@/utils/scaleBarcode';
+
+export const TRANSACTION_TYPE_LABELS = {
+  sale: 'Sale',
+  return: 'Return',
+  exchange: 'Exchange',
+  void: 'Void'
+};
+
+export const RETURN_REASONS = ['Changed mind', 'Wrong item', 'Damaged', 'Poor quality', 'Near or past expiry'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const formatReceiptNumber = (id) => `RCP-${String(id).padStart(6, '0')}`;
+
+// Scale-label lines are charged the label's own total rather than price × quantity
+const lineAmount = (item) => item.lineTotal ?? item.price * item.quantity;
 
 class POSService {
   constructor() {
-    this.transactions = [...posData];
+    this.transactions = posData.map(t => ({ ...t, receiptNumber: t.receiptNumber || formatReceiptNumber(t.id) }));
+    // Voids wait here for a manager: { Id, transactionId, receiptNumber, reason, status 'pending' | 'approved' | 'rejected', ... }
+    this.voidRequests = [];
   }
 
   async getAll() {
@@ -21,8 +43,15 @@ class POSService {
 
   async createTransaction(transactionData) {
     await this.delay();
+    // Every sale belongs to the cashier shift whose drawer took the money
+    if (!transactionData.shiftId) {
+      throw new Error('Open a shift before ringing up sales');
+    }
+    const id = this.getNextId();
     const newTransaction = {
-      id: this.getNextId(),
+      id,
+      type: 'sale',
+      receiptNumber: formatReceiptNumber(id),
       ...transactionData,
       timestamp: new Date().toISOString()
     };
@@ -30,17 +59,39 @@ class POSService {
     return { ...newTransaction };
   }
 
-  async getDailySales(date) {
-    await this.delay();
-    const targetDate = new Date(date).toDateString();
-    const dailyTransactions = this.transactions.filter(
-      t => new Date(t.timestamp).toDateString() === targetDate
+  // Transactions rung up on a day and/or in a cashier shift; a null date spans every day
+  filterTransactions(date, { shiftId } = {}) {
+    const targetDate = date ? new Date(date).toDateString() : null;
+    return this.transactions.filter(t =>
+      (!targetDate || new Date(t.timestamp).toDateString() === targetDate) &&
+      (shiftId === undefined || t.shiftId === parseInt(shiftId))
     );
-    
+  }
+
+  // Sales, refunds and voids are kept apart so a report never shows money paid back as sales.
+  // An exchange counts as takings when the customer paid extra and as a refund when money went back.
+  async getDailySales(date, { shiftId } = {}) {
+    await this.delay();
+    const dailyTransactions = this.filterTransactions(date, { shiftId });
+    const ofType = (...types) => dailyTransactions.filter(t => types.includes(t.type || 'sale'));
+    const sum = (transactions) => roundAmount(transactions.reduce((total, t) => total + Math.abs(t.total), 0));
+
+    const takings = ofType('sale', 'exchange').filter(t => t.total > 0);
+    const refunds = ofType('return', 'exchange').filter(t => t.total < 0);
+    const voids = ofType('void');
+    const grossSales = sum(takings);
+    const refundTotal = sum(refunds);
+    const voidTotal = sum(voids);
+
     return {
       transactions: dailyTransactions,
-      totalSales: dailyTransactions.reduce((sum, t) => sum + t.total, 0),
-      totalTransactions: dailyTransactions.length
+      grossSales,
+      salesCount: ofType('sale').length,
+      refundTotal,
+      refundCount: refunds.length,
+      voidTotal,
+      voidCount: voids.length,
+      netSales: roundAmount(grossSales - refundTotal - voidTotal)
     };
   }
 
@@ -51,6 +102,40 @@ class POSService {
   }
 
 // Payment Integration Methods
+  // Takes a card, wallet or bank payment through the gateway; cash goes into the shift's drawer and returns null
+  async collectPayment(paymentType, amount, reference) {
+    if (paymentType === 'card') {
+      // For POS, we'll simulate card payment without form
+      const mockCardData = {
+        cardNumber: '4*** **** **** ****',
+        expiryDate: '12/25',
+        cvv: '***',
+        cardholderName: 'Customer'
+      };
+      return paymentService.processCardPayment(mockCardData, amount, reference);
+    }
+    if (['jazzcash', 'easypaisa', 'sadapay'].includes(paymentType)) {
+      return paymentService.processDigitalWalletPayment(paymentType, amount, reference, '03001234567');
+    }
+    if (paymentType === 'bank') {
+      return paymentService.processBankTransfer(amount, reference, {});
+    }
+    return null;
+  }
+
+  // Pays money back the way the original sale took it
+  async reversePayment(original, amount, reason) {
+    // An exchange that paid out holds a refund, which can't itself be refunded; that money goes back by payment method only
+    const gatewayPayment = original.paymentResult?.type === 'refund' ? null : original.paymentResult;
+    return paymentService.refundPayment({
+      originalTransactionId: gatewayPayment?.transactionId || null,
+      paymentMethod: original.paymentType,
+      amount,
+      orderId: original.receiptNumber,
+      reason
+    });
+  }
+
   async processPayment(transactionId, paymentData) {
     await this.delay();
     const transaction = this.transactions.find(t => t.id === transactionId);
@@ -76,12 +161,9 @@ class POSService {
     return this.transactions.filter(t => t.paymentType === paymentMethod);
   }
 
-  async getDailyPaymentBreakdown(date) {
+  async getDailyPaymentBreakdown(date, { shiftId } = {}) {
     await this.delay();
-    const targetDate = new Date(date).toDateString();
-    const dailyTransactions = this.transactions.filter(
-      t => new Date(t.timestamp).toDateString() === targetDate
-    );
+    const dailyTransactions = this.filterTransactions(date, { shiftId });
 
     const breakdown = dailyTransactions.reduce((acc, transaction) => {
       const method = transaction.paymentType;
@@ -89,13 +171,287 @@ class POSService {
         acc[method] = { count: 0, total: 0 };
       }
       acc[method].count += 1;
-      acc[method].total += transaction.total;
+      acc[method].total = Math.round((acc[method].total + transaction.total) * 100) / 100;
       return acc;
     }, {});
 
     return breakdown;
   }
 
+  // Returns and exchanges
+
+  // Accepts the printed receipt number, the value scanned from its barcode, or just the number on it
+  async getByReceiptNumber(receiptNumber) {
+    await this.delay();
+    const code = String(receiptNumber || '').trim().toUpperCase();
+    const wanted = /^\d+$/.test(code) ? formatReceiptNumber(parseInt(code)) : code;
+    const transaction = this.transactions.find(t => t.receiptNumber === wanted);
+    if (!transaction) {
+      throw new Error(`No receipt found for ${code}`);
+    }
+    return {
+      ...transaction,
+      returnableLines: await this.getReturnableLines(transaction),
+      adjustments: this.transactions
+        .filter(t => t.originalTransactionId === transaction.id)
+        .map(t => ({ ...t })),
+      pendingVoid: this.voidRequests.some(r => r.transactionId === transaction.id && r.status === 'pending')
+    };
+  }
+
+  // Lines of a sale that can still be handed back, with what earlier returns and exchanges already took back.
+  // `soldByWeight` comes from the product, since a weighed line can happen to be a whole number of kilos.
+  async getReturnableLines(transaction) {
+    if (transaction.voidedAt || !['sale', 'exchange'].includes(transaction.type || 'sale')) {
+      return [];
+    }
+    const adjustments = this.transactions.filter(t => t.originalTransactionId === transaction.id);
+    const products = await productService.getAll('admin');
+    return transaction.items
+      .map((item, lineIndex) => ({ ...item, lineIndex }))
+      .filter(item => item.quantity > 0)
+      .map(item => {
+        const returnedQuantity = roundAmount(adjustments
+          .flatMap(t => t.items)
+          .filter(line => line.originalLine === item.lineIndex)
+          .reduce((sum, line) => sum - line.quantity, 0));
+        return {
+          ...item,
+          soldByWeight: isSoldByWeight(products.find(p => p.id === parseInt(item.productId))),
+          returnedQuantity,
+          returnableQuantity: roundAmount(item.quantity - returnedQuantity)
+        };
+      });
+  }
+
+  // Negative lines for what is handed back, priced as the original sale charged them
+  async buildReturnLines(original, lines = []) {
+    if (original.voidedAt) {
+      throw new Error(`${original.receiptNumber} was voided`);
+    }
+    const chosen = lines.filter(line => parseFloat(line.quantity) > 0);
+    if (chosen.length === 0) {
+      throw new Error('Choose at least one item to return');
+    }
+    const returnable = await this.getReturnableLines(original);
+    return chosen.map(line => {
+      const item = returnable.find(r => r.lineIndex === parseInt(line.lineIndex));
+      const quantity = parseFloat(line.quantity);
+      if (!item) {
+        throw new Error(`${original.receiptNumber} has no such line to return`);
+      }
+      if (quantity > item.returnableQuantity) {
+        throw new Error(`Only ${item.returnableQuantity} of ${item.name} can still be returned`);
+      }
+      // Counted lines come back in whole units; weighed lines by the gram
+      if (!item.soldByWeight && !Number.isInteger(quantity)) {
+        throw new Error(`${item.name} is returned in whole units`);
+      }
+      if (!line.reason?.trim()) {
+        throw new Error(`Give a reason for returning ${item.name}`);
+      }
+      return {
+        productId: item.productId,
+        name: item.name,
+        price: item.price,
+        listPrice: item.listPrice,
+        markdown: item.markdown,
+        quantity: -quantity,
+        originalLine: item.lineIndex,
+        reason: line.reason.trim(),
+        ...(item.lineTotal !== undefined && { lineTotal: -roundAmount(item.lineTotal * quantity / item.quantity) })
+      };
+    });
+  }
+
+  // Records a return, exchange or void first and only then moves the money, so a refund or charge never
+  // goes through without its receipt. If `settle` fails the record is taken back out again.
+  async recordAdjustment(transactionData, settle) {
+    const transaction = await this.createTransaction(transactionData);
+    let paymentResult;
+    try {
+      paymentResult = await settle();
+    } catch (error) {
+      this.transactions = this.transactions.filter(t => t.id !== transaction.id);
+      throw error;
+    }
+    const recorded = this.findTransaction(transaction.id);
+    recorded.paymentResult = paymentResult;
+    return { ...recorded };
+  }
+
+  // Partial or full return of a receipt's lines; the refund goes back the way the customer paid
+  async createReturn(originalId, { lines, shiftId, cashierId }) {
+    const original = this.findTransaction(originalId);
+    const items = await this.buildReturnLines(original, lines);
+    const refund = roundAmount(-items.reduce((sum, item) => sum + lineAmount(item), 0));
+
+    const transaction = await this.recordAdjustment({
+      type: 'return',
+      originalTransactionId: original.id,
+      originalReceiptNumber: original.receiptNumber,
+      items,
+      total: -refund,
+      paymentType: original.paymentType,
+      cashierId,
+      shiftId,
+      customerPaid: -refund,
+      change: 0,
+      paymentResult: null,
+      customerId: original.customerId || null,
+      customerName: original.customerName || null
+    }, () => this.reversePayment(original, refund, `Return against ${original.receiptNumber}`));
+    await inventoryService.recordPosReturn(transaction, original);
+    return transaction;
+  }
+
+  // Hands back some of a receipt's lines for new items; only the difference changes hands.
+  // `newItems` are priced by the till. A customer who owes more pays by `paymentType`, a refund goes back the way they paid.
+  async createExchange(originalId, { lines, newItems = [], paymentType = 'cash', customerPaid, shiftId, cashierId }) {
+    const original = this.findTransaction(originalId);
+    const returned = await this.buildReturnLines(original, lines);
+    if (newItems.length === 0) {
+      throw new Error('Add the items the customer is taking instead');
+    }
+    await inventoryService.assertAvailable(newItems);
+
+    const difference = roundAmount([...returned, ...newItems].reduce((sum, item) => sum + lineAmount(item), 0));
+    const paid = parseFloat(customerPaid) || 0;
+    if (difference > 0 && paymentType === 'cash' && paid < difference) {
+      throw new Error(`The customer owes Rs. ${difference.toLocaleString()}`);
+    }
+
+    const settledBy = difference > 0 ? paymentType : original.paymentType;
+    const transaction = await this.recordAdjustment({
+      type: 'exchange',
+      originalTransactionId: original.id,
+      originalReceiptNumber: original.receiptNumber,
+      items: [...returned, ...newItems],
+      total: difference,
+      paymentType: settledBy,
+      cashierId,
+      shiftId,
+      customerPaid: settledBy === 'cash' && difference > 0 ? paid : difference,
+      change: settledBy === 'cash' && difference > 0 ? roundAmount(paid - difference) : 0,
+      paymentResult: null,
+      customerId: original.customerId || null,
+      customerName: original.customerName || null
+    }, async () => {
+      if (difference > 0) {
+        return this.collectPayment(paymentType, difference, `${original.receiptNumber}-EXCHANGE`);
+      }
+      if (difference < 0) {
+        return this.reversePayment(original, -difference, `Exchange against ${original.receiptNumber}`);
+      }
+      return null;
+    });
+    await inventoryService.recordPosReturn(transaction, original);
+    await inventoryService.recordPosSale(transaction);
+    return transaction;
+  }
+
+  // Voids
+
+  async requestVoid(transactionId, { reason, requestedBy, shiftId }) {
+    await this.delay();
+    const transaction = this.findTransaction(transactionId);
+    this.assertVoidable(transaction);
+    if (!reason?.trim()) {
+      throw new Error('Give a reason for the void');
+    }
+    if (this.voidRequests.some(r => r.transactionId === transaction.id && r.status === 'pending')) {
+      throw new Error(`${transaction.receiptNumber} is already waiting for a manager`);
+    }
+    const request = {
+      Id: this.voidRequests.length + 1,
+      transactionId: transaction.id,
+      receiptNumber: transaction.receiptNumber,
+      total: transaction.total,
+      paymentType: transaction.paymentType,
+      reason: reason.trim(),
+      requestedBy,
+      shiftId,
+      status: 'pending',
+      requestedAt: new Date().toISOString()
+    };
+    this.voidRequests.push(request);
+    return { ...request };
+  }
+
+  async getVoidRequests({ status } = {}) {
+    await this.delay();
+    return this.voidRequests
+      .filter(request => status === undefined || request.status === status)
+      .map(request => ({ ...request }));
+  }
+
+  // An approved void reverses the whole sale: full refund, every line back on the shelf, entered in `shiftId`'s drawer
+  async decideVoid(requestId, approved, { decidedBy = 'Manager', shiftId } = {}) {
+    await this.delay();
+    const request = this.voidRequests.find(r => r.Id === parseInt(requestId));
+    if (!request) {
+      throw new Error('Void request not found');
+    }
+    if (request.status !== 'pending') {
+      throw new Error(`This void was already ${request.status}`);
+    }
+    const decision = { decidedBy, decidedAt: new Date().toISOString() };
+    if (!approved) {
+      Object.assign(request, { status: 'rejected', ...decision });
+      return { request: { ...request }, transaction: null };
+    }
+
+    const original = this.findTransaction(request.transactionId);
+    this.assertVoidable(original);
+    const items = original.items.map((item, lineIndex) => ({
+      ...item,
+      quantity: -item.quantity,
+      originalLine: lineIndex,
+      reason: 'Voided',
+      ...(item.lineTotal !== undefined && { lineTotal: -item.lineTotal })
+    }));
+    const transaction = await this.recordAdjustment({
+      type: 'void',
+      originalTransactionId: original.id,
+      originalReceiptNumber: original.receiptNumber,
+      items,
+      total: -original.total,
+      paymentType: original.paymentType,
+      cashierId: request.requestedBy,
+      shiftId: shiftId || request.shiftId,
+      customerPaid: -original.total,
+      change: 0,
+      paymentResult: null,
+      voidApprovedBy: decidedBy,
+      customerId: original.customerId || null,
+      customerName: original.customerName || null
+    }, () => this.reversePayment(original, original.total, `Void of ${original.receiptNumber}: ${request.reason}`));
+    Object.assign(original, { voidedAt: transaction.timestamp, voidedBy: decidedBy, voidReason: request.reason });
+    Object.assign(request, { status: 'approved', ...decision, voidTransactionId: transaction.id });
+    await inventoryService.recordPosReturn(transaction, original);
+    return { request: { ...request }, transaction };
+  }
+
+  assertVoidable(transaction) {
+    if (transaction.voidedAt) {
+      throw new Error(`${transaction.receiptNumber} was already voided`);
+    }
+    if ((transaction.type || 'sale') !== 'sale') {
+      throw new Error(`A ${transaction.type} cannot be voided`);
+    }
+    if (this.transactions.some(t => t.originalTransactionId === transaction.id)) {
+      throw new Error(`${transaction.receiptNumber} already has returns; return the remaining items instead`);
+    }
+  }
+
+  findTransaction(id) {
+    const transaction = this.transactions.find(t => t.id === parseInt(id));
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
+    return transaction;
+  }
+
   delay() {
     return new Promise(resolve => setTimeout(resolve, 300));
   }
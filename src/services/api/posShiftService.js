@@ -0,0 +1,219 @@
+import { posService } from "@/services/api/posService";
+
+export const CASH_MOVEMENT_LABELS = {
+  cash_in: 'Cash In',
+  cash_out: 'Cash Out'
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class POSShiftService {
+  constructor() {
+    // { Id, cashierId, status 'open' | 'closed', openingFloat, cashMovements, countedCash, zReport, ... }
+    this.shifts = [];
+    this.config = {
+      // Suggested opening float when a cashier opens a drawer
+      defaultOpeningFloat: 5000,
+      // Drawer differences within this many rupees are treated as balanced
+      varianceTolerance: 0
+    };
+  }
+
+  async getAll({ cashierId, status } = {}) {
+    await this.delay();
+    return this.shifts
+      .filter(shift =>
+        (cashierId === undefined || shift.cashierId === cashierId) &&
+        (status === undefined || shift.status === status)
+      )
+      .sort((a, b) => new Date(b.openedAt) - new Date(a.openedAt))
+      .map(shift => this.clone(shift));
+  }
+
+  async getById(id) {
+    await this.delay();
+    return this.clone(this.find(id));
+  }
+
+  // The cashier's open drawer, or null when they have to open one before selling
+  async getOpenShift(cashierId) {
+    await this.delay();
+    const shift = this.shifts.find(s => s.cashierId === cashierId && s.status === 'open');
+    return shift ? this.clone(shift) : null;
+  }
+
+  async openShift({ cashierId, openingFloat, notes = '' }) {
+    await this.delay();
+    const float = parseFloat(openingFloat);
+    if (!cashierId) {
+      throw new Error('A shift needs a cashier');
+    }
+    if (!Number.isFinite(float) || float < 0) {
+      throw new Error('Opening float must be zero or more');
+    }
+    const open = this.shifts.find(s => s.cashierId === cashierId && s.status === 'open');
+    if (open) {
+      throw new Error(`${open.shiftNumber} is still open for ${cashierId}; close it first`);
+    }
+
+    const shift = {
+      Id: this.getNextId(),
+      shiftNumber: `SH-${String(this.getNextId()).padStart(4, '0')}`,
+      cashierId,
+      status: 'open',
+      openingFloat: roundAmount(float),
+      cashMovements: [],
+      notes: notes.trim(),
+      openedAt: new Date().toISOString(),
+      closedAt: null,
+      countedCash: null,
+      zReport: null
+    };
+    this.shifts.push(shift);
+    return this.clone(shift);
+  }
+
+  // Cash put into or taken out of the drawer for anything other than a sale, e.g. change top-ups or petty cash
+  async addCashMovement(shiftId, { type, amount, reason }) {
+    const shift = this.findOpen(shiftId);
+    const value = parseFloat(amount);
+    if (!CASH_MOVEMENT_LABELS[type]) {
+      throw new Error('Cash movement must be cash in or cash out');
+    }
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error('Amount must be greater than zero');
+    }
+    if (!reason?.trim()) {
+      throw new Error('Give a reason for the cash movement');
+    }
+    if (type === 'cash_out') {
+      const { expectedCash } = await this.buildReport(shift);
+      if (value > expectedCash) {
+        throw new Error(`The drawer should only hold Rs. ${expectedCash.toLocaleString()}`);
+      }
+    }
+
+    const movement = {
+      Id: shift.cashMovements.length + 1,
+      type,
+      amount: roundAmount(value),
+      reason: reason.trim(),
+      createdAt: new Date().toISOString()
+    };
+    shift.cashMovements.push(movement);
+    return this.clone(shift);
+  }
+
+  // X report: the running totals of an open shift, printable as often as needed without closing it
+  async getXReport(shiftId) {
+    const shift = this.find(shiftId);
+    return { ...(await this.buildReport(shift)), type: 'X' };
+  }
+
+  // Closes the drawer against the cashier's count and keeps the Z report on the shift
+  async closeShift(shiftId, { countedCash, notes = '' }) {
+    const shift = this.findOpen(shiftId);
+    const counted = parseFloat(countedCash);
+    if (!Number.isFinite(counted) || counted < 0) {
+      throw new Error('Enter the cash counted in the drawer');
+    }
+
+    const report = await this.buildReport(shift);
+    const variance = roundAmount(counted - report.expectedCash);
+    const closedAt = new Date().toISOString();
+    Object.assign(shift, {
+      status: 'closed',
+      closedAt,
+      countedCash: roundAmount(counted),
+      closingNotes: notes.trim()
+    });
+    shift.zReport = {
+      ...report,
+      type: 'Z',
+      shift: this.summarize(shift),
+      generatedAt: closedAt,
+      countedCash: shift.countedCash,
+      variance,
+      drawerStatus: Math.abs(variance) <= this.config.varianceTolerance ? 'balanced' : variance < 0 ? 'short' : 'over'
+    };
+    return this.clone(shift);
+  }
+
+  async buildReport(shift) {
+    const [sales, payments] = await Promise.all([
+      posService.getDailySales(null, { shiftId: shift.Id }),
+      posService.getDailyPaymentBreakdown(null, { shiftId: shift.Id })
+    ]);
+    const sumMovements = (type) => roundAmount(shift.cashMovements
+      .filter(movement => movement.type === type)
+      .reduce((sum, movement) => sum + movement.amount, 0));
+    const cashIn = sumMovements('cash_in');
+    const cashOut = sumMovements('cash_out');
+    // Change is handed back from the same drawer, so a cash sale leaves exactly its total behind;
+    // cash refunds and voids come out of it, so this is net of them
+    const cashSales = payments.cash?.total || 0;
+
+    return {
+      shift: this.summarize(shift),
+      generatedAt: new Date().toISOString(),
+      salesCount: sales.salesCount,
+      grossSales: sales.grossSales,
+      refundCount: sales.refundCount,
+      refundTotal: sales.refundTotal,
+      voidCount: sales.voidCount,
+      voidTotal: sales.voidTotal,
+      netSales: sales.netSales,
+      payments,
+      openingFloat: shift.openingFloat,
+      cashSales,
+      cashIn,
+      cashOut,
+      cashMovements: shift.cashMovements.map(movement => ({ ...movement })),
+      expectedCash: roundAmount(shift.openingFloat + cashSales + cashIn - cashOut)
+    };
+  }
+
+  summarize(shift) {
+    return {
+      Id: shift.Id,
+      shiftNumber: shift.shiftNumber,
+      cashierId: shift.cashierId,
+      openedAt: shift.openedAt,
+      closedAt: shift.closedAt
+    };
+  }
+
+  find(id) {
+    const shift = this.shifts.find(s => s.Id === parseInt(id));
+    if (!shift) {
+      throw new Error('Shift not found');
+    }
+    return shift;
+  }
+
+  findOpen(id) {
+    const shift = this.find(id);
+    if (shift.status !== 'open') {
+      throw new Error(`${shift.shiftNumber} is already closed`);
+    }
+    return shift;
+  }
+
+  clone(shift) {
+    return {
+      ...shift,
+      cashMovements: shift.cashMovements.map(movement => ({ ...movement })),
+      zReport: shift.zReport ? { ...shift.zReport } : null
+    };
+  }
+
+  getNextId() {
+    return this.shifts.reduce((max, shift) => Math.max(max, shift.Id), 0) + 1;
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const posShiftService = new POSShiftService();
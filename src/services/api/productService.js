@@ -62,6 +62,7 @@ async getById(id, userRole = 'customer') {
     if (productData.stock < 0) {
       throw new Error('Stock cannot be negative');
     }
+    this.validatePlu(productData.plu);
 
     const newProduct = {
       id: this.getNextId(),
@@ -71,7 +72,7 @@ async getById(id, userRole = 'customer') {
       discountValue: parseFloat(productData.discountValue) || 0,
       minSellingPrice: parseFloat(productData.minSellingPrice) || 0,
       profitMargin: parseFloat(productData.profitMargin) || 0,
-      stock: parseInt(productData.stock),
+      stock: parseFloat(productData.stock),
       minStock: productData.minStock ? parseInt(productData.minStock) : 10,
       isActive: productData.isActive !== undefined ? productData.isActive : true
     };
@@ -96,6 +97,7 @@ async update(id, productData) {
     if (productData.stock !== undefined && productData.stock < 0) {
       throw new Error('Stock cannot be negative');
     }
+    this.validatePlu(productData.plu, parseInt(id));
 
     // Enhanced validation for price updates
     if (productData.price !== undefined && productData.purchasePrice !== undefined) {
@@ -106,6 +108,10 @@ async update(id, productData) {
 
 // Enhanced price update tracking with timestamps and history
     const currentProduct = this.products[index];
+    // On-hand stock only moves through the inventory ledger, so every change has a reason
+    if (productData.stock !== undefined && parseFloat(productData.stock) !== currentProduct.stock) {
+      throw new Error('Stock can only be changed through a stock adjustment');
+    }
     if (productData.price !== undefined && productData.price !== currentProduct.price) {
       productData.previousPrice = currentProduct.price;
       productData.lastUpdated = new Date().toISOString();
@@ -141,6 +147,20 @@ async update(id, productData) {
     return { ...updatedProduct };
   }
 
+  // Called by inventoryService only, which writes the matching ledger entry
+  async setStock(id, stock) {
+    await this.delay();
+    const product = this.products.find(p => p.id === parseInt(id));
+    if (!product) {
+      throw new Error('Product not found');
+    }
+    if (stock < 0) {
+      throw new Error('Stock cannot be negative');
+    }
+    product.stock = stock;
+    return { ...product };
+  }
+
   async delete(id) {
     await this.delay();
     
@@ -162,6 +182,30 @@ async update(id, productData) {
     return { ...product };
   }
 
+  // Scale labels carry a 5-digit PLU, which has to point at exactly one product
+  validatePlu(plu, productId = null) {
+    if (!plu) {
+      return;
+    }
+    if (!/^\d{5}$/.test(plu)) {
+      throw new Error('Scale PLU must be 5 digits');
+    }
+    const owner = this.products.find(p => p.plu === plu && p.id !== productId);
+    if (owner) {
+      throw new Error(`Scale PLU ${plu} is already used by ${owner.name}`);
+    }
+  }
+
+  // The PLU a counter scale embeds in its variable-measure labels
+  async getByScaleCode(itemCode) {
+    await this.delay();
+    const product = this.products.find(p => p.plu && p.plu === itemCode && p.isActive);
+    if (!product) {
+      throw new Error(`No product has scale PLU ${itemCode}`);
+    }
+    return { ...product };
+  }
+
   getNextId() {
     const maxId = this.products.reduce((max, product) => 
       product.id > max ? product.id : max, 0);
@@ -645,6 +689,17 @@ img.onerror = () => {
     }
   }
 
+  // Convert iPhone HEIC/HEIF photos to JPEG so the canvas can decode them
+  async convertHeicIfNeeded(file) {
+    const isHeic = /image\/hei[cf]/i.test(file.type) || /\.hei[cf]$/i.test(file.name || '');
+    if (!isHeic) {
+      return file;
+    }
+    const { default: heic2any } = await import('heic2any');
+    const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.9 });
+    return Array.isArray(converted) ? converted[0] : converted;
+  }
+
   // Process and optimize image
   async processImage(file, options = {}) {
     try {
@@ -653,6 +708,7 @@ img.onerror = () => {
         maxFileSize = 100 * 1024, // 100KB
         quality = 0.9
       } = options;
+      const source = await this.convertHeicIfNeeded(file);
       
       return new Promise((resolve, reject) => {
         const img = new Image();
@@ -693,7 +749,7 @@ img.onerror = () => {
         };
         
         img.onerror = () => reject(new Error('Failed to process image'));
-        img.src = URL.createObjectURL(file);
+        img.src = URL.createObjectURL(source);
       });
       
     } catch (error) {
@@ -0,0 +1,312 @@
+import { financialService } from "@/services/api/financialService";
+import { paymentService } from "@/services/api/paymentService";
+import { productService } from "@/services/api/productService";
+import { inventoryService } from "@/services/api/inventoryService";
+import { isSoldByWeight, roundQuantity } from "@/utils/scaleBarcode";
+
+export const PO_STATUS_LABELS = {
+  draft: 'Draft',
+  ordered: 'Ordered',
+  partially_received: 'Partially Received',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+const OPEN_STATUSES = ['ordered', 'partially_received'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+class PurchaseOrderService {
+  constructor() {
+    this.purchaseOrders = [];
+  }
+
+  async getAll({ status, vendorId } = {}) {
+    await this.delay();
+    return this.purchaseOrders
+      .filter(po =>
+        (status === undefined || po.status === status) &&
+        (vendorId === undefined || po.vendorId === parseInt(vendorId))
+      )
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(po => this.clone(po));
+  }
+
+  async getById(id) {
+    await this.delay();
+    return this.clone(this.find(id));
+  }
+
+  // Vendors we buy stock from, as opposed to utilities and service providers
+  async getSuppliers() {
+    const vendors = await financialService.getVendors();
+    return vendors.filter(vendor => vendor.category === 'Supplier');
+  }
+
+  // Lines default to each product's purchasePrice; `status: 'draft'` keeps the order editable until submitted
+  async create({ vendorId, items = [], notes = '', expectedDate = null, status = 'ordered' }) {
+    await this.delay();
+    if (!['draft', 'ordered'].includes(status)) {
+      throw new Error('A purchase order starts as a draft or ordered');
+    }
+    const vendor = await financialService.getVendorById(vendorId);
+    const lines = await this.buildLines(items);
+
+    const now = new Date().toISOString();
+    const purchaseOrder = {
+      Id: this.getNextId(),
+      poNumber: `PO-${String(this.getNextId()).padStart(4, '0')}`,
+      vendorId: vendor.Id,
+      vendorName: vendor.name,
+      status,
+      items: lines,
+      total: this.getTotal(lines),
+      notes: notes.trim(),
+      expectedDate,
+      receipts: [],
+      createdAt: now,
+      orderedAt: status === 'ordered' ? now : null,
+      updatedAt: now
+    };
+    this.purchaseOrders.push(purchaseOrder);
+    return this.clone(purchaseOrder);
+  }
+
+  async updateDraft(id, { items, notes, expectedDate }) {
+    await this.delay();
+    const purchaseOrder = this.find(id);
+    if (purchaseOrder.status !== 'draft') {
+      throw new Error(`${purchaseOrder.poNumber} has been sent to the vendor and can no longer be edited`);
+    }
+    if (items !== undefined) {
+      purchaseOrder.items = await this.buildLines(items);
+      purchaseOrder.total = this.getTotal(purchaseOrder.items);
+    }
+    if (notes !== undefined) {
+      purchaseOrder.notes = notes.trim();
+    }
+    if (expectedDate !== undefined) {
+      purchaseOrder.expectedDate = expectedDate;
+    }
+    purchaseOrder.updatedAt = new Date().toISOString();
+    return this.clone(purchaseOrder);
+  }
+
+  async submit(id) {
+    await this.delay();
+    const purchaseOrder = this.find(id);
+    if (purchaseOrder.status !== 'draft') {
+      throw new Error(`${purchaseOrder.poNumber} is already ${PO_STATUS_LABELS[purchaseOrder.status].toLowerCase()}`);
+    }
+    Object.assign(purchaseOrder, {
+      status: 'ordered',
+      orderedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    return this.clone(purchaseOrder);
+  }
+
+  async cancel(id, reason = '') {
+    await this.delay();
+    const purchaseOrder = this.find(id);
+    if (!reason.trim()) {
+      throw new Error(`Give a reason for cancelling ${purchaseOrder.poNumber}`);
+    }
+    if (!['draft', 'ordered'].includes(purchaseOrder.status)) {
+      throw new Error(`${purchaseOrder.poNumber} is ${PO_STATUS_LABELS[purchaseOrder.status].toLowerCase()} and cannot be cancelled`);
+    }
+    Object.assign(purchaseOrder, {
+      status: 'cancelled',
+      cancellationReason: reason.trim(),
+      cancelledAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    return this.clone(purchaseOrder);
+  }
+
+  // Goods received note: books each line into stock as a new lot (with its expiry date, if given), moves
+  // the product's cost to what was actually paid, and raises the vendor bill for exactly what arrived
+  async receive(id, lines, { reference = '', notes = '' } = {}) {
+    await this.delay();
+    const purchaseOrder = this.find(id);
+    if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+      throw new Error(`${purchaseOrder.poNumber} is ${PO_STATUS_LABELS[purchaseOrder.status].toLowerCase()} and cannot be received against`);
+    }
+
+    const received = lines
+      .map(line => ({ ...line, quantity: roundQuantity(Number(line.quantity) || 0) }))
+      .filter(line => line.quantity > 0);
+    if (received.length === 0) {
+      throw new Error('Enter the quantity received for at least one product');
+    }
+    for (const line of received) {
+      const item = purchaseOrder.items.find(i => i.productId === parseInt(line.productId));
+      if (!item) {
+        throw new Error(`Product #${line.productId} is not on ${purchaseOrder.poNumber}`);
+      }
+      // PO lines carry their product's unit, so weighed goods can arrive by the gram
+      if (!Number.isInteger(line.quantity) && !isSoldByWeight(item)) {
+        throw new Error(`${item.name} is received in whole ${item.unit}`);
+      }
+      const outstanding = roundQuantity(item.quantity - item.receivedQuantity);
+      if (line.quantity > outstanding) {
+        throw new Error(`Only ${outstanding} ${item.name} outstanding on ${purchaseOrder.poNumber}`);
+      }
+      if (line.unitCost !== undefined && !(parseFloat(line.unitCost) > 0)) {
+        throw new Error(`Enter the cost paid for ${item.name}`);
+      }
+    }
+
+    const receiptId = purchaseOrder.receipts.length + 1;
+    const grnNumber = `${purchaseOrder.poNumber}-GRN${receiptId}`;
+    const receiptItems = [];
+    for (const line of received) {
+      const item = purchaseOrder.items.find(i => i.productId === parseInt(line.productId));
+      const unitCost = line.unitCost !== undefined ? parseFloat(line.unitCost) : item.unitCost;
+      const movement = await inventoryService.receiveStock(item.productId, line.quantity, {
+        reference: grnNumber,
+        reason: `Received from ${purchaseOrder.vendorName}`,
+        lotNumber: line.lotNumber?.trim() || undefined,
+        expiresAt: line.expiresAt || undefined
+      });
+      const lot = movement.lots[0];
+      const product = await productService.getById(item.productId, 'admin');
+      if (product.purchasePrice !== unitCost) {
+        await productService.update(item.productId, { purchasePrice: unitCost });
+      }
+      item.receivedQuantity = roundQuantity(item.receivedQuantity + line.quantity);
+      receiptItems.push({
+        productId: item.productId,
+        name: item.name,
+        quantity: line.quantity,
+        unitCost,
+        previousCost: product.purchasePrice || 0,
+        amount: roundAmount(line.quantity * unitCost),
+        lotId: lot?.lotId,
+        lotNumber: lot?.lotNumber
+      });
+    }
+
+    const amount = this.getTotal(receiptItems);
+    const bill = await this.raiseVendorBill(purchaseOrder, grnNumber, amount, reference);
+    const receipt = {
+      Id: receiptId,
+      grnNumber,
+      reference: reference.trim(),
+      notes: notes.trim(),
+      items: receiptItems,
+      amount,
+      billId: bill.Id,
+      billNumber: bill.billNumber,
+      billDueDate: bill.dueDate,
+      receivedAt: new Date().toISOString()
+    };
+    purchaseOrder.receipts.push(receipt);
+
+    const fullyReceived = purchaseOrder.items.every(item => item.receivedQuantity >= item.quantity);
+    Object.assign(purchaseOrder, {
+      status: fullyReceived ? 'received' : 'partially_received',
+      ...(fullyReceived && { receivedAt: receipt.receivedAt }),
+      updatedAt: new Date().toISOString()
+    });
+    return { purchaseOrder: this.clone(purchaseOrder), receipt: { ...receipt, items: [...receipt.items] } };
+  }
+
+  // Bills are kept by paymentService against its own vendor records, matched to ours by email.
+  // The bill also goes on the vendor payments schedule in the financial dashboard.
+  async raiseVendorBill(purchaseOrder, grnNumber, amount, reference) {
+    const vendor = await financialService.getVendorById(purchaseOrder.vendorId);
+    const billingVendors = await paymentService.getAllVendors();
+    const billingVendor = billingVendors.find(v => v.email === vendor.email) || await paymentService.createVendor({
+      name: vendor.name,
+      email: vendor.email,
+      phone: vendor.phone,
+      address: vendor.address,
+      paymentTerms: `Net ${vendor.paymentTerms}`
+    });
+
+    const bill = await paymentService.createVendorBill({
+      vendorId: billingVendor.Id,
+      amount,
+      description: `Goods received ${grnNumber} against ${purchaseOrder.poNumber}`,
+      billNumber: reference.trim() || undefined,
+      category: 'inventory'
+    });
+    await financialService.processVendorPayment({
+      vendorId: vendor.Id,
+      amount: bill.totalAmount,
+      description: bill.description,
+      dueDate: bill.dueDate.split('T')[0],
+      invoiceNumber: bill.billNumber,
+      status: 'pending'
+    });
+    return bill;
+  }
+
+  async buildLines(items) {
+    if (items.length === 0) {
+      throw new Error('Add at least one product to the purchase order');
+    }
+    const lines = [];
+    for (const item of items) {
+      const quantity = roundQuantity(Number(item.quantity));
+      if (!(quantity > 0)) {
+        throw new Error('Order quantities must be more than zero');
+      }
+      const product = await productService.getById(item.productId, 'admin');
+      // Weighed goods are ordered by the gram, everything else in whole units
+      if (!Number.isInteger(quantity) && !isSoldByWeight(product)) {
+        throw new Error(`${product.name} is ordered in whole ${product.unit || 'units'}`);
+      }
+      if (lines.some(line => line.productId === product.id)) {
+        throw new Error(`${product.name} is on the order twice`);
+      }
+      const unitCost = item.unitCost !== undefined && item.unitCost !== ''
+        ? parseFloat(item.unitCost)
+        : product.purchasePrice;
+      if (!(unitCost > 0)) {
+        throw new Error(`${product.name} has no purchase price; enter the unit cost`);
+      }
+      lines.push({
+        productId: product.id,
+        name: product.name,
+        unit: product.unit || 'pcs',
+        quantity,
+        unitCost,
+        receivedQuantity: 0
+      });
+    }
+    return lines;
+  }
+
+  getTotal(lines) {
+    return roundAmount(lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0));
+  }
+
+  find(id) {
+    const purchaseOrder = this.purchaseOrders.find(po => po.Id === parseInt(id));
+    if (!purchaseOrder) {
+      throw new Error('Purchase order not found');
+    }
+    return purchaseOrder;
+  }
+
+  clone(purchaseOrder) {
+    return {
+      ...purchaseOrder,
+      items: purchaseOrder.items.map(item => ({ ...item })),
+      receipts: purchaseOrder.receipts.map(receipt => ({ ...receipt, items: [...receipt.items] }))
+    };
+  }
+
+  getNextId() {
+    const maxId = this.purchaseOrders.reduce((max, po) => (po.Id > max ? po.Id : max), 0);
+    return maxId + 1;
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const purchaseOrderService = new PurchaseOrderService();
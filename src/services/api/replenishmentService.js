@@ -0,0 +1,178 @@
+import { orderService } from "@/services/api/orderService";
+import { posService } from "@/services/api/posService";
+import { productService } from "@/services/api/productService";
+import { purchaseOrderService } from "@/services/api/purchaseOrderService";
+
+// Orders that never left the store don't count as demand
+const NON_SALE_STATUSES = ['cancelled', 'returned', 'payment_rejected'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Checkout stores the product id as `id`, older orders as `productId`
+const itemProductId = (item) => item.productId ?? item.id;
+
+const roundTo = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+class ReplenishmentService {
+  constructor() {
+    this.config = {
+      // Trailing window that daily sales velocity is averaged over
+      velocityDays: 28,
+      // Extra days of demand held on top of the lead time to absorb spikes and late deliveries
+      safetyDays: 2,
+      // Days of cover a reorder should bring stock back up to, counted from when it arrives
+      targetCoverDays: 7,
+      // Lead time for a supplier not listed below
+      defaultLeadTimeDays: 3,
+      // Supplier vendor Id (financialService) -> days from order to delivery
+      leadTimeDays: { 1: 5, 4: 1 },
+      // Who a product is bought from when it has never been on a purchase order
+      categorySuppliers: {
+        Groceries: 1,
+        Meat: 4,
+        Fruits: 4,
+        Vegetables: 4
+      },
+      // Slow movers are still flagged at or below this, matching the POS low-stock alert
+      minimumStock: 5
+    };
+  }
+
+  // Units sold per product over the window, from online orders and POS transactions
+  async getUnitsSold(now = new Date()) {
+    const since = new Date(now.getTime() - this.config.velocityDays * DAY_MS);
+    const [orders, transactions] = await Promise.all([orderService.getAll(), posService.getAll()]);
+    const unitsSold = {};
+    const addItems = (items = []) => items.forEach(item => {
+      const productId = parseInt(itemProductId(item));
+      unitsSold[productId] = (unitsSold[productId] || 0) + Number(item.quantity || 0);
+    });
+
+    orders
+      .filter(order => !NON_SALE_STATUSES.includes(order.status))
+      .filter(order => new Date(order.createdAt) >= since && new Date(order.createdAt) <= now)
+      .forEach(order => addItems(order.items));
+    transactions
+      .filter(transaction => new Date(transaction.timestamp) >= since && new Date(transaction.timestamp) <= now)
+      .forEach(transaction => addItems(transaction.items));
+    return unitsSold;
+  }
+
+  // Outstanding quantity per product on purchase orders already sent, plus who it was last bought from
+  async getPurchaseHistory() {
+    const purchaseOrders = await purchaseOrderService.getAll();
+    const onOrder = {};
+    const lastVendor = {};
+    // getAll is newest first, so the first vendor seen for a product is the latest
+    purchaseOrders.filter(po => po.status !== 'cancelled').forEach(po => {
+      po.items.forEach(item => {
+        if (lastVendor[item.productId] === undefined) {
+          lastVendor[item.productId] = po.vendorId;
+        }
+        if (['ordered', 'partially_received'].includes(po.status)) {
+          onOrder[item.productId] = (onOrder[item.productId] || 0) + item.quantity - item.receivedQuantity;
+        }
+      });
+    });
+    return { onOrder, lastVendor };
+  }
+
+  getLeadTimeDays(vendorId) {
+    return this.config.leadTimeDays[vendorId] ?? this.config.defaultLeadTimeDays;
+  }
+
+  // One row per product: velocity, days of cover and, when it's due, how much to order
+  async getProductCover(now = new Date()) {
+    const [products, unitsSold, suppliers, { onOrder, lastVendor }] = await Promise.all([
+      productService.getAll('admin'),
+      this.getUnitsSold(now),
+      purchaseOrderService.getSuppliers(),
+      this.getPurchaseHistory()
+    ]);
+    const { velocityDays, safetyDays, targetCoverDays, minimumStock } = this.config;
+
+    return products
+      .filter(product => product.isActive !== false)
+      .map(product => {
+        const vendorId = lastVendor[product.id] ?? this.config.categorySuppliers[product.category] ?? null;
+        const vendor = suppliers.find(s => s.Id === vendorId) || null;
+        const leadTimeDays = this.getLeadTimeDays(vendorId);
+        const dailyVelocity = (unitsSold[product.id] || 0) / velocityDays;
+        const incoming = onOrder[product.id] || 0;
+        const daysOfCover = dailyVelocity > 0 ? roundTo(product.stock / dailyVelocity) : null;
+
+        // Reorder once stock plus what's already coming won't last through the lead time and buffer
+        const reorderPoint = Math.max(Math.ceil(dailyVelocity * (leadTimeDays + safetyDays)), minimumStock);
+        const targetStock = Math.max(Math.ceil(dailyVelocity * (leadTimeDays + targetCoverDays)), minimumStock * 2);
+        const position = product.stock + incoming;
+        const suggestedQuantity = position <= reorderPoint ? Math.max(targetStock - position, 0) : 0;
+
+        return {
+          productId: product.id,
+          name: product.name,
+          category: product.category,
+          unit: product.unit || 'pcs',
+          stock: product.stock,
+          onOrder: incoming,
+          unitsSold: unitsSold[product.id] || 0,
+          dailyVelocity: roundTo(dailyVelocity, 2),
+          daysOfCover,
+          vendorId: vendor ? vendor.Id : null,
+          vendorName: vendor ? vendor.name : null,
+          leadTimeDays,
+          reorderPoint,
+          suggestedQuantity,
+          unitCost: product.purchasePrice || 0,
+          // Stock runs out before a new order could arrive
+          urgent: product.stock === 0 || (daysOfCover !== null && daysOfCover < leadTimeDays)
+        };
+      });
+  }
+
+  // Products due for reorder, grouped by the supplier they'd be ordered from
+  async getSuggestions(now = new Date()) {
+    const cover = await this.getProductCover(now);
+    const groups = {};
+    cover
+      .filter(row => row.suggestedQuantity > 0)
+      .sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity) || a.stock - b.stock)
+      .forEach(row => {
+        const key = row.vendorId ?? 'unassigned';
+        if (!groups[key]) {
+          groups[key] = {
+            vendorId: row.vendorId,
+            vendorName: row.vendorName || 'No supplier assigned',
+            leadTimeDays: row.leadTimeDays,
+            items: [],
+            total: 0
+          };
+        }
+        groups[key].items.push(row);
+        groups[key].total = roundTo(groups[key].total + row.suggestedQuantity * row.unitCost, 2);
+      });
+    // Suppliers with urgent lines first, the unassigned group last
+    return Object.values(groups).sort((a, b) =>
+      (a.vendorId === null) - (b.vendorId === null) ||
+      b.items.some(i => i.urgent) - a.items.some(i => i.urgent) ||
+      b.total - a.total
+    );
+  }
+
+  // One draft purchase order for a supplier's suggestions; quantities can be overridden per product
+  async createDraftOrder(vendorId, items) {
+    if (vendorId === null || vendorId === undefined) {
+      throw new Error('Assign a supplier before ordering these products');
+    }
+    const lines = items
+      .map(item => ({ productId: item.productId, quantity: parseInt(item.quantity) || 0, unitCost: item.unitCost || undefined }))
+      .filter(item => item.quantity > 0);
+    return purchaseOrderService.create({
+      vendorId,
+      items: lines,
+      status: 'draft',
+      notes: 'Raised from reorder suggestions'
+    });
+  }
+}
+
+export const replenishmentService = new ReplenishmentService();
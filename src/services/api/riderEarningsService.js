@@ -0,0 +1,290 @@
+import { orderService } from "@/services/api/orderService";
+import { paymentService } from "@/services/api/paymentService";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { deliveryFeeService } from "@/services/api/deliveryFeeService";
+
+// Entry types that make up what a rider earned
+export const EARNING_TYPES = ['delivery_fee', 'distance_bonus', 'tip'];
+
+// Cash-on-delivery movements: collected at the door, handed back at the store, and any count difference
+export const CASH_TYPES = ['cod_collected', 'cod_remitted', 'cod_variance'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Statements run Monday to Sunday; accepts a date or a 'yyyy-MM-dd' key
+const toWeekStart = (value = new Date()) => {
+  const date = typeof value === 'string' ? new Date(`${value}T00:00:00`) : new Date(value);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return toDateKey(date);
+};
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+const sumAmounts = (entries, types) => entries
+  .filter(entry => types.includes(entry.type))
+  .reduce((sum, entry) => sum + entry.amount, 0);
+
+class RiderEarningsService {
+  constructor() {
+    // Positive entries are owed to the rider, negative ones are owed to the store
+    this.ledger = [];
+    // Settled statements keyed by 'riderId|weekStart'
+    this.payouts = {};
+    this.config = {
+      baseFeePerDelivery: 80,
+      // Per km beyond freeKm from the zone hub, capped per drop
+      distanceBonus: { freeKm: 3, perKm: 15, maxPerDelivery: 150 }
+    };
+  }
+
+  async getConfig() {
+    await this.delay();
+    return { ...this.config, distanceBonus: { ...this.config.distanceBonus } };
+  }
+
+  async updateConfig(updates) {
+    await this.delay();
+    const next = {
+      ...this.config,
+      ...updates,
+      distanceBonus: { ...this.config.distanceBonus, ...(updates.distanceBonus || {}) }
+    };
+    const values = [next.baseFeePerDelivery, ...Object.values(next.distanceBonus)];
+    if (values.some(value => !(Number(value) >= 0))) {
+      throw new Error('Rates must be 0 or more');
+    }
+    // New rates only apply to deliveries booked from now on
+    this.config = next;
+    return this.getConfig();
+  }
+
+  getWeekStart(date) {
+    return toWeekStart(date);
+  }
+
+  // Late bookings into an already paid week roll into the current one
+  bookingWeek(riderId, weekStart) {
+    return this.payouts[`${riderId}|${weekStart}`] ? toWeekStart(new Date()) : weekStart;
+  }
+
+  calculateDistanceBonus(distanceKm) {
+    const { freeKm, perKm, maxPerDelivery } = this.config.distanceBonus;
+    if (!(distanceKm > freeKm)) {
+      return 0;
+    }
+    return Math.min(Math.round((distanceKm - freeKm) * perKm), maxPerDelivery);
+  }
+
+  // Book the earnings and cash collected for one delivered order; safe to call more than once
+  recordDelivery(order) {
+    if (order.deliveryStatus !== 'delivered' || !order.deliveryPersonId) {
+      return [];
+    }
+    if (this.ledger.some(entry => entry.orderId === order.id)) {
+      return [];
+    }
+
+    const riderId = parseInt(order.deliveryPersonId);
+    const occurredAt = order.actualDelivery || order.deliveryStatusUpdatedAt || new Date().toISOString();
+    const weekStart = this.bookingWeek(riderId, toWeekStart(new Date(occurredAt)));
+
+    const distanceKm = order.deliveryFee?.distanceKm ??
+      deliveryFeeService.quote({ address: order.deliveryAddress }).distanceKm;
+    const distanceBonus = this.calculateDistanceBonus(distanceKm);
+    const entries = [
+      { type: 'delivery_fee', amount: this.config.baseFeePerDelivery, description: `Delivery fee, order #${order.id}` }
+    ];
+    if (distanceBonus > 0) {
+      entries.push({ type: 'distance_bonus', amount: distanceBonus, description: `Distance bonus, ${distanceKm} km` });
+    }
+    if (order.riderTip > 0) {
+      entries.push({ type: 'tip', amount: order.riderTip, description: `Customer tip, order #${order.id}` });
+    }
+    if (order.paymentMethod === 'cash') {
+      entries.push({ type: 'cod_collected', amount: -order.total, description: `Cash collected, order #${order.id}` });
+    }
+
+    const firstId = this.getNextId();
+    const booked = entries.map((entry, index) => ({
+      Id: firstId + index,
+      riderId,
+      orderId: order.id,
+      weekStart,
+      occurredAt,
+      ...entry
+    }));
+    this.ledger.push(...booked);
+    return booked.map(entry => ({ ...entry }));
+  }
+
+  // A confirmed cash deposit clears each order's collection in the week it was booked
+  async recordCodDeposit(deposit) {
+    await this.syncLedger();
+    if (this.ledger.some(entry => entry.depositId === deposit.Id)) {
+      return [];
+    }
+
+    const riderId = parseInt(deposit.riderId);
+    const occurredAt = deposit.confirmedAt;
+    const currentWeek = this.bookingWeek(riderId, toWeekStart(new Date(occurredAt)));
+    const entries = deposit.orders.map(({ orderId, amount }) => {
+      const collected = this.ledger.find(entry => entry.orderId === orderId && entry.type === 'cod_collected');
+      return {
+        type: 'cod_remitted',
+        orderId,
+        amount,
+        weekStart: collected ? this.bookingWeek(riderId, collected.weekStart) : currentWeek,
+        description: `Cash deposited, order #${orderId}`
+      };
+    });
+    if (deposit.variance !== 0) {
+      entries.push({
+        type: 'cod_variance',
+        orderId: null,
+        amount: deposit.variance,
+        weekStart: currentWeek,
+        description: `Deposit #${deposit.Id} ${deposit.variance < 0 ? 'short' : 'over'} by Rs. ${Math.abs(deposit.variance).toLocaleString()}`
+      });
+    }
+
+    const firstId = this.getNextId();
+    const booked = entries.map((entry, index) => ({
+      Id: firstId + index,
+      riderId,
+      depositId: deposit.Id,
+      occurredAt,
+      ...entry
+    }));
+    this.ledger.push(...booked);
+    return booked.map(entry => ({ ...entry }));
+  }
+
+  // Pick up deliveries completed since the last look
+  async syncLedger() {
+    const orders = await orderService.getAll();
+    orders.forEach(order => this.recordDelivery(order));
+  }
+
+  async getLedger({ riderId, weekStart } = {}) {
+    await this.syncLedger();
+    const week = weekStart ? toWeekStart(weekStart) : null;
+    return this.ledger
+      .filter(entry => (!riderId || entry.riderId === parseInt(riderId)) && (!week || entry.weekStart === week))
+      .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt))
+      .map(entry => ({ ...entry }));
+  }
+
+  // Outstanding amount across all weeks; negative when the rider holds store cash
+  async getBalance(riderId) {
+    const entries = await this.getLedger({ riderId });
+    return entries.reduce((sum, entry) => sum + entry.amount, 0);
+  }
+
+  buildStatement(rider, weekStart, entries) {
+    const weekEnd = addDays(weekStart, 6);
+    const payout = this.payouts[`${rider.Id}|${weekStart}`] || null;
+    const earnings = sumAmounts(entries, EARNING_TYPES);
+    const codCollected = Math.abs(sumAmounts(entries, ['cod_collected']));
+    const cashHeld = -sumAmounts(entries, CASH_TYPES);
+    const netPayable = earnings - cashHeld;
+    const weekOver = new Date(`${addDays(weekStart, 7)}T00:00:00`) <= new Date();
+
+    return {
+      id: `${rider.Id}|${weekStart}`,
+      riderId: rider.Id,
+      riderName: rider.name,
+      weekStart,
+      weekEnd,
+      deliveries: new Set(entries.filter(e => e.type === 'delivery_fee').map(e => e.orderId)).size,
+      deliveryFees: sumAmounts(entries, ['delivery_fee']),
+      distanceBonus: sumAmounts(entries, ['distance_bonus']),
+      tips: sumAmounts(entries, ['tip']),
+      earnings,
+      codCollected,
+      codDeposited: sumAmounts(entries, ['cod_remitted', 'cod_variance']),
+      cashHeld,
+      netPayable,
+      status: payout ? 'settled' : weekOver ? 'due' : 'open',
+      payout: payout ? { ...payout } : null,
+      entries
+    };
+  }
+
+  async getStatement(riderId, weekStart = new Date()) {
+    const week = toWeekStart(weekStart);
+    const [rider, entries] = await Promise.all([
+      deliveryPersonnelService.getById(riderId),
+      this.getLedger({ riderId, weekStart: week })
+    ]);
+    return this.buildStatement(rider, week, entries);
+  }
+
+  // One statement per rider for the week, including riders with nothing booked
+  async getStatements(weekStart = new Date()) {
+    const week = toWeekStart(weekStart);
+    const [personnel, entries] = await Promise.all([
+      deliveryPersonnelService.getAll(),
+      this.getLedger({ weekStart: week })
+    ]);
+    return personnel.map(rider =>
+      this.buildStatement(rider, week, entries.filter(entry => entry.riderId === rider.Id))
+    );
+  }
+
+  // Pay a finished week out of the store wallet
+  async settleStatement(riderId, weekStart, settledBy = 'admin') {
+    const statement = await this.getStatement(riderId, weekStart);
+    if (statement.status === 'settled') {
+      throw new Error('This statement has already been paid');
+    }
+    if (statement.status === 'open') {
+      throw new Error('The week is not over yet');
+    }
+    if (statement.netPayable < 0) {
+      throw new Error(`${statement.riderName} owes Rs. ${(-statement.netPayable).toLocaleString()} in cash collections`);
+    }
+
+    const transaction = statement.netPayable > 0
+      ? await paymentService.transferFromWallet(statement.netPayable, `rider-${statement.riderId}`)
+      : null;
+    const settledAt = new Date().toISOString();
+
+    if (transaction) {
+      this.ledger.push({
+        Id: this.getNextId(),
+        riderId: statement.riderId,
+        orderId: null,
+        weekStart: statement.weekStart,
+        occurredAt: settledAt,
+        type: 'payout',
+        amount: -statement.netPayable,
+        description: `Weekly payout ${statement.weekStart} to ${statement.weekEnd}`
+      });
+    }
+    this.payouts[statement.id] = {
+      amount: statement.netPayable,
+      transactionId: transaction?.Id || null,
+      reference: transaction?.reference || null,
+      settledAt,
+      settledBy
+    };
+    return this.getStatement(riderId, statement.weekStart);
+  }
+
+  getNextId() {
+    return this.ledger.reduce((max, entry) => Math.max(max, entry.Id), 0) + 1;
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const riderEarningsService = new RiderEarningsService();
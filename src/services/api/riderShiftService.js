@@ -0,0 +1,268 @@
+import riderShiftsData from "@/services/mockData/riderShifts.json";
+import attendanceService from "@/services/api/attendanceService";
+import { orderService } from "@/services/api/orderService";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { deliveryFeeService } from "@/services/api/deliveryFeeService";
+
+// Delivery statuses that still occupy a rider
+const ACTIVE_DELIVERY_STATUSES = ['assigned', 'picked_up', 'in_transit', 'out_for_delivery'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const toTimeString = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+class RiderShiftService {
+  constructor() {
+    this.shifts = [...riderShiftsData];
+    // Open shift per rider id: { attendanceId, clockedInAt, breaks, onBreak }
+    this.sessions = {};
+    this.config = {
+      // Hours shown on the coverage grid, [from, to)
+      coverageHours: { from: 8, to: 22 },
+      // Every zone needs at least this many riders in each covered hour
+      minRidersPerZone: 1,
+      // Booked orders one rider is expected to handle per hour
+      ordersPerRiderHour: 3
+    };
+  }
+
+  // Weekly roster, optionally narrowed to a zone and/or weekday (0 = Sunday)
+  async getSchedule({ zone, dayOfWeek } = {}) {
+    await this.delay();
+    return this.shifts
+      .filter(shift => (!zone || shift.zone === zone) && (dayOfWeek === undefined || shift.dayOfWeek === dayOfWeek))
+      .sort((a, b) => a.dayOfWeek - b.dayOfWeek || toMinutes(a.start) - toMinutes(b.start))
+      .map(shift => ({ ...shift }));
+  }
+
+  async addShift(shiftData) {
+    await this.delay();
+    const { riderId, zone, dayOfWeek, start, end } = shiftData;
+    if (!riderId || !zone || dayOfWeek === undefined || !start || !end) {
+      throw new Error('Rider, zone, day, start and end are required');
+    }
+    if (toMinutes(end) <= toMinutes(start)) {
+      throw new Error('Shift must end after it starts');
+    }
+
+    const overlapping = this.shifts.find(shift =>
+      shift.riderId === parseInt(riderId) &&
+      shift.dayOfWeek === parseInt(dayOfWeek) &&
+      toMinutes(shift.start) < toMinutes(end) &&
+      toMinutes(start) < toMinutes(shift.end)
+    );
+    if (overlapping) {
+      throw new Error(`Overlaps an existing ${overlapping.start}-${overlapping.end} shift in ${overlapping.zone}`);
+    }
+
+    const newShift = {
+      Id: this.getNextId(),
+      riderId: parseInt(riderId),
+      zone,
+      dayOfWeek: parseInt(dayOfWeek),
+      start,
+      end
+    };
+    this.shifts.push(newShift);
+    return { ...newShift };
+  }
+
+  async removeShift(id) {
+    await this.delay();
+    const index = this.shifts.findIndex(shift => shift.Id === parseInt(id));
+    if (index === -1) {
+      throw new Error('Shift not found');
+    }
+    this.shifts.splice(index, 1);
+    return true;
+  }
+
+  // Rider ids rostered in a zone for the whole of [startsAt, endsAt) on that day
+  getRidersScheduled(zone, startsAt, endsAt) {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    const from = start.getHours() * 60 + start.getMinutes();
+    const to = end.getHours() * 60 + end.getMinutes() || 24 * 60;
+    const riderIds = this.shifts
+      .filter(shift =>
+        shift.zone === zone &&
+        shift.dayOfWeek === start.getDay() &&
+        toMinutes(shift.start) <= from &&
+        toMinutes(shift.end) >= to
+      )
+      .map(shift => shift.riderId);
+    return [...new Set(riderIds)];
+  }
+
+  getSession(riderId) {
+    const session = this.sessions[parseInt(riderId)];
+    return session ? { ...session, breaks: session.breaks.map(b => ({ ...b })) } : null;
+  }
+
+  // Clocked in and not on a break
+  isOnShift(riderId) {
+    const session = this.sessions[parseInt(riderId)];
+    return !!session && !session.onBreak;
+  }
+
+  async clockIn(riderId) {
+    const rider = await deliveryPersonnelService.getById(riderId);
+    if (this.sessions[rider.Id]) {
+      throw new Error(`${rider.name} is already clocked in`);
+    }
+
+    const now = new Date();
+    const scheduled = this.getRidersScheduled(rider.zone, now, new Date(now.getTime() + 60000)).includes(rider.Id);
+    // Riders clock in under their own rider id, not an employee id, so their shifts never reach staff payroll;
+    // they are paid per delivery through riderEarningsService
+    const record = await attendanceService.create({
+      riderId: rider.Id,
+      riderName: rider.name,
+      date: toDateKey(now),
+      clockIn: toTimeString(now),
+      clockOut: null,
+      breaks: [],
+      notes: `Rider shift • ${rider.zone}${scheduled ? '' : ' (unscheduled)'}`
+    });
+
+    this.sessions[rider.Id] = {
+      riderId: rider.Id,
+      attendanceId: record.Id,
+      clockedInAt: now.toISOString(),
+      scheduled,
+      breaks: [],
+      onBreak: false
+    };
+    if (rider.status === 'off_duty') {
+      await deliveryPersonnelService.updateStatus(rider.Id, 'available');
+    }
+    return this.getSession(rider.Id);
+  }
+
+  async hasActiveDeliveries(riderId) {
+    const orders = await orderService.getOrdersByDeliveryPerson(parseInt(riderId));
+    return orders.some(order => ACTIVE_DELIVERY_STATUSES.includes(order.deliveryStatus));
+  }
+
+  async startBreak(riderId) {
+    const session = this.sessions[parseInt(riderId)];
+    if (!session) {
+      throw new Error('Clock in before taking a break');
+    }
+    if (session.onBreak) {
+      throw new Error('Already on a break');
+    }
+    if (await this.hasActiveDeliveries(riderId)) {
+      throw new Error('Finish your current deliveries before taking a break');
+    }
+
+    session.breaks.push({ startedAt: new Date().toISOString(), endedAt: null });
+    session.onBreak = true;
+    await attendanceService.update(session.attendanceId, { breaks: session.breaks.map(b => ({ ...b })) });
+    await deliveryPersonnelService.updateStatus(riderId, 'on_break');
+    return this.getSession(riderId);
+  }
+
+  async endBreak(riderId) {
+    const session = this.sessions[parseInt(riderId)];
+    if (!session?.onBreak) {
+      throw new Error('Not on a break');
+    }
+
+    session.breaks[session.breaks.length - 1].endedAt = new Date().toISOString();
+    session.onBreak = false;
+    await attendanceService.update(session.attendanceId, { breaks: session.breaks.map(b => ({ ...b })) });
+    await deliveryPersonnelService.updateStatus(riderId, 'available');
+    return this.getSession(riderId);
+  }
+
+  async clockOut(riderId) {
+    const session = this.sessions[parseInt(riderId)];
+    if (!session) {
+      throw new Error('Not clocked in');
+    }
+    if (await this.hasActiveDeliveries(riderId)) {
+      throw new Error('Deliver or hand back active orders before clocking out');
+    }
+
+    const now = new Date();
+    if (session.onBreak) {
+      session.breaks[session.breaks.length - 1].endedAt = now.toISOString();
+    }
+    const breakMinutes = Math.round(session.breaks.reduce(
+      (sum, b) => sum + (new Date(b.endedAt) - new Date(b.startedAt)), 0
+    ) / 60000);
+
+    await attendanceService.update(session.attendanceId, {
+      clockOut: toTimeString(now),
+      breaks: session.breaks.map(b => ({ ...b })),
+      breakMinutes
+    });
+    delete this.sessions[parseInt(riderId)];
+    await deliveryPersonnelService.updateStatus(riderId, 'off_duty');
+    return { riderId: parseInt(riderId), clockedOutAt: now.toISOString(), breakMinutes };
+  }
+
+  // Rostered riders against slot bookings for every zone and hour of a day
+  async getCoverage(date = new Date()) {
+    const day = new Date(date);
+    const [zones, orders, personnel] = await Promise.all([
+      deliveryFeeService.getZones(),
+      orderService.getAll(),
+      deliveryPersonnelService.getAll()
+    ]);
+    const { coverageHours, minRidersPerZone, ordersPerRiderHour } = this.config;
+    const dateKey = toDateKey(day);
+    const hours = [];
+    for (let hour = coverageHours.from; hour < coverageHours.to; hour++) {
+      hours.push(hour);
+    }
+
+    const bookings = orders.filter(order => orderService.holdsDeliverySlot(order) && order.deliverySlot.date === dateKey);
+
+    return {
+      date: dateKey,
+      hours,
+      zones: zones.map(zone => ({
+        zone: zone.name,
+        cells: hours.map(hour => {
+          const startsAt = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour);
+          const endsAt = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour + 1);
+          const riderIds = this.getRidersScheduled(zone.name, startsAt, endsAt);
+          // A booking counts towards every hour its window touches
+          const demand = bookings.filter(order =>
+            order.deliverySlot.zone === zone.name &&
+            new Date(order.deliverySlot.startsAt) < endsAt &&
+            new Date(order.deliverySlot.endsAt) > startsAt
+          ).length;
+          const required = Math.max(minRidersPerZone, Math.ceil(demand / ordersPerRiderHour));
+          return {
+            hour,
+            riders: riderIds.map(id => personnel.find(p => p.Id === id)?.name || `Rider #${id}`),
+            scheduled: riderIds.length,
+            demand,
+            required,
+            gap: riderIds.length < required
+          };
+        })
+      }))
+    };
+  }
+
+  getNextId() {
+    return this.shifts.reduce((max, shift) => Math.max(max, shift.Id), 0) + 1;
+  }
+
+  delay() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+  }
+}
+
+export const riderShiftService = new RiderShiftService();
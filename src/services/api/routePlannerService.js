@@ -0,0 +1,221 @@
+import { orderService } from "@/services/api/orderService";
+import { deliveryPersonnelService } from "@/services/api/deliveryPersonnelService";
+import { estimateTravelMinutes, hasCoordinates, haversineDistance } from "@/utils/geo";
+
+// Straight-line distances; swap in a road-distance provider with setDistanceProvider()
+export const haversineProvider = {
+  name: 'haversine',
+  async getDistance(from, to) {
+    return haversineDistance(from, to);
+  }
+};
+
+class RoutePlannerService {
+  constructor() {
+    this.distanceProvider = haversineProvider;
+    // Minutes spent at each drop-off handing over the order
+    this.serviceMinutesPerStop = 5;
+    // Dispatcher-defined stop order per rider, keyed by rider Id
+    this.manualSequences = {};
+  }
+
+  // A provider is any object with an async getDistance(from, to) returning kilometres
+  setDistanceProvider(provider) {
+    if (!provider || typeof provider.getDistance !== 'function') {
+      throw new Error('Distance provider must implement getDistance(from, to)');
+    }
+    this.distanceProvider = provider;
+  }
+
+  async buildDistanceMatrix(points) {
+    const matrix = points.map(() => points.map(() => 0));
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        const distance = await this.distanceProvider.getDistance(points[i], points[j]);
+        matrix[i][j] = distance;
+        matrix[j][i] = distance;
+      }
+    }
+    return matrix;
+  }
+
+  // Nearest-neighbour tour from the origin (index 0), improved with 2-opt; returns stop indices
+  optimizeSequence(matrix) {
+    const remaining = new Set(matrix.map((_, index) => index).slice(1));
+    const tour = [];
+    let current = 0;
+
+    while (remaining.size > 0) {
+      let next = null;
+      remaining.forEach(candidate => {
+        if (next === null || matrix[current][candidate] < matrix[current][next]) {
+          next = candidate;
+        }
+      });
+      tour.push(next);
+      remaining.delete(next);
+      current = next;
+    }
+
+    // Open path: the rider does not return to the origin after the last drop
+    const pathLength = (path) => path.reduce(
+      (sum, stop, index) => sum + matrix[index === 0 ? 0 : path[index - 1]][stop], 0
+    );
+
+    let improved = true;
+    let best = tour;
+    while (improved) {
+      improved = false;
+      for (let i = 0; i < best.length - 1; i++) {
+        for (let j = i + 1; j < best.length; j++) {
+          const candidate = [
+            ...best.slice(0, i),
+            ...best.slice(i, j + 1).reverse(),
+            ...best.slice(j + 1)
+          ];
+          if (pathLength(candidate) + 1e-9 < pathLength(best)) {
+            best = candidate;
+            improved = true;
+          }
+        }
+      }
+    }
+    return best;
+  }
+
+  // Apply a stored manual order: known orders keep their position, new ones follow in queue order
+  applyManualSequence(riderId, orders) {
+    const sequence = this.manualSequences[riderId];
+    if (!sequence) {
+      return null;
+    }
+    const byId = new Map(orders.map(order => [order.id, order]));
+    const ordered = sequence.filter(id => byId.has(id)).map(id => byId.get(id));
+    const added = orders.filter(order => !sequence.includes(order.id));
+    return [...ordered, ...added];
+  }
+
+  // origin overrides the rider's stored location, e.g. with a fresher position from the live stream
+  async planRoute(riderId, { startTime = new Date(), origin = null } = {}) {
+    const storedRider = await deliveryPersonnelService.getById(riderId);
+    const rider = hasCoordinates(origin)
+      ? { ...storedRider, currentLocation: { lat: origin.lat, lng: origin.lng } }
+      : storedRider;
+    const orders = await orderService.getDeliveryQueue(rider.Id);
+
+    let sequence = this.applyManualSequence(rider.Id, orders);
+    const manual = sequence !== null;
+
+    if (!manual) {
+      // Stops the rider is already heading to stay first; the planner orders the rest
+      const enRoute = orders.filter(order => ['in_transit', 'out_for_delivery'].includes(order.deliveryStatus));
+      const waiting = orders.filter(order => !enRoute.includes(order));
+      const routable = waiting.filter(order => hasCoordinates(order.deliveryAddress?.coordinates));
+      const unroutable = waiting.filter(order => !hasCoordinates(order.deliveryAddress?.coordinates));
+      const lastEnRoute = [...enRoute].reverse().find(order => hasCoordinates(order.deliveryAddress?.coordinates));
+      const start = lastEnRoute ? lastEnRoute.deliveryAddress.coordinates : rider.currentLocation;
+
+      let optimized = routable;
+      if (hasCoordinates(start) && routable.length > 1) {
+        const points = [start, ...routable.map(order => order.deliveryAddress.coordinates)];
+        const matrix = await this.buildDistanceMatrix(points);
+        optimized = this.optimizeSequence(matrix).map(index => routable[index - 1]);
+      }
+      sequence = [...enRoute, ...optimized, ...unroutable];
+    }
+
+    const stops = [];
+    let previous = rider.currentLocation;
+    let cumulativeMinutes = 0;
+    let totalDistanceKm = 0;
+
+    for (const [index, order] of sequence.entries()) {
+      const destination = order.deliveryAddress?.coordinates;
+      const legDistanceKm = hasCoordinates(previous) && hasCoordinates(destination)
+        ? await this.distanceProvider.getDistance(previous, destination)
+        : null;
+      const legMinutes = estimateTravelMinutes(legDistanceKm, rider.vehicleType);
+
+      if (legMinutes !== null) {
+        cumulativeMinutes += legMinutes;
+        totalDistanceKm += legDistanceKm;
+      }
+
+      stops.push({
+        sequence: index + 1,
+        orderId: order.id,
+        order,
+        legDistanceKm: legDistanceKm !== null ? Math.round(legDistanceKm * 10) / 10 : null,
+        legMinutes: legMinutes !== null ? Math.round(legMinutes) : null,
+        cumulativeMinutes: Math.round(cumulativeMinutes),
+        eta: legMinutes !== null
+          ? new Date(startTime.getTime() + cumulativeMinutes * 60000).toISOString()
+          : null
+      });
+
+      cumulativeMinutes += this.serviceMinutesPerStop;
+      if (hasCoordinates(destination)) {
+        previous = destination;
+      }
+    }
+
+    return {
+      riderId: rider.Id,
+      riderName: rider.name,
+      vehicleType: rider.vehicleType,
+      origin: rider.currentLocation,
+      provider: this.distanceProvider.name || 'custom',
+      manual,
+      stops,
+      totalDistanceKm: Math.round(totalDistanceKm * 10) / 10,
+      totalMinutes: Math.round(cumulativeMinutes)
+    };
+  }
+
+  // Live ETA for one order, counting the stops the rider makes before it
+  async getOrderEta(orderId, position = null) {
+    const order = await orderService.getById(orderId);
+    const scheduledEta = order.estimatedDelivery || null;
+    const onTheWay = ['in_transit', 'out_for_delivery'].includes(order.deliveryStatus);
+
+    if (!onTheWay || !order.deliveryPersonId) {
+      return { live: false, eta: scheduledEta, scheduledEta };
+    }
+
+    const plan = await this.planRoute(order.deliveryPersonId, { origin: position });
+    const stop = plan.stops.find(s => s.orderId === order.id);
+    if (!stop || !stop.eta) {
+      return { live: false, eta: scheduledEta, scheduledEta, riderName: plan.riderName };
+    }
+
+    const stopsBefore = plan.stops.slice(0, stop.sequence - 1);
+    const distanceKm = [...stopsBefore, stop].reduce((sum, s) => sum + (s.legDistanceKm || 0), 0);
+    const minutesAway = Math.max(Math.round((new Date(stop.eta) - new Date()) / 60000), 0);
+
+    return {
+      live: true,
+      eta: stop.eta,
+      scheduledEta,
+      delayMinutes: scheduledEta ? Math.round((new Date(stop.eta) - new Date(scheduledEta)) / 60000) : null,
+      minutesAway,
+      distanceKm: Math.round(distanceKm * 10) / 10,
+      stopsBefore: stopsBefore.length,
+      riderId: plan.riderId,
+      riderName: plan.riderName,
+      riderLocation: plan.origin
+    };
+  }
+
+  // Dispatcher drag-and-drop: pin the stop order for a rider
+  async reorderStops(riderId, orderIds) {
+    this.manualSequences[parseInt(riderId)] = orderIds.map(id => parseInt(id));
+    return this.planRoute(riderId);
+  }
+
+  async resetSequence(riderId) {
+    delete this.manualSequences[parseInt(riderId)];
+    return this.planRoute(riderId);
+  }
+}
+
+export const routePlannerService = new RoutePlannerService();
@@ -1,5 +1,7 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import { productService } from '@/services/api/productService';
+import { inventoryService } from '@/services/api/inventoryService';
+import { getMarkdownSnapshot, getSellingPrice, repriceLine } from '@/utils/pricing';
 import { toast } from 'react-toastify';
 
 const initialState = {
@@ -33,16 +35,19 @@ export const validateCartPrices = createAsyncThunk(
       for (const item of cart.items) {
         try {
           const currentProduct = await productService.getById(item.id);
-          const priceChanged = currentProduct.price !== item.price;
-          const stockChanged = currentProduct.stock !== item.stock;
+          // Stock other customers are holding at checkout can't go in this cart
+          const { available } = await inventoryService.getAvailableStock(item.id);
+          // Near-expiry markdowns start and end on their own, so compare what the customer would pay
+          const priceChanged = getSellingPrice(currentProduct, item.quantity) !== item.price;
+          const stockChanged = available !== item.stock;
           
           validationResults.push({
             id: item.id,
             name: item.name,
             oldPrice: item.price,
-            newPrice: currentProduct.price,
+            newPrice: getSellingPrice(currentProduct, item.quantity),
             oldStock: item.stock,
-            newStock: currentProduct.stock,
+            newStock: available,
             priceChanged,
             stockChanged,
             currentProduct
@@ -75,18 +80,19 @@ export const addToCartWithValidation = createAsyncThunk(
         throw new Error('Product is no longer available');
       }
       
-      if (product.stock <= 0) {
+      const { available } = await inventoryService.getAvailableStock(productId);
+      if (available <= 0) {
         throw new Error('Product is out of stock');
       }
       
       const { cart } = getState();
       const existingItem = cart.items.find(item => item.id === productId);
       
-      if (existingItem && existingItem.quantity >= product.stock) {
-        throw new Error(`Only ${product.stock} ${product.unit || 'pieces'} available in stock`);
+      if (existingItem && existingItem.quantity >= available) {
+        throw new Error(`Only ${available} ${product.unit || 'pieces'} available in stock`);
       }
       
-      return product;
+      return { ...product, stock: available };
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -103,11 +109,12 @@ export const updateQuantityWithValidation = createAsyncThunk(
         throw new Error('Product is no longer available');
       }
       
-      if (quantity > product.stock) {
-        throw new Error(`Only ${product.stock} ${product.unit || 'pieces'} available in stock`);
+      const { available } = await inventoryService.getAvailableStock(productId);
+      if (quantity > available) {
+        throw new Error(`Only ${available} ${product.unit || 'pieces'} available in stock`);
       }
       
-      return { productId, quantity, currentProduct: product };
+      return { productId, quantity, currentProduct: { ...product, stock: available } };
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -132,6 +139,8 @@ const cartSlice = createSlice({
         if (newQuantity > existingItem.quantity) {
           existingItem.quantity = newQuantity;
           existingItem.updatedAt = Date.now();
+          existingItem.price = getSellingPrice(product, newQuantity);
+          existingItem.markdown = getMarkdownSnapshot(product, newQuantity);
         }
       } else {
         // Add new item with proper field mapping
@@ -143,7 +152,9 @@ const cartSlice = createSlice({
           image: product.image || product.imageUrl || '/placeholder-image.jpg',
           id: product.id,
           name: product.name,
-          price: product.price,
+          price: getSellingPrice(product),
+          listPrice: product.price,
+          markdown: getMarkdownSnapshot(product),
           stock: product.stock,
           unit: product.unit || 'piece'
         };
@@ -171,6 +182,8 @@ const { productId, quantity } = action.payload;
           const validQuantity = Math.min(quantity, item.stock);
           item.quantity = validQuantity;
           item.updatedAt = Date.now();
+          // The markdown only covers part of a larger quantity
+          Object.assign(item, repriceLine(item));
           // Note: isUpdating flag should be managed at component level
           // to avoid async operations in reducers
         }
@@ -275,7 +288,6 @@ calculateTotals: (state) => {
           if (item) {
             // Update price and stock information
             const oldPrice = item.price;
-            item.price = result.newPrice;
             item.stock = result.newStock;
             
             // Adjust quantity if stock is insufficient
@@ -283,11 +295,14 @@ calculateTotals: (state) => {
               item.quantity = Math.max(1, result.newStock);
               toast.warning(`${result.name} quantity adjusted to ${item.quantity} due to stock availability`);
             }
+            item.price = getSellingPrice(result.currentProduct, item.quantity);
+            item.listPrice = result.currentProduct.price;
+            item.markdown = getMarkdownSnapshot(result.currentProduct, item.quantity);
             
             // Notify about price changes
             if (result.priceChanged) {
-              const priceDirection = result.newPrice > oldPrice ? 'increased' : 'decreased';
-              toast.info(`${result.name} price ${priceDirection} from Rs. ${oldPrice.toLocaleString()} to Rs. ${result.newPrice.toLocaleString()}`);
+              const priceDirection = item.price > oldPrice ? 'increased' : 'decreased';
+              toast.info(`${result.name} price ${priceDirection} from Rs. ${oldPrice.toLocaleString()} to Rs. ${item.price.toLocaleString()}`);
             }
             
             hasChanges = true;
@@ -331,7 +346,9 @@ calculateTotals: (state) => {
           existingItem.quantity = Math.min(existingItem.quantity + 1, product.stock);
           existingItem.updatedAt = Date.now();
           // Update with current product data
-          existingItem.price = product.price;
+          existingItem.price = getSellingPrice(product, existingItem.quantity);
+          existingItem.listPrice = product.price;
+          existingItem.markdown = getMarkdownSnapshot(product, existingItem.quantity);
           existingItem.stock = product.stock;
         } else {
           const cartItem = {
@@ -340,6 +357,9 @@ calculateTotals: (state) => {
             addedAt: Date.now(),
             updatedAt: Date.now(),
             image: product.image || product.imageUrl || '/placeholder-image.jpg',
+            price: getSellingPrice(product),
+            listPrice: product.price,
+            markdown: getMarkdownSnapshot(product),
             unit: product.unit || 'piece'
           };
           state.items.push(cartItem);
@@ -362,7 +382,9 @@ calculateTotals: (state) => {
             item.quantity = quantity;
             item.updatedAt = Date.now();
             // Update with current product data
-            item.price = currentProduct.price;
+            item.price = getSellingPrice(currentProduct, quantity);
+            item.listPrice = currentProduct.price;
+            item.markdown = getMarkdownSnapshot(currentProduct, quantity);
             item.stock = currentProduct.stock;
           }
         }
@@ -0,0 +1,31 @@
+import { createSlice } from "@reduxjs/toolkit";
+
+const initialState = {
+  riderId: null,
+  riderName: null,
+  zone: null,
+  signedInAt: null
+};
+
+const driverSlice = createSlice({
+  name: 'driver',
+  initialState,
+  reducers: {
+    signInDriver: (state, action) => {
+      const { Id, name, zone } = action.payload;
+      state.riderId = Id;
+      state.riderName = name;
+      state.zone = zone || null;
+      state.signedInAt = new Date().toISOString();
+    },
+    signOutDriver: () => initialState
+  }
+});
+
+export const { signInDriver, signOutDriver } = driverSlice.actions;
+
+// Selectors
+export const selectDriverSession = (state) => state.driver;
+export const selectIsDriverSignedIn = (state) => state.driver.riderId !== null;
+
+export default driverSlice.reducer;
@@ -3,15 +3,17 @@ import { persistReducer, persistStore } from "redux-persist";
 import storage from "redux-persist/lib/storage";
 import cartSlice from "./cartSlice";
 import notificationSlice from "./notificationSlice";
+import driverSlice from "./driverSlice";
 const persistConfig = {
   key: 'root',
   storage,
-  whitelist: ['cart'] // Only persist cart state
+  whitelist: ['cart', 'driver'] // Persist cart and rider session
 };
 
 const rootReducer = combineReducers({
   cart: cartSlice,
-  notifications: notificationSlice
+  notifications: notificationSlice,
+  driver: driverSlice
 });
 
 const persistedReducer = persistReducer(persistConfig, rootReducer);
@@ -25,7 +25,8 @@ const initialState = {
     verification: 0,
     management: 0,
     delivery: 0,
-    analytics: 0
+    analytics: 0,
+    feedback: 0
   },
   loading: false,
   error: null,
@@ -65,7 +66,8 @@ setLoading: (state, action) => {
         verification: 0,
         management: 0,
         delivery: 0,
-        analytics: 0
+        analytics: 0,
+        feedback: 0
       };
       state.lastUpdated = new Date().toISOString();
     }
@@ -0,0 +1,36 @@
+// Geographic helpers shared by dispatch, routing and ETA calculations
+
+const EARTH_RADIUS_KM = 6371;
+
+// Average city speeds used for travel time estimates (km/h)
+export const VEHICLE_SPEEDS = {
+  bicycle: 12,
+  motorcycle: 25,
+  car: 20,
+  default: 20
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const hasCoordinates = (point) =>
+  !!point && Number.isFinite(Number(point.lat)) && Number.isFinite(Number(point.lng));
+
+// Great-circle distance between two { lat, lng } points in kilometres
+export const haversineDistance = (from, to) => {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) {
+    return null;
+  }
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+export const estimateTravelMinutes = (distanceKm, vehicleType = 'default') => {
+  if (distanceKm === null || distanceKm === undefined) {
+    return null;
+  }
+  const speed = VEHICLE_SPEEDS[vehicleType] || VEHICLE_SPEEDS.default;
+  return (distanceKm / speed) * 60;
+};
@@ -0,0 +1,47 @@
+import { roundQuantity } from "@/utils/scaleBarcode";
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// How many of `quantity` units the markdown still covers once `alreadyCounted` units on other lines have used it up
+const getMarkdownQuantity = (markdown, quantity, alreadyCounted) => (markdown
+  ? roundQuantity(Math.max(0, Math.min(quantity, (markdown.quantity || 0) - alreadyCounted)))
+  : 0);
+
+// What a customer pays per unit when buying `quantity`. A near-expiry markdown only covers what is left of its lot,
+// which is sold first, so any units beyond it are charged the list price and the line pays the average.
+// Other discounts on the product are display-only. Takes a looked-up product, never null.
+export const getSellingPrice = (product, quantity = 1, alreadyCounted = 0) => {
+  const covered = getMarkdownQuantity(product.markdown, quantity, alreadyCounted);
+  if (covered === 0) {
+    return product.price;
+  }
+  return roundAmount((covered * product.markdown.price + (quantity - covered) * product.price) / quantity);
+};
+
+// The markdown details a sold line keeps, so recovered revenue can be reported later;
+// `quantity` is how many of the line's units were charged the markdown price
+export const getMarkdownSnapshot = (product, quantity = 1, alreadyCounted = 0) => {
+  const covered = getMarkdownQuantity(product.markdown, quantity, alreadyCounted);
+  return covered > 0
+    ? {
+      lotId: product.markdown.lotId,
+      lotNumber: product.markdown.lotNumber,
+      percentage: product.markdown.percentage,
+      price: product.markdown.price,
+      quantity: covered,
+      available: product.markdown.quantity
+    }
+    : null;
+};
+
+// Re-prices a line whose quantity changed without its product to hand, from the list price and markdown it was priced with
+export const repriceLine = (line) => {
+  const product = {
+    price: line.listPrice ?? line.price,
+    markdown: line.markdown ? { ...line.markdown, quantity: line.markdown.available } : null
+  };
+  return {
+    price: getSellingPrice(product, line.quantity),
+    markdown: getMarkdownSnapshot(product, line.quantity)
+  };
+};
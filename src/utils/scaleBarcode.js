@@ -0,0 +1,44 @@
+// GS1 variable-measure barcodes printed by the produce and meat counter scales
+
+// Restricted-circulation EAN-13: 2-digit prefix, 5-digit PLU (the product's `plu`), 5-digit value, check digit.
+// Which prefixes carry a weight and which a price is the store's choice; these follow the usual split.
+export const SCALE_BARCODE_PREFIXES = {
+  // Value is the net weight in grams
+  weight: ['20', '21', '22', '23', '24'],
+  // Value is the label price in whole rupees
+  price: ['25', '26', '27', '28', '29']
+};
+
+// Units a product can be sold in fractions of
+const WEIGHED_UNITS = ['kg'];
+
+export const isSoldByWeight = (product) => WEIGHED_UNITS.includes(product?.unit);
+
+// Weights are kept to the gram
+export const roundQuantity = (quantity) => Math.round(quantity * 1000) / 1000;
+
+export const hasValidCheckDigit = (digits) => {
+  const sum = digits
+    .slice(0, -1)
+    .split('')
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+};
+
+// { barcode, type: 'weight' | 'price', itemCode, weight | price }, or null for any other barcode
+export const parseScaleBarcode = (code) => {
+  const digits = String(code || '').trim();
+  if (!/^2\d{12}$/.test(digits) || !hasValidCheckDigit(digits)) {
+    return null;
+  }
+  const prefix = digits.slice(0, 2);
+  const type = Object.keys(SCALE_BARCODE_PREFIXES).find(key => SCALE_BARCODE_PREFIXES[key].includes(prefix));
+  if (!type) {
+    return null;
+  }
+  const itemCode = digits.slice(2, 7);
+  const value = parseInt(digits.slice(7, 12), 10);
+  return type === 'weight'
+    ? { barcode: digits, type, itemCode, weight: value / 1000 }
+    : { barcode: digits, type, itemCode, price: value };
+};